@@ -0,0 +1,499 @@
+/**
+ * 隐藏迷宫 - 迷宫生成算法模块
+ * 向Maze的策略注册表中注册更多生成算法，所有算法都输出相同的墙壁结构
+ */
+
+class MazeAlgorithms {
+    /**
+     * 标记所有单元格为已访问（适用于不逐格访问的算法）
+     * @param {Maze} maze - 迷宫实例
+     */
+    static markAllVisited(maze) {
+        for (const cell of maze.getAllCells()) {
+            maze.cells[cell.y][cell.x] = true;
+        }
+    }
+
+    /**
+     * 获取已访问的邻居单元格
+     * @param {Maze} maze - 迷宫实例
+     * @param {Object} cell - 单元格坐标
+     * @returns {Array} 已访问的邻居列表
+     */
+    static getVisitedNeighbors(maze, cell) {
+        return maze.getNeighbors(cell.x, cell.y).filter(neighbor => maze.cells[neighbor.y][neighbor.x]);
+    }
+
+    /**
+     * 随机Prim算法：从已访问区域的边界中随机选择单元格连接
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static prim(maze, random) {
+        const frontier = [];
+        const inFrontier = new Set();
+
+        const addFrontier = (cell) => {
+            for (const neighbor of maze.getUnvisitedNeighbors(cell.x, cell.y)) {
+                const key = maze.getCellKey(neighbor.x, neighbor.y);
+                if (!inFrontier.has(key)) {
+                    inFrontier.add(key);
+                    frontier.push({ x: neighbor.x, y: neighbor.y });
+                }
+            }
+        };
+
+        const first = random.pick(maze.getAllCells());
+        maze.cells[first.y][first.x] = true;
+        addFrontier(first);
+
+        while (frontier.length > 0) {
+            // 随机取出一个边界单元格（交换删除）
+            const index = random.nextInt(frontier.length);
+            const cell = frontier[index];
+            frontier[index] = frontier[frontier.length - 1];
+            frontier.pop();
+
+            // 与一个已访问的邻居连接
+            const neighbor = random.pick(MazeAlgorithms.getVisitedNeighbors(maze, cell));
+            maze.removeWall(cell.x, cell.y, neighbor.direction);
+            maze.cells[cell.y][cell.x] = true;
+
+            addFrontier(cell);
+        }
+    }
+
+    /**
+     * 随机Kruskal算法：随机打乱所有墙壁，用并查集合并不同集合
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static kruskal(maze, random) {
+        MazeAlgorithms.joinRemainingEdges(maze, random, MazeAlgorithms.createDisjointSet(maze));
+        MazeAlgorithms.markAllVisited(maze);
+    }
+
+    /**
+     * 创建以单元格键为元素的并查集
+     * @param {Maze} maze - 迷宫实例
+     * @returns {Object} { find(key), union(keyA, keyB) }，union在两者已连通时返回false
+     */
+    static createDisjointSet(maze) {
+        const parent = new Map(maze.getAllCells().map(cell => {
+            const key = maze.getCellKey(cell.x, cell.y);
+            return [key, key];
+        }));
+
+        const find = (key) => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+
+        const union = (keyA, keyB) => {
+            const rootA = find(keyA);
+            const rootB = find(keyB);
+            if (rootA === rootB) return false;
+            parent.set(rootA, rootB);
+            return true;
+        };
+
+        return { find, union };
+    }
+
+    /**
+     * Kruskal主循环：随机打乱所有内部墙壁，打通连接不同集合的墙壁
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     * @param {Object} sets - 并查集（见createDisjointSet）
+     * @param {Function} skip - 返回true的单元格不参与（可选）
+     */
+    static joinRemainingEdges(maze, random, sets, skip = () => false) {
+        // 收集所有内部墙壁（每条只记录一次）
+        const edges = [];
+        const seen = new Set();
+        for (const cell of maze.getAllCells()) {
+            if (skip(cell)) continue;
+            const key = maze.getCellKey(cell.x, cell.y);
+            seen.add(key);
+
+            for (const neighbor of maze.getNeighbors(cell.x, cell.y)) {
+                const neighborKey = maze.getCellKey(neighbor.x, neighbor.y);
+                if (!seen.has(neighborKey) && !skip(neighbor)) {
+                    edges.push({ cell, direction: neighbor.direction, a: key, b: neighborKey });
+                }
+            }
+        }
+
+        random.shuffle(edges);
+
+        for (const edge of edges) {
+            if (sets.union(edge.a, edge.b)) {
+                maze.removeWall(edge.cell.x, edge.cell.y, edge.direction);
+            }
+        }
+    }
+
+    /**
+     * Wilson算法：使用擦除环路的随机游走，生成无偏的均匀生成树
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static wilson(maze, random) {
+        let remaining = maze.getAllCells();
+        const first = random.pick(remaining);
+        maze.cells[first.y][first.x] = true;
+        remaining = remaining.filter(cell => !maze.cells[cell.y][cell.x]);
+
+        while (remaining.length > 0) {
+            // 从未访问的单元格开始随机游走，直到碰到迷宫
+            const path = [random.pick(remaining)];
+            const directions = [];
+            const pathIndex = new Map([[maze.getCellKey(path[0].x, path[0].y), 0]]);
+
+            let current = path[0];
+            while (!maze.cells[current.y][current.x]) {
+                const neighbor = random.pick(maze.getNeighbors(current.x, current.y));
+                const key = maze.getCellKey(neighbor.x, neighbor.y);
+
+                if (pathIndex.has(key)) {
+                    // 擦除环路
+                    const loopStart = pathIndex.get(key);
+                    for (const erased of path.slice(loopStart + 1)) {
+                        pathIndex.delete(maze.getCellKey(erased.x, erased.y));
+                    }
+                    path.length = loopStart + 1;
+                    directions.length = loopStart;
+                } else {
+                    directions.push(neighbor.direction);
+                    pathIndex.set(key, path.length);
+                    path.push({ x: neighbor.x, y: neighbor.y });
+                }
+
+                current = path[path.length - 1];
+            }
+
+            // 沿游走路径开辟通道
+            for (let i = 0; i < directions.length; i++) {
+                maze.removeWall(path[i].x, path[i].y, directions[i]);
+                maze.cells[path[i].y][path[i].x] = true;
+            }
+
+            remaining = remaining.filter(cell => !maze.cells[cell.y][cell.x]);
+        }
+    }
+
+    /**
+     * Aldous-Broder算法：纯随机游走，首次到达的单元格与上一格连通
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static aldousBroder(maze, random) {
+        const cells = maze.getAllCells();
+        let current = random.pick(cells);
+        maze.cells[current.y][current.x] = true;
+        let unvisited = cells.length - 1;
+
+        while (unvisited > 0) {
+            const neighbor = random.pick(maze.getNeighbors(current.x, current.y));
+
+            if (!maze.cells[neighbor.y][neighbor.x]) {
+                maze.removeWall(current.x, current.y, neighbor.direction);
+                maze.cells[neighbor.y][neighbor.x] = true;
+                unvisited--;
+            }
+
+            current = { x: neighbor.x, y: neighbor.y };
+        }
+    }
+
+    /**
+     * 生长树算法：按策略从活动列表中选择单元格扩展
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     * @param {string} policy - 选择策略 ('newest', 'random', 'mixed')
+     */
+    static growingTree(maze, random, policy = 'newest') {
+        const chooseIndex = (length) => {
+            switch (policy) {
+                case 'random':
+                    return random.nextInt(length);
+                case 'mixed':
+                    return random.next() < 0.5 ? length - 1 : random.nextInt(length);
+                default:
+                    return length - 1;
+            }
+        };
+
+        const first = random.pick(maze.getAllCells());
+        maze.cells[first.y][first.x] = true;
+        const active = [first];
+
+        while (active.length > 0) {
+            const index = chooseIndex(active.length);
+            const cell = active[index];
+            const neighbors = maze.getUnvisitedNeighbors(cell.x, cell.y);
+
+            if (neighbors.length > 0) {
+                const neighbor = random.pick(neighbors);
+                maze.removeWall(cell.x, cell.y, neighbor.direction);
+                maze.cells[neighbor.y][neighbor.x] = true;
+                active.push({ x: neighbor.x, y: neighbor.y });
+            } else {
+                active.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * 猎杀算法：随机游走直到无路可走，再扫描寻找与迷宫相邻的未访问单元格
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static huntAndKill(maze, random) {
+        const cells = maze.getAllCells();
+        let current = random.pick(cells);
+        maze.cells[current.y][current.x] = true;
+
+        while (current) {
+            const neighbors = maze.getUnvisitedNeighbors(current.x, current.y);
+
+            if (neighbors.length > 0) {
+                // 行走阶段
+                const neighbor = random.pick(neighbors);
+                maze.removeWall(current.x, current.y, neighbor.direction);
+                maze.cells[neighbor.y][neighbor.x] = true;
+                current = { x: neighbor.x, y: neighbor.y };
+                continue;
+            }
+
+            // 猎杀阶段：按顺序扫描
+            current = null;
+            for (const cell of cells) {
+                if (maze.cells[cell.y][cell.x]) continue;
+
+                const visitedNeighbors = MazeAlgorithms.getVisitedNeighbors(maze, cell);
+                if (visitedNeighbors.length > 0) {
+                    const neighbor = random.pick(visitedNeighbors);
+                    maze.removeWall(cell.x, cell.y, neighbor.direction);
+                    maze.cells[cell.y][cell.x] = true;
+                    current = cell;
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Eller算法：逐行生成，每行只需维护集合编号
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static eller(maze, random) {
+        let rowSets = Array(maze.width).fill(null);
+        let nextSet = 1;
+
+        for (let y = 0; y < maze.height; y++) {
+            const isLastRow = y === maze.height - 1;
+
+            // 为新单元格分配集合
+            for (let x = 0; x < maze.width; x++) {
+                if (rowSets[x] === null) {
+                    rowSets[x] = nextSet++;
+                }
+            }
+
+            // 随机合并水平相邻的不同集合（最后一行必须全部合并）
+            for (let x = 0; x < maze.width - 1; x++) {
+                if (rowSets[x] !== rowSets[x + 1] && (isLastRow || random.next() < 0.5)) {
+                    maze.removeWall(x, y, 'right');
+                    const merged = rowSets[x + 1];
+                    rowSets = rowSets.map(set => (set === merged ? rowSets[x] : set));
+                }
+            }
+
+            if (isLastRow) break;
+
+            // 每个集合至少向下延伸一次
+            const groups = new Map();
+            rowSets.forEach((set, x) => {
+                if (!groups.has(set)) groups.set(set, []);
+                groups.get(set).push(x);
+            });
+
+            const nextRow = Array(maze.width).fill(null);
+            for (const [set, columns] of groups) {
+                random.shuffle(columns);
+                const count = 1 + random.nextInt(columns.length);
+                for (const x of columns.slice(0, count)) {
+                    maze.removeWall(x, y, 'down');
+                    nextRow[x] = set;
+                }
+            }
+
+            rowSets = nextRow;
+        }
+
+        MazeAlgorithms.markAllVisited(maze);
+    }
+
+    /**
+     * 递归分割算法：从空白区域开始，不断加墙分割并在墙上留一个缺口
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static recursiveDivision(maze, random) {
+        // 移除所有内部墙壁
+        for (const cell of maze.getAllCells()) {
+            if (cell.x < maze.width - 1) maze.removeWall(cell.x, cell.y, 'right');
+            if (cell.y < maze.height - 1) maze.removeWall(cell.x, cell.y, 'down');
+        }
+
+        const regions = [{ x: 0, y: 0, width: maze.width, height: maze.height }];
+
+        while (regions.length > 0) {
+            const { x, y, width, height } = regions.pop();
+            if (width < 2 || height < 2) continue;
+
+            const horizontal = width < height || (width === height && random.next() < 0.5);
+
+            if (horizontal) {
+                // 在wallY行下方加一道水平墙
+                const wallY = y + random.nextInt(height - 1);
+                const gapX = x + random.nextInt(width);
+                for (let i = x; i < x + width; i++) {
+                    if (i !== gapX) maze.addWall(i, wallY, 'down');
+                }
+                regions.push({ x, y, width, height: wallY - y + 1 });
+                regions.push({ x, y: wallY + 1, width, height: y + height - wallY - 1 });
+            } else {
+                // 在wallX列右侧加一道垂直墙
+                const wallX = x + random.nextInt(width - 1);
+                const gapY = y + random.nextInt(height);
+                for (let i = y; i < y + height; i++) {
+                    if (i !== gapY) maze.addWall(wallX, i, 'right');
+                }
+                regions.push({ x, y, width: wallX - x + 1, height });
+                regions.push({ x: wallX + 1, y, width: x + width - wallX - 1, height });
+            }
+        }
+
+        MazeAlgorithms.markAllVisited(maze);
+    }
+
+    /**
+     * 立交编织算法：先随机放置交叉点（一条通道从另一条通道下方穿过），再用Kruskal连接其余单元格
+     * 交叉点四面墙壁都打开，上层通道连接交叉点本身，下层隧道直接连接交叉点两侧的单元格
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     * @param {string} variant - 交叉点密度（见MazeAlgorithms.WEAVE_DENSITY）
+     */
+    static weave(maze, random, variant = 'sparse') {
+        const density = MazeAlgorithms.WEAVE_DENSITY[variant];
+        const sets = MazeAlgorithms.createDisjointSet(maze);
+        const key = (x, y) => maze.getCellKey(x, y);
+        const isEndpoint = (x, y) =>
+            (x === maze.start.x && y === maze.start.y) || (x === maze.end.x && y === maze.end.y);
+
+        const candidates = maze.getAllCells().filter(cell =>
+            cell.x > 0 && cell.x < maze.width - 1 && cell.y > 0 && cell.y < maze.height - 1);
+
+        for (const { x, y } of random.shuffle(candidates)) {
+            if (random.next() >= density || isEndpoint(x, y)) continue;
+
+            // 交叉点不能与其他交叉点相邻，四个通道口也不能被遮罩排除
+            const around = [[x, y], [x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]];
+            if (around.some(([cx, cy]) => maze.getCrossing(cx, cy) || !maze.isCellEnabled(cx, cy))) continue;
+
+            const over = random.next() < 0.5 ? 'horizontal' : 'vertical';
+            const [overA, overB, underA, underB] = over === 'horizontal'
+                ? [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]
+                : [[x, y - 1], [x, y + 1], [x - 1, y], [x + 1, y]];
+
+            // 四个通道口必须分属不同集合，否则会形成环路
+            const roots = [overA, overB, underA, underB].map(([cx, cy]) => sets.find(key(cx, cy)));
+            if (new Set(roots).size < roots.length) continue;
+
+            sets.union(key(...overA), key(x, y));
+            sets.union(key(x, y), key(...overB));
+            sets.union(key(...underA), key(...underB));
+
+            for (const direction of ['up', 'right', 'down', 'left']) {
+                maze.removeWall(x, y, direction);
+            }
+            maze.crossings.set(key(x, y), over);
+        }
+
+        // 交叉点的墙壁已全部确定，其余单元格用Kruskal连接
+        MazeAlgorithms.joinRemainingEdges(maze, random, sets, cell => maze.getCrossing(cell.x, cell.y));
+        MazeAlgorithms.markAllVisited(maze);
+    }
+}
+
+// 立交编织算法各变体的交叉点放置概率
+MazeAlgorithms.WEAVE_DENSITY = {
+    sparse: 0.2,
+    dense: 0.5
+};
+
+// 注册生成算法
+Maze.registerAlgorithm('prim', {
+    label: '随机Prim',
+    generate: MazeAlgorithms.prim
+});
+
+Maze.registerAlgorithm('kruskal', {
+    label: '随机Kruskal',
+    generate: MazeAlgorithms.kruskal
+});
+
+Maze.registerAlgorithm('wilson', {
+    label: 'Wilson',
+    generate: MazeAlgorithms.wilson
+});
+
+Maze.registerAlgorithm('eller', {
+    label: 'Eller',
+    shapes: ['square'],
+    maskable: false,
+    generate: MazeAlgorithms.eller
+});
+
+Maze.registerAlgorithm('aldous-broder', {
+    label: 'Aldous-Broder',
+    generate: MazeAlgorithms.aldousBroder
+});
+
+Maze.registerAlgorithm('growing-tree', {
+    label: '生长树',
+    variants: { newest: '最新', random: '随机', mixed: '混合' },
+    defaultVariant: 'newest',
+    generate: MazeAlgorithms.growingTree
+});
+
+Maze.registerAlgorithm('hunt-and-kill', {
+    label: '猎杀',
+    generate: MazeAlgorithms.huntAndKill
+});
+
+Maze.registerAlgorithm('recursive-division', {
+    label: '递归分割',
+    shapes: ['square'],
+    maskable: false,
+    generate: MazeAlgorithms.recursiveDivision
+});
+
+Maze.registerAlgorithm('weave', {
+    label: '立交（隧道交叉）',
+    shapes: ['square'],
+    variants: { sparse: '稀疏', dense: '密集' },
+    defaultVariant: 'sparse',
+    generate: MazeAlgorithms.weave
+});
+
+// 导出MazeAlgorithms类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeAlgorithms;
+}
@@ -0,0 +1,229 @@
+/**
+ * 隐藏迷宫 - 难度分析模块
+ * 统计迷宫的路线与分支结构，给出综合难度评分，并支持反复生成直到落入目标难度区间
+ * 适用于所有拓扑形状和多层迷宫（只依赖通用的单元格与邻居接口）
+ */
+
+class MazeAnalyzer {
+    /**
+     * 分析迷宫
+     * @param {Maze|MultiFloorMaze} maze - 已生成的迷宫
+     * @returns {Object} 分析结果
+     *     solutionLength - 最短路线步数
+     *     deadEnds - 路线以外的死胡同数量
+     *     deadEndDepth - 死胡同平均深度（从死胡同退回最近岔路口的步数）
+     *     maxDeadEndDepth - 最深的死胡同深度
+     *     junctions - 岔路口（三个及以上出口）数量
+     *     branchingFactor - 岔路口占全部单元格的比例
+     *     riverFactor - 通道平均长度（相邻两个岔路口或死胡同之间的步数，越大越“蜿蜒”）
+     *     decisionPoints - 最短路线上需要做选择的单元格数
+     *     turns - 最短路线上的转弯次数
+     *     score - 综合难度评分（0~100）
+     *     band - 难度等级名称（见MazeAnalyzer.BANDS）
+     */
+    static analyze(maze) {
+        const cells = maze.getAllCells();
+        const keyOf = cell => maze.getCellKey(cell.x, cell.y, cell.z);
+        const exits = new Map(cells.map(cell =>
+            [keyOf(cell), maze.getOpenNeighbors(cell.x, cell.y, cell.z).length]
+        ));
+
+        const path = maze.getPath();
+        const onPath = new Set(path.map(keyOf));
+        const solutionLength = Math.max(0, path.length - 1);
+
+        // 死胡同：不在路线上、只有一个出口的单元格
+        const deadEndDepths = cells
+            .filter(cell => exits.get(keyOf(cell)) === 1 && !onPath.has(keyOf(cell)))
+            .map(cell => MazeAnalyzer.measureDeadEnd(maze, cell, exits));
+
+        const junctions = cells.filter(cell => exits.get(keyOf(cell)) >= 3).length;
+
+        // 通道数 = 所有非直通单元格的出口数之和 / 2（每条通道两端各一个）
+        let edges = 0;
+        let segmentEnds = 0;
+        for (const count of exits.values()) {
+            edges += count;
+            if (count !== 2) segmentEnds += count;
+        }
+        edges /= 2;
+        const riverFactor = segmentEnds > 0 ? edges / (segmentEnds / 2) : edges;
+
+        // 决策点：起点有两个及以上出口，途中单元格有三个及以上出口
+        const decisionPoints = path.slice(0, -1).filter((cell, i) =>
+            exits.get(keyOf(cell)) >= (i === 0 ? 2 : 3)
+        ).length;
+
+        const result = {
+            cells: cells.length,
+            solutionLength,
+            deadEnds: deadEndDepths.length,
+            deadEndDepth: deadEndDepths.length > 0
+                ? deadEndDepths.reduce((sum, depth) => sum + depth, 0) / deadEndDepths.length
+                : 0,
+            maxDeadEndDepth: Math.max(0, ...deadEndDepths),
+            junctions,
+            branchingFactor: cells.length > 0 ? junctions / cells.length : 0,
+            riverFactor,
+            decisionPoints,
+            turns: MazeAnalyzer.countTurns(maze, path)
+        };
+
+        result.score = MazeAnalyzer.score(result);
+        result.band = MazeAnalyzer.getBandForScore(result.score).name;
+        return result;
+    }
+
+    /**
+     * 测量死胡同深度：沿只有两个出口的通道后退，直到遇到岔路口
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @param {Object} deadEnd - 死胡同单元格
+     * @param {Map} exits - 单元格键 -> 出口数
+     * @returns {number} 深度（步数）
+     */
+    static measureDeadEnd(maze, deadEnd, exits) {
+        let previous = null;
+        let current = deadEnd;
+        let depth = 0;
+
+        while (true) {
+            const next = maze.getOpenNeighbors(current.x, current.y, current.z).find(neighbor =>
+                !previous || maze.getCellKey(neighbor.x, neighbor.y, neighbor.z) !==
+                    maze.getCellKey(previous.x, previous.y, previous.z)
+            );
+            if (!next) return depth;
+
+            depth++;
+            previous = current;
+            current = { x: next.x, y: next.y, z: next.z };
+            if (exits.get(maze.getCellKey(current.x, current.y, current.z)) !== 2) {
+                return depth;
+            }
+        }
+    }
+
+    /**
+     * 统计路线上的转弯次数（相邻两步的方向夹角超过MazeAnalyzer.TURN_ANGLE即为转弯，上下楼梯不计）
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @param {Array} path - 路线
+     * @returns {number} 转弯次数
+     */
+    static countTurns(maze, path) {
+        const centers = path.map(cell => maze.getFloor(cell.z || 0).getCellCenter(cell.x, cell.y, 1));
+        let turns = 0;
+        let heading = null;
+
+        for (let i = 1; i < centers.length; i++) {
+            const dx = centers[i].x - centers[i - 1].x;
+            const dy = centers[i].y - centers[i - 1].y;
+            if (dx === 0 && dy === 0) continue;
+
+            const angle = Math.atan2(dy, dx);
+            if (heading !== null) {
+                const change = Math.abs(Math.atan2(Math.sin(angle - heading), Math.cos(angle - heading)));
+                if (change > MazeAnalyzer.TURN_ANGLE) turns++;
+            }
+            heading = angle;
+        }
+
+        return turns;
+    }
+
+    /**
+     * 计算综合难度评分：各项指标按参考值归一化后加权求和
+     * @param {Object} metrics - 分析指标
+     * @returns {number} 评分（0~100）
+     */
+    static score(metrics) {
+        const steps = Math.max(1, metrics.solutionLength);
+        const parts = {
+            length: metrics.solutionLength / Math.max(1, metrics.cells),
+            decisions: metrics.decisionPoints / steps,
+            deadEnds: metrics.deadEndDepth,
+            turns: metrics.turns / steps,
+            size: Math.sqrt(metrics.cells)
+        };
+
+        let score = 0;
+        for (const [name, { weight, reference }] of Object.entries(MazeAnalyzer.SCORE_WEIGHTS)) {
+            score += weight * Math.min(1, parts[name] / reference);
+        }
+        return Math.round(score * 100);
+    }
+
+    /**
+     * 获取难度等级定义
+     * @param {string} name - 等级名称
+     * @returns {Object|null} 等级定义 { name, label, min, max }
+     */
+    static getBand(name) {
+        return MazeAnalyzer.BANDS.find(band => band.name === name) || null;
+    }
+
+    /**
+     * 获取评分所在的难度等级
+     * @param {number} score - 评分
+     * @returns {Object} 等级定义
+     */
+    static getBandForScore(score) {
+        return MazeAnalyzer.BANDS.find(band => score <= band.max) || MazeAnalyzer.BANDS[MazeAnalyzer.BANDS.length - 1];
+    }
+
+    /**
+     * 反复生成迷宫直到评分落入目标难度等级
+     * 每次尝试使用由初始种子派生的新种子，所有尝试都未命中时返回评分最接近的迷宫
+     * （迷宫较小时评分达不到较高的等级，调用方应根据missed告知玩家）
+     * @param {Function} create - 创建并生成迷宫的函数 (seed) => Maze
+     * @param {string} bandName - 目标难度等级名称
+     * @param {string} seed - 初始种子
+     * @param {number} attempts - 最多尝试次数
+     * @returns {Object} { maze, analysis, missed }，missed为true表示未能达到目标等级
+     */
+    static generateInBand(create, bandName, seed, attempts = MazeAnalyzer.MAX_ATTEMPTS) {
+        const band = MazeAnalyzer.getBand(bandName);
+        let best = null;
+
+        for (let i = 0; i < attempts; i++) {
+            const maze = create(i === 0 ? seed : `${seed}-${i}`);
+            const analysis = MazeAnalyzer.analyze(maze);
+            const gap = Math.max(0, band.min - analysis.score, analysis.score - band.max);
+            if (gap === 0) {
+                return { maze, analysis, missed: false };
+            }
+            if (!best || gap < best.gap) {
+                best = { maze, analysis, gap };
+            }
+        }
+
+        console.warn(`${attempts}次生成均未达到${band.label}难度，使用评分最接近的迷宫（${best.analysis.score}）`);
+        return { maze: best.maze, analysis: best.analysis, missed: true };
+    }
+}
+
+// 难度等级（按评分区间划分）
+MazeAnalyzer.BANDS = [
+    { name: 'easy', label: '简单', min: 0, max: 45 },
+    { name: 'medium', label: '中等', min: 46, max: 55 },
+    { name: 'hard', label: '困难', min: 56, max: 64 },
+    { name: 'expert', label: '专家', min: 65, max: 100 }
+];
+
+// 各项指标的权重和参考值（指标达到参考值即记满分）
+MazeAnalyzer.SCORE_WEIGHTS = {
+    length: { weight: 0.25, reference: 0.5 },     // 路线长度占单元格总数的比例
+    decisions: { weight: 0.2, reference: 0.4 },   // 路线上每步的决策点数
+    deadEnds: { weight: 0.15, reference: 6 },     // 死胡同平均深度
+    turns: { weight: 0.1, reference: 0.8 },       // 路线上每步的转弯次数
+    size: { weight: 0.3, reference: 30 }          // 单元格总数的平方根（约等于边长）
+};
+
+// 判定为转弯的最小方向变化（弧度）
+MazeAnalyzer.TURN_ANGLE = Math.PI / 6;
+
+// 按难度生成迷宫时的最多尝试次数
+MazeAnalyzer.MAX_ATTEMPTS = 30;
+
+// 导出MazeAnalyzer类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeAnalyzer;
+}
@@ -0,0 +1,178 @@
+/**
+ * 隐藏迷宫 - 自动存档模块
+ * 进行中的游戏自动保存到localStorage（只保留一份，格式同存档文件，见SaveFileFormat），
+ * 意外关闭页面后下次打开时可以继续；移动和探索触发的保存经过节流，不会每帧都写入本地存储
+ */
+
+class AutoSave {
+    /**
+     * 创建自动存档
+     * @param {Game} game - 游戏实例
+     * @param {Object} options - 配置选项
+     * @param {Function} options.canSave - 当前游戏是否允许保存（如每日挑战不能保存进度），默认总是允许
+     */
+    constructor(game, options = {}) {
+        this.game = game;
+        this.canSave = options.canSave || (() => true);
+        this.lastSaveTime = 0;
+        this.timer = null; // 节流中等待执行的保存
+        this.intervalId = null;
+
+        // 事件回调（保留引用以便stop时移除）
+        this.handlers = {
+            schedule: () => this.schedule(),
+            reset: () => this.reset(),
+            clear: () => AutoSave.clear(),
+            save: () => this.save(),
+            visibility: () => {
+                if (document.visibilityState === 'hidden') {
+                    this.save();
+                }
+            },
+            tick: () => {
+                if (!this.game.state.isPaused) {
+                    this.save();
+                }
+            }
+        };
+    }
+
+    /**
+     * 读取自动存档
+     * @returns {Object|null} 当前版本的存档数据（见SaveFileFormat.parse），没有或无法读取时为null（无法读取的存档会被删除）
+     */
+    static load() {
+        const raw = localStorage.getItem(AutoSave.STORAGE_KEY);
+        if (raw === null) return null;
+
+        try {
+            return SaveFileFormat.parse(raw);
+        } catch (error) {
+            console.error('读取自动存档失败:', error);
+            AutoSave.clear();
+            return null;
+        }
+    }
+
+    /**
+     * 删除自动存档
+     */
+    static clear() {
+        localStorage.removeItem(AutoSave.STORAGE_KEY);
+    }
+
+    /**
+     * 开始自动保存：监听游戏事件、页面隐藏和关闭，并定时保存
+     */
+    start() {
+        if (this.intervalId !== null) return;
+
+        this.game.addEventListener('onMove', this.handlers.schedule);
+        this.game.addEventListener('onCellExplored', this.handlers.schedule);
+        this.game.addEventListener('onFloorChange', this.handlers.schedule);
+        this.game.addEventListener('onGameStart', this.handlers.reset);
+        this.game.addEventListener('onGameLoad', this.handlers.reset);
+        this.game.addEventListener('onVictory', this.handlers.clear);
+        this.game.addEventListener('onGameOver', this.handlers.clear);
+
+        document.addEventListener('visibilitychange', this.handlers.visibility);
+        window.addEventListener('pagehide', this.handlers.save);
+        window.addEventListener('beforeunload', this.handlers.save);
+
+        // 站着不动时用时也在增加，定时保存一次
+        this.intervalId = setInterval(this.handlers.tick, AutoSave.INTERVAL);
+    }
+
+    /**
+     * 停止自动保存（不删除已有的自动存档）
+     */
+    stop() {
+        if (this.intervalId === null) return;
+
+        this.game.removeEventListener('onMove', this.handlers.schedule);
+        this.game.removeEventListener('onCellExplored', this.handlers.schedule);
+        this.game.removeEventListener('onFloorChange', this.handlers.schedule);
+        this.game.removeEventListener('onGameStart', this.handlers.reset);
+        this.game.removeEventListener('onGameLoad', this.handlers.reset);
+        this.game.removeEventListener('onVictory', this.handlers.clear);
+        this.game.removeEventListener('onGameOver', this.handlers.clear);
+
+        document.removeEventListener('visibilitychange', this.handlers.visibility);
+        window.removeEventListener('pagehide', this.handlers.save);
+        window.removeEventListener('beforeunload', this.handlers.save);
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 检查当前游戏是否正在进行（已开始且未结束）
+     * @returns {boolean} 是否正在进行
+     */
+    isInProgress() {
+        const { isRunning, isGameOver } = this.game.state;
+        return isRunning && !isGameOver;
+    }
+
+    /**
+     * 节流保存：距上次保存不足THROTTLE时推迟到间隔满后再保存一次
+     */
+    schedule() {
+        if (this.timer !== null) return;
+
+        const wait = Math.max(0, this.lastSaveTime + AutoSave.THROTTLE - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.save();
+        }, wait);
+    }
+
+    /**
+     * 开始新的一局或加载存档后，立即保存新局面；不能保存时删除上一局的自动存档
+     */
+    reset() {
+        if (this.isInProgress() && this.canSave()) {
+            this.save();
+        } else {
+            clearTimeout(this.timer);
+            this.timer = null;
+            AutoSave.clear();
+        }
+    }
+
+    /**
+     * 立即保存进行中的游戏（没有进行中的游戏时不做任何事）
+     * 写入失败（如存储空间已满）只记录错误，不影响游戏
+     */
+    save() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.isInProgress() || !this.canSave()) return;
+
+        try {
+            localStorage.setItem(AutoSave.STORAGE_KEY, JSON.stringify(SaveFileFormat.serialize(this.game, { name: AutoSave.NAME })));
+            this.lastSaveTime = Date.now();
+        } catch (error) {
+            console.error('自动保存失败:', error);
+        }
+    }
+}
+
+// 移动和探索触发的两次保存之间的最短间隔（毫秒）
+AutoSave.THROTTLE = 5000;
+
+// 定时保存的间隔（毫秒）
+AutoSave.INTERVAL = 30000;
+
+// 本地存储键名
+AutoSave.STORAGE_KEY = 'hiddenMaze_autosave';
+
+// 自动存档的名称（写入存档元数据）
+AutoSave.NAME = '自动存档';
+
+// 导出AutoSave类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoSave;
+}
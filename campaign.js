@@ -0,0 +1,250 @@
+/**
+ * 隐藏迷宫 - 闯关模块
+ * 按顺序排列的关卡包（打包的JSON迷宫文件和固定种子生成的迷宫），通关后解锁下一关，
+ * 记录每关的最佳时间、最低探索率和星级，进度保存在localStorage中
+ *
+ * 关卡包：
+ *     {
+ *         id: 'basics', title: '入门', description: '',
+ *         levels: [{
+ *             id: 'basics-1', title: '第一步',
+ *             file: 'levels/spiral.json',            // JSON迷宫文件（见MazeJsonFormat），或
+ *             generate: { width: 8, seed: 'basics-1', shape: 'square', ... }, // 生成设置（见Game.LEVEL_DEFAULTS）
+ *             par: { time: 30, exploreRate: 60 }     // 星级标准：用时（秒）和探索率（%）的上限
+ *         }]
+ *     }
+ * 所有关卡包按注册顺序排成一条路线，上一关通关后解锁下一关（包括下一个关卡包的第一关）。
+ * 通关得1星，用时不超过标准再得1星，探索率不超过标准再得1星（探索得越少说明路线找得越准）。
+ */
+
+class Campaign {
+    /**
+     * 创建闯关进度（从本地存储读取）
+     */
+    constructor() {
+        this.progress = Campaign.loadProgress();
+        this.files = new Map(); // 已读取的关卡文件 路径 -> JSON
+    }
+
+    /**
+     * 注册关卡包（按注册顺序解锁）
+     * @param {Object} pack - 关卡包（格式见文件开头）
+     */
+    static registerPack(pack) {
+        if (Campaign.packs.some(existing => existing.id === pack.id)) {
+            throw new Error(`关卡包已存在: ${pack.id}`);
+        }
+        for (const level of pack.levels) {
+            if (Campaign.findLevel(level.id)) {
+                throw new Error(`关卡已存在: ${level.id}`);
+            }
+            if (!level.file === !level.generate) {
+                throw new Error(`关卡 ${level.id} 必须指定file或generate之一`);
+            }
+            if (!level.par || !(level.par.time > 0) || !(level.par.exploreRate > 0)) {
+                throw new Error(`关卡 ${level.id} 缺少星级标准`);
+            }
+        }
+        Campaign.packs.push(pack);
+    }
+
+    /**
+     * 按解锁顺序列出所有关卡
+     * @returns {Array} { pack, level }
+     */
+    static getLevels() {
+        return Campaign.packs.flatMap(pack => pack.levels.map(level => ({ pack, level })));
+    }
+
+    /**
+     * 查找关卡
+     * @param {string} levelId - 关卡ID
+     * @returns {Object|null} { pack, level }
+     */
+    static findLevel(levelId) {
+        return Campaign.getLevels().find(entry => entry.level.id === levelId) || null;
+    }
+
+    /**
+     * 按星级标准评分
+     * @param {Object} level - 关卡定义
+     * @param {Object} result - 通关成绩 { time, exploreRate }
+     * @returns {number} 星数（1~Campaign.MAX_STARS）
+     */
+    static rate(level, result) {
+        return 1 + (result.time <= level.par.time ? 1 : 0) + (result.exploreRate <= level.par.exploreRate ? 1 : 0);
+    }
+
+    /**
+     * 从本地存储读取进度（数据损坏时从头开始）
+     * @returns {Object} 关卡ID -> { stars, bestTime, bestExploreRate, completions }
+     */
+    static loadProgress() {
+        try {
+            const data = JSON.parse(localStorage.getItem(Campaign.STORAGE_KEY));
+            if (data && data.version === Campaign.VERSION && data.levels) {
+                return data.levels;
+            }
+        } catch (error) {
+            console.error('读取闯关进度失败:', error);
+        }
+        return {};
+    }
+
+    /**
+     * 保存进度到本地存储
+     */
+    save() {
+        localStorage.setItem(Campaign.STORAGE_KEY, JSON.stringify({
+            version: Campaign.VERSION,
+            levels: this.progress
+        }));
+    }
+
+    /**
+     * 清除所有进度
+     */
+    reset() {
+        this.progress = {};
+        localStorage.removeItem(Campaign.STORAGE_KEY);
+    }
+
+    /**
+     * 获取关卡的成绩记录
+     * @param {string} levelId - 关卡ID
+     * @returns {Object|null} { stars, bestTime, bestExploreRate, completions }，未通关时为null
+     */
+    getLevelProgress(levelId) {
+        return this.progress[levelId] || null;
+    }
+
+    /**
+     * 检查关卡是否已解锁（第一关总是解锁，其余关卡需要上一关通关）
+     * @param {string} levelId - 关卡ID
+     * @returns {boolean} 是否已解锁
+     */
+    isUnlocked(levelId) {
+        const levels = Campaign.getLevels();
+        const index = levels.findIndex(entry => entry.level.id === levelId);
+        if (index <= 0) {
+            return index === 0;
+        }
+        return this.getLevelProgress(levels[index - 1].level.id) !== null;
+    }
+
+    /**
+     * 获取下一关的ID
+     * @param {string} levelId - 关卡ID
+     * @returns {string|null} 下一关ID，已是最后一关时为null
+     */
+    getNextLevel(levelId) {
+        const levels = Campaign.getLevels();
+        const index = levels.findIndex(entry => entry.level.id === levelId);
+        return index >= 0 && index < levels.length - 1 ? levels[index + 1].level.id : null;
+    }
+
+    /**
+     * 统计已获得的星数
+     * @param {Object} pack - 关卡包（为空时统计所有关卡包）
+     * @returns {Object} { stars, maxStars }
+     */
+    getStars(pack = null) {
+        const levels = pack ? pack.levels : Campaign.getLevels().map(entry => entry.level);
+        return {
+            stars: levels.reduce((sum, level) => sum + (this.progress[level.id] ? this.progress[level.id].stars : 0), 0),
+            maxStars: levels.length * Campaign.MAX_STARS
+        };
+    }
+
+    /**
+     * 读取关卡，得到可交给Game的关卡定义
+     * @param {string} levelId - 关卡ID
+     * @returns {Promise<Object>} { id, title, maze } 或 { id, title, generate }（见Game.setLevel）
+     * @throws {Error} 关卡不存在、未解锁或关卡文件无法读取
+     * @throws {MazeFormatError} 关卡文件内容无效
+     */
+    async loadLevel(levelId) {
+        const entry = Campaign.findLevel(levelId);
+        if (!entry) {
+            throw new Error(`没有找到关卡: ${levelId}`);
+        }
+        if (!this.isUnlocked(levelId)) {
+            throw new Error(`关卡尚未解锁: ${entry.level.title}`);
+        }
+
+        const { id, title, file, generate } = entry.level;
+        if (generate) {
+            return { id, title, generate };
+        }
+
+        if (!this.files.has(file)) {
+            let response;
+            try {
+                response = await fetch(file);
+            } catch (error) {
+                throw new Error(`无法读取关卡文件 ${file}（直接打开本地页面时浏览器不允许读取文件，请通过本地服务器访问）`);
+            }
+            if (!response.ok) {
+                throw new Error(`无法读取关卡文件 ${file}: ${response.status}`);
+            }
+            const json = await response.json();
+            MazeJsonFormat.parse(json);
+            this.files.set(file, json);
+        }
+        return { id, title, maze: this.files.get(file) };
+    }
+
+    /**
+     * 记录通关成绩，保留最佳时间、最低探索率和最高星级
+     * @param {string} levelId - 关卡ID
+     * @param {Object} result - 通关成绩 { time, exploreRate }
+     * @returns {Object} { stars, bestTime, bestExploreRate, newBestTime, newBestExploreRate, unlocked }
+     *     unlocked为本次新解锁的下一关ID（没有时为null）
+     */
+    recordResult(levelId, result) {
+        const entry = Campaign.findLevel(levelId);
+        if (!entry) {
+            throw new Error(`没有找到关卡: ${levelId}`);
+        }
+
+        const previous = this.getLevelProgress(levelId);
+        const nextLevel = this.getNextLevel(levelId);
+        const wasLocked = nextLevel !== null && !this.isUnlocked(nextLevel);
+        const stars = Campaign.rate(entry.level, result);
+
+        const record = previous
+            ? {
+                stars: Math.max(previous.stars, stars),
+                bestTime: Math.min(previous.bestTime, result.time),
+                bestExploreRate: Math.min(previous.bestExploreRate, result.exploreRate),
+                completions: previous.completions + 1
+            }
+            : { stars, bestTime: result.time, bestExploreRate: result.exploreRate, completions: 1 };
+        this.progress[levelId] = record;
+        this.save();
+
+        return {
+            stars,
+            bestTime: record.bestTime,
+            bestExploreRate: record.bestExploreRate,
+            newBestTime: !previous || result.time < previous.bestTime,
+            newBestExploreRate: !previous || result.exploreRate < previous.bestExploreRate,
+            unlocked: wasLocked ? nextLevel : null
+        };
+    }
+}
+
+// 已注册的关卡包（按解锁顺序）
+Campaign.packs = [];
+
+// 每关最多星数
+Campaign.MAX_STARS = 3;
+
+// 本地存储键名和进度数据版本
+Campaign.STORAGE_KEY = 'hiddenMaze_campaign';
+Campaign.VERSION = 1;
+
+// 导出Campaign类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Campaign;
+}
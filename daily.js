@@ -0,0 +1,210 @@
+/**
+ * 隐藏迷宫 - 每日挑战模块
+ * 种子由本地日期决定，同一天所有人玩到同一个迷宫（固定大小、算法和视野模式），每天只能挑战一次；
+ * 挑战记录保存在localStorage中，成绩可以生成一段便于分享的文字
+ */
+
+class DailyChallenge {
+    /**
+     * 创建每日挑战记录（从本地存储读取）
+     */
+    constructor() {
+        this.history = DailyChallenge.loadHistory();
+    }
+
+    /**
+     * 获取本地日期的键值
+     * @param {Date} date - 日期（默认为今天）
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    static getDateKey(date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * 获取某一天的挑战关卡
+     * @param {string} dateKey - 日期键值
+     * @returns {Object} 关卡定义（见Game.setLevel）
+     */
+    static getLevel(dateKey) {
+        return {
+            id: `${DailyChallenge.LEVEL_PREFIX}${dateKey}`,
+            title: `每日挑战 ${dateKey}`,
+            generate: { ...DailyChallenge.SETTINGS, seed: `${DailyChallenge.LEVEL_PREFIX}${dateKey}` }
+        };
+    }
+
+    /**
+     * 从关卡ID取出挑战日期
+     * @param {string|null} levelId - 关卡ID
+     * @returns {string|null} 日期键值，不是每日挑战时为null
+     */
+    static getDateFromLevel(levelId) {
+        if (!levelId || !levelId.startsWith(DailyChallenge.LEVEL_PREFIX)) {
+            return null;
+        }
+        const dateKey = levelId.slice(DailyChallenge.LEVEL_PREFIX.length);
+        return /^\d{4}-\d{2}-\d{2}$/.test(dateKey) ? dateKey : null;
+    }
+
+    /**
+     * 从本地存储读取挑战记录（数据损坏时清空）
+     * @returns {Object} 日期键值 -> { date, completed, time, exploreRate, steps, pathLength }
+     */
+    static loadHistory() {
+        try {
+            const data = JSON.parse(localStorage.getItem(DailyChallenge.STORAGE_KEY));
+            if (data && data.version === DailyChallenge.VERSION && data.days) {
+                return data.days;
+            }
+        } catch (error) {
+            console.error('读取每日挑战记录失败:', error);
+        }
+        return {};
+    }
+
+    /**
+     * 保存挑战记录到本地存储
+     */
+    save() {
+        localStorage.setItem(DailyChallenge.STORAGE_KEY, JSON.stringify({
+            version: DailyChallenge.VERSION,
+            days: this.history
+        }));
+    }
+
+    /**
+     * 获取某一天的挑战记录
+     * @param {string} dateKey - 日期键值
+     * @returns {Object|null} 挑战记录，未挑战时为null
+     */
+    getEntry(dateKey) {
+        return this.history[dateKey] || null;
+    }
+
+    /**
+     * 开始某一天的挑战（开始即用掉当天的机会，中途放弃记为未完成）
+     * @param {string} dateKey - 日期键值
+     * @returns {Object} 关卡定义
+     * @throws {Error} 当天已经挑战过
+     */
+    startAttempt(dateKey) {
+        if (this.getEntry(dateKey)) {
+            throw new Error('今天已经挑战过了，明天再来吧');
+        }
+
+        this.history[dateKey] = { date: dateKey, completed: false };
+        this.save();
+        return DailyChallenge.getLevel(dateKey);
+    }
+
+    /**
+     * 记录挑战成绩
+     * @param {string} dateKey - 日期键值
+     * @param {Object} result - 胜利数据 { time, exploreRate, steps, pathLength }
+     * @returns {Object} 挑战记录
+     * @throws {Error} 当天没有开始挑战或已经记录过成绩
+     */
+    recordResult(dateKey, result) {
+        const entry = this.getEntry(dateKey);
+        if (!entry || entry.completed) {
+            throw new Error(`没有进行中的每日挑战: ${dateKey}`);
+        }
+
+        Object.assign(entry, {
+            completed: true,
+            time: result.time,
+            exploreRate: result.exploreRate,
+            steps: result.steps,
+            pathLength: result.pathLength
+        });
+        this.save();
+        return entry;
+    }
+
+    /**
+     * 按日期从新到旧列出挑战记录
+     * @param {number} limit - 最多条数
+     * @returns {Array} 挑战记录
+     */
+    getHistory(limit = Infinity) {
+        return Object.values(this.history)
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, limit);
+    }
+
+    /**
+     * 计算截至某天连续完成挑战的天数（当天尚未挑战时从前一天算起）
+     * @param {string} dateKey - 日期键值（默认为今天）
+     * @returns {number} 连续天数
+     */
+    getStreak(dateKey = DailyChallenge.getDateKey()) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        if (!this.getEntry(dateKey)) {
+            date.setDate(date.getDate() - 1);
+        }
+
+        let streak = 0;
+        let entry = this.getEntry(DailyChallenge.getDateKey(date));
+        while (entry && entry.completed) {
+            streak++;
+            date.setDate(date.getDate() - 1);
+            entry = this.getEntry(DailyChallenge.getDateKey(date));
+        }
+        return streak;
+    }
+
+    /**
+     * 生成分享文字（第三行为探索率，每格代表10%）
+     * @param {Object} entry - 挑战记录
+     * @param {number} streak - 连续完成天数
+     * @returns {string} 多行文字
+     */
+    static getShareText(entry, streak = 0) {
+        const lines = [`隐藏迷宫 每日挑战 ${entry.date}`];
+        if (!entry.completed) {
+            lines.push('❌ 未完成');
+            return lines.join('\n');
+        }
+
+        lines.push(`✅ ${entry.time}秒 · 探索${entry.exploreRate}% · ${entry.steps}步（最短${entry.pathLength}步）`);
+        const explored = Math.round(entry.exploreRate / 10);
+        lines.push('🟧'.repeat(explored) + '⬛'.repeat(10 - explored));
+        if (streak > 1) {
+            lines.push(`🔥 连续${streak}天`);
+        }
+        return lines.join('\n');
+    }
+}
+
+// 每日迷宫的生成设置（全部写明，不受默认设置变化影响）
+DailyChallenge.SETTINGS = {
+    shape: 'square',
+    width: 15,
+    height: 15,
+    floors: 1,
+    algorithm: 'backtracker',
+    braid: 0,
+    mask: null,
+    placement: 'farthest'
+};
+
+// 每日挑战固定使用的视野模式
+DailyChallenge.VIEW_MODE = 'instant';
+
+// 开始屏幕上显示的最近记录条数
+DailyChallenge.HISTORY_SHOWN = 7;
+
+// 关卡ID前缀（后接日期）
+DailyChallenge.LEVEL_PREFIX = 'daily-';
+
+// 本地存储键名和记录数据版本
+DailyChallenge.STORAGE_KEY = 'hiddenMaze_daily';
+DailyChallenge.VERSION = 1;
+
+// 导出DailyChallenge类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DailyChallenge;
+}
@@ -0,0 +1,461 @@
+/**
+ * 隐藏迷宫 - 关卡编辑器模块
+ * 在Canvas上手工设计固定关卡（正方形单层迷宫）：点击格线切换墙壁、拖动起点和终点标记、调整网格大小，
+ * 用求解算法检查是否可解，并以JSON迷宫格式保存到本地存储或下载为文件
+ */
+
+class LevelEditor {
+    /**
+     * 创建关卡编辑器
+     * @param {UIController} ui - UI控制器（提供Canvas、坐标转换和绘制方法）
+     */
+    constructor(ui) {
+        this.ui = ui;
+        this.active = false;
+        this.maze = null; // 正在编辑的迷宫
+        this.solution = null; // 最近一次检查得到的路线（编辑后清除）
+        this.dragging = null; // 正在拖动的标记 'start' | 'end'
+        this.pressed = null; // 按下鼠标时所在的墙壁（松开时仍在同一墙壁上才切换）
+        this.hover = null; // 鼠标所在的墙壁 { orientation, row, col } 或拖动目标单元格 { x, y }
+    }
+
+    /**
+     * 进入编辑模式
+     * @param {Maze} maze - 初始迷宫（正方形单层迷宫会被复制，否则新建空白网格）
+     */
+    open(maze = null) {
+        this.maze = maze && maze.shape === 'square' && maze.getFloorCount() === 1
+            ? LevelEditor.copy(maze)
+            : LevelEditor.createBlank(LevelEditor.DEFAULT_SIZE, LevelEditor.DEFAULT_SIZE);
+        this.active = true;
+        this.resetInteraction();
+    }
+
+    /**
+     * 退出编辑模式
+     */
+    close() {
+        this.active = false;
+        this.resetInteraction();
+    }
+
+    /**
+     * 清除拖动、悬停和检查结果
+     */
+    resetInteraction() {
+        this.solution = null;
+        this.dragging = null;
+        this.pressed = null;
+        this.hover = null;
+    }
+
+    /**
+     * 是否处于编辑模式
+     * @returns {boolean} 是否正在编辑
+     */
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * 获取正在编辑的迷宫
+     * @returns {Maze} 迷宫实例
+     */
+    getMaze() {
+        return this.maze;
+    }
+
+    /**
+     * 创建只有外边框的空白网格
+     * @param {number} width - 宽度（单元格数）
+     * @param {number} height - 高度（单元格数）
+     * @returns {Maze} 迷宫实例（起点在左上角，终点在右下角）
+     */
+    static createBlank(width, height) {
+        const maze = new Maze(width, height, { seed: 'level' });
+        maze.walls.horizontal = maze.walls.horizontal.map((row, y) => row.map(() => y === 0 || y === height));
+        maze.walls.vertical = maze.walls.vertical.map(row => row.map((_, x) => x === 0 || x === width));
+        maze.cells = maze.cells.map(row => row.map(() => true));
+        maze.start = { x: 0, y: 0 };
+        maze.end = { x: width - 1, y: height - 1 };
+        return maze;
+    }
+
+    /**
+     * 复制迷宫的墙壁和起终点（立交和遮罩不复制）
+     * @param {Maze} maze - 正方形单层迷宫
+     * @returns {Maze} 新的迷宫实例
+     */
+    static copy(maze) {
+        const copy = LevelEditor.createBlank(maze.width, maze.height);
+        copy.walls.horizontal = maze.walls.horizontal.map(row => [...row]);
+        copy.walls.vertical = maze.walls.vertical.map(row => [...row]);
+        copy.start = { x: maze.start.x, y: maze.start.y };
+        copy.end = { x: maze.end.x, y: maze.end.y };
+        return copy;
+    }
+
+    /**
+     * 调整网格大小：保留重叠区域内的墙壁，起点和终点移到范围内
+     * @param {number} width - 新宽度
+     * @param {number} height - 新高度
+     * @throws {Error} 尺寸超出范围
+     */
+    resize(width, height) {
+        for (const size of [width, height]) {
+            if (!Number.isInteger(size) || size < LevelEditor.MIN_SIZE || size > LevelEditor.MAX_SIZE) {
+                throw new Error(`网格尺寸必须是${LevelEditor.MIN_SIZE}~${LevelEditor.MAX_SIZE}之间的整数: ${size}`);
+            }
+        }
+
+        const old = this.maze;
+        const maze = LevelEditor.createBlank(width, height);
+
+        // 只复制新网格内部的墙壁，外边框保持封闭
+        for (let y = 1; y < Math.min(height, old.height + 1); y++) {
+            for (let x = 0; x < Math.min(width, old.width); x++) {
+                maze.walls.horizontal[y][x] = old.walls.horizontal[y][x];
+            }
+        }
+        for (let y = 0; y < Math.min(height, old.height); y++) {
+            for (let x = 1; x < Math.min(width, old.width + 1); x++) {
+                maze.walls.vertical[y][x] = old.walls.vertical[y][x];
+            }
+        }
+
+        const clamp = ({ x, y }) => ({ x: Math.min(x, width - 1), y: Math.min(y, height - 1) });
+        maze.start = clamp(old.start);
+        maze.end = clamp(old.end);
+        // 起点和终点被挤到同一单元格时，终点放回右下角（或左上角）
+        if (maze.start.x === maze.end.x && maze.start.y === maze.end.y) {
+            maze.end = maze.start.x === width - 1 && maze.start.y === height - 1
+                ? { x: 0, y: 0 }
+                : { x: width - 1, y: height - 1 };
+        }
+
+        this.maze = maze;
+        this.resetInteraction();
+    }
+
+    /**
+     * 获取像素坐标附近的内部墙壁（外边框不可编辑）
+     * @param {number} px - 迷宫x坐标（像素）
+     * @param {number} py - 迷宫y坐标（像素）
+     * @returns {Object|null} { orientation, row, col }，对应 maze.walls[orientation][row][col]
+     */
+    getEdgeAt(px, py) {
+        const cellSize = this.ui.config.cellSize;
+        const fx = px / cellSize;
+        const fy = py / cellSize;
+        const column = Math.round(fx);
+        const row = Math.round(fy);
+        const toVertical = Math.abs(fx - column);
+        const toHorizontal = Math.abs(fy - row);
+
+        if (Math.min(toVertical, toHorizontal) > LevelEditor.EDGE_TOLERANCE) return null;
+
+        const edge = toVertical < toHorizontal
+            ? { orientation: 'vertical', row: Math.floor(fy), col: column }
+            : { orientation: 'horizontal', row, col: Math.floor(fx) };
+
+        const { width, height } = this.maze;
+        const inside = edge.orientation === 'vertical'
+            ? edge.col > 0 && edge.col < width && edge.row >= 0 && edge.row < height
+            : edge.row > 0 && edge.row < height && edge.col >= 0 && edge.col < width;
+        return inside ? edge : null;
+    }
+
+    /**
+     * 切换墙壁
+     * @param {Object} edge - 墙壁 { orientation, row, col }
+     */
+    toggleWall(edge) {
+        const walls = this.maze.walls[edge.orientation];
+        walls[edge.row][edge.col] = !walls[edge.row][edge.col];
+        this.solution = null;
+    }
+
+    /**
+     * 移动起点或终点标记（不能与另一个标记重叠）
+     * @param {string} marker - 'start' 或 'end'
+     * @param {Object} cell - 目标单元格
+     * @returns {boolean} 是否移动成功
+     */
+    moveMarker(marker, cell) {
+        const other = this.maze[marker === 'start' ? 'end' : 'start'];
+        if (cell.x === other.x && cell.y === other.y) return false;
+
+        this.maze[marker] = { x: cell.x, y: cell.y };
+        this.solution = null;
+        return true;
+    }
+
+    /**
+     * 用求解算法检查起点能否到达终点
+     * @returns {Array} 路线（不可达时为空数组）
+     */
+    check() {
+        this.solution = MazeSolver.run(this.maze, MazeSolver.DEFAULT_SOLVER).path;
+        return this.solution;
+    }
+
+    /**
+     * 导出为JSON迷宫格式
+     * @param {string} name - 关卡名称
+     * @returns {Object} JSON对象
+     * @throws {Error} 起点无法到达终点
+     */
+    toJSON(name) {
+        if (this.check().length === 0) {
+            throw new Error('起点无法到达终点，请先打通路线');
+        }
+        return this.maze.toJSON({ title: name, created: new Date().toISOString() });
+    }
+
+    /**
+     * 从JSON迷宫格式读取关卡
+     * @param {Object|string} json - JSON对象或文本
+     * @throws {MazeFormatError} 格式错误，或不是正方形单层迷宫
+     */
+    load(json) {
+        const maze = MazeJsonFormat.parse(json);
+        if (maze.shape !== 'square' || maze.getFloorCount() !== 1) {
+            throw new MazeFormatError('关卡编辑器只支持正方形单层迷宫');
+        }
+
+        this.maze = LevelEditor.copy(maze);
+        this.resetInteraction();
+    }
+
+    /**
+     * 读取本地存储中的全部关卡
+     * @returns {Object} 关卡名称 -> JSON对象
+     */
+    static getSavedLevels() {
+        try {
+            return JSON.parse(localStorage.getItem(LevelEditor.STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('读取已保存的关卡失败:', error);
+            return {};
+        }
+    }
+
+    /**
+     * 保存关卡到本地存储（同名关卡会被覆盖）
+     * @param {string} name - 关卡名称
+     */
+    saveToStorage(name) {
+        const levels = LevelEditor.getSavedLevels();
+        levels[name] = this.toJSON(name);
+        localStorage.setItem(LevelEditor.STORAGE_KEY, JSON.stringify(levels));
+    }
+
+    /**
+     * 从本地存储加载关卡
+     * @param {string} name - 关卡名称
+     */
+    loadFromStorage(name) {
+        const level = LevelEditor.getSavedLevels()[name];
+        if (!level) {
+            throw new Error(`没有找到关卡: ${name}`);
+        }
+        this.load(level);
+    }
+
+    /**
+     * 从本地存储删除关卡
+     * @param {string} name - 关卡名称
+     */
+    static deleteFromStorage(name) {
+        const levels = LevelEditor.getSavedLevels();
+        delete levels[name];
+        localStorage.setItem(LevelEditor.STORAGE_KEY, JSON.stringify(levels));
+    }
+
+    /**
+     * 绘制编辑画面：白底迷宫、可点击的空格线、悬停高亮和检查得到的路线
+     */
+    render() {
+        const ui = this.ui;
+        const layout = {
+            width: ui.canvas.width,
+            height: ui.canvas.height,
+            scale: ui.canvasScale,
+            offset: ui.canvasOffset
+        };
+
+        MazeExporter.draw(ui, ui.ctx, layout, { maze: this.maze });
+        this.drawOpenEdges();
+        if (this.solution) {
+            ui.drawSolutionPath(this.solution, ui.config.colors.solverPath, this.maze, 0);
+        }
+        this.drawHover();
+    }
+
+    /**
+     * 以虚线绘制没有墙壁的内部格线（可点击添加墙壁的位置）
+     */
+    drawOpenEdges() {
+        const { ctx } = this.ui;
+        const { width, height, walls } = this.maze;
+
+        ctx.strokeStyle = LevelEditor.COLORS.openEdge;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        for (let y = 1; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!walls.horizontal[y][x]) this.strokeEdge({ orientation: 'horizontal', row: y, col: x });
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 1; x < width; x++) {
+                if (!walls.vertical[y][x]) this.strokeEdge({ orientation: 'vertical', row: y, col: x });
+            }
+        }
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * 绘制悬停的墙壁或拖动标记的目标单元格
+     */
+    drawHover() {
+        if (!this.hover) return;
+
+        const ui = this.ui;
+        if (this.dragging) {
+            ui.ctx.globalAlpha = 0.5;
+            ui.fillCell(this.maze, this.hover.x, this.hover.y, ui.config.colors[this.dragging]);
+            ui.ctx.globalAlpha = 1;
+            return;
+        }
+
+        ui.ctx.strokeStyle = LevelEditor.COLORS.hover;
+        ui.ctx.lineWidth = ui.config.wallWidth * ui.canvasScale;
+        this.strokeEdge(this.hover);
+    }
+
+    /**
+     * 描绘一条格线
+     * @param {Object} edge - 墙壁 { orientation, row, col }
+     */
+    strokeEdge(edge) {
+        const ui = this.ui;
+        const cellSize = ui.config.cellSize;
+        const x = edge.col * cellSize;
+        const y = edge.row * cellSize;
+        const startPos = ui.toCanvasCoords(x, y);
+        const endPos = edge.orientation === 'horizontal'
+            ? ui.toCanvasCoords(x + cellSize, y)
+            : ui.toCanvasCoords(x, y + cellSize);
+
+        ui.ctx.beginPath();
+        ui.ctx.moveTo(startPos.x, startPos.y);
+        ui.ctx.lineTo(endPos.x, endPos.y);
+        ui.ctx.stroke();
+    }
+
+    /**
+     * 将鼠标事件转换为迷宫坐标（像素）
+     * @param {MouseEvent} e - 鼠标事件
+     * @returns {Object} 迷宫坐标
+     */
+    getEventPoint(e) {
+        const rect = this.ui.canvas.getBoundingClientRect();
+        return this.ui.toMazeCoords(e.clientX - rect.left, e.clientY - rect.top);
+    }
+
+    /**
+     * 处理鼠标按下：按在起点或终点上开始拖动，否则记录按下的墙壁
+     * @param {MouseEvent} e - 鼠标事件
+     */
+    handleMouseDown(e) {
+        if (!this.active) return;
+
+        const point = this.getEventPoint(e);
+        const edge = this.getEdgeAt(point.x, point.y);
+        const cell = this.maze.getCellAtPoint(point.x, point.y, this.ui.config.cellSize);
+
+        this.pressed = edge;
+        if (!edge && cell) {
+            for (const marker of ['start', 'end']) {
+                if (cell.x === this.maze[marker].x && cell.y === this.maze[marker].y) {
+                    this.dragging = marker;
+                    this.hover = cell;
+                }
+            }
+        }
+        this.ui.render();
+    }
+
+    /**
+     * 处理鼠标移动：更新悬停的墙壁或拖动目标
+     * @param {MouseEvent} e - 鼠标事件
+     */
+    handleMouseMove(e) {
+        if (!this.active) return;
+
+        const point = this.getEventPoint(e);
+        this.hover = this.dragging
+            ? this.maze.getCellAtPoint(point.x, point.y, this.ui.config.cellSize)
+            : this.getEdgeAt(point.x, point.y);
+        this.ui.render();
+    }
+
+    /**
+     * 处理鼠标松开：放下拖动的标记，或切换按下时所在的墙壁
+     * @param {MouseEvent} e - 鼠标事件
+     */
+    handleMouseUp(e) {
+        if (!this.active) return;
+
+        const point = this.getEventPoint(e);
+        if (this.dragging) {
+            const cell = this.maze.getCellAtPoint(point.x, point.y, this.ui.config.cellSize);
+            if (cell) this.moveMarker(this.dragging, cell);
+            this.dragging = null;
+            this.hover = null;
+        } else if (this.pressed) {
+            const edge = this.getEdgeAt(point.x, point.y);
+            if (edge && edge.orientation === this.pressed.orientation &&
+                edge.row === this.pressed.row && edge.col === this.pressed.col) {
+                this.toggleWall(edge);
+            }
+        }
+        this.pressed = null;
+        this.ui.render();
+    }
+
+    /**
+     * 处理鼠标离开Canvas：取消拖动
+     */
+    handleMouseLeave() {
+        if (!this.active) return;
+
+        this.dragging = null;
+        this.pressed = null;
+        this.hover = null;
+        this.ui.render();
+    }
+}
+
+// 本地存储中保存关卡的键
+LevelEditor.STORAGE_KEY = 'hiddenMaze_levels';
+
+// 网格尺寸范围
+LevelEditor.DEFAULT_SIZE = 10;
+LevelEditor.MIN_SIZE = 2;
+LevelEditor.MAX_SIZE = 50;
+
+// 点击位置距离格线多近（单元格比例）时视为点在墙壁上
+LevelEditor.EDGE_TOLERANCE = 0.2;
+
+// 编辑器专用颜色
+LevelEditor.COLORS = {
+    openEdge: 'rgba(100, 116, 139, 0.5)',  // 没有墙壁的格线
+    hover: '#4cc9f0'                       // 悬停的墙壁
+};
+
+// 导出LevelEditor类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LevelEditor;
+}
@@ -0,0 +1,410 @@
+/**
+ * 隐藏迷宫 - 图片导出模块
+ * 将当前迷宫导出为SVG矢量图或PNG位图，可选叠加解决方案路线、只显示已探索的墙壁（战争迷雾）
+ * 导出时临时替换UIController的绘图上下文与缩放，直接复用drawWalls()/drawStartAndEnd()等绘制方法，
+ * 导出的画面与游戏中看到的墙壁完全一致
+ */
+
+/**
+ * 记录Canvas 2D绘图调用并转换为SVG元素的上下文
+ * 只实现迷宫绘制方法用到的部分接口（路径、圆弧、矩形填充和文字）
+ */
+class SvgContext {
+    /**
+     * 创建SVG绘图上下文
+     * @param {number} width - 画布宽度（像素）
+     * @param {number} height - 画布高度（像素）
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        // 与CanvasRenderingContext2D相同的绘图状态
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+
+        this.elements = []; // 已生成的SVG元素
+        this.commands = []; // 当前路径的SVG路径命令
+        this.current = null; // 当前路径的终点
+    }
+
+    /**
+     * 开始新路径
+     */
+    beginPath() {
+        this.commands = [];
+        this.current = null;
+    }
+
+    /**
+     * 移动到指定点（开始新的子路径）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     */
+    moveTo(x, y) {
+        this.commands.push(`M${SvgContext.format(x)} ${SvgContext.format(y)}`);
+        this.current = { x, y };
+    }
+
+    /**
+     * 连线到指定点
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     */
+    lineTo(x, y) {
+        if (!this.current) {
+            this.moveTo(x, y);
+            return;
+        }
+        this.commands.push(`L${SvgContext.format(x)} ${SvgContext.format(y)}`);
+        this.current = { x, y };
+    }
+
+    /**
+     * 闭合当前子路径
+     */
+    closePath() {
+        this.commands.push('Z');
+    }
+
+    /**
+     * 添加圆弧（参数与Canvas的arc相同，角度按顺时针方向增加）
+     * @param {number} cx - 圆心x坐标
+     * @param {number} cy - 圆心y坐标
+     * @param {number} radius - 半径
+     * @param {number} startAngle - 起始角度（弧度）
+     * @param {number} endAngle - 结束角度（弧度）
+     * @param {boolean} counterclockwise - 是否逆时针绘制
+     */
+    arc(cx, cy, radius, startAngle, endAngle, counterclockwise = false) {
+        const pointAt = angle => ({
+            x: cx + radius * Math.cos(angle),
+            y: cy + radius * Math.sin(angle)
+        });
+        const start = pointAt(startAngle);
+
+        // 与Canvas一致：已有当前点时先连线到圆弧起点
+        if (!this.current) {
+            this.moveTo(start.x, start.y);
+        } else if (SvgContext.format(this.current.x) !== SvgContext.format(start.x) ||
+                   SvgContext.format(this.current.y) !== SvgContext.format(start.y)) {
+            this.lineTo(start.x, start.y);
+        }
+
+        const r = SvgContext.format(radius);
+        const sweepFlag = counterclockwise ? 0 : 1;
+        const span = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+
+        // 整圆无法用一条SVG圆弧表示，拆成两个半圆
+        if (span >= Math.PI * 2) {
+            const middle = pointAt(startAngle + (counterclockwise ? -Math.PI : Math.PI));
+            this.commands.push(`A${r} ${r} 0 0 ${sweepFlag} ${SvgContext.format(middle.x)} ${SvgContext.format(middle.y)}`);
+            this.commands.push(`A${r} ${r} 0 0 ${sweepFlag} ${SvgContext.format(start.x)} ${SvgContext.format(start.y)}`);
+            this.current = start;
+            return;
+        }
+
+        const delta = ((span % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        const end = pointAt(endAngle);
+        const largeArc = delta > Math.PI ? 1 : 0;
+        this.commands.push(`A${r} ${r} 0 ${largeArc} ${sweepFlag} ${SvgContext.format(end.x)} ${SvgContext.format(end.y)}`);
+        this.current = end;
+    }
+
+    /**
+     * 描边当前路径
+     */
+    stroke() {
+        if (this.commands.length === 0 || SvgContext.isTransparent(this.strokeStyle)) return;
+
+        this.elements.push(`<path d="${this.commands.join('')}" fill="none" stroke="${this.strokeStyle}" ` +
+            `stroke-width="${SvgContext.format(this.lineWidth)}" stroke-linecap="${this.lineCap}" ` +
+            `stroke-linejoin="${this.lineJoin}"/>`);
+    }
+
+    /**
+     * 填充当前路径
+     */
+    fill() {
+        if (this.commands.length === 0 || SvgContext.isTransparent(this.fillStyle)) return;
+
+        this.elements.push(`<path d="${this.commands.join('')}" fill="${this.fillStyle}"/>`);
+    }
+
+    /**
+     * 填充矩形
+     * @param {number} x - 左上角x坐标
+     * @param {number} y - 左上角y坐标
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     */
+    fillRect(x, y, width, height) {
+        if (SvgContext.isTransparent(this.fillStyle)) return;
+
+        this.elements.push(`<rect x="${SvgContext.format(x)}" y="${SvgContext.format(y)}" ` +
+            `width="${SvgContext.format(width)}" height="${SvgContext.format(height)}" fill="${this.fillStyle}"/>`);
+    }
+
+    /**
+     * 绘制文字
+     * @param {string} text - 文字内容
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     */
+    fillText(text, x, y) {
+        const anchor = SvgContext.TEXT_ANCHORS[this.textAlign] || 'start';
+        const baseline = SvgContext.TEXT_BASELINES[this.textBaseline] || 'alphabetic';
+
+        this.elements.push(`<text x="${SvgContext.format(x)}" y="${SvgContext.format(y)}" ` +
+            `fill="${this.fillStyle}" style="font: ${this.font}" text-anchor="${anchor}" ` +
+            `dominant-baseline="${baseline}">${SvgContext.escape(String(text))}</text>`);
+    }
+
+    /**
+     * 生成完整的SVG文档
+     * @returns {string} SVG文本
+     */
+    toString() {
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+                `viewBox="0 0 ${this.width} ${this.height}">`,
+            ...this.elements.map(element => '  ' + element),
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * 格式化坐标（保留两位小数）
+     * @param {number} value - 数值
+     * @returns {string} 格式化结果
+     */
+    static format(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * 检查颜色是否完全透明（透明的图形不输出）
+     * @param {string} color - 颜色
+     * @returns {boolean} 是否透明
+     */
+    static isTransparent(color) {
+        return color === 'transparent' || color === 'none';
+    }
+
+    /**
+     * 转义XML特殊字符
+     * @param {string} text - 原始文本
+     * @returns {string} 转义后的文本
+     */
+    static escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+// Canvas文字对齐方式 -> SVG text-anchor
+SvgContext.TEXT_ANCHORS = {
+    start: 'start',
+    left: 'start',
+    center: 'middle',
+    end: 'end',
+    right: 'end'
+};
+
+// Canvas文字基线 -> SVG dominant-baseline
+SvgContext.TEXT_BASELINES = {
+    alphabetic: 'alphabetic',
+    top: 'hanging',
+    hanging: 'hanging',
+    middle: 'central',
+    bottom: 'text-after-edge',
+    ideographic: 'ideographic'
+};
+
+class MazeExporter {
+    /**
+     * 导出迷宫为SVG（默认为游戏中当前显示的楼层）
+     * @param {UIController} ui - UI控制器（提供绘制方法和当前游戏）
+     * @param {Object} options - 导出选项
+     * @param {boolean} options.solution - 是否叠加解决方案路线
+     * @param {boolean} options.fog - 是否只显示已探索的墙壁（只适用于游戏中的迷宫）
+     * @param {Maze|MultiFloorMaze} options.maze - 要导出的其他迷宫（可选）
+     * @param {number} options.floor - 导出其他迷宫时的楼层（默认为底层）
+     * @returns {string} SVG文本
+     */
+    static toSVG(ui, options = {}) {
+        const layout = MazeExporter.getLayout(ui, 1, options.maze);
+        const context = new SvgContext(layout.width, layout.height);
+        MazeExporter.draw(ui, context, layout, options);
+        return context.toString();
+    }
+
+    /**
+     * 导出迷宫为PNG（在离屏Canvas上绘制）
+     * @param {UIController} ui - UI控制器
+     * @param {Object} options - 导出选项（同toSVG）
+     * @param {number} options.resolution - 图片长边的像素数
+     * @returns {Promise<Blob>} PNG图片
+     */
+    static toPNG(ui, options = {}) {
+        const resolution = options.resolution || MazeExporter.DEFAULT_RESOLUTION;
+        if (!Number.isInteger(resolution) ||
+            resolution < MazeExporter.MIN_RESOLUTION || resolution > MazeExporter.MAX_RESOLUTION) {
+            return Promise.reject(new Error(
+                `PNG分辨率必须是${MazeExporter.MIN_RESOLUTION}~${MazeExporter.MAX_RESOLUTION}之间的整数: ${resolution}`));
+        }
+
+        // 先按原始大小计算尺寸，再缩放到指定分辨率
+        const natural = MazeExporter.getLayout(ui, 1, options.maze);
+        const layout = MazeExporter.getLayout(ui, resolution / Math.max(natural.width, natural.height), options.maze);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+        MazeExporter.draw(ui, canvas.getContext('2d'), layout, options);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('PNG图片生成失败'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * 生成游戏中迷宫已探索部分的缩略图（当前显示的楼层，只显示已探索的墙壁）
+     * @param {UIController} ui - UI控制器
+     * @param {number} size - 缩略图长边的像素数
+     * @returns {string} PNG图片的data URL
+     */
+    static toThumbnail(ui, size = MazeExporter.THUMBNAIL_SIZE) {
+        const natural = MazeExporter.getLayout(ui, 1);
+        const layout = MazeExporter.getLayout(ui, size / Math.max(natural.width, natural.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+        MazeExporter.draw(ui, canvas.getContext('2d'), layout, { fog: true });
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * 计算导出画面的尺寸和偏移
+     * @param {UIController} ui - UI控制器
+     * @param {number} scale - 缩放比例
+     * @param {Maze|MultiFloorMaze} maze - 迷宫（默认为游戏中的迷宫）
+     * @returns {Object} { width, height, scale, offset }
+     */
+    static getLayout(ui, scale, maze = ui.game.getMaze()) {
+        const { width, height } = maze.getPixelSize(ui.config.cellSize);
+        const padding = MazeExporter.PADDING * scale;
+
+        return {
+            width: Math.round(width * scale + padding * 2),
+            height: Math.round(height * scale + padding * 2),
+            scale,
+            offset: { x: padding, y: padding }
+        };
+    }
+
+    /**
+     * 在指定上下文上绘制迷宫
+     * 临时替换UI控制器的上下文、缩放和配色，绘制完成后恢复
+     * @param {UIController} ui - UI控制器
+     * @param {CanvasRenderingContext2D|SvgContext} context - 绘图上下文
+     * @param {Object} layout - 画面尺寸（见getLayout）
+     * @param {Object} options - 导出选项（同toSVG）
+     */
+    static draw(ui, context, layout, options) {
+        const saved = {
+            ctx: ui.ctx,
+            canvasScale: ui.canvasScale,
+            canvasOffset: ui.canvasOffset,
+            colors: ui.config.colors
+        };
+
+        ui.ctx = context;
+        ui.canvasScale = layout.scale;
+        ui.canvasOffset = layout.offset;
+        ui.config.colors = {
+            ...saved.colors,
+            ...MazeExporter.COLORS,
+            // 战争迷雾：未探索的墙壁不绘制（探索记录只属于游戏中的迷宫）
+            wallUnexplored: options.fog && !options.maze ? 'transparent' : MazeExporter.COLORS.wallExplored
+        };
+
+        try {
+            const maze = options.maze || ui.game.getMaze();
+            const floor = options.maze ? (options.floor || 0) : ui.getDisplayedFloor();
+            const floorMaze = maze.getFloor(floor);
+
+            context.fillStyle = ui.config.colors.background;
+            context.fillRect(0, 0, layout.width, layout.height);
+
+            ui.drawMaskedCells(floorMaze);
+            if (options.solution) {
+                ui.drawSolutionPath(maze.getPath(), ui.config.colors.path, floorMaze, floor);
+            }
+            ui.drawWalls(floorMaze);
+            ui.drawStartAndEnd(maze.getStart(), maze.getEnd(), floorMaze, floor);
+        } finally {
+            ui.ctx = saved.ctx;
+            ui.canvasScale = saved.canvasScale;
+            ui.canvasOffset = saved.canvasOffset;
+            ui.config.colors = saved.colors;
+        }
+    }
+
+    /**
+     * 下载文件
+     * @param {Blob|string} content - 文件内容
+     * @param {string} filename - 文件名
+     * @param {string} type - MIME类型（content为字符串时使用）
+     */
+    static download(content, filename, type = 'application/octet-stream') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // 等浏览器开始下载后再释放URL
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// 导出图片的配色（白底深色墙壁，便于打印和分享）
+MazeExporter.COLORS = {
+    background: '#ffffff',
+    wallExplored: '#1e293b',
+    masked: '#cbd5e1',
+    path: 'rgba(34, 197, 94, 0.6)'
+};
+
+// 迷宫四周的留白（像素，按原始大小计算）
+MazeExporter.PADDING = 20;
+
+// PNG分辨率（图片长边的像素数）
+MazeExporter.DEFAULT_RESOLUTION = 2048;
+MazeExporter.MIN_RESOLUTION = 256;
+MazeExporter.MAX_RESOLUTION = 8192;
+
+// 存档缩略图长边的像素数
+MazeExporter.THUMBNAIL_SIZE = 120;
+
+// 导出MazeExporter类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MazeExporter, SvgContext };
+}
@@ -11,8 +11,21 @@ class Game {
     constructor(options = {}) {
         // 默认配置
         this.config = {
-            mazeSize: options.mazeSize || 15,
+            mazeWidth: options.mazeWidth || options.mazeSize || 15, // 迷宫宽度（单元格数）
+            mazeHeight: options.mazeHeight || options.mazeSize || 15, // 迷宫高度（单元格数）
+            shape: options.shape || 'square', // 迷宫拓扑形状 ('square'、'hex' 或 'theta')
+            seed: options.seed || null, // 固定随机种子（为空时每局随机生成）
+            algorithm: options.algorithm || Maze.DEFAULT_ALGORITHM, // 迷宫生成算法
+            braid: options.braid || 0, // 路径分支率（0为完美迷宫，1为尽量消除所有死胡同）
+            floors: options.floors || 1, // 楼层数（大于1时生成由楼梯连接的多层迷宫）
+            mask: options.mask || null, // 形状遮罩（MazeMask.presets中的预设名称或MazeMask实例，按迷宫尺寸缩放）
+            placement: options.placement || Maze.DEFAULT_PLACEMENT, // 起点终点放置策略
+            difficulty: options.difficulty || null, // 目标难度等级（MazeAnalyzer.BANDS中的名称，为空时不限）
             viewMode: options.viewMode || 'permanent', // 'permanent' 或 'instant'
+            viewRange: options.viewRange || Game.DEFAULT_VIEW_RANGE, // 视野距离（格子数，视线最远能看到的距离）
+            timeLimit: options.timeLimit || 0, // 限时（秒，0为不限时）
+            stepLimit: options.stepLimit || 0, // 步数上限（最短路线步数的倍数，0为不限）
+            revealLimit: options.revealLimit || 0, // 揭示上限（已探索单元格占全部单元格的百分比，0为不限）
             cellSize: options.cellSize || 40,
             showSolution: options.showSolution || false,
             moveSpeed: options.moveSpeed || 5, // 移动速度（像素/帧）
@@ -26,15 +39,30 @@ class Game {
             isGameOver: false,
             isVictory: false,
             startTime: null,
-            endTime: null
+            endTime: null,
+            pausedAt: null // 本次暂停开始的时刻（继续时开始时间顺延暂停的时长）
         };
         
         // 游戏组件
         this.maze = null;
+        this.analysis = null; // 迷宫难度分析结果
+        this.difficultyMissed = false; // 当前设置下未能达到目标难度（使用了评分最接近的迷宫）
         this.player = null;
-        this.viewSystem = null;
+        this.viewSystem = null; // 玩家所在楼层的视野系统
+        this.viewSystems = []; // 每层一个视野系统
         this.raycastSystem = null;
         
+        // 当前关卡（见setLevel），自由模式下为null；更改迷宫设置会回到自由模式
+        this.level = null;
+        if (options.level) {
+            const error = Game.validateLevel(options.level);
+            if (error) {
+                console.error('无效的关卡:', error);
+            } else {
+                this.level = options.level;
+            }
+        }
+        
         // 渲染上下文
         this.canvas = null;
         this.ctx = null;
@@ -42,6 +70,8 @@ class Game {
         // 游戏数据
         this.exploredCells = new Set(); // 已探索的单元格
         this.visitedCells = new Set();  // 玩家访问过的单元格
+        this.steps = 0;                 // 步数（进入相邻单元格或上下楼梯的次数）
+        this.currentCellKey = null;     // 玩家所在单元格的键值
         
         // 移动控制
         this.moveInput = {
@@ -57,7 +87,9 @@ class Game {
             onGameOver: [],
             onVictory: [],
             onMove: [],
-            onCellExplored: []
+            onCellExplored: [],
+            onFloorChange: [],
+            onGameLoad: []
         };
         
         // 初始化游戏
@@ -66,23 +98,35 @@ class Game {
     
     /**
      * 初始化游戏
+     * @param {Maze|MultiFloorMaze|null} maze - 使用已有的迷宫（加载存档时），为空时按关卡或配置创建
      */
-    init() {
-        // 创建迷宫
-        this.maze = new Maze(this.config.mazeSize, this.config.mazeSize);
-        this.maze.generate();
+    init(maze = null) {
+        // 创建迷宫：关卡使用固定的迷宫；否则未固定种子时每局使用新种子，指定难度时反复生成直到评分落入该等级
+        this.difficultyMissed = false;
+        if (maze) {
+            this.maze = maze;
+            this.analysis = MazeAnalyzer.analyze(maze);
+        } else if (this.level) {
+            this.maze = this.createLevelMaze(this.level);
+            this.analysis = MazeAnalyzer.analyze(this.maze);
+        } else {
+            const seed = this.config.seed || SeededRandom.createSeed();
+            ({ maze: this.maze, analysis: this.analysis, missed: this.difficultyMissed } = this.generateMaze(seed));
+        }
         
-        // 获取起点和终点
+        // 获取起点
         const start = this.maze.getStart();
-        const end = this.maze.getEnd();
+        const startFloor = start.z || 0;
         
-        // 创建玩家（使用像素坐标）
-        const cellSize = this.config.cellSize;
+        // 创建玩家（使用像素坐标，位于单元格中心）
+        const startCenter = this.maze.getFloor(startFloor).getCellCenter(start.x, start.y, this.config.cellSize);
         this.player = {
-            x: start.x * cellSize + cellSize / 2, // 单元格中心
-            y: start.y * cellSize + cellSize / 2,
-            prevX: start.x * cellSize + cellSize / 2,
-            prevY: start.y * cellSize + cellSize / 2,
+            x: startCenter.x,
+            y: startCenter.y,
+            prevX: startCenter.x,
+            prevY: startCenter.y,
+            floor: startFloor, // 玩家所在楼层
+            crossing: null, // 正在穿过的立交通道 { x, y, axis }
             radius: this.config.playerRadius
         };
         
@@ -94,17 +138,23 @@ class Game {
         const startKey = this.getCellKey(start.x, start.y);
         this.exploredCells.add(startKey);
         this.visitedCells.add(startKey);
+        this.steps = 0;
+        this.currentCellKey = startKey;
         
-        // 创建视野系统（兼容旧系统）
-        this.viewSystem = new ViewSystem({
-            mode: this.config.viewMode,
-            viewRange: 1 // 3×3视野范围
-        });
+        // 创建视野系统（兼容旧系统），每层独立记录
+        this.viewSystems = [];
+        for (let z = 0; z < this.maze.getFloorCount(); z++) {
+            this.viewSystems.push(new ViewSystem({
+                mode: this.config.viewMode,
+                viewRange: 1 // 3×3视野范围
+            }));
+        }
+        this.viewSystem = this.viewSystems[startFloor];
         
         // 创建射线检测系统
         this.raycastSystem = new RaycastSystem({
             rayCount: 180, // 射线数量
-            maxRayDistance: 5, // 最大射线距离
+            maxRayDistance: this.config.viewRange, // 最大射线距离
             rayStep: 0.05, // 射线步进
             fov: 360 // 360度视野
         });
@@ -119,7 +169,8 @@ class Game {
             isGameOver: false,
             isVictory: false,
             startTime: null,
-            endTime: null
+            endTime: null,
+            pausedAt: null // 本次暂停开始的时刻（继续时开始时间顺延暂停的时长）
         };
         
         // 重置移动输入
@@ -131,6 +182,73 @@ class Game {
         };
     }
     
+    /**
+     * 按当前配置生成迷宫并分析难度（指定难度时反复生成直到评分落入该等级）
+     * @param {string} seed - 随机种子
+     * @returns {Object} { maze, analysis, missed }（见MazeAnalyzer.generateInBand，不限难度时missed为false）
+     */
+    generateMaze(seed) {
+        if (this.config.difficulty) {
+            return MazeAnalyzer.generateInBand(
+                mazeSeed => this.createMaze(mazeSeed), this.config.difficulty, seed
+            );
+        }
+        
+        const maze = this.createMaze(seed);
+        return { maze, analysis: MazeAnalyzer.analyze(maze), missed: false };
+    }
+    
+    /**
+     * 按当前配置创建并生成迷宫
+     * @param {string} seed - 随机种子
+     * @returns {Maze|MultiFloorMaze} 已生成的迷宫
+     */
+    createMaze(seed) {
+        const { shape, mazeWidth, mazeHeight, floors, algorithm, braid, placement } = this.config;
+        return Game.buildMaze({
+            shape, floors, algorithm, braid, placement,
+            width: mazeWidth,
+            height: mazeHeight,
+            mask: this.getMask(shape)
+        }, seed);
+    }
+    
+    /**
+     * 创建关卡的迷宫
+     * @param {Object} level - 关卡定义（见setLevel）
+     * @returns {Maze|MultiFloorMaze} 迷宫实例
+     */
+    createLevelMaze(level) {
+        if (level.maze) {
+            return MazeJsonFormat.parse(level.maze);
+        }
+        
+        const settings = Game.getLevelSettings(level);
+        const mask = Game.resolveMask(settings.mask, settings.shape, settings.width, settings.height);
+        return Game.buildMaze({ ...settings, mask }, settings.seed);
+    }
+    
+    /**
+     * 按设置生成迷宫
+     * @param {Object} settings - { shape, width, height, floors, algorithm, braid, mask, placement }（mask为已缩放的遮罩实例）
+     * @param {string} seed - 随机种子
+     * @returns {Maze|MultiFloorMaze} 迷宫实例
+     */
+    static buildMaze(settings, seed) {
+        const { shape, width, height, floors } = settings;
+        const mazeOptions = {
+            seed,
+            algorithm: settings.algorithm,
+            braid: settings.braid,
+            mask: settings.mask,
+            placement: settings.placement
+        };
+        const maze = floors > 1
+            ? new MultiFloorMaze(width, height, { ...mazeOptions, shape, floors })
+            : Maze.create(shape, width, height, mazeOptions);
+        return maze.generate();
+    }
+    
     /**
      * 开始游戏
      */
@@ -144,8 +262,14 @@ class Game {
         
         // 触发游戏开始事件
         this.triggerEvent('onGameStart', {
-            mazeSize: this.config.mazeSize,
+            mazeWidth: this.config.mazeWidth,
+            mazeHeight: this.config.mazeHeight,
+            shape: this.config.shape,
+            floors: this.maze.getFloorCount(),
+            seed: this.maze.getSeed(),
+            algorithm: this.config.algorithm,
             viewMode: this.config.viewMode,
+            level: this.level ? this.level.id : null,
             startPosition: { ...this.player },
             endPosition: this.maze.getEnd()
         });
@@ -159,6 +283,14 @@ class Game {
     togglePause() {
         if (!this.state.isRunning || this.state.isGameOver) return;
         
+        // 暂停的时间不计入用时：继续时开始时间顺延暂停的时长
+        const now = Date.now();
+        if (this.state.isPaused) {
+            this.state.startTime += now - this.state.pausedAt;
+            this.state.pausedAt = null;
+        } else {
+            this.state.pausedAt = now;
+        }
         this.state.isPaused = !this.state.isPaused;
         
         if (this.state.isPaused) {
@@ -222,8 +354,9 @@ class Game {
         const newX = this.player.x + dx * speed;
         const newY = this.player.y + dy * speed;
         
-        // 检查是否可以移动到新位置
-        if (this.canMoveTo(newX, newY)) {
+        // 检查是否可以移动到新位置（立交单元格中只能沿进入时的通道前进）
+        const crossing = this.getCrossingAt(newX, newY);
+        if (this.canMoveTo(newX, newY, crossing)) {
             // 保存旧位置
             this.player.prevX = this.player.x;
             this.player.prevY = this.player.y;
@@ -231,13 +364,14 @@ class Game {
             // 更新玩家位置
             this.player.x = newX;
             this.player.y = newY;
+            this.player.crossing = crossing;
             
             // 标记当前单元格为已访问
             const cellSize = this.config.cellSize;
-            const cellX = Math.floor(this.player.x / cellSize);
-            const cellY = Math.floor(this.player.y / cellSize);
-            const cellKey = this.getCellKey(cellX, cellY);
-            this.visitedCells.add(cellKey);
+            const cell = this.getFloorMaze().getCellAtPoint(this.player.x, this.player.y, cellSize);
+            if (cell) {
+                this.enterCell(cell.x, cell.y);
+            }
             
             // 触发移动事件
             this.triggerEvent('onMove', {
@@ -249,17 +383,7 @@ class Game {
             this.updateVisibility();
             
             // 检查是否到达终点
-            const end = this.maze.getEnd();
-            const endX = end.x * cellSize + cellSize / 2;
-            const endY = end.y * cellSize + cellSize / 2;
-            const distanceToEnd = Math.sqrt(
-                (this.player.x - endX) ** 2 +
-                (this.player.y - endY) ** 2
-            );
-            
-            if (distanceToEnd < this.player.radius * 2) {
-                this.victory();
-            }
+            this.checkVictory();
             
             return true;
         }
@@ -267,19 +391,143 @@ class Game {
         return false;
     }
     
+    /**
+     * 记录玩家所在的单元格：标记为已访问，换到另一个单元格时步数加一
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     */
+    enterCell(x, y) {
+        const key = this.getCellKey(x, y);
+        this.visitedCells.add(key);
+        if (key !== this.currentCellKey) {
+            this.currentCellKey = key;
+            this.steps++;
+        }
+    }
+    
+    /**
+     * 检查玩家是否到达终点（必须位于终点所在楼层）
+     */
+    checkVictory() {
+        const end = this.maze.getEnd();
+        if ((end.z || 0) !== this.player.floor) return;
+        
+        const endCenter = this.getFloorMaze().getCellCenter(end.x, end.y, this.config.cellSize);
+        const distanceToEnd = Math.sqrt(
+            (this.player.x - endCenter.x) ** 2 +
+            (this.player.y - endCenter.y) ** 2
+        );
+        
+        if (distanceToEnd < this.player.radius * 2) {
+            this.victory();
+        }
+    }
+    
+    /**
+     * 通过玩家所在单元格的楼梯上楼或下楼
+     * @param {string} direction - 'up' 或 'down'
+     * @returns {boolean} 是否换层成功
+     */
+    useStairs(direction) {
+        if (!this.state.isRunning || this.state.isPaused || this.state.isGameOver) {
+            return false;
+        }
+        
+        if (this.maze.getFloorCount() === 1) return false;
+        
+        const cellSize = this.config.cellSize;
+        const fromFloor = this.player.floor;
+        const cell = this.getFloorMaze().getCellAtPoint(this.player.x, this.player.y, cellSize);
+        if (!cell || !this.maze.getStairs(cell.x, cell.y, fromFloor)[direction]) {
+            return false;
+        }
+        
+        // 换层后站在楼梯单元格中心
+        const toFloor = fromFloor + (direction === 'up' ? 1 : -1);
+        const center = this.maze.getFloor(toFloor).getCellCenter(cell.x, cell.y, cellSize);
+        this.player.prevX = this.player.x;
+        this.player.prevY = this.player.y;
+        this.player.x = center.x;
+        this.player.y = center.y;
+        this.player.floor = toFloor;
+        this.player.crossing = null; // 楼梯不会放在立交单元格上
+        this.viewSystem = this.viewSystems[toFloor];
+        
+        // 射线缓存按像素位置记录，换层后同一位置的视野不同
+        this.raycastSystem.clearCache();
+        
+        this.enterCell(cell.x, cell.y);
+        
+        this.triggerEvent('onFloorChange', {
+            from: fromFloor,
+            to: toFloor,
+            floorCount: this.maze.getFloorCount()
+        });
+        
+        this.updateVisibility();
+        this.checkVictory();
+        
+        console.log(`${direction === 'up' ? '上楼' : '下楼'}到第${toFloor + 1}层`);
+        return true;
+    }
+    
+    /**
+     * 获取楼层迷宫
+     * @param {number} floor - 楼层（默认为玩家所在楼层）
+     * @returns {Maze} 该层的迷宫实例
+     */
+    getFloorMaze(floor = this.player.floor) {
+        return this.maze.getFloor(floor);
+    }
+    
+    /**
+     * 获取玩家位于指定位置时所在的立交通道
+     * 仍在同一立交单元格中时保持原通道，否则由进入方向决定：从上下方进入走竖向通道，从左右进入走横向通道
+     * @param {number} x - x坐标（像素）
+     * @param {number} y - y坐标（像素）
+     * @returns {Object|null} 立交通道 { x, y, axis }，不在立交单元格中时返回null
+     */
+    getCrossingAt(x, y) {
+        const maze = this.getFloorMaze();
+        const cellSize = this.config.cellSize;
+        const cell = maze.getCellAtPoint(x, y, cellSize);
+        if (!cell || !maze.getCrossing(cell.x, cell.y)) {
+            return null;
+        }
+        
+        const current = this.player.crossing;
+        if (current && current.x === cell.x && current.y === cell.y) {
+            return current;
+        }
+        
+        const from = maze.getCellAtPoint(this.player.x, this.player.y, cellSize);
+        const axis = from && from.y !== cell.y ? 'vertical' : 'horizontal';
+        return { x: cell.x, y: cell.y, axis };
+    }
+    
+    /**
+     * 获取玩家在立交单元格中所处的层
+     * @returns {string|null} 'over'（桥上）或 'under'（隧道中），不在立交单元格中时返回null
+     */
+    getPlayerLayer() {
+        const crossing = this.player.crossing;
+        if (!crossing) return null;
+        return this.getFloorMaze().getCrossing(crossing.x, crossing.y) === crossing.axis ? 'over' : 'under';
+    }
+    
     /**
      * 检查是否可以移动到指定位置
      * @param {number} x - x坐标（像素）
      * @param {number} y - y坐标（像素）
+     * @param {Object} crossing - 所在立交通道 { x, y, axis }（可选）
      * @returns {boolean} 是否可以移动
      */
-    canMoveTo(x, y) {
+    canMoveTo(x, y, crossing = null) {
         const cellSize = this.config.cellSize;
         const radius = this.player.radius;
         
         // 检查是否在迷宫范围内（考虑玩家半径）
-        const mazeWidth = this.config.mazeSize * cellSize;
-        const mazeHeight = this.config.mazeSize * cellSize;
+        const { width: mazeWidth, height: mazeHeight } = this.getFloorMaze().getPixelSize(cellSize);
         
         if (x - radius < 0 || x + radius > mazeWidth ||
             y - radius < 0 || y + radius > mazeHeight) {
@@ -287,7 +535,7 @@ class Game {
         }
         
         // 检查与墙壁的碰撞
-        return !this.checkWallCollision(x, y, radius, cellSize);
+        return !this.checkWallCollision(x, y, radius, cellSize, crossing);
     }
     
     /**
@@ -296,9 +544,17 @@ class Game {
      * @param {number} y - y坐标（像素）
      * @param {number} radius - 碰撞半径
      * @param {number} cellSize - 单元格大小
+     * @param {Object} crossing - 所在立交通道 { x, y, axis }（可选，通道两侧视为墙壁）
      * @returns {boolean} 是否发生碰撞
      */
-    checkWallCollision(x, y, radius, cellSize) {
+    checkWallCollision(x, y, radius, cellSize, crossing = null) {
+        const maze = this.getFloorMaze();
+        
+        // 非正方形拓扑使用通用的线段距离检测
+        if (maze.shape !== 'square') {
+            return maze.isNearWall(x, y, radius, cellSize);
+        }
+        
         // 计算玩家所在的格子
         const cellX = Math.floor(x / cellSize);
         const cellY = Math.floor(y / cellSize);
@@ -310,7 +566,7 @@ class Game {
                 const checkY = cellY + dy;
                 
                 // 检查水平墙壁（上边界）
-                if (this.maze.getWall('horizontal', checkY, checkX)) {
+                if (maze.getWall('horizontal', checkY, checkX, crossing)) {
                     const wallY = checkY * cellSize;
                     const wallX1 = checkX * cellSize;
                     const wallX2 = (checkX + 1) * cellSize;
@@ -323,7 +579,7 @@ class Game {
                 }
                 
                 // 检查水平墙壁（下边界）
-                if (this.maze.getWall('horizontal', checkY + 1, checkX)) {
+                if (maze.getWall('horizontal', checkY + 1, checkX, crossing)) {
                     const wallY = (checkY + 1) * cellSize;
                     const wallX1 = checkX * cellSize;
                     const wallX2 = (checkX + 1) * cellSize;
@@ -335,7 +591,7 @@ class Game {
                 }
                 
                 // 检查垂直墙壁（左边界）
-                if (this.maze.getWall('vertical', checkY, checkX)) {
+                if (maze.getWall('vertical', checkY, checkX, crossing)) {
                     const wallX = checkX * cellSize;
                     const wallY1 = checkY * cellSize;
                     const wallY2 = (checkY + 1) * cellSize;
@@ -347,7 +603,7 @@ class Game {
                 }
                 
                 // 检查垂直墙壁（右边界）
-                if (this.maze.getWall('vertical', checkY, checkX + 1)) {
+                if (maze.getWall('vertical', checkY, checkX + 1, crossing)) {
                     const wallX = (checkX + 1) * cellSize;
                     const wallY1 = checkY * cellSize;
                     const wallY2 = (checkY + 1) * cellSize;
@@ -374,16 +630,20 @@ class Game {
             this.raycastSystem.update(
                 this.player.x,
                 this.player.y,
-                this.maze,
+                this.getFloorMaze(),
                 cellSize,
-                this.player.radius // 传递玩家半径参数
+                this.player.radius, // 传递玩家半径参数
+                this.player.crossing
             );
             
             // 获取可见单元格
             const visibleCells = this.raycastSystem.getVisibleCells();
             
-            // 更新已探索单元格
+            // 更新已探索单元格（被遮罩排除的单元格不计入）
+            const floorMaze = this.getFloorMaze();
             for (const cell of visibleCells) {
+                if (!floorMaze.isCellEnabled(cell.x, cell.y)) continue;
+                
                 const cellKey = this.getCellKey(cell.x, cell.y);
                 
                 // 标记为已探索
@@ -394,8 +654,9 @@ class Game {
                     this.triggerEvent('onCellExplored', {
                         x: cell.x,
                         y: cell.y,
+                        floor: this.player.floor,
                         totalExplored: this.exploredCells.size,
-                        totalCells: this.config.mazeSize * this.config.mazeSize
+                        totalCells: this.getTotalCells()
                     });
                 }
             }
@@ -403,9 +664,11 @@ class Game {
         
         // 同时更新旧视野系统（兼容性）
         if (this.viewSystem) {
-            const playerCellX = Math.floor(this.player.x / cellSize);
-            const playerCellY = Math.floor(this.player.y / cellSize);
-            this.viewSystem.update(playerCellX, playerCellY, this.maze);
+            const floorMaze = this.getFloorMaze();
+            const playerCell = floorMaze.getCellAtPoint(this.player.x, this.player.y, cellSize);
+            if (playerCell) {
+                this.viewSystem.update(playerCell.x, playerCell.y, floorMaze);
+            }
         }
     }
     
@@ -454,7 +717,7 @@ class Game {
             const moveX = nextX - currentX;
             const moveY = nextY - currentY;
             
-            if (!this.maze.canMove(currentX, currentY, moveX, moveY)) {
+            if (!this.getFloorMaze().canMove(currentX, currentY, moveX, moveY)) {
                 // 有墙壁阻挡
                 return false;
             }
@@ -465,13 +728,14 @@ class Game {
     }
     
     /**
-     * 获取单元格的唯一键
+     * 获取单元格的唯一键（多层迷宫的键包含楼层）
      * @param {number} x - x坐标
      * @param {number} y - y坐标
+     * @param {number} floor - 楼层（默认为玩家所在楼层）
      * @returns {string} 单元格键
      */
-    getCellKey(x, y) {
-        return `${x},${y}`;
+    getCellKey(x, y, floor = this.player.floor) {
+        return this.maze.getCellKey(x, y, floor);
     }
     
     /**
@@ -488,10 +752,11 @@ class Game {
      * 检查单元格是否已探索
      * @param {number} x - x坐标
      * @param {number} y - y坐标
+     * @param {number} floor - 楼层（默认为玩家所在楼层）
      * @returns {boolean} 是否已探索
      */
-    isCellExplored(x, y) {
-        const cellKey = this.getCellKey(x, y);
+    isCellExplored(x, y, floor = this.player.floor) {
+        const cellKey = this.getCellKey(x, y, floor);
         return this.exploredCells.has(cellKey);
     }
     
@@ -499,10 +764,11 @@ class Game {
      * 检查单元格是否已访问
      * @param {number} x - x坐标
      * @param {number} y - y坐标
+     * @param {number} floor - 楼层（默认为玩家所在楼层）
      * @returns {boolean} 是否已访问
      */
-    isCellVisited(x, y) {
-        const cellKey = this.getCellKey(x, y);
+    isCellVisited(x, y, floor = this.player.floor) {
+        const cellKey = this.getCellKey(x, y, floor);
         return this.visitedCells.has(cellKey);
     }
     
@@ -516,10 +782,10 @@ class Game {
         this.state.isRunning = false;
         
         // 计算游戏时间
-        const gameTime = Math.floor((this.state.endTime - this.state.startTime) / 1000);
+        const gameTime = Math.floor(this.getElapsedTime() / 1000);
         
         // 计算探索率
-        const totalCells = this.config.mazeSize * this.config.mazeSize;
+        const totalCells = this.getTotalCells();
         const exploreRate = Math.round((this.exploredCells.size / totalCells) * 100);
         
         // 触发胜利事件
@@ -527,7 +793,10 @@ class Game {
             time: gameTime,
             exploreRate: exploreRate,
             exploredCells: this.exploredCells.size,
-            totalCells: totalCells
+            totalCells: totalCells,
+            steps: this.steps,
+            pathLength: this.getPathLength(),
+            level: this.level ? this.level.id : null
         });
         
         console.log(`游戏胜利！时间: ${gameTime}秒, 探索率: ${exploreRate}%`);
@@ -535,27 +804,139 @@ class Game {
     
     /**
      * 游戏失败
+     * @param {string|null} reason - 失败原因（'timeout'为超时，'steps'为步数用完，'reveal'为揭示超过上限）
+     * @param {Object|null} limit - 超出的限制（见getLimits）
      */
-    gameOver() {
+    gameOver(reason = null, limit = null) {
         this.state.isGameOver = true;
         this.state.isVictory = false;
         this.state.endTime = Date.now();
         this.state.isRunning = false;
         
-        // 触发游戏结束事件
+        // 触发游戏结束事件（附带离终点还有多远）
+        const totalCells = this.getTotalCells();
         this.triggerEvent('onGameOver', {
-            time: Math.floor((this.state.endTime - this.state.startTime) / 1000)
+            time: Math.floor(this.getElapsedTime() / 1000),
+            reason: reason,
+            limit: limit,
+            steps: this.steps,
+            exploredCells: this.exploredCells.size,
+            totalCells: totalCells,
+            exploreRate: Math.round((this.exploredCells.size / totalCells) * 100),
+            pathLength: this.getPathLength(),
+            distanceToEnd: this.getDistanceToEnd(),
+            level: this.level ? this.level.id : null
         });
         
         console.log('游戏结束！');
     }
     
+    /**
+     * 获取玩家所在单元格到终点的最短路线长度
+     * @returns {number|null} 步数，无法确定玩家所在单元格时为null
+     */
+    getDistanceToEnd() {
+        const cell = this.getFloorMaze().getCellAtPoint(this.player.x, this.player.y, this.config.cellSize);
+        if (!cell) return null;
+        
+        const path = this.maze.findPath({ x: cell.x, y: cell.y, z: this.player.floor }, this.maze.getEnd());
+        return path.length > 0 ? path.length - 1 : null;
+    }
+    
+    /**
+     * 获取已用时间（不含暂停的时间）
+     * @param {number} now - 当前时间戳（默认为Date.now()）
+     * @returns {number|null} 毫秒数，游戏未开始时为null
+     */
+    getElapsedTime(now = Date.now()) {
+        const { startTime, endTime, pausedAt } = this.state;
+        if (startTime === null) return null;
+        
+        return (pausedAt || endTime || now) - startTime;
+    }
+    
+    /**
+     * 获取限时模式的剩余时间
+     * @returns {number|null} 剩余秒数（向上取整），不限时时为null
+     */
+    getRemainingTime() {
+        const { timeLimit } = this.config;
+        if (!timeLimit) return null;
+        if (this.state.startTime === null) return timeLimit;
+        
+        const elapsed = this.getElapsedTime() / 1000;
+        return Math.max(0, Math.ceil(timeLimit - elapsed));
+    }
+    
+    /**
+     * 获取步数上限（最短路线步数乘以设定的倍数）
+     * @returns {number|null} 最多可走的步数，不限步数时为null
+     */
+    getStepLimit() {
+        const { stepLimit } = this.config;
+        return stepLimit ? Math.ceil(this.getPathLength() * stepLimit) : null;
+    }
+    
+    /**
+     * 获取揭示上限（全部单元格数乘以设定的百分比）
+     * @returns {number|null} 最多可揭示的单元格数，不限时为null
+     */
+    getRevealLimit() {
+        const { revealLimit } = this.config;
+        return revealLimit ? Math.floor(this.getTotalCells() * revealLimit / 100) : null;
+    }
+    
+    /**
+     * 获取当前生效的失败条件
+     * 时间用完即失败；步数和揭示数可以用到恰好等于上限（剩余为0时仍可在当前单元格内走到终点），超过上限才失败
+     * @returns {Array} 限制 { type: 'time'|'steps'|'reveal', limit, used, remaining }
+     */
+    getLimits() {
+        const limits = [];
+        const remainingTime = this.getRemainingTime();
+        if (remainingTime !== null) {
+            const { timeLimit } = this.config;
+            limits.push({ type: 'time', limit: timeLimit, used: timeLimit - remainingTime, remaining: remainingTime });
+        }
+        
+        const stepLimit = this.getStepLimit();
+        if (stepLimit !== null) {
+            limits.push({ type: 'steps', limit: stepLimit, used: this.steps, remaining: Math.max(0, stepLimit - this.steps) });
+        }
+        
+        const revealLimit = this.getRevealLimit();
+        if (revealLimit !== null) {
+            const used = this.exploredCells.size;
+            limits.push({ type: 'reveal', limit: revealLimit, used, remaining: Math.max(0, revealLimit - used) });
+        }
+        return limits;
+    }
+    
+    /**
+     * 检查失败条件（由游戏循环每帧调用），超出任一限制则游戏失败
+     * @returns {string|null} 失败原因（'timeout'、'steps' 或 'reveal'），未超出时为null
+     */
+    checkLimits() {
+        if (!this.state.isRunning || this.state.isGameOver) {
+            return null;
+        }
+        
+        const exceeded = this.getLimits().find(limit => limit.type === 'time' ? limit.remaining === 0 : limit.used > limit.limit);
+        if (!exceeded) {
+            return null;
+        }
+        
+        const reason = Game.LIMIT_REASONS[exceeded.type];
+        this.gameOver(reason, exceeded);
+        return reason;
+    }
+    
     /**
      * 获取游戏状态
      * @returns {Object} 游戏状态
      */
     getGameState() {
-        const totalCells = this.config.mazeSize * this.config.mazeSize;
+        const totalCells = this.getTotalCells();
         const exploreRate = Math.round((this.exploredCells.size / totalCells) * 100);
         
         return {
@@ -568,19 +949,163 @@ class Game {
         };
     }
     
+    /**
+     * 导出完整的游戏状态（用于保存游戏），可以直接JSON序列化
+     * 用时记录为已经过的毫秒数（不含暂停的时间），加载时按加载时刻换算开始时间
+     * @param {number} now - 当前时间戳（默认为Date.now()）
+     * @returns {Object} 存档数据
+     */
+    exportState(now = Date.now()) {
+        const { mask } = this.config;
+        const { isRunning, isPaused, isGameOver, isVictory } = this.state;
+        const { x, y, prevX, prevY, floor, crossing } = this.player;
+        
+        return {
+            version: Game.SAVE_VERSION,
+            // 图片生成的遮罩无法用名称保存，加载时从迷宫中取回
+            config: { ...this.config, mask: typeof mask === 'string' ? mask : null },
+            customMask: mask !== null && typeof mask !== 'string',
+            level: this.level,
+            maze: this.maze.toJSON(),
+            player: { x, y, prevX, prevY, floor, crossing },
+            exploredCells: [...this.exploredCells],
+            visitedCells: [...this.visitedCells],
+            steps: this.steps,
+            currentCellKey: this.currentCellKey,
+            viewSystems: this.viewSystems.map(viewSystem => viewSystem.exportData()),
+            state: {
+                isRunning,
+                isPaused,
+                isGameOver,
+                isVictory,
+                elapsed: this.getElapsedTime(now)
+            }
+        };
+    }
+    
+    /**
+     * 从存档数据恢复游戏（迷宫、玩家位置、探索记录、视野、用时和暂停状态）
+     * 数据检查全部通过后才会修改当前游戏
+     * @param {Object} data - 存档数据（见exportState）
+     * @param {number} now - 当前时间戳（默认为Date.now()）
+     * @throws {Error} 存档版本不支持或数据不完整
+     * @throws {MazeFormatError} 存档中的迷宫无效
+     */
+    importState(data, now = Date.now()) {
+        if (!data || data.version !== Game.SAVE_VERSION) {
+            throw new Error('不支持的存档版本');
+        }
+        
+        const maze = MazeJsonFormat.parse(data.maze);
+        const { config, player, state } = data;
+        if (!config || !state) {
+            throw new Error('存档缺少游戏配置或状态');
+        }
+        if (data.level) {
+            const error = Game.validateLevel(data.level);
+            if (error) {
+                throw new Error(`存档中的关卡无效: ${error}`);
+            }
+        }
+        if (!player || ![player.x, player.y, player.prevX, player.prevY].every(Number.isFinite) ||
+            !(Number.isInteger(player.floor) && player.floor >= 0 && player.floor < maze.getFloorCount())) {
+            throw new Error('存档中的玩家位置无效');
+        }
+        if (!Array.isArray(data.exploredCells) || !Array.isArray(data.visitedCells) ||
+            !Array.isArray(data.viewSystems) || data.viewSystems.length !== maze.getFloorCount()) {
+            throw new Error('存档中的探索记录无效');
+        }
+        
+        // 只恢复已知的配置项
+        for (const key of Object.keys(this.config)) {
+            if (key in config) {
+                this.config[key] = config[key];
+            }
+        }
+        if (data.customMask) {
+            this.config.mask = maze.getFloor(0).mask;
+        }
+        this.level = data.level || null;
+        this.init(maze);
+        
+        this.player = {
+            ...this.player,
+            x: player.x,
+            y: player.y,
+            prevX: player.prevX,
+            prevY: player.prevY,
+            floor: player.floor,
+            crossing: player.crossing || null
+        };
+        this.viewSystems.forEach((viewSystem, floor) => viewSystem.importData(data.viewSystems[floor]));
+        this.viewSystem = this.viewSystems[player.floor];
+        this.exploredCells = new Set(data.exploredCells);
+        this.visitedCells = new Set(data.visitedCells);
+        this.steps = data.steps || 0;
+        this.currentCellKey = data.currentCellKey;
+        
+        // 射线视野由玩家位置决定，重新计算即可
+        this.updateVisibility();
+        
+        this.state = {
+            isRunning: Boolean(state.isRunning),
+            isPaused: Boolean(state.isPaused),
+            isGameOver: Boolean(state.isGameOver),
+            isVictory: Boolean(state.isVictory),
+            startTime: state.elapsed === null ? null : now - state.elapsed,
+            endTime: state.elapsed !== null && state.isGameOver ? now : null,
+            pausedAt: state.elapsed !== null && state.isPaused ? now : null
+        };
+        
+        this.triggerEvent('onGameLoad', {
+            seed: this.maze.getSeed(),
+            level: this.level ? this.level.id : null,
+            floor: this.player.floor
+        });
+        
+        console.log('游戏状态已恢复');
+    }
+    
+    /**
+     * 获取迷宫单元格总数（探索率的分母）
+     * @returns {number} 单元格总数
+     */
+    getTotalCells() {
+        return this.maze.getCellCount();
+    }
+    
     /**
      * 获取游戏统计信息
      * @returns {Object} 游戏统计
      */
     getStats() {
-        const totalCells = this.config.mazeSize * this.config.mazeSize;
+        const totalCells = this.getTotalCells();
         const exploreRate = Math.round((this.exploredCells.size / totalCells) * 100);
         
         return {
             explored: this.exploredCells.size,
             total: totalCells,
             exploreRate: exploreRate,
-            visited: this.visitedCells.size
+            visited: this.visitedCells.size,
+            steps: this.steps,
+            remainingTime: this.getRemainingTime(),
+            limits: this.getLimits(),
+            mazeWidth: this.config.mazeWidth,
+            mazeHeight: this.config.mazeHeight,
+            shape: this.config.shape,
+            floor: this.player.floor,
+            floors: this.maze.getFloorCount(),
+            seed: this.maze.getSeed(),
+            algorithm: this.config.algorithm,
+            braid: this.config.braid,
+            placement: this.config.placement,
+            pathLength: this.getPathLength(),
+            difficulty: this.config.difficulty,
+            difficultyScore: this.analysis.score,
+            difficultyBand: this.analysis.band,
+            difficultyMissed: this.difficultyMissed,
+            mask: typeof this.config.mask === 'string' ? this.config.mask : (this.config.mask ? 'custom' : null),
+            level: this.level ? this.level.id : null
         };
     }
     
@@ -594,7 +1119,9 @@ class Game {
             return;
         }
         
-        this.viewSystem.setMode(mode);
+        for (const viewSystem of this.viewSystems) {
+            viewSystem.setMode(mode);
+        }
         this.config.viewMode = mode;
         
         // 更新视野
@@ -603,20 +1130,366 @@ class Game {
         console.log(`视野模式切换为: ${mode === 'permanent' ? '永久显示' : '即时视野'}`);
     }
     
+    /**
+     * 更改视野距离
+     * @param {number} range - 视线最远能看到的格子数
+     */
+    setViewRange(range) {
+        if (!(Number.isInteger(range) && range >= 1 && range <= Game.MAX_VIEW_RANGE)) {
+            console.error(`视野距离必须是1到${Game.MAX_VIEW_RANGE}之间的整数`);
+            return;
+        }
+        
+        this.config.viewRange = range;
+        this.raycastSystem.setMaxRayDistance(range);
+        this.updateVisibility();
+        
+        console.log(`视野距离更改为: ${range}格`);
+    }
+    
+    /**
+     * 更改限时
+     * @param {number} seconds - 限时秒数，0为不限时
+     */
+    setTimeLimit(seconds) {
+        if (!(Number.isInteger(seconds) && seconds >= 0 && seconds <= Game.MAX_TIME_LIMIT)) {
+            console.error(`限时必须是0到${Game.MAX_TIME_LIMIT}之间的整数秒`);
+            return;
+        }
+        
+        this.config.timeLimit = seconds;
+        this.restart();
+        
+        console.log(`限时更改为: ${seconds ? `${seconds}秒` : '不限时'}`);
+    }
+    
+    /**
+     * 更改步数上限
+     * @param {number} factor - 最短路线步数的倍数（1到MAX_STEP_FACTOR），0为不限
+     */
+    setStepLimit(factor) {
+        if (!(factor === 0 || (Number.isFinite(factor) && factor >= 1 && factor <= Game.MAX_STEP_FACTOR))) {
+            console.error(`步数上限必须是0或1到${Game.MAX_STEP_FACTOR}之间的倍数`);
+            return;
+        }
+        
+        this.config.stepLimit = factor;
+        this.restart();
+        
+        console.log(`步数上限更改为: ${factor ? `最短路线的${factor}倍` : '不限'}`);
+    }
+    
+    /**
+     * 更改揭示上限
+     * @param {number} percent - 可揭示单元格的百分比（1到100的整数），0为不限
+     */
+    setRevealLimit(percent) {
+        if (!(Number.isInteger(percent) && percent >= 0 && percent <= 100)) {
+            console.error('揭示上限必须是0到100之间的整数百分比');
+            return;
+        }
+        
+        this.config.revealLimit = percent;
+        this.restart();
+        
+        console.log(`揭示上限更改为: ${percent ? `${percent}%` : '不限'}`);
+    }
+    
     /**
      * 更改迷宫大小
-     * @param {number} size - 迷宫大小
+     * @param {number} width - 迷宫宽度
+     * @param {number} height - 迷宫高度（默认与宽度相同）
      */
-    setMazeSize(size) {
-        if (size < 5 || size > 30) {
-            console.error('迷宫大小必须在5到30之间');
+    setMazeSize(width, height = width) {
+        if (width < 5 || width > 50 || height < 5 || height > 50) {
+            console.error('迷宫宽度和高度必须在5到50之间');
             return;
         }
         
-        this.config.mazeSize = size;
+        this.config.mazeWidth = width;
+        this.config.mazeHeight = height;
+        this.level = null;
         this.restart();
         
-        console.log(`迷宫大小更改为: ${size}×${size}`);
+        console.log(`迷宫大小更改为: ${width}×${height}`);
+    }
+    
+    /**
+     * 更改迷宫拓扑形状
+     * 当前算法不支持新形状时改用默认算法
+     * @param {string} shape - 形状名称 ('square'、'hex' 或 'theta')
+     */
+    setShape(shape) {
+        if (!Maze.shapes[shape]) {
+            console.error('无效的迷宫形状:', shape);
+            return;
+        }
+        
+        if (!Maze.isValidAlgorithm(this.config.algorithm, shape, this.getMask(shape) !== null)) {
+            console.warn(`算法 ${this.config.algorithm} 不支持该形状，改用默认算法`);
+            this.config.algorithm = Maze.DEFAULT_ALGORITHM;
+        }
+        
+        if (!Maze.isValidPlacement(this.config.placement, shape)) {
+            console.warn(`放置策略 ${this.config.placement} 不支持该形状，改用默认策略`);
+            this.config.placement = Maze.DEFAULT_PLACEMENT;
+        }
+        
+        this.config.shape = shape;
+        this.level = null;
+        this.restart();
+        
+        console.log(`迷宫形状更改为: ${Maze.shapes[shape].label}`);
+    }
+    
+    /**
+     * 更改迷宫生成算法
+     * @param {string} algorithm - 算法名称（可带变体，如 'growing-tree:mixed'）
+     */
+    setAlgorithm(algorithm) {
+        if (!Maze.isValidAlgorithm(algorithm, this.config.shape, this.hasMask())) {
+            console.error('无效的生成算法:', algorithm);
+            return;
+        }
+        
+        this.config.algorithm = algorithm;
+        this.level = null;
+        this.restart();
+        
+        console.log(`生成算法更改为: ${algorithm}`);
+    }
+    
+    /**
+     * 更改路径分支率
+     * @param {number} braid - 死胡同移除比例（0~1）
+     */
+    setBraid(braid) {
+        if (!(braid >= 0 && braid <= 1)) {
+            console.error('分支率必须在0到1之间');
+            return;
+        }
+        
+        this.config.braid = braid;
+        this.level = null;
+        this.restart();
+        
+        console.log(`路径分支率更改为: ${braid}`);
+    }
+    
+    /**
+     * 更改起点终点放置策略
+     * @param {string} placement - 策略名称（可带变体，如 'min-distance:long'）
+     */
+    setPlacement(placement) {
+        if (!Maze.isValidPlacement(placement, this.config.shape)) {
+            console.error('无效的放置策略:', placement);
+            return;
+        }
+        
+        this.config.placement = placement;
+        this.level = null;
+        this.restart();
+        
+        console.log(`放置策略更改为: ${placement}`);
+    }
+    
+    /**
+     * 更改目标难度等级
+     * @param {string|null} difficulty - 难度等级名称（见MazeAnalyzer.BANDS），null表示不限
+     */
+    setDifficulty(difficulty) {
+        if (difficulty !== null && !MazeAnalyzer.getBand(difficulty)) {
+            console.error('无效的难度等级:', difficulty);
+            return;
+        }
+        
+        this.config.difficulty = difficulty;
+        this.level = null;
+        this.restart();
+        
+        console.log(`目标难度更改为: ${difficulty || '不限'}`);
+    }
+    
+    /**
+     * 更改形状遮罩
+     * 当前算法不支持遮罩时改用默认算法
+     * @param {string|MazeMask|null} mask - 预设名称、遮罩实例或null（取消遮罩）
+     */
+    setMask(mask) {
+        if (typeof mask === 'string' && !MazeMask.presets[mask]) {
+            console.error('无效的遮罩预设:', mask);
+            return;
+        }
+        if (mask !== null && typeof mask !== 'string' && !(mask instanceof MazeMask)) {
+            console.error('无效的形状遮罩:', mask);
+            return;
+        }
+        
+        this.config.mask = mask;
+        
+        if (!Maze.isValidAlgorithm(this.config.algorithm, this.config.shape, this.hasMask())) {
+            console.warn(`算法 ${this.config.algorithm} 不支持形状遮罩，改用默认算法`);
+            this.config.algorithm = Maze.DEFAULT_ALGORITHM;
+        }
+        
+        this.level = null;
+        this.restart();
+        
+        console.log(`形状遮罩更改为: ${typeof mask === 'string' ? MazeMask.presets[mask].label : (mask ? '自定义' : '无')}`);
+    }
+    
+    /**
+     * 获取按当前迷宫尺寸缩放后的形状遮罩
+     * @param {string} shape - 拓扑形状（默认为当前形状；不支持遮罩的形状返回null）
+     * @returns {MazeMask|null} 遮罩实例
+     */
+    getMask(shape = this.config.shape) {
+        const { mask, mazeWidth, mazeHeight } = this.config;
+        return Game.resolveMask(mask, shape, mazeWidth, mazeHeight);
+    }
+    
+    /**
+     * 将遮罩设置缩放到迷宫尺寸
+     * @param {string|MazeMask|null} mask - 预设名称、遮罩实例或null
+     * @param {string} shape - 拓扑形状（不支持遮罩的形状返回null）
+     * @param {number} width - 迷宫宽度
+     * @param {number} height - 迷宫高度
+     * @returns {MazeMask|null} 遮罩实例
+     */
+    static resolveMask(mask, shape, width, height) {
+        if (!mask || Maze.shapes[shape].maskable === false) {
+            return null;
+        }
+        
+        const source = typeof mask === 'string' ? MazeMask.fromPreset(mask) : mask;
+        return source ? source.resize(width, height) : null;
+    }
+    
+    /**
+     * 检查当前迷宫是否带有形状遮罩
+     * @returns {boolean} 是否带遮罩
+     */
+    hasMask() {
+        return this.getMask() !== null;
+    }
+    
+    /**
+     * 更改楼层数
+     * @param {number} floors - 楼层数（1为单层迷宫）
+     */
+    setFloors(floors) {
+        if (!(Number.isInteger(floors) && floors >= 1 && floors <= Game.MAX_FLOORS)) {
+            console.error(`楼层数必须在1到${Game.MAX_FLOORS}之间`);
+            return;
+        }
+        
+        this.config.floors = floors;
+        this.level = null;
+        this.restart();
+        
+        console.log(`楼层数更改为: ${floors}`);
+    }
+    
+    /**
+     * 进入关卡或回到自由模式
+     * 关卡定义为 { id, title, maze }（maze为JSON迷宫格式的对象或文本，见MazeJsonFormat），
+     * 或 { id, title, generate }（generate为固定种子的生成设置，未指定的项见Game.LEVEL_DEFAULTS）
+     * @param {Object|null} level - 关卡定义，null表示回到自由模式
+     */
+    setLevel(level) {
+        const error = level === null ? null : Game.validateLevel(level);
+        if (error) {
+            console.error('无效的关卡:', error);
+            return;
+        }
+        
+        this.level = level;
+        this.restart();
+        
+        console.log(level ? `进入关卡: ${level.title || level.id}` : '回到自由模式');
+    }
+    
+    /**
+     * 获取当前关卡
+     * @returns {Object|null} 关卡定义，自由模式下为null
+     */
+    getLevel() {
+        return this.level;
+    }
+    
+    /**
+     * 检查关卡定义
+     * @param {Object} level - 关卡定义（见setLevel）
+     * @returns {string|null} 错误描述，有效时为null
+     */
+    static validateLevel(level) {
+        if (!level || typeof level.id !== 'string' || !level.id) {
+            return '关卡缺少ID';
+        }
+        if (!level.maze === !level.generate) {
+            return `关卡 ${level.id} 必须指定maze或generate之一`;
+        }
+        
+        if (level.maze) {
+            try {
+                MazeJsonFormat.parse(level.maze);
+            } catch (error) {
+                return `关卡 ${level.id}: ${error.message}`;
+            }
+            return null;
+        }
+        
+        const settings = Game.getLevelSettings(level);
+        const { shape, width, height, floors, mask } = settings;
+        if (!settings.seed) {
+            return `关卡 ${level.id} 缺少固定种子`;
+        }
+        if (!Maze.shapes[shape]) {
+            return `关卡 ${level.id} 的迷宫形状无效: ${shape}`;
+        }
+        if (!(Number.isInteger(width) && Number.isInteger(height) && width >= 5 && width <= 50 && height >= 5 && height <= 50)) {
+            return `关卡 ${level.id} 的迷宫宽度和高度必须在5到50之间`;
+        }
+        if (!(Number.isInteger(floors) && floors >= 1 && floors <= Game.MAX_FLOORS)) {
+            return `关卡 ${level.id} 的楼层数必须在1到${Game.MAX_FLOORS}之间`;
+        }
+        if (mask !== null && !MazeMask.presets[mask]) {
+            return `关卡 ${level.id} 的遮罩预设无效: ${mask}`;
+        }
+        if (!Maze.isValidAlgorithm(settings.algorithm, shape, Game.resolveMask(mask, shape, width, height) !== null)) {
+            return `关卡 ${level.id} 的生成算法无效: ${settings.algorithm}`;
+        }
+        if (!Maze.isValidPlacement(settings.placement, shape)) {
+            return `关卡 ${level.id} 的放置策略无效: ${settings.placement}`;
+        }
+        return null;
+    }
+    
+    /**
+     * 补全生成关卡的设置
+     * @param {Object} level - 带generate的关卡定义
+     * @returns {Object} { seed, shape, width, height, floors, algorithm, braid, mask, placement }
+     */
+    static getLevelSettings(level) {
+        const settings = { ...Game.LEVEL_DEFAULTS, ...level.generate };
+        settings.height = settings.height || settings.width;
+        return settings;
+    }
+    
+    /**
+     * 获取起点到终点的最短路线长度
+     * @returns {number} 步数（多层迷宫中上下楼梯各计一步）
+     */
+    getPathLength() {
+        return Math.max(0, this.maze.getPath().length - 1);
+    }
+    
+    /**
+     * 获取迷宫难度分析结果
+     * @returns {Object} 分析结果（见MazeAnalyzer.analyze）
+     */
+    getAnalysis() {
+        return { ...this.analysis };
     }
     
     /**
@@ -698,15 +1571,57 @@ class Game {
         return { ...this.player };
     }
     
+    /**
+     * 获取玩家所在楼层
+     * @returns {number} 楼层序号（0为底层）
+     */
+    getPlayerFloor() {
+        return this.player.floor;
+    }
+    
     /**
      * 获取视野系统
+     * @param {number} floor - 楼层（默认为玩家所在楼层）
      * @returns {ViewSystem} 视野系统实例
      */
-    getViewSystem() {
-        return this.viewSystem;
+    getViewSystem(floor = this.player.floor) {
+        return this.viewSystems[floor];
     }
 }
 
+// 最大楼层数
+Game.MAX_FLOORS = 5;
+
+// 视野距离（格子数）的默认值和上限
+Game.DEFAULT_VIEW_RANGE = 5;
+Game.MAX_VIEW_RANGE = 20;
+
+// 限时上限（秒）
+Game.MAX_TIME_LIMIT = 3600;
+
+// 步数上限的最大倍数（相对最短路线）
+Game.MAX_STEP_FACTOR = 10;
+
+// 超出各项限制时的失败原因（见checkLimits）
+Game.LIMIT_REASONS = {
+    time: 'timeout',
+    steps: 'steps',
+    reveal: 'reveal'
+};
+
+// 存档数据版本（见exportState）
+Game.SAVE_VERSION = 1;
+
+// 生成关卡未指定的设置（height默认与width相同）
+Game.LEVEL_DEFAULTS = {
+    shape: 'square',
+    floors: 1,
+    algorithm: Maze.DEFAULT_ALGORITHM,
+    braid: 0,
+    mask: null,
+    placement: Maze.DEFAULT_PLACEMENT
+};
+
 // 导出Game类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Game;
@@ -0,0 +1,245 @@
+/**
+ * 隐藏迷宫 - 分享链接模块
+ * 把迷宫种子、生成设置和游戏规则编码到链接的查询参数中，打开链接的人会得到同一个迷宫和同样的规则；
+ * 读取链接时逐项检查参数，无效或未知的参数会被报告出来（对应设置使用默认值），而不是悄悄忽略
+ *
+ * 参数（与默认值相同的项在生成链接时省略）：
+ *     seed=abc            随机种子（生成链接时为当前迷宫的实际种子，因此不再写入目标难度）
+ *     size=15 / 30x12     迷宫大小（也可用 width=30&height=12 分别指定）
+ *     shape=hex           拓扑形状（Maze.shapes）
+ *     mask=heart          形状遮罩预设（MazeMask.presets）
+ *     floors=2            楼层数
+ *     algo=prim           生成算法（可带变体，如 growing-tree:mixed）
+ *     placement=corners   起终点放置策略
+ *     difficulty=hard     目标难度（MazeAnalyzer.BANDS）
+ *     braid=0.5           路径分支率
+ *     mode=instant        视野模式
+ *     view=3              视野距离（格子数）
+ *     time=120            限时（秒）
+ *     steps=2             步数上限（最短路线步数的倍数）
+ *     reveal=50           揭示上限（单元格百分比）
+ */
+
+class GameUrl {
+    /**
+     * 生成当前迷宫的分享链接
+     * @param {Game} game - 游戏实例
+     * @param {string} base - 页面地址（默认为当前页面）
+     * @returns {string} 链接
+     * @throws {Error} 当前迷宫无法用参数重现（手工关卡、图片遮罩）
+     */
+    static encode(game, base = window.location.href) {
+        const url = new URL(base);
+        url.search = GameUrl.getParams(game).toString();
+        url.hash = '';
+        return url.toString();
+    }
+
+    /**
+     * 生成当前迷宫的查询参数
+     * @param {Game} game - 游戏实例
+     * @returns {URLSearchParams} 查询参数
+     * @throws {Error} 当前迷宫无法用参数重现（手工关卡、图片遮罩）
+     */
+    static getParams(game) {
+        const { config } = game;
+        const level = game.getLevel();
+        if (level && level.maze) {
+            throw new Error('手工关卡的迷宫无法用链接分享');
+        }
+
+        const settings = level ? Game.getLevelSettings(level) : {
+            shape: config.shape,
+            width: config.mazeWidth,
+            height: config.mazeHeight,
+            floors: config.floors,
+            algorithm: config.algorithm,
+            braid: config.braid,
+            mask: config.mask,
+            placement: config.placement
+        };
+        if (settings.mask && typeof settings.mask !== 'string') {
+            throw new Error('图片生成的形状遮罩无法用链接分享');
+        }
+
+        const params = new URLSearchParams();
+        params.set('seed', game.getMaze().getSeed());
+        params.set('size', settings.width === settings.height ? `${settings.width}` : `${settings.width}x${settings.height}`);
+        if (settings.shape !== 'square') params.set('shape', settings.shape);
+        if (settings.mask) params.set('mask', settings.mask);
+        if (settings.floors > 1) params.set('floors', settings.floors);
+        if (settings.algorithm !== Maze.DEFAULT_ALGORITHM) params.set('algo', settings.algorithm);
+        if (settings.placement !== Maze.DEFAULT_PLACEMENT) params.set('placement', settings.placement);
+        if (settings.braid) params.set('braid', settings.braid);
+        if (config.viewMode !== 'permanent') params.set('mode', config.viewMode);
+        if (config.viewRange !== Game.DEFAULT_VIEW_RANGE) params.set('view', config.viewRange);
+        if (config.timeLimit) params.set('time', config.timeLimit);
+        if (config.stepLimit) params.set('steps', config.stepLimit);
+        if (config.revealLimit) params.set('reveal', config.revealLimit);
+        return params;
+    }
+
+    /**
+     * 读取链接的查询参数
+     * @param {string} search - 查询字符串（如 window.location.search）
+     * @returns {Object} { options, errors }：options可直接传给Game，errors为无效参数的描述
+     */
+    static parse(search) {
+        const params = new URLSearchParams(search);
+        const options = {};
+        const errors = [];
+        const report = (name, message) => errors.push(`${name}=${params.get(name)}: ${message}`);
+
+        for (const name of new Set(params.keys())) {
+            if (!GameUrl.PARAMS.includes(name)) {
+                errors.push(`未知参数: ${name}`);
+            }
+        }
+
+        if (params.has('seed')) {
+            const seed = params.get('seed').trim();
+            if (seed) {
+                options.seed = seed;
+            } else {
+                report('seed', '种子不能为空');
+            }
+        }
+
+        // 迷宫大小
+        if (params.has('size')) {
+            const match = /^(\d+)(?:x(\d+))?$/.exec(params.get('size'));
+            if (match) {
+                options.mazeWidth = Number(match[1]);
+                options.mazeHeight = Number(match[2] || match[1]);
+            } else {
+                report('size', '格式应为 15 或 30x12');
+            }
+        }
+        for (const [name, key] of [['width', 'mazeWidth'], ['height', 'mazeHeight']]) {
+            if (params.has(name)) {
+                const value = GameUrl.parseInteger(params.get(name));
+                if (value === null) {
+                    report(name, '必须是整数');
+                } else {
+                    options[key] = value;
+                }
+            }
+        }
+        for (const key of ['mazeWidth', 'mazeHeight']) {
+            if (key in options && (options[key] < 5 || options[key] > 50)) {
+                errors.push(`迷宫${key === 'mazeWidth' ? '宽度' : '高度'} ${options[key]}: 必须在5到50之间`);
+                delete options[key];
+            }
+        }
+
+        // 形状和依赖形状的设置
+        if (params.has('shape')) {
+            if (Maze.shapes[params.get('shape')]) {
+                options.shape = params.get('shape');
+            } else {
+                report('shape', '未知的迷宫形状');
+            }
+        }
+        const shape = options.shape || 'square';
+
+        if (params.has('mask')) {
+            if (!MazeMask.presets[params.get('mask')]) {
+                report('mask', '未知的遮罩预设');
+            } else if (Maze.shapes[shape].maskable === false) {
+                report('mask', `${Maze.shapes[shape].label}迷宫不支持形状遮罩`);
+            } else {
+                options.mask = params.get('mask');
+            }
+        }
+
+        if (params.has('algo')) {
+            if (Maze.isValidAlgorithm(params.get('algo'), shape, Boolean(options.mask))) {
+                options.algorithm = params.get('algo');
+            } else {
+                report('algo', `${Maze.shapes[shape].label}迷宫不支持该生成算法`);
+            }
+        }
+
+        if (params.has('placement')) {
+            if (Maze.isValidPlacement(params.get('placement'), shape)) {
+                options.placement = params.get('placement');
+            } else {
+                report('placement', `${Maze.shapes[shape].label}迷宫不支持该放置策略`);
+            }
+        }
+
+        if (params.has('difficulty')) {
+            if (MazeAnalyzer.getBand(params.get('difficulty'))) {
+                options.difficulty = params.get('difficulty');
+            } else {
+                report('difficulty', '未知的难度等级');
+            }
+        }
+
+        // 数值设置
+        const ranges = [
+            ['floors', 'floors', 1, Game.MAX_FLOORS],
+            ['view', 'viewRange', 1, Game.MAX_VIEW_RANGE],
+            ['time', 'timeLimit', 0, Game.MAX_TIME_LIMIT],
+            ['reveal', 'revealLimit', 0, 100]
+        ];
+        for (const [name, key, min, max] of ranges) {
+            if (!params.has(name)) continue;
+
+            const value = GameUrl.parseInteger(params.get(name));
+            if (value === null || value < min || value > max) {
+                report(name, `必须是${min}到${max}之间的整数`);
+            } else {
+                options[key] = value;
+            }
+        }
+
+        if (params.has('braid')) {
+            const braid = params.get('braid').trim() === '' ? NaN : Number(params.get('braid'));
+            if (braid >= 0 && braid <= 1) {
+                options.braid = braid;
+            } else {
+                report('braid', '必须是0到1之间的数');
+            }
+        }
+
+        if (params.has('steps')) {
+            const factor = params.get('steps').trim() === '' ? NaN : Number(params.get('steps'));
+            if (factor === 0 || (factor >= 1 && factor <= Game.MAX_STEP_FACTOR)) {
+                options.stepLimit = factor;
+            } else {
+                report('steps', `必须是0或1到${Game.MAX_STEP_FACTOR}之间的数`);
+            }
+        }
+
+        if (params.has('mode')) {
+            if (params.get('mode') === 'permanent' || params.get('mode') === 'instant') {
+                options.viewMode = params.get('mode');
+            } else {
+                report('mode', '视野模式只能是 permanent 或 instant');
+            }
+        }
+
+        return { options, errors };
+    }
+
+    /**
+     * 严格解析非负整数（不接受小数、符号和多余字符）
+     * @param {string} text - 文本
+     * @returns {number|null} 整数，格式不对时为null
+     */
+    static parseInteger(text) {
+        return /^\d+$/.test(text) ? Number(text) : null;
+    }
+}
+
+// 支持的参数名
+GameUrl.PARAMS = [
+    'seed', 'size', 'width', 'height', 'shape', 'mask', 'floors', 'algo',
+    'placement', 'difficulty', 'braid', 'mode', 'view', 'time', 'steps', 'reveal'
+];
+
+// 导出GameUrl类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameUrl;
+}
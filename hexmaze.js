@@ -0,0 +1,358 @@
+/**
+ * 隐藏迷宫 - 六边形迷宫模块
+ * 尖顶六边形网格（奇数行右移的偏移坐标），每个单元格有六面墙
+ */
+
+class HexMaze extends Maze {
+    /**
+     * 创建六边形迷宫实例
+     * @param {number} width - 每行单元格数
+     * @param {number} height - 行数
+     * @param {Object} options - 可选配置（同Maze）
+     */
+    constructor(width = 15, height = 15, options = {}) {
+        super(width, height, options);
+        this.shape = 'hex';
+    }
+
+    /**
+     * 初始化迷宫数据结构
+     * walls.hex[y][x] 为六位掩码，第i位为1表示HexMaze.DIRECTIONS[i]方向有墙
+     */
+    init() {
+        this.cells = Array(this.height).fill().map(() =>
+            Array(this.width).fill(false)
+        );
+
+        this.walls = {
+            hex: Array(this.height).fill().map(() =>
+                Array(this.width).fill(HexMaze.ALL_WALLS)
+            )
+        };
+    }
+
+    /**
+     * 获取方向定义
+     * @param {string} direction - 方向名称
+     * @returns {Object} 方向定义
+     */
+    static getDirection(direction) {
+        return HexMaze.DIRECTIONS.find(dir => dir.direction === direction);
+    }
+
+    /**
+     * 获取相邻单元格（不考虑墙壁）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {Array} 邻居列表，每项包含坐标和方向
+     */
+    getNeighbors(x, y) {
+        const neighbors = [];
+        const parity = y & 1;
+
+        for (const dir of HexMaze.DIRECTIONS) {
+            const [dx, dy] = dir.offsets[parity];
+            const nx = x + dx;
+            const ny = y + dy;
+
+            if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height && this.isCellEnabled(nx, ny)) {
+                neighbors.push({ x: nx, y: ny, direction: dir.direction });
+            }
+        }
+
+        return neighbors;
+    }
+
+    /**
+     * 检查单元格是否位于迷宫外缘
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {boolean} 是否位于外缘
+     */
+    isBoundaryCell(x, y) {
+        return this.getNeighbors(x, y).length < HexMaze.DIRECTIONS.length;
+    }
+
+    /**
+     * 获取某个方向上的相邻单元格
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {string} direction - 方向
+     * @returns {Object|null} 相邻单元格，超出范围时返回null
+     */
+    getNeighbor(x, y, direction) {
+        return this.getNeighbors(x, y).find(neighbor => neighbor.direction === direction) || null;
+    }
+
+    /**
+     * 移除两个单元格之间的墙壁
+     * @param {number} x - 当前单元格x坐标
+     * @param {number} y - 当前单元格y坐标
+     * @param {string} direction - 方向
+     */
+    removeWall(x, y, direction) {
+        this.setWall(x, y, direction, false);
+    }
+
+    /**
+     * 在两个相邻单元格之间添加墙壁
+     * @param {number} x - 当前单元格x坐标
+     * @param {number} y - 当前单元格y坐标
+     * @param {string} direction - 方向
+     */
+    addWall(x, y, direction) {
+        this.setWall(x, y, direction, true);
+    }
+
+    /**
+     * 设置墙壁状态（同时更新相邻单元格的对应墙壁）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {string} direction - 方向
+     * @param {boolean} present - 是否有墙
+     */
+    setWall(x, y, direction, present) {
+        const neighbor = this.getNeighbor(x, y, direction);
+        if (!neighbor) return; // 边界墙壁始终存在
+
+        const dir = HexMaze.getDirection(direction);
+        const opposite = HexMaze.getDirection(dir.opposite);
+
+        if (present) {
+            this.walls.hex[y][x] |= dir.bit;
+            this.walls.hex[neighbor.y][neighbor.x] |= opposite.bit;
+        } else {
+            this.walls.hex[y][x] &= ~dir.bit;
+            this.walls.hex[neighbor.y][neighbor.x] &= ~opposite.bit;
+        }
+    }
+
+    /**
+     * 检查单元格在某个方向上是否已打通
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {string} direction - 方向
+     * @returns {boolean} 是否没有墙壁
+     */
+    isLinked(x, y, direction) {
+        const dir = HexMaze.getDirection(direction);
+        if (!dir || x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return false;
+        }
+        return (this.walls.hex[y][x] & dir.bit) === 0;
+    }
+
+    /**
+     * 检查是否可以移动到偏移坐标中的相邻单元格（兼容基于dx/dy的调用方）
+     * @param {number} x - 当前x坐标
+     * @param {number} y - 当前y坐标
+     * @param {number} dx - x方向移动量
+     * @param {number} dy - y方向移动量
+     * @returns {boolean} 是否可以移动
+     */
+    canMove(x, y, dx, dy) {
+        const neighbor = this.getNeighbors(x, y)
+            .find(n => n.x === x + dx && n.y === y + dy);
+        return neighbor ? this.isLinked(x, y, neighbor.direction) : false;
+    }
+
+    /**
+     * 获取墙壁状态（六边形网格没有水平/垂直墙壁，统一视为有墙）
+     * @returns {boolean} 是否有墙
+     */
+    getWall() {
+        return true;
+    }
+
+    /**
+     * 创建从起点到终点的路径（每步走向距离终点最近的邻居）
+     */
+    createPathToEnd() {
+        const target = this.getCellCenter(this.end.x, this.end.y, 1);
+        let current = { x: this.start.x, y: this.start.y };
+
+        while (current.x !== this.end.x || current.y !== this.end.y) {
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (const neighbor of this.getNeighbors(current.x, current.y)) {
+                const center = this.getCellCenter(neighbor.x, neighbor.y, 1);
+                const distance = Math.hypot(center.x - target.x, center.y - target.y);
+                if (distance < bestDistance) {
+                    best = neighbor;
+                    bestDistance = distance;
+                }
+            }
+
+            this.removeWall(current.x, current.y, best.direction);
+            current = { x: best.x, y: best.y };
+            this.cells[current.y][current.x] = true;
+        }
+    }
+
+    /**
+     * 获取六边形外接圆半径
+     * @param {number} cellSize - 单元格大小（六边形宽度，像素）
+     * @returns {number} 半径（像素）
+     */
+    getHexRadius(cellSize) {
+        return cellSize / Math.sqrt(3);
+    }
+
+    /**
+     * 获取迷宫的像素尺寸
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 宽度和高度（像素）
+     */
+    getPixelSize(cellSize) {
+        const radius = this.getHexRadius(cellSize);
+        return {
+            width: cellSize * (this.width + (this.height > 1 ? 0.5 : 0)),
+            height: radius * 2 + (this.height - 1) * radius * 1.5
+        };
+    }
+
+    /**
+     * 获取单元格中心的像素坐标
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 像素坐标
+     */
+    getCellCenter(x, y, cellSize) {
+        const radius = this.getHexRadius(cellSize);
+        return {
+            x: cellSize * (x + 0.5 + (y & 1) * 0.5),
+            y: radius + y * radius * 1.5
+        };
+    }
+
+    /**
+     * 获取像素坐标所在的单元格（六边形网格中距离最近的中心即所在单元格）
+     * @param {number} px - x坐标（像素）
+     * @param {number} py - y坐标（像素）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object|null} 单元格坐标，超出迷宫范围时返回null
+     */
+    getCellAtPoint(px, py, cellSize) {
+        const radius = this.getHexRadius(cellSize);
+        const approxRow = Math.round((py - radius) / (radius * 1.5));
+
+        let best = null;
+        let bestDistance = Infinity;
+
+        // 候选单元格也包括迷宫外的位置，保证边界附近判断正确
+        for (let y = approxRow - 1; y <= approxRow + 1; y++) {
+            const approxCol = Math.round(px / cellSize - 0.5 - (y & 1) * 0.5);
+            for (let x = approxCol - 1; x <= approxCol + 1; x++) {
+                const center = this.getCellCenter(x, y, cellSize);
+                const distance = Math.hypot(px - center.x, py - center.y);
+                if (distance < bestDistance) {
+                    best = { x, y };
+                    bestDistance = distance;
+                }
+            }
+        }
+
+        if (best.x >= 0 && best.x < this.width && best.y >= 0 && best.y < this.height) {
+            return best;
+        }
+        return null;
+    }
+
+    /**
+     * 获取单元格轮廓多边形（像素坐标）
+     * 顶点i位于 60i-30 度方向，DIRECTIONS[i]对应顶点i到i+1之间的边
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Array} 顶点数组
+     */
+    getCellPolygon(x, y, cellSize) {
+        const center = this.getCellCenter(x, y, cellSize);
+        const radius = this.getHexRadius(cellSize);
+        const corners = [];
+
+        for (let i = 0; i < 6; i++) {
+            const angle = (60 * i - 30) * Math.PI / 180;
+            corners.push({
+                x: center.x + radius * Math.cos(angle),
+                y: center.y + radius * Math.sin(angle)
+            });
+        }
+
+        return corners;
+    }
+
+    /**
+     * 获取单元格六周存在的墙壁线段（像素坐标）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Array} 线段数组 { x1, y1, x2, y2, direction }
+     */
+    getCellWallSegments(x, y, cellSize) {
+        const corners = this.getCellPolygon(x, y, cellSize);
+        const segments = [];
+
+        HexMaze.DIRECTIONS.forEach((dir, i) => {
+            if (!this.isLinked(x, y, dir.direction)) {
+                const from = corners[i];
+                const to = corners[(i + 1) % 6];
+                segments.push({ x1: from.x, y1: from.y, x2: to.x, y2: to.y, direction: dir.direction });
+            }
+        });
+
+        return segments;
+    }
+
+    /**
+     * 获取迷宫中所有墙壁线段（每条墙只出现一次）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Array} 线段数组 { x1, y1, x2, y2, cells }
+     */
+    getWallSegments(cellSize) {
+        const segments = [];
+
+        for (const cell of this.getAllCells()) {
+            for (const segment of this.getCellWallSegments(cell.x, cell.y, cellSize)) {
+                const neighbor = this.getNeighbor(cell.x, cell.y, segment.direction);
+
+                // 内部墙壁只由东、东南、西南三个方向输出一次（邻居被遮罩排除时由本单元格输出）
+                if (neighbor && !HexMaze.getDirection(segment.direction).primary) {
+                    continue;
+                }
+
+                segments.push({
+                    ...segment,
+                    cells: neighbor ? [cell, { x: neighbor.x, y: neighbor.y }] : [cell]
+                });
+            }
+        }
+
+        return segments;
+    }
+}
+
+// 六个方向（顺时针，从东开始），offsets[行奇偶] = [dx, dy]
+HexMaze.DIRECTIONS = [
+    { direction: 'e', bit: 1, opposite: 'w', primary: true, offsets: [[1, 0], [1, 0]] },
+    { direction: 'se', bit: 2, opposite: 'nw', primary: true, offsets: [[0, 1], [1, 1]] },
+    { direction: 'sw', bit: 4, opposite: 'ne', primary: true, offsets: [[-1, 1], [0, 1]] },
+    { direction: 'w', bit: 8, opposite: 'e', primary: false, offsets: [[-1, 0], [-1, 0]] },
+    { direction: 'nw', bit: 16, opposite: 'se', primary: false, offsets: [[-1, -1], [0, -1]] },
+    { direction: 'ne', bit: 32, opposite: 'sw', primary: false, offsets: [[0, -1], [1, -1]] }
+];
+
+// 六面墙全部存在
+HexMaze.ALL_WALLS = 63;
+
+Maze.registerShape('hex', {
+    label: '六边形',
+    create: (width, height, options) => new HexMaze(width, height, options)
+});
+
+// 导出HexMaze类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HexMaze;
+}
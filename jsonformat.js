@@ -0,0 +1,509 @@
+/**
+ * 隐藏迷宫 - JSON迷宫格式模块
+ * 带版本号的独立迷宫文件格式，支持所有拓扑形状和多层迷宫，读取时先按版本迁移再做结构校验
+ *
+ * 格式（版本1）：
+ *     {
+ *         "format": "hidden-maze",           // 固定标识
+ *         "version": 1,                      // 格式版本
+ *         "shape": "square",                 // 拓扑形状（Maze.shapes中的名称）
+ *         "width": 15, "height": 15,         // 每层尺寸（圆形迷宫的height为环数）
+ *         "seed": "abc", "algorithm": "backtracker", "braid": 0, "placement": "random", // 生成参数
+ *         "start": { "x": 0, "y": 0, "z": 0 }, "end": { "x": 14, "y": 14, "z": 0 },
+ *         "mask": "base64" | null,           // 形状遮罩位图（按行展开，1为启用）
+ *         "floors": [{                       // 每层一项，单层迷宫只有一项
+ *             "walls": { "horizontal": "base64", "vertical": "base64" }, // 墙壁位图（各形状的分层见WALL_LAYERS）
+ *             "crossings": [[x, y, "horizontal"]]  // 立交单元格及其上层通道方向
+ *         }],
+ *         "stairs": [[x, y, z]],             // 连接 z 层与 z+1 层的楼梯
+ *         "meta": { "title": "", "author": "", "description": "", "created": "ISO时间" }
+ *     }
+ */
+
+class MazeJsonFormat {
+    /**
+     * 将迷宫转换为JSON对象
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @param {Object} meta - 元数据（title、author、description、created，均为可选字符串）
+     * @returns {Object} 可直接JSON.stringify的对象
+     */
+    static serialize(maze, meta = {}) {
+        const floors = Array.from({ length: maze.getFloorCount() }, (_, z) => maze.getFloor(z));
+        const layers = MazeJsonFormat.getWallLayers(maze.shape);
+        const first = floors[0];
+        const point = ({ x, y, z = 0 }) => ({ x, y, z });
+
+        return {
+            format: MazeJsonFormat.FORMAT,
+            version: MazeJsonFormat.VERSION,
+            shape: maze.shape,
+            width: maze.width,
+            height: maze.height,
+            seed: maze.getSeed(),
+            algorithm: maze.algorithm,
+            braid: maze.braidFactor,
+            placement: maze.placement,
+            start: point(maze.getStart()),
+            end: point(maze.getEnd()),
+            mask: first.mask
+                ? MazeJsonFormat.encodeBits(first.mask.enabled.flat().map(Number), 1)
+                : null,
+            floors: floors.map(floor => ({
+                walls: Object.fromEntries(Object.entries(layers).map(([name, bits]) =>
+                    [name, MazeJsonFormat.encodeBits(floor.walls[name].flat().map(Number), bits)]
+                )),
+                crossings: [...floor.crossings].map(([key, axis]) => [...key.split(',').map(Number), axis])
+            })),
+            stairs: (maze.stairs || []).map(stair => [stair.x, stair.y, stair.z]),
+            meta: { ...meta }
+        };
+    }
+
+    /**
+     * 从JSON对象或字符串创建迷宫
+     * @param {Object|string} json - JSON对象或字符串
+     * @returns {Maze|MultiFloorMaze} 迷宫实例（多于一层时为多层迷宫）
+     * @throws {MazeFormatError} JSON无法解析、版本不支持或内容不符合格式
+     */
+    static parse(json) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new MazeFormatError(`JSON解析失败: ${error.message}`);
+            }
+        }
+
+        data = MazeJsonFormat.migrate(data);
+
+        const errors = MazeJsonFormat.validateSchema(data, MazeJsonFormat.SCHEMA, '');
+        if (errors.length > 0) {
+            const error = new MazeFormatError(`迷宫数据不符合格式：\n${errors.join('\n')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        return MazeJsonFormat.build(data);
+    }
+
+    /**
+     * 将数据逐版本迁移到当前版本
+     * @param {Object} data - 任意版本的数据
+     * @returns {Object} 当前版本的数据
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new MazeFormatError('迷宫数据必须是JSON对象');
+        }
+
+        // 没有版本号的数据视为版本0（旧版存档中的迷宫）
+        let version = data.version === undefined ? 0 : data.version;
+        if (!Number.isInteger(version) || version < 0) {
+            throw new MazeFormatError(`无效的格式版本: ${JSON.stringify(data.version)}`);
+        }
+        if (version > MazeJsonFormat.VERSION) {
+            throw new MazeFormatError(`格式版本 ${version} 高于当前支持的版本 ${MazeJsonFormat.VERSION}，请升级游戏`);
+        }
+
+        while (version < MazeJsonFormat.VERSION) {
+            const migration = MazeJsonFormat.migrations[version];
+            if (!migration) {
+                throw new MazeFormatError(`缺少从版本 ${version} 升级的迁移`);
+            }
+            data = migration(data);
+            version = data.version;
+        }
+
+        return data;
+    }
+
+    /**
+     * 注册版本迁移
+     * @param {number} fromVersion - 源版本
+     * @param {Function} migrate - 迁移函数 (data) => data，返回的数据必须带有新的version
+     */
+    static registerMigration(fromVersion, migrate) {
+        MazeJsonFormat.migrations[fromVersion] = migrate;
+    }
+
+    /**
+     * 按结构定义校验数据
+     * @param {*} value - 待校验的值
+     * @param {Object} schema - 结构定义 { type, properties, required, items, enum, min, max, nullable }
+     * @param {string} path - 当前字段路径（用于错误信息）
+     * @returns {Array} 错误信息列表（为空表示通过）
+     */
+    static validateSchema(value, schema, path) {
+        const name = path || '根对象';
+        if (value === null || value === undefined) {
+            return schema.nullable && value === null ? [] : [`${name}: 不能为空`];
+        }
+
+        const actual = Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+        const matches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+        if (!matches) {
+            return [`${name}: 应为${MazeJsonFormat.TYPE_LABELS[schema.type]}，实际为${MazeJsonFormat.TYPE_LABELS[actual] || actual}`];
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [`${name}: 必须是 ${schema.enum.map(item => JSON.stringify(item)).join('、')} 之一`];
+        }
+        if (schema.min !== undefined && value < schema.min) {
+            return [`${name}: 不能小于${schema.min}`];
+        }
+        if (schema.max !== undefined && value > schema.max) {
+            return [`${name}: 不能大于${schema.max}`];
+        }
+
+        const errors = [];
+        if (schema.type === 'object') {
+            for (const key of schema.required || []) {
+                if (!(key in value)) {
+                    errors.push(`${path ? `${path}.` : ''}${key}: 缺少必填字段`);
+                }
+            }
+            for (const [key, child] of Object.entries(value)) {
+                const childSchema = schema.properties ? schema.properties[key] : schema.values;
+                if (childSchema) {
+                    errors.push(...MazeJsonFormat.validateSchema(child, childSchema, path ? `${path}.${key}` : key));
+                }
+            }
+        } else if (schema.type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${name}: 至少需要${schema.minItems}项`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${name}: 最多只能有${schema.maxItems}项`);
+            }
+            value.forEach((item, i) => {
+                const itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+                if (itemSchema) {
+                    errors.push(...MazeJsonFormat.validateSchema(item, itemSchema, `${name}[${i}]`));
+                }
+            });
+        }
+        return errors;
+    }
+
+    /**
+     * 由已通过结构校验的数据创建迷宫，并检查数据与迷宫结构是否一致
+     * @param {Object} data - 当前版本的数据
+     * @returns {Maze|MultiFloorMaze} 迷宫实例
+     */
+    static build(data) {
+        const definition = Maze.shapes[data.shape];
+        if (!definition) {
+            throw new MazeFormatError(`shape: 未知的迷宫形状 "${data.shape}"`);
+        }
+        if (data.mask && definition.maskable === false) {
+            throw new MazeFormatError(`mask: ${definition.label}迷宫不支持形状遮罩`);
+        }
+
+        const layers = MazeJsonFormat.getWallLayers(data.shape);
+        const options = { seed: data.seed, algorithm: data.algorithm, braid: data.braid, placement: data.placement };
+        const mask = data.mask ? MazeJsonFormat.decodeMask(data) : null;
+        const stairs = data.stairs || [];
+
+        const floors = data.floors.map((floorData, z) => {
+            const floor = Maze.create(data.shape, data.width, data.height, options);
+            floor.mask = mask;
+            MazeJsonFormat.applyWalls(floor, floorData.walls, layers, `floors[${z}].walls`);
+            MazeJsonFormat.applyCrossings(floor, floorData.crossings || [], `floors[${z}].crossings`);
+            floor.cells = floor.cells.map(row => row.map(() => true));
+            return floor;
+        });
+
+        let maze;
+        if (floors.length === 1) {
+            maze = floors[0];
+            if (stairs.length > 0) {
+                throw new MazeFormatError('stairs: 单层迷宫不能有楼梯');
+            }
+        } else {
+            maze = new MultiFloorMaze(data.width, data.height, { ...options, shape: data.shape, floors: floors.length });
+            maze.floors = floors;
+            maze.stairs = stairs.map(([x, y, z], i) => {
+                if (z >= floors.length - 1 || !MazeJsonFormat.hasCell(floors[z], x, y) || !MazeJsonFormat.hasCell(floors[z + 1], x, y)) {
+                    throw new MazeFormatError(`stairs[${i}]: 楼梯 (${x}, ${y}, ${z}) 不连接两个存在的单元格`);
+                }
+                return { x, y, z };
+            });
+        }
+
+        for (const name of ['start', 'end']) {
+            const { x, y, z = 0 } = data[name];
+            if (z >= floors.length || !MazeJsonFormat.hasCell(floors[z], x, y)) {
+                throw new MazeFormatError(`${name}: 单元格 (${x}, ${y}, ${z}) 不在迷宫内`);
+            }
+            const point = floors.length > 1 ? { x, y, z } : { x, y };
+            maze[name] = point;
+            floors[z][name] = { x, y };
+        }
+
+        const { start, end } = data;
+        if (start.x === end.x && start.y === end.y && (start.z || 0) === (end.z || 0)) {
+            throw new MazeFormatError('end: 终点不能与起点重合');
+        }
+
+        maze.calculatePath();
+        if (maze.getPath().length === 0) {
+            throw new MazeFormatError('从起点无法到达终点');
+        }
+
+        return maze;
+    }
+
+    /**
+     * 检查迷宫中是否存在单元格（考虑形状和遮罩）
+     * @param {Maze} maze - 迷宫实例
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {boolean} 是否存在
+     */
+    static hasCell(maze, x, y) {
+        return maze.getAllCells().some(cell => cell.x === x && cell.y === y);
+    }
+
+    /**
+     * 解码形状遮罩，遮罩中启用的单元格必须互相连通
+     * @param {Object} data - 迷宫数据
+     * @returns {MazeMask} 遮罩实例
+     */
+    static decodeMask(data) {
+        const bits = MazeJsonFormat.decodeBits(data.mask, data.width * data.height, 1, 'mask');
+        const enabled = Array.from({ length: data.height }, (_, y) =>
+            bits.slice(y * data.width, (y + 1) * data.width).map(Boolean)
+        );
+        const mask = new MazeMask(data.width, data.height, enabled);
+
+        const probe = Maze.create(data.shape, data.width, data.height);
+        probe.mask = mask;
+        if (mask.getEnabledCount() < 2 || probe.findLargestRegion().size !== mask.getEnabledCount()) {
+            throw new MazeFormatError('mask: 启用的单元格至少需要两个且必须互相连通');
+        }
+        return mask;
+    }
+
+    /**
+     * 将墙壁位图写入楼层迷宫
+     * @param {Maze} floor - 楼层迷宫（已按尺寸初始化）
+     * @param {Object} walls - 各层墙壁位图
+     * @param {Object} layers - 墙壁分层 { 名称: 每个墙壁占用的位数 }
+     * @param {string} path - 字段路径（用于错误信息）
+     */
+    static applyWalls(floor, walls, layers, path) {
+        for (const [name, bits] of Object.entries(layers)) {
+            if (typeof walls[name] !== 'string') {
+                throw new MazeFormatError(`${path}.${name}: 缺少墙壁位图`);
+            }
+
+            const grid = floor.walls[name];
+            const values = MazeJsonFormat.decodeBits(walls[name], grid.flat().length, bits, `${path}.${name}`);
+            let i = 0;
+            floor.walls[name] = grid.map(row => row.map(initial =>
+                typeof initial === 'boolean' ? values[i++] === 1 : values[i++]
+            ));
+        }
+    }
+
+    /**
+     * 写入立交单元格（仅正方形迷宫）
+     * @param {Maze} floor - 楼层迷宫
+     * @param {Array} crossings - [[x, y, axis]]
+     * @param {string} path - 字段路径（用于错误信息）
+     */
+    static applyCrossings(floor, crossings, path) {
+        if (crossings.length > 0 && floor.shape !== 'square') {
+            throw new MazeFormatError(`${path}: 只有正方形迷宫可以有立交单元格`);
+        }
+
+        crossings.forEach(([x, y, axis], i) => {
+            if (!MazeJsonFormat.hasCell(floor, x, y)) {
+                throw new MazeFormatError(`${path}[${i}]: 单元格 (${x}, ${y}) 不在迷宫内`);
+            }
+            floor.crossings.set(floor.getCellKey(x, y), axis);
+        });
+    }
+
+    /**
+     * 获取形状的墙壁分层
+     * @param {string} shape - 形状名称
+     * @returns {Object} { 名称: 每个墙壁占用的位数 }
+     */
+    static getWallLayers(shape) {
+        const layers = MazeJsonFormat.WALL_LAYERS[shape];
+        if (!layers) {
+            throw new MazeFormatError(`shape: 形状 "${shape}" 没有定义JSON墙壁格式`);
+        }
+        return layers;
+    }
+
+    /**
+     * 将整数数组按固定位数打包为Base64字符串（高位在前）
+     * @param {Array} values - 整数数组
+     * @param {number} bits - 每个值占用的位数
+     * @returns {string} Base64字符串
+     */
+    static encodeBits(values, bits) {
+        const bytes = new Uint8Array(Math.ceil(values.length * bits / 8));
+        values.forEach((value, i) => {
+            for (let b = 0; b < bits; b++) {
+                if (value & (1 << (bits - 1 - b))) {
+                    const position = i * bits + b;
+                    bytes[position >> 3] |= 0x80 >> (position & 7);
+                }
+            }
+        });
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    /**
+     * 解包Base64位图
+     * @param {string} text - Base64字符串
+     * @param {number} count - 值的个数
+     * @param {number} bits - 每个值占用的位数
+     * @param {string} path - 字段路径（用于错误信息）
+     * @returns {Array} 整数数组
+     */
+    static decodeBits(text, count, bits, path) {
+        let binary;
+        try {
+            binary = atob(text);
+        } catch (error) {
+            throw new MazeFormatError(`${path}: 不是有效的Base64字符串`);
+        }
+
+        const expected = Math.ceil(count * bits / 8);
+        if (binary.length !== expected) {
+            throw new MazeFormatError(`${path}: 位图长度应为${expected}字节，实际为${binary.length}字节`);
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            let value = 0;
+            for (let b = 0; b < bits; b++) {
+                const position = i * bits + b;
+                value = (value << 1) | ((binary.charCodeAt(position >> 3) >> (7 - (position & 7))) & 1);
+            }
+            values.push(value);
+        }
+        return values;
+    }
+}
+
+// 格式标识与当前版本
+MazeJsonFormat.FORMAT = 'hidden-maze';
+MazeJsonFormat.VERSION = 1;
+
+// 尺寸和楼层数上限
+MazeJsonFormat.MAX_SIZE = 100;
+MazeJsonFormat.MAX_FLOORS = 10;
+
+// 各形状的墙壁分层：walls中的数组名称 -> 每个墙壁占用的位数
+MazeJsonFormat.WALL_LAYERS = {
+    square: { horizontal: 1, vertical: 1 },
+    hex: { hex: 6 },
+    theta: { inward: 1, cw: 1 }
+};
+
+// 错误信息中的类型名称
+MazeJsonFormat.TYPE_LABELS = {
+    object: '对象',
+    array: '数组',
+    string: '字符串',
+    number: '数字',
+    integer: '整数',
+    boolean: '布尔值'
+};
+
+// 当前版本的结构定义
+MazeJsonFormat.SCHEMA = (() => {
+    const coordinate = { type: 'integer', min: 0, max: MazeJsonFormat.MAX_SIZE - 1 };
+    const floorIndex = { type: 'integer', min: 0, max: MazeJsonFormat.MAX_FLOORS - 1 };
+    const point = {
+        type: 'object',
+        required: ['x', 'y'],
+        properties: { x: coordinate, y: coordinate, z: floorIndex }
+    };
+    const text = { type: 'string' };
+
+    return {
+        type: 'object',
+        required: ['format', 'version', 'shape', 'width', 'height', 'start', 'end', 'floors'],
+        properties: {
+            format: { type: 'string', enum: [MazeJsonFormat.FORMAT] },
+            version: { type: 'integer', enum: [MazeJsonFormat.VERSION] },
+            shape: { type: 'string' },
+            width: { type: 'integer', min: 1, max: MazeJsonFormat.MAX_SIZE },
+            height: { type: 'integer', min: 1, max: MazeJsonFormat.MAX_SIZE },
+            seed: text,
+            algorithm: text,
+            braid: { type: 'number', min: 0, max: 1 },
+            placement: text,
+            start: point,
+            end: point,
+            mask: { type: 'string', nullable: true },
+            floors: {
+                type: 'array',
+                minItems: 1,
+                maxItems: MazeJsonFormat.MAX_FLOORS,
+                items: {
+                    type: 'object',
+                    required: ['walls'],
+                    properties: {
+                        walls: { type: 'object', values: text },
+                        crossings: {
+                            type: 'array',
+                            items: {
+                                type: 'array',
+                                minItems: 3,
+                                maxItems: 3,
+                                items: [coordinate, coordinate, { type: 'string', enum: ['horizontal', 'vertical'] }]
+                            }
+                        }
+                    }
+                }
+            },
+            stairs: {
+                type: 'array',
+                items: { type: 'array', minItems: 3, maxItems: 3, items: [coordinate, coordinate, floorIndex] }
+            },
+            meta: { type: 'object', values: text }
+        }
+    };
+})();
+
+// 版本迁移：源版本 -> 迁移函数
+MazeJsonFormat.migrations = {};
+
+// 版本0：旧版存档中的迷宫 { width, height, seed, start, end, walls: { horizontal, vertical } }（只有正方形单层迷宫）
+MazeJsonFormat.registerMigration(0, data => {
+    const walls = data.walls || {};
+    const encode = grid => Array.isArray(grid) && grid.every(Array.isArray)
+        ? MazeJsonFormat.encodeBits(grid.flat().map(Number), 1)
+        : grid;
+
+    const migrated = {
+        format: MazeJsonFormat.FORMAT,
+        version: 1,
+        shape: 'square',
+        width: data.width,
+        height: data.height,
+        start: data.start,
+        end: data.end,
+        mask: null,
+        floors: [{ walls: { horizontal: encode(walls.horizontal), vertical: encode(walls.vertical) }, crossings: [] }],
+        stairs: [],
+        meta: {}
+    };
+    if (data.seed !== undefined && data.seed !== null) {
+        migrated.seed = String(data.seed);
+    }
+    return migrated;
+});
+
+// 导出MazeJsonFormat类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeJsonFormat;
+}
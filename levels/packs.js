@@ -0,0 +1,107 @@
+/**
+ * 隐藏迷宫 - 内置关卡包
+ * 生成关卡使用固定种子，每次进入都是同一个迷宫；手工关卡保存在levels目录下的JSON文件中（可用关卡编辑器制作）
+ * 星级标准按最短路线长度估算：用时为10秒加每步0.8秒，探索率为沿最短路线走过时视野所及的比例（不超过90%）
+ */
+
+Campaign.registerPack({
+    id: 'basics',
+    title: '初入迷宫',
+    description: '从小迷宫开始，熟悉隐藏视野下的探索',
+    levels: [
+        {
+            id: 'basics-1',
+            title: '第一步',
+            generate: { width: 6, seed: 'basics-1', placement: 'corners' },
+            par: { time: 20, exploreRate: 90 }
+        },
+        {
+            id: 'basics-2',
+            title: '小试牛刀',
+            generate: { width: 8, seed: 'basics-2', placement: 'min-distance:medium' },
+            par: { time: 35, exploreRate: 90 }
+        },
+        {
+            id: 'basics-3',
+            title: '岔路口',
+            generate: { width: 10, seed: 'basics-3', braid: 0.3 },
+            par: { time: 30, exploreRate: 75 }
+        },
+        {
+            id: 'basics-4',
+            title: '长廊',
+            generate: { width: 20, height: 8, seed: 'basics-4', algorithm: 'eller', placement: 'corners' },
+            par: { time: 50, exploreRate: 90 }
+        },
+        {
+            id: 'basics-5',
+            title: '迷途',
+            generate: { width: 15, seed: 'basics-5', placement: 'farthest' },
+            par: { time: 110, exploreRate: 90 }
+        }
+    ]
+});
+
+Campaign.registerPack({
+    id: 'handmade',
+    title: '匠心之作',
+    description: '手工设计的迷宫，每一关都有自己的诀窍',
+    levels: [
+        {
+            id: 'handmade-1',
+            title: '螺旋回廊',
+            file: 'levels/spiral.json',
+            par: { time: 35, exploreRate: 90 }
+        },
+        {
+            id: 'handmade-2',
+            title: '梳齿',
+            file: 'levels/comb.json',
+            par: { time: 25, exploreRate: 60 }
+        },
+        {
+            id: 'handmade-3',
+            title: '蛇形走廊',
+            file: 'levels/serpentine.json',
+            par: { time: 40, exploreRate: 90 }
+        }
+    ]
+});
+
+Campaign.registerPack({
+    id: 'shapes',
+    title: '千姿百态',
+    description: '六边形、圆形、立交和多层迷宫',
+    levels: [
+        {
+            id: 'shapes-1',
+            title: '蜂巢',
+            generate: { width: 10, seed: 'shapes-1', shape: 'hex' },
+            par: { time: 50, exploreRate: 90 }
+        },
+        {
+            id: 'shapes-2',
+            title: '年轮',
+            generate: { width: 8, seed: 'shapes-2', shape: 'theta', placement: 'farthest' },
+            par: { time: 95, exploreRate: 90 }
+        },
+        {
+            id: 'shapes-3',
+            title: '心形',
+            generate: { width: 15, seed: 'shapes-3', mask: 'heart' },
+            par: { time: 70, exploreRate: 90 }
+        },
+        {
+            id: 'shapes-4',
+            title: '立交桥',
+            generate: { width: 12, seed: 'shapes-4', algorithm: 'weave:dense' },
+            par: { time: 30, exploreRate: 45 }
+        },
+        {
+            id: 'shapes-5',
+            title: '双层楼',
+            generate: { width: 10, seed: 'shapes-5', floors: 2 },
+            par: { time: 70, exploreRate: 90 }
+        }
+    ]
+});
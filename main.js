@@ -13,15 +13,12 @@ let uiController = null;
 function initGame() {
     console.log('初始化隐藏迷宫游戏...');
     
-    // 获取URL参数
-    const urlParams = new URLSearchParams(window.location.search);
-    const mazeSize = parseInt(urlParams.get('size')) || 15;
-    const viewMode = urlParams.get('mode') || 'permanent';
+    // 读取链接参数（见GameUrl），无效的参数使用默认值并在页面加载后提示
+    const { options, errors } = GameUrl.parse(window.location.search);
     
     // 创建游戏实例
     game = new Game({
-        mazeSize: mazeSize,
-        viewMode: viewMode,
+        ...options,
         cellSize: 40
     });
     
@@ -35,12 +32,20 @@ function initGame() {
     // 设置游戏到UI控制器
     uiController.setGame(game);
     
+    // 加载存档后设置面板显示存档中的配置
+    game.addEventListener('onGameLoad', syncSettingControls);
+    
     // 初始化UI状态
     initUIState();
     
     // 显示开始屏幕
     uiController.showStartScreen();
     
+    if (errors.length > 0) {
+        console.warn('链接参数无效:', errors);
+        showNotification(`链接中有无效的参数，已使用默认设置：<br>${errors.map(SvgContext.escape).join('<br>')}`, 'warning', 8000);
+    }
+    
     // 添加CSS样式
     addCustomStyles();
     
@@ -54,25 +59,8 @@ function initGame() {
  * 初始化UI状态
  */
 function initUIState() {
-    // 设置迷宫大小选择
-    const mazeSizeSelect = document.getElementById('mazeSize');
-    if (mazeSizeSelect && game) {
-        mazeSizeSelect.value = game.config.mazeSize;
-    }
-    
-    // 设置视野模式按钮
-    const modePermanent = document.getElementById('modePermanent');
-    const modeInstant = document.getElementById('modeInstant');
-    
-    if (game) {
-        if (game.config.viewMode === 'permanent') {
-            if (modePermanent) modePermanent.classList.add('active');
-            if (modeInstant) modeInstant.classList.remove('active');
-        } else {
-            if (modePermanent) modePermanent.classList.remove('active');
-            if (modeInstant) modeInstant.classList.add('active');
-        }
-    }
+    // 让设置面板显示当前配置
+    syncSettingControls();
     
     // 设置开始按钮事件
     const startBtn = document.getElementById('startBtn');
@@ -103,9 +91,10 @@ function initUIState() {
         });
     }
     
-    // 设置模式选择按钮
+    // 设置模式选择按钮（初始选中链接指定的视野模式）
     const modeSelectionButtons = document.querySelectorAll('.mode-btn');
     modeSelectionButtons.forEach(btn => {
+        btn.classList.toggle('active', game && btn.dataset.mode === game.config.viewMode);
         btn.addEventListener('click', () => {
             // 移除所有按钮的active类
             modeSelectionButtons.forEach(b => b.classList.remove('active'));
@@ -115,6 +104,102 @@ function initUIState() {
     });
 }
 
+/**
+ * 让设置面板的下拉框和按钮显示当前游戏配置（初始化和加载存档后调用）
+ */
+function syncSettingControls() {
+    // 设置迷宫大小选择
+    const mazeSizeSelect = document.getElementById('mazeSize');
+    if (mazeSizeSelect && game) {
+        const { mazeWidth, mazeHeight } = game.config;
+        const sizeValue = mazeWidth === mazeHeight ? `${mazeWidth}` : `${mazeWidth}x${mazeHeight}`;
+        setSelectValue(mazeSizeSelect, sizeValue, `${mazeWidth}×${mazeHeight}`);
+    }
+    
+    // 设置迷宫形状选择
+    const shapeSelect = document.getElementById('mazeShape');
+    if (shapeSelect && game) {
+        shapeSelect.value = game.config.shape;
+    }
+    
+    // 设置楼层数选择
+    const floorsSelect = document.getElementById('mazeFloors');
+    if (floorsSelect && game) {
+        floorsSelect.value = game.config.floors;
+    }
+    
+    // 设置生成算法选择
+    const algorithmSelect = document.getElementById('mazeAlgorithm');
+    if (algorithmSelect && game) {
+        algorithmSelect.value = game.config.algorithm;
+    }
+    
+    // 设置分支率选择
+    const braidSelect = document.getElementById('mazeBraid');
+    if (braidSelect && game) {
+        setSelectValue(braidSelect, `${game.config.braid}`, `分支率${game.config.braid}`);
+    }
+    
+    // 设置视野距离和失败条件选择
+    const viewRangeSelect = document.getElementById('viewRange');
+    if (viewRangeSelect && game) {
+        setSelectValue(viewRangeSelect, `${game.config.viewRange}`, `${game.config.viewRange}格`);
+    }
+    
+    const timeLimitSelect = document.getElementById('timeLimit');
+    if (timeLimitSelect && game) {
+        setSelectValue(timeLimitSelect, `${game.config.timeLimit}`, `${game.config.timeLimit}秒`);
+    }
+    
+    const stepLimitSelect = document.getElementById('stepLimit');
+    if (stepLimitSelect && game) {
+        setSelectValue(stepLimitSelect, `${game.config.stepLimit}`, `最短路线×${game.config.stepLimit}`);
+    }
+    
+    const revealLimitSelect = document.getElementById('revealLimit');
+    if (revealLimitSelect && game) {
+        setSelectValue(revealLimitSelect, `${game.config.revealLimit}`, `${game.config.revealLimit}%`);
+    }
+    
+    // 设置视野模式按钮
+    const modePermanent = document.getElementById('modePermanent');
+    const modeInstant = document.getElementById('modeInstant');
+    
+    if (game) {
+        if (game.config.viewMode === 'permanent') {
+            if (modePermanent) modePermanent.classList.add('active');
+            if (modeInstant) modeInstant.classList.remove('active');
+        } else {
+            if (modePermanent) modePermanent.classList.remove('active');
+            if (modeInstant) modeInstant.classList.add('active');
+        }
+    }
+    
+    // 依赖形状和遮罩的下拉框
+    if (uiController) {
+        uiController.populateAlgorithmOptions();
+        uiController.populatePlacementOptions();
+        uiController.populateDifficultyOptions();
+        uiController.updateMaskSelect();
+    }
+}
+
+/**
+ * 设置下拉框的值，链接指定了列表中没有的值时补充一个选项
+ * @param {HTMLSelectElement} select - 下拉框
+ * @param {string} value - 选项值
+ * @param {string} label - 补充选项的文字
+ */
+function setSelectValue(select, value, label) {
+    if (![...select.options].some(option => option.value === value)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = `${label} (自定义)`;
+        select.appendChild(option);
+    }
+    select.value = value;
+}
+
 /**
  * 添加自定义CSS样式
  */
@@ -225,12 +310,13 @@ function addCustomStyles() {
 
 /**
  * 开始新游戏
- * @param {number} size - 迷宫大小
+ * @param {number} width - 迷宫宽度
  * @param {string} mode - 视野模式
+ * @param {number} height - 迷宫高度（默认与宽度相同）
  */
-function startNewGame(size = 15, mode = 'permanent') {
+function startNewGame(width = 15, mode = 'permanent', height = width) {
     if (game) {
-        game.setMazeSize(size);
+        game.setMazeSize(width, height);
         game.setViewMode(mode);
         game.start();
         
@@ -282,91 +368,43 @@ function getGameStats() {
 }
 
 /**
- * 导出游戏状态（用于保存）
- * @returns {Object} 游戏状态
- */
-function exportGameState() {
-    if (!game) return null;
-    
-    const gameState = game.getGameState();
-    const maze = game.getMaze();
-    
-    return {
-        config: { ...game.config },
-        state: { ...gameState },
-        maze: {
-            width: maze.width,
-            height: maze.height,
-            start: maze.getStart(),
-            end: maze.getEnd(),
-            walls: maze.walls
-        },
-        player: game.getPlayerPosition(),
-        exploredCells: Array.from(game.exploredCells || []),
-        visitedCells: Array.from(game.visitedCells || [])
-    };
-}
-
-/**
- * 导入游戏状态（用于加载）
- * @param {Object} savedState - 保存的游戏状态
+ * 检查存档能否完整往返：保存 → 加载到新的游戏实例 → 再保存，两份存档数据应完全相同
+ * 开发环境下可在控制台调用 debug.checkSave()
+ * @returns {boolean} 两份存档是否相同
  */
-function importGameState(savedState) {
-    if (!savedState) return;
+function verifySaveRoundTrip() {
+    if (!game) return false;
     
-    // 重新创建游戏实例
-    game = new Game(savedState.config);
+    // 两次保存使用同一时刻，用时才能一致
+    const now = Date.now();
+    const saved = JSON.stringify(game.exportState(now));
+    const copy = new Game({ cellSize: game.config.cellSize });
+    copy.importState(JSON.parse(saved), now);
+    const resaved = JSON.stringify(copy.exportState(now));
     
-    // 这里需要实现完整的游戏状态恢复
-    // 由于时间关系，暂时只恢复基本配置
-    game.config = { ...savedState.config };
-    
-    // 设置UI控制器
-    if (uiController) {
-        uiController.setGame(game);
-        uiController.updateStats();
-        uiController.render();
+    if (saved !== resaved) {
+        console.error('存档往返后数据不一致:', { saved: JSON.parse(saved), resaved: JSON.parse(resaved) });
+        return false;
     }
-    
-    console.log('游戏状态已导入');
+    console.log(`存档往返一致（${saved.length}字节）`);
+    return true;
 }
 
 /**
- * 保存游戏到本地存储
+ * 以默认名称保存游戏为新存档
  */
 function saveGame() {
-    if (!game) return;
-    
-    const gameState = exportGameState();
-    if (gameState) {
-        localStorage.setItem('hiddenMaze_save', JSON.stringify(gameState));
-        console.log('游戏已保存到本地存储');
-        
-        // 显示保存成功提示
-        showNotification('游戏已保存！');
+    if (uiController) {
+        uiController.handleQuickSave();
     }
 }
 
 /**
- * 从本地存储加载游戏
+ * 打开存档列表
  */
 function loadGame() {
-    const savedState = localStorage.getItem('hiddenMaze_save');
-    if (savedState) {
-        try {
-            const gameState = JSON.parse(savedState);
-            importGameState(gameState);
-            console.log('游戏已从本地存储加载');
-            
-            // 显示加载成功提示
-            showNotification('游戏已加载！');
-        } catch (error) {
-            console.error('加载游戏失败:', error);
-            showNotification('加载游戏失败！', 'error');
-        }
-    } else {
-        console.log('没有找到保存的游戏');
-        showNotification('没有找到保存的游戏', 'warning');
+    if (uiController) {
+        uiController.openSaveSlots();
     }
 }
 
@@ -374,8 +412,9 @@ function loadGame() {
  * 显示通知
  * @param {string} message - 通知消息
  * @param {string} type - 通知类型 ('success', 'error', 'warning', 'info')
+ * @param {number} duration - 显示时长（毫秒）
  */
-function showNotification(message, type = 'success') {
+function showNotification(message, type = 'success', duration = 3000) {
     const notification = document.createElement('div');
     notification.className = `notification ${type}`;
     notification.innerHTML = `
@@ -388,10 +427,10 @@ function showNotification(message, type = 'success') {
     // 添加到页面
     document.body.appendChild(notification);
     
-    // 3秒后移除
+    // 到时后移除（默认3秒）
     setTimeout(() => {
         notification.remove();
-    }, 3000);
+    }, duration);
     
     // 添加CSS样式（如果还没有）
     if (!document.querySelector('#notification-styles')) {
@@ -463,25 +502,31 @@ function showNotification(message, type = 'success') {
  */
 function addShortcuts() {
     document.addEventListener('keydown', (e) => {
-        // Ctrl+S 保存游戏
+        // Ctrl+S 保存游戏为新存档
         if ((e.ctrlKey || e.metaKey) && e.key === 's') {
             e.preventDefault();
             saveGame();
         }
         
-        // Ctrl+L 加载游戏
+        // Ctrl+L 打开存档列表
         if ((e.ctrlKey || e.metaKey) && e.key === 'l') {
             e.preventDefault();
             loadGame();
         }
         
+        // Ctrl+E 导出迷宫图片
+        if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
+            e.preventDefault();
+            if (uiController) {
+                uiController.handleExport();
+            }
+        }
+        
         // Ctrl+R 重新开始
         if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
             e.preventDefault();
-            if (game) {
-                game.restart();
-                uiController.updateStats();
-                uiController.render();
+            if (uiController) {
+                uiController.handleRestartGame();
             }
         }
         
@@ -526,15 +571,12 @@ function addDeveloperTools() {
         window.debug = {
             showAll: () => {
                 if (game) {
-                    // 探索所有单元格
+                    // 探索所有楼层的所有单元格（按迷宫的单元格键，适用于所有形状和多层迷宫）
                     const maze = game.getMaze();
-                    const { width, height } = maze.getSize();
-                    for (let y = 0; y < height; y++) {
-                        for (let x = 0; x < width; x++) {
-                            const cellKey = `${x},${y}`;
-                            game.exploredCells.add(cellKey);
-                        }
+                    for (const cell of maze.getAllCells()) {
+                        game.exploredCells.add(maze.getCellKey(cell.x, cell.y, cell.z));
                     }
+                    uiController.updateStats();
                     uiController.render();
                 }
             },
@@ -547,7 +589,16 @@ function addDeveloperTools() {
                 if (game) {
                     console.log('游戏统计:', game.getStats());
                 }
-            }
+            },
+            exportText: () => {
+                if (game) {
+                    // 只支持不带立交的单层正方形迷宫
+                    const text = game.getMaze().toText();
+                    console.log(text);
+                    return text;
+                }
+            },
+            checkSave: () => verifySaveRoundTrip()
         };
     }
 }
@@ -557,11 +608,20 @@ function addDeveloperTools() {
  */
 function startGameLoop() {
     let lastTime = 0;
+    let lastRemainingTime = null;
     
     function gameLoop(timestamp) {
         const deltaTime = timestamp - lastTime;
         
         if (game && game.state.isRunning && !game.state.isPaused && !game.state.isGameOver) {
+            // 限时模式：剩余秒数变化时刷新显示；超时或超出步数、揭示上限则游戏失败
+            const remainingTime = game.getRemainingTime();
+            if (remainingTime !== lastRemainingTime && uiController) {
+                lastRemainingTime = remainingTime;
+                uiController.updateStats();
+            }
+            game.checkLimits();
+            
             // 更新玩家位置（连续移动）
             if (game.updatePlayerPosition) {
                 const moved = game.updatePlayerPosition();
@@ -605,7 +665,7 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('使用方向键或WASD移动玩家（长按连续移动）');
     console.log('点击迷宫中的位置可以移动');
     console.log('ESC键暂停/继续游戏');
-    console.log('Ctrl+S保存游戏，Ctrl+L加载游戏');
+    console.log('Ctrl+S保存游戏，Ctrl+L打开存档列表，Ctrl+E导出迷宫图片');
     
     // 添加页面卸载前的保存提示
     window.addEventListener('beforeunload', (e) => {
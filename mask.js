@@ -0,0 +1,226 @@
+/**
+ * 隐藏迷宫 - 形状遮罩模块
+ * 遮罩决定网格中哪些单元格属于迷宫，可由布尔网格、ASCII字符画或图片的透明度通道创建
+ */
+
+class MazeMask {
+    /**
+     * 创建遮罩实例
+     * @param {number} width - 宽度（单元格数）
+     * @param {number} height - 高度（单元格数）
+     * @param {Array} enabled - 二维布尔数组 enabled[y][x]（不传则全部启用）
+     */
+    constructor(width, height, enabled = null) {
+        this.width = width;
+        this.height = height;
+        this.enabled = enabled || Array(height).fill().map(() => Array(width).fill(true));
+    }
+
+    /**
+     * 由布尔网格创建遮罩
+     * @param {Array} grid - 二维数组 grid[y][x]，真值表示启用
+     * @returns {MazeMask} 遮罩实例
+     */
+    static fromGrid(grid) {
+        if (!Array.isArray(grid) || grid.length === 0 || !grid.every(row => Array.isArray(row))) {
+            throw new Error('遮罩网格必须是非空的二维数组');
+        }
+
+        const width = Math.max(...grid.map(row => row.length));
+        if (width === 0) {
+            throw new Error('遮罩网格必须是非空的二维数组');
+        }
+
+        // 较短的行按未启用补齐
+        const enabled = grid.map(row =>
+            Array.from({ length: width }, (_, x) => Boolean(row[x]))
+        );
+        return new MazeMask(width, grid.length, enabled);
+    }
+
+    /**
+     * 由ASCII字符画创建遮罩（MazeMask.MASKED_CHARS 中的字符表示未启用，其余字符表示启用）
+     * @param {string} text - 多行字符画
+     * @returns {MazeMask} 遮罩实例
+     */
+    static fromAscii(text) {
+        const lines = String(text).split(/\r?\n/);
+
+        // 去掉首尾的空行
+        while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+        while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+
+        return MazeMask.fromGrid(lines.map(line =>
+            [...line].map(char => !MazeMask.MASKED_CHARS.includes(char))
+        ));
+    }
+
+    /**
+     * 由图片的透明度通道创建遮罩（图片先缩放绘制到 width×height 的画布上）
+     * @param {HTMLImageElement|HTMLCanvasElement} image - 已加载的图片
+     * @param {number} width - 遮罩宽度（单元格数）
+     * @param {number} height - 遮罩高度（单元格数）
+     * @param {number} threshold - 透明度阈值（0~255，达到阈值的像素所在单元格启用）
+     * @returns {MazeMask} 遮罩实例
+     */
+    static fromImage(image, width, height, threshold = MazeMask.ALPHA_THRESHOLD) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+        const { data } = ctx.getImageData(0, 0, width, height);
+
+        const enabled = Array(height).fill().map((_, y) =>
+            Array(width).fill().map((_, x) => data[(y * width + x) * 4 + 3] >= threshold)
+        );
+        return new MazeMask(width, height, enabled);
+    }
+
+    /**
+     * 由预设名称创建遮罩
+     * @param {string} name - 预设名称（见MazeMask.presets）
+     * @returns {MazeMask|null} 遮罩实例，未知预设返回null
+     */
+    static fromPreset(name) {
+        const preset = MazeMask.presets[name];
+        return preset ? MazeMask.fromAscii(preset.template) : null;
+    }
+
+    /**
+     * 检查单元格是否启用
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {boolean} 是否启用（超出范围时返回false）
+     */
+    isEnabled(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height && this.enabled[y][x];
+    }
+
+    /**
+     * 获取启用的单元格数量
+     * @returns {number} 单元格数量
+     */
+    getEnabledCount() {
+        return this.enabled.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    }
+
+    /**
+     * 按最近邻采样缩放到指定尺寸
+     * @param {number} width - 目标宽度
+     * @param {number} height - 目标高度
+     * @returns {MazeMask} 新的遮罩实例（尺寸相同时返回自身）
+     */
+    resize(width, height) {
+        if (width === this.width && height === this.height) {
+            return this;
+        }
+
+        const enabled = Array(height).fill().map((_, y) => {
+            const sourceY = Math.floor((y + 0.5) * this.height / height);
+            return Array(width).fill().map((_, x) =>
+                this.enabled[sourceY][Math.floor((x + 0.5) * this.width / width)]
+            );
+        });
+        return new MazeMask(width, height, enabled);
+    }
+
+    /**
+     * 只保留满足条件的已启用单元格
+     * @param {Function} predicate - (x, y) => boolean
+     * @returns {MazeMask} 新的遮罩实例
+     */
+    filter(predicate) {
+        const enabled = this.enabled.map((row, y) =>
+            row.map((value, x) => value && predicate(x, y))
+        );
+        return new MazeMask(this.width, this.height, enabled);
+    }
+
+    /**
+     * 转换为ASCII字符画
+     * @returns {string} 多行字符画（'X'为启用，'.'为未启用）
+     */
+    toAscii() {
+        return this.enabled.map(row => row.map(value => value ? 'X' : '.').join('')).join('\n');
+    }
+}
+
+// ASCII字符画中表示未启用单元格的字符
+MazeMask.MASKED_CHARS = ['.', ' '];
+
+// 图片遮罩的默认透明度阈值
+MazeMask.ALPHA_THRESHOLD = 128;
+
+// 预设遮罩（按迷宫尺寸缩放后使用）
+MazeMask.presets = {
+    heart: {
+        label: '心形',
+        template: `
+..XXXX....XXXX..
+.XXXXXX..XXXXXX.
+XXXXXXXXXXXXXXXX
+XXXXXXXXXXXXXXXX
+XXXXXXXXXXXXXXXX
+XXXXXXXXXXXXXXXX
+.XXXXXXXXXXXXXX.
+..XXXXXXXXXXXX..
+...XXXXXXXXXX...
+....XXXXXXXX....
+.....XXXXXX.....
+......XXXX......
+.......XX.......`
+    },
+    island: {
+        label: '岛屿',
+        template: `
+.....XXXX.........
+...XXXXXXXX....XX.
+..XXXXXXXXXX..XXXX
+.XXXXXXXXXXXXXXXX.
+XXXXXXXXXXXXXXXX..
+XXXXXXX...XXXXXXX.
+.XXXXX.....XXXXXX.
+..XXXXX...XXXXXXXX
+...XXXXXXXXXXXXXX.
+....XXXXXXXXXXX...
+......XXXXXXX.....`
+    },
+    ring: {
+        label: '圆环',
+        template: `
+....XXXXXX....
+..XXXXXXXXXX..
+.XXXXXXXXXXXX.
+.XXXX....XXXX.
+XXXX......XXXX
+XXX........XXX
+XXX........XXX
+XXXX......XXXX
+.XXXX....XXXX.
+.XXXXXXXXXXXX.
+..XXXXXXXXXX..
+....XXXXXX....`
+    },
+    letter: {
+        label: '字母H',
+        template: `
+XXXX......XXXX
+XXXX......XXXX
+XXXX......XXXX
+XXXX......XXXX
+XXXXXXXXXXXXXX
+XXXXXXXXXXXXXX
+XXXXXXXXXXXXXX
+XXXX......XXXX
+XXXX......XXXX
+XXXX......XXXX
+XXXX......XXXX`
+    }
+};
+
+// 导出MazeMask类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeMask;
+}
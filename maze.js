@@ -1,6 +1,6 @@
 /**
  * 隐藏迷宫 - 迷宫生成模块
- * 使用深度优先搜索(DFS)算法生成随机迷宫
+ * 默认使用深度优先搜索(DFS)算法生成随机迷宫，其他算法通过策略注册表接入（见algorithms.js）
  */
 
 class Maze {
@@ -8,17 +8,36 @@ class Maze {
      * 创建迷宫实例
      * @param {number} width - 迷宫宽度（单元格数）
      * @param {number} height - 迷宫高度（单元格数）
+     * @param {Object} options - 可选配置
+     * @param {string} options.seed - 随机种子（不传则随机生成）
+     * @param {SeededRandom} options.random - 注入的随机数生成器（优先于seed，见generate）
+     * @param {string} options.algorithm - 生成算法名称（可带变体，如 'growing-tree:mixed'）
+     * @param {number} options.braid - 死胡同移除比例（0~1，0为完美迷宫）
+     * @param {MazeMask} options.mask - 形状遮罩（尺寸与迷宫相同，未启用的单元格不属于迷宫）
+     * @param {string} options.placement - 起点终点放置策略（可带变体，如 'min-distance:long'）
      */
-    constructor(width = 15, height = 15) {
+    constructor(width = 15, height = 15, options = {}) {
+        this.shape = 'square'; // 拓扑形状
         this.width = width;
         this.height = height;
+        this.random = options.random || null; // 注入的随机源
+        this.seed = this.random ? this.random.getSeed() : String(options.seed || SeededRandom.createSeed());
+        this.algorithm = options.algorithm || Maze.DEFAULT_ALGORITHM; // 生成算法
+        this.braidFactor = options.braid || 0; // 路径分支率（死胡同移除比例）
+        this.placement = options.placement || Maze.DEFAULT_PLACEMENT; // 起点终点放置策略
         this.cells = []; // 单元格状态
         this.walls = []; // 墙壁状态
         this.start = { x: 0, y: 0 }; // 起点
         this.end = { x: width - 1, y: height - 1 }; // 终点
         this.path = []; // 从起点到终点的路径（用于验证）
+        this.crossings = new Map(); // 立交单元格：单元格键 -> 上层通道方向（'horizontal' 或 'vertical'）
+        this.mask = null; // 形状遮罩
         
         this.init();
+        
+        if (options.mask) {
+            this.setMask(options.mask);
+        }
     }
     
     /**
@@ -71,70 +90,226 @@ class Maze {
     }
     
     /**
-     * 使用深度优先搜索算法生成迷宫
+     * 设置随机种子（下次生成时生效）
+     * @param {string} seed - 种子字符串
      */
-    generate() {
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.random = null;
+    }
+    
+    /**
+     * 设置形状遮罩（生成前调用）
+     * 遮罩中互不相连的区域无法组成一个迷宫，只保留其中最大的连通区域
+     * @param {MazeMask|null} mask - 遮罩（null表示取消遮罩）
+     */
+    setMask(mask) {
+        if (!mask) {
+            this.mask = null;
+            return;
+        }
+        
+        if (mask.width !== this.width || mask.height !== this.height) {
+            console.error(`遮罩尺寸 ${mask.width}×${mask.height} 与迷宫尺寸 ${this.width}×${this.height} 不一致`);
+            return;
+        }
+        
+        this.mask = mask;
+        const region = this.findLargestRegion();
+        if (region.size < 2) {
+            console.error('遮罩中至少需要两个相连的单元格');
+            this.mask = null;
+            return;
+        }
+        
+        this.mask = mask.filter((x, y) => region.has(this.getCellKey(x, y)));
+    }
+    
+    /**
+     * 查找最大的连通区域（不考虑墙壁）
+     * @returns {Set} 区域内的单元格键
+     */
+    findLargestRegion() {
+        const seen = new Set();
+        let largest = new Set();
+        
+        for (const cell of this.getAllCells()) {
+            if (seen.has(this.getCellKey(cell.x, cell.y))) continue;
+            
+            const region = new Set([this.getCellKey(cell.x, cell.y)]);
+            const queue = [cell];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                for (const neighbor of this.getNeighbors(current.x, current.y)) {
+                    const key = this.getCellKey(neighbor.x, neighbor.y);
+                    if (!region.has(key)) {
+                        region.add(key);
+                        queue.push(neighbor);
+                    }
+                }
+            }
+            
+            region.forEach(key => seen.add(key));
+            if (region.size > largest.size) {
+                largest = region;
+            }
+        }
+        
+        return largest;
+    }
+    
+    /**
+     * 检查单元格是否属于迷宫（未被遮罩排除）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {boolean} 是否启用
+     */
+    isCellEnabled(x, y) {
+        return !this.mask || this.mask.isEnabled(x, y);
+    }
+    
+    /**
+     * 获取被遮罩排除的单元格
+     * @returns {Array} 单元格坐标数组（没有遮罩时为空数组）
+     */
+    getMaskedCells() {
+        const cells = [];
+        if (!this.mask) return cells;
+        
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (!this.mask.isEnabled(x, y)) {
+                    cells.push({ x, y });
+                }
+            }
+        }
+        return cells;
+    }
+    
+    /**
+     * 使用注册的生成算法生成迷宫（默认深度优先搜索）
+     * 未传入随机源时使用注入的随机源，没有注入时由种子新建；随机源提供reset()时先回到初始状态，
+     * 因此重复调用总是生成同一个迷宫
+     * @param {SeededRandom} random - 随机源（可选）
+     */
+    generate(random = null) {
+        if (!random) {
+            random = this.random || new SeededRandom(this.seed);
+            if (typeof random.reset === 'function') random.reset();
+        }
+        
         // 重置迷宫状态
         this.init();
+        this.crossings.clear();
+        this.random = random;
+        this.seed = random.getSeed();
+        
+        // 确定起点和终点（部分生成算法从起点开始生长，放置策略在生成之后可能重新选择）
+        this.chooseEndpoints(random);
+        
+        // 使用注册的生成算法开辟通道
+        const resolved = Maze.resolveAlgorithm(this.algorithm, this.shape, this.mask !== null);
+        if (!resolved) {
+            throw new Error(`未知或不支持的迷宫生成算法: ${this.algorithm}（形状: ${this.shape}${this.mask ? '，带遮罩' : ''}）`);
+        }
+        resolved.algorithm.generate(this, random, resolved.variant);
+        
+        // 按分支率移除死胡同，形成多条路线
+        this.braid(this.braidFactor, random);
+        
+        // 按放置策略根据迷宫中的路径距离确定起点和终点
+        const placement = Maze.resolvePlacement(this.placement, this.shape);
+        if (!placement) {
+            throw new Error(`未知或不支持的起终点放置策略: ${this.placement}（形状: ${this.shape}）`);
+        }
+        placement.placement.place(this, random, placement.variant);
+        
+        // 确保起点和终点之间有路径
+        this.ensurePathExists(random);
+        
+        // 计算从起点到终点的路径（用于验证）
+        this.calculatePath();
+        
+        return this;
+    }
+    
+    /**
+     * 随机选择起点和终点
+     * @param {SeededRandom} random - 随机源
+     */
+    chooseEndpoints(random) {
+        // 有遮罩时从启用的单元格中选择两个不同的单元格
+        if (this.mask) {
+            const [start, end] = random.shuffle(this.getAllCells());
+            this.start = start;
+            this.end = end;
+            return;
+        }
         
         // 随机选择起点
-        const startX = Math.floor(Math.random() * this.width);
-        const startY = Math.floor(Math.random() * this.height);
+        const startX = random.nextInt(this.width);
+        const startY = random.nextInt(this.height);
         this.start = { x: startX, y: startY };
         
         // 随机选择终点（确保与起点不同）
         let endX, endY;
         do {
-            endX = Math.floor(Math.random() * this.width);
-            endY = Math.floor(Math.random() * this.height);
+            endX = random.nextInt(this.width);
+            endY = random.nextInt(this.height);
         } while (endX === startX && endY === startY);
         this.end = { x: endX, y: endY };
+    }
+    
+    /**
+     * 获取所有单元格（不含被遮罩排除的单元格）
+     * @returns {Array} 单元格坐标数组
+     */
+    getAllCells() {
+        const cells = [];
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.isCellEnabled(x, y)) {
+                    cells.push({ x, y });
+                }
+            }
+        }
+        return cells;
+    }
+    
+    /**
+     * 获取单元格的唯一键
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {string} 单元格键
+     */
+    getCellKey(x, y) {
+        return `${x},${y}`;
+    }
+    
+    /**
+     * 获取相邻单元格（不考虑墙壁）
+     * @param {number} x - 当前单元格x坐标
+     * @param {number} y - 当前单元格y坐标
+     * @returns {Array} 邻居列表，每项包含坐标和方向
+     */
+    getNeighbors(x, y) {
+        const neighbors = [];
         
-        // 使用栈进行深度优先搜索
-        const stack = [{ x: startX, y: startY }];
-        this.cells[startY][startX] = true; // 标记起点为已访问
-        
-        // 定义四个方向：上、右、下、左
-        const directions = [
-            { dx: 0, dy: -1, wallType: 'horizontal', wallIndex: 0 }, // 上
-            { dx: 1, dy: 0, wallType: 'vertical', wallIndex: 1 },    // 右
-            { dx: 0, dy: 1, wallType: 'horizontal', wallIndex: 1 },  // 下
-            { dx: -1, dy: 0, wallType: 'vertical', wallIndex: 0 }    // 左
-        ];
-        
-        while (stack.length > 0) {
-            const current = stack[stack.length - 1];
-            const { x, y } = current;
-            
-            // 获取当前单元格所有未访问的邻居
-            const neighbors = this.getUnvisitedNeighbors(x, y);
+        for (const dir of Maze.DIRECTIONS) {
+            const nx = x + dir.dx;
+            const ny = y + dir.dy;
             
-            if (neighbors.length > 0) {
-                // 随机选择一个邻居
-                const randomIndex = Math.floor(Math.random() * neighbors.length);
-                const neighbor = neighbors[randomIndex];
-                
-                // 移除当前单元格和邻居之间的墙壁
-                this.removeWall(x, y, neighbor.direction);
-                
-                // 标记邻居为已访问
-                this.cells[neighbor.y][neighbor.x] = true;
-                
-                // 将邻居压入栈中
-                stack.push({ x: neighbor.x, y: neighbor.y });
-            } else {
-                // 如果没有未访问的邻居，回溯
-                stack.pop();
+            // 检查是否在迷宫范围内且未被遮罩排除
+            if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height && this.isCellEnabled(nx, ny)) {
+                neighbors.push({
+                    x: nx,
+                    y: ny,
+                    direction: dir.direction
+                });
             }
         }
         
-        // 确保起点和终点之间有路径
-        this.ensurePathExists();
-        
-        // 计算从起点到终点的路径（用于验证）
-        this.calculatePath();
-        
-        return this;
+        return neighbors;
     }
     
     /**
@@ -144,34 +319,143 @@ class Maze {
      * @returns {Array} 未访问的邻居列表
      */
     getUnvisitedNeighbors(x, y) {
+        return this.getNeighbors(x, y).filter(neighbor => !this.cells[neighbor.y][neighbor.x]);
+    }
+    
+    /**
+     * 检查单元格在某个方向上是否已打通
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {string} direction - 方向 ('up', 'right', 'down', 'left')
+     * @returns {boolean} 是否没有墙壁
+     */
+    isLinked(x, y, direction) {
+        const dir = Maze.DIRECTIONS.find(d => d.direction === direction);
+        return dir ? this.canMove(x, y, dir.dx, dir.dy) : false;
+    }
+    
+    /**
+     * 获取已打通（可以直接到达）的相邻单元格
+     * 立交单元格只能沿上层通道进出；从下层隧道方向进入立交单元格时，直接到达隧道另一端的单元格
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {Array} 邻居列表
+     */
+    getOpenNeighbors(x, y) {
+        const open = this.getNeighbors(x, y).filter(neighbor => this.isLinked(x, y, neighbor.direction));
+        if (this.crossings.size === 0) return open;
+        
+        const crossing = this.getCrossing(x, y);
         const neighbors = [];
-        const directions = [
-            { dx: 0, dy: -1, direction: 'up' },    // 上
-            { dx: 1, dy: 0, direction: 'right' },  // 右
-            { dx: 0, dy: 1, direction: 'down' },   // 下
-            { dx: -1, dy: 0, direction: 'left' }   // 左
-        ];
         
-        for (const dir of directions) {
-            const nx = x + dir.dx;
-            const ny = y + dir.dy;
+        for (const neighbor of open) {
+            const axis = Maze.getAxis(neighbor.direction);
+            if (crossing && axis !== crossing) continue;
             
-            // 检查是否在迷宫范围内
-            if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-                // 检查是否未访问
-                if (!this.cells[ny][nx]) {
-                    neighbors.push({
-                        x: nx,
-                        y: ny,
-                        direction: dir.direction
-                    });
-                }
+            const neighborCrossing = this.getCrossing(neighbor.x, neighbor.y);
+            if (neighborCrossing && neighborCrossing !== axis) {
+                // 从隧道下方穿过（立交单元格不相邻，隧道出口一定是普通单元格）
+                const dir = Maze.DIRECTIONS.find(d => d.direction === neighbor.direction);
+                neighbors.push({ x: neighbor.x + dir.dx, y: neighbor.y + dir.dy, direction: neighbor.direction });
+            } else {
+                neighbors.push(neighbor);
             }
         }
         
         return neighbors;
     }
     
+    /**
+     * 获取立交单元格的上层通道方向
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {string|null} 'horizontal' 或 'vertical'，不是立交单元格时返回null
+     */
+    getCrossing(x, y) {
+        return this.crossings.get(this.getCellKey(x, y)) || null;
+    }
+    
+    /**
+     * 检查单元格是否位于迷宫外缘（有一侧紧邻迷宫边界或被遮罩排除的单元格）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {boolean} 是否位于外缘
+     */
+    isBoundaryCell(x, y) {
+        return this.getNeighbors(x, y).length < Maze.DIRECTIONS.length;
+    }
+    
+    /**
+     * 检查单元格是否为死胡同（只有一个出口）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {boolean} 是否为死胡同
+     */
+    isDeadEnd(x, y) {
+        return this.getOpenNeighbors(x, y).length === 1;
+    }
+    
+    /**
+     * 获取所有死胡同
+     * @returns {Array} 死胡同单元格坐标数组
+     */
+    getDeadEnds() {
+        return this.getAllCells().filter(cell => this.isDeadEnd(cell.x, cell.y));
+    }
+    
+    /**
+     * 编织迷宫：按比例移除死胡同，在完美迷宫中形成环路
+     * @param {number} factor - 移除死胡同的比例（0为完美迷宫，1为尽量移除全部）
+     * @param {SeededRandom} random - 随机源
+     * @returns {number} 被移除的死胡同数量
+     */
+    braid(factor = this.braidFactor, random = this.random || new SeededRandom(this.seed)) {
+        if (!(factor > 0)) return 0;
+        
+        let removed = 0;
+        for (const cell of random.shuffle(this.getDeadEnds())) {
+            // 之前的打通操作可能已经消除了这个死胡同
+            if (!this.isDeadEnd(cell.x, cell.y) || random.next() >= factor) {
+                continue;
+            }
+            
+            const closed = this.getNeighbors(cell.x, cell.y)
+                .filter(neighbor => !this.isLinked(cell.x, cell.y, neighbor.direction));
+            if (closed.length === 0) continue;
+            
+            // 优先连接同为死胡同的邻居，一次消除两个死胡同
+            const deadEndNeighbors = closed.filter(neighbor => this.isDeadEnd(neighbor.x, neighbor.y));
+            const target = random.pick(deadEndNeighbors.length > 0 ? deadEndNeighbors : closed);
+            this.removeWall(cell.x, cell.y, target.direction);
+            removed++;
+        }
+        
+        return removed;
+    }
+    
+    /**
+     * 在两个相邻单元格之间添加墙壁（用于递归分割等加墙算法）
+     * @param {number} x - 当前单元格x坐标
+     * @param {number} y - 当前单元格y坐标
+     * @param {string} direction - 方向 ('up', 'right', 'down', 'left')
+     */
+    addWall(x, y, direction) {
+        switch (direction) {
+            case 'up':
+                this.walls.horizontal[y][x] = true;
+                break;
+            case 'right':
+                this.walls.vertical[y][x + 1] = true;
+                break;
+            case 'down':
+                this.walls.horizontal[y + 1][x] = true;
+                break;
+            case 'left':
+                this.walls.vertical[y][x] = true;
+                break;
+        }
+    }
+    
     /**
      * 移除两个单元格之间的墙壁
      * @param {number} x - 当前单元格x坐标
@@ -197,68 +481,37 @@ class Maze {
     
     /**
      * 确保起点和终点之间有路径
+     * @param {SeededRandom} random - 随机源（用于必要时开辟路径）
      */
-    ensurePathExists() {
+    ensurePathExists(random = this.random || new SeededRandom(this.seed)) {
         // 使用BFS检查起点到终点的连通性
-        const visited = Array(this.height).fill().map(() => 
-            Array(this.width).fill(false)
-        );
-        const queue = [{ x: this.start.x, y: this.start.y }];
-        visited[this.start.y][this.start.x] = true;
-        
-        const directions = [
-            { dx: 0, dy: -1 }, // 上
-            { dx: 1, dy: 0 },  // 右
-            { dx: 0, dy: 1 },  // 下
-            { dx: -1, dy: 0 }  // 左
-        ];
-        
-        while (queue.length > 0) {
-            const current = queue.shift();
-            
-            // 如果到达终点，返回
-            if (current.x === this.end.x && current.y === this.end.y) {
-                return;
-            }
-            
-            // 检查所有方向
-            for (const dir of directions) {
-                const nx = current.x + dir.dx;
-                const ny = current.y + dir.dy;
-                
-                // 检查是否在迷宫范围内
-                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-                    // 检查是否有墙壁阻挡
-                    if (this.canMove(current.x, current.y, dir.dx, dir.dy)) {
-                        // 检查是否未访问
-                        if (!visited[ny][nx]) {
-                            visited[ny][nx] = true;
-                            queue.push({ x: nx, y: ny });
-                        }
-                    }
-                }
-            }
+        if (this.findPath(this.start, this.end).length > 0) {
+            return;
         }
         
         // 如果没有路径，创建一条路径
-        this.createPathToEnd();
+        this.createPathToEnd(random);
     }
     
     /**
      * 创建从起点到终点的路径
+     * @param {SeededRandom} random - 随机源（决定每一步先走水平还是垂直方向）
      */
-    createPathToEnd() {
+    createPathToEnd(random = this.random || new SeededRandom(this.seed)) {
         let x = this.start.x;
         let y = this.start.y;
         
         // 逐步向终点移动，移除沿途的墙壁
         while (x !== this.end.x || y !== this.end.y) {
-            // 决定移动方向（优先水平方向）
-            if (x < this.end.x) {
+            // 决定移动方向（两个方向都未对齐时随机选择）
+            const moveHorizontal = x !== this.end.x &&
+                (y === this.end.y || random.next() < 0.5);
+            
+            if (moveHorizontal && x < this.end.x) {
                 // 向右移动
                 this.walls.vertical[y][x + 1] = false;
                 x++;
-            } else if (x > this.end.x) {
+            } else if (moveHorizontal && x > this.end.x) {
                 // 向左移动
                 this.walls.vertical[y][x] = false;
                 x--;
@@ -279,59 +532,73 @@ class Maze {
     
     /**
      * 计算从起点到终点的路径
+     * 编织迷宫中存在多条路线，BFS保证得到的是最短路径
      */
     calculatePath() {
-        // 使用BFS找到最短路径
-        const visited = Array(this.height).fill().map(() => 
-            Array(this.width).fill(false)
-        );
-        const parent = Array(this.height).fill().map(() => 
-            Array(this.width).fill(null)
-        );
-        
-        const queue = [{ x: this.start.x, y: this.start.y }];
-        visited[this.start.y][this.start.x] = true;
-        
-        const directions = [
-            { dx: 0, dy: -1 }, // 上
-            { dx: 1, dy: 0 },  // 右
-            { dx: 0, dy: 1 },  // 下
-            { dx: -1, dy: 0 }  // 左
-        ];
+        this.path = this.findPath(this.start, this.end);
+    }
+    
+    /**
+     * 使用BFS查找两个单元格之间的最短路径
+     * @param {Object} from - 起始单元格
+     * @param {Object} to - 目标单元格
+     * @returns {Array} 路径坐标数组（不可达时为空数组）
+     */
+    findPath(from, to) {
+        const parent = new Map();
+        const queue = [{ x: from.x, y: from.y }];
+        parent.set(this.getCellKey(from.x, from.y), null);
         
         while (queue.length > 0) {
             const current = queue.shift();
             
             // 如果到达终点，回溯构建路径
-            if (current.x === this.end.x && current.y === this.end.y) {
-                this.path = this.buildPath(parent, current);
-                return;
+            if (current.x === to.x && current.y === to.y) {
+                return this.buildPath(parent, current);
             }
             
-            // 检查所有方向
-            for (const dir of directions) {
-                const nx = current.x + dir.dx;
-                const ny = current.y + dir.dy;
-                
-                // 检查是否在迷宫范围内
-                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-                    // 检查是否有墙壁阻挡且未访问
-                    if (this.canMove(current.x, current.y, dir.dx, dir.dy) && !visited[ny][nx]) {
-                        visited[ny][nx] = true;
-                        parent[ny][nx] = current;
-                        queue.push({ x: nx, y: ny });
-                    }
+            // 检查所有打通的方向
+            for (const neighbor of this.getOpenNeighbors(current.x, current.y)) {
+                const key = this.getCellKey(neighbor.x, neighbor.y);
+                if (!parent.has(key)) {
+                    parent.set(key, current);
+                    queue.push({ x: neighbor.x, y: neighbor.y });
                 }
             }
         }
         
         // 如果没有找到路径，路径为空数组
-        this.path = [];
+        return [];
+    }
+    
+    /**
+     * 使用BFS计算从指定单元格到所有可达单元格的路径距离
+     * @param {Object} from - 起始单元格
+     * @returns {Map} 单元格键 -> 距离（步数），不可达的单元格不在其中
+     */
+    getDistances(from) {
+        const distances = new Map([[this.getCellKey(from.x, from.y), 0]]);
+        const queue = [{ x: from.x, y: from.y }];
+        
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const distance = distances.get(this.getCellKey(current.x, current.y));
+            
+            for (const neighbor of this.getOpenNeighbors(current.x, current.y)) {
+                const key = this.getCellKey(neighbor.x, neighbor.y);
+                if (!distances.has(key)) {
+                    distances.set(key, distance + 1);
+                    queue.push({ x: neighbor.x, y: neighbor.y });
+                }
+            }
+        }
+        
+        return distances;
     }
     
     /**
      * 从父节点映射构建路径
-     * @param {Array} parent - 父节点数组
+     * @param {Map} parent - 单元格键到父节点的映射
      * @param {Object} end - 终点坐标
      * @returns {Array} 路径坐标数组
      */
@@ -341,7 +608,7 @@ class Maze {
         
         while (current !== null) {
             path.unshift(current);
-            current = parent[current.y][current.x];
+            current = parent.get(this.getCellKey(current.x, current.y));
         }
         
         return path;
@@ -353,9 +620,15 @@ class Maze {
      * @param {number} y - 当前y坐标
      * @param {number} dx - x方向移动量
      * @param {number} dy - y方向移动量
+     * @param {string} passage - 在立交单元格中所走的通道方向（可选，'horizontal' 或 'vertical'）
      * @returns {boolean} 是否可以移动
      */
-    canMove(x, y, dx, dy) {
+    canMove(x, y, dx, dy, passage = null) {
+        // 在立交单元格中只能沿所在通道继续前进，不能转到另一层
+        if (passage && this.getCrossing(x, y) && (dx !== 0 ? 'horizontal' : 'vertical') !== passage) {
+            return false;
+        }
+        
         if (dx === 1) { // 向右移动
             return !this.walls.vertical[y][x + 1];
         } else if (dx === -1) { // 向左移动
@@ -368,6 +641,153 @@ class Maze {
         return false;
     }
     
+    /**
+     * 获取迷宫的像素尺寸
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 宽度和高度（像素）
+     */
+    getPixelSize(cellSize) {
+        return { width: this.width * cellSize, height: this.height * cellSize };
+    }
+    
+    /**
+     * 获取单元格中心的像素坐标
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 像素坐标
+     */
+    getCellCenter(x, y, cellSize) {
+        return { x: x * cellSize + cellSize / 2, y: y * cellSize + cellSize / 2 };
+    }
+    
+    /**
+     * 获取像素坐标所在的单元格
+     * @param {number} px - x坐标（像素）
+     * @param {number} py - y坐标（像素）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object|null} 单元格坐标，超出迷宫范围时返回null
+     */
+    getCellAtPoint(px, py, cellSize) {
+        const x = Math.floor(px / cellSize);
+        const y = Math.floor(py / cellSize);
+        
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            return { x, y };
+        }
+        return null;
+    }
+    
+    /**
+     * 获取单元格轮廓多边形（像素坐标）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Array} 顶点数组
+     */
+    getCellPolygon(x, y, cellSize) {
+        const left = x * cellSize;
+        const top = y * cellSize;
+        return [
+            { x: left, y: top },
+            { x: left + cellSize, y: top },
+            { x: left + cellSize, y: top + cellSize },
+            { x: left, y: top + cellSize }
+        ];
+    }
+    
+    /**
+     * 获取单元格四周存在的墙壁线段（像素坐标）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Array} 线段数组 { x1, y1, x2, y2 }
+     */
+    getCellWallSegments(x, y, cellSize) {
+        const [topLeft, topRight, bottomRight, bottomLeft] = this.getCellPolygon(x, y, cellSize);
+        const edges = {
+            up: [topLeft, topRight],
+            right: [topRight, bottomRight],
+            down: [bottomLeft, bottomRight],
+            left: [topLeft, bottomLeft]
+        };
+        
+        const segments = [];
+        for (const [direction, [from, to]] of Object.entries(edges)) {
+            if (!this.isLinked(x, y, direction)) {
+                segments.push({ x1: from.x, y1: from.y, x2: to.x, y2: to.y });
+            }
+        }
+        return segments;
+    }
+    
+    /**
+     * 获取迷宫中所有墙壁线段（每条墙只出现一次）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Array} 线段数组 { x1, y1, x2, y2, cells }，cells为墙壁两侧的单元格
+     */
+    getWallSegments(cellSize) {
+        const segments = [];
+        const isInside = cell => cell.x >= 0 && cell.x < this.width && cell.y >= 0 && cell.y < this.height &&
+            this.isCellEnabled(cell.x, cell.y);
+        
+        for (let y = 0; y <= this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const cells = [{ x, y: y - 1 }, { x, y }].filter(isInside);
+                // 两侧都被遮罩排除的墙壁不属于迷宫
+                if (cells.length > 0 && this.getWall('horizontal', y, x)) {
+                    segments.push({
+                        x1: x * cellSize, y1: y * cellSize,
+                        x2: (x + 1) * cellSize, y2: y * cellSize,
+                        cells
+                    });
+                }
+            }
+        }
+        
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x <= this.width; x++) {
+                const cells = [{ x: x - 1, y }, { x, y }].filter(isInside);
+                if (cells.length > 0 && this.getWall('vertical', y, x)) {
+                    segments.push({
+                        x1: x * cellSize, y1: y * cellSize,
+                        x2: x * cellSize, y2: (y + 1) * cellSize,
+                        cells
+                    });
+                }
+            }
+        }
+        
+        return segments;
+    }
+    
+    /**
+     * 检查像素点是否与墙壁距离过近（通用几何检测，适用于各种拓扑形状）
+     * @param {number} px - x坐标（像素）
+     * @param {number} py - y坐标（像素）
+     * @param {number} radius - 检测半径（像素）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {boolean} 是否碰到墙壁或位于迷宫之外
+     */
+    isNearWall(px, py, radius, cellSize) {
+        const cell = this.getCellAtPoint(px, py, cellSize);
+        if (!cell) {
+            return true;
+        }
+        
+        // 检查所在单元格及其相邻单元格的墙壁
+        const cells = [cell, ...this.getNeighbors(cell.x, cell.y)];
+        for (const { x, y } of cells) {
+            for (const segment of this.getCellWallSegments(x, y, cellSize)) {
+                if (Maze.distanceToSegment(px, py, segment) < radius) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+    
     /**
      * 获取单元格状态
      * @param {number} x - x坐标
@@ -386,9 +806,19 @@ class Maze {
      * @param {string} type - 墙壁类型 ('horizontal' 或 'vertical')
      * @param {number} row - 行索引
      * @param {number} col - 列索引
+     * @param {Object} crossing - 所在立交通道 { x, y, axis }（可选）；该单元格垂直于通道方向的两侧视为有墙
      * @returns {boolean} 是否有墙
      */
-    getWall(type, row, col) {
+    getWall(type, row, col, crossing = null) {
+        if (crossing && crossing.axis === type) {
+            if (type === 'horizontal' && col === crossing.x && (row === crossing.y || row === crossing.y + 1)) {
+                return true;
+            }
+            if (type === 'vertical' && row === crossing.y && (col === crossing.x || col === crossing.x + 1)) {
+                return true;
+            }
+        }
+        
         if (type === 'horizontal') {
             if (row >= 0 && row <= this.height && col >= 0 && col < this.width) {
                 return this.walls.horizontal[row][col];
@@ -409,6 +839,38 @@ class Maze {
         return { width: this.width, height: this.height };
     }
     
+    /**
+     * 获取楼层迷宫（单层迷宫只有自身一层，与MultiFloorMaze接口一致）
+     * @returns {Maze} 迷宫实例
+     */
+    getFloor() {
+        return this;
+    }
+    
+    /**
+     * 获取楼层数
+     * @returns {number} 楼层数
+     */
+    getFloorCount() {
+        return 1;
+    }
+    
+    /**
+     * 获取可到达的单元格总数（用于计算探索率）
+     * @returns {number} 单元格数量
+     */
+    getCellCount() {
+        return this.mask ? this.mask.getEnabledCount() : this.width * this.height;
+    }
+    
+    /**
+     * 获取随机种子
+     * @returns {string} 生成当前迷宫所用的种子
+     */
+    getSeed() {
+        return this.seed;
+    }
+    
     /**
      * 获取起点坐标
      * @returns {Object} 起点坐标
@@ -433,43 +895,361 @@ class Maze {
         return [...this.path];
     }
     
+    /**
+     * 导出为ASCII文本（格式见textformat.js）
+     * @returns {string} 多行文本
+     */
+    toText() {
+        return MazeTextFormat.stringify(this);
+    }
+    
+    /**
+     * 导出为JSON迷宫格式（格式见jsonformat.js）
+     * 被JSON.stringify调用时参数为属性名，此时不带元数据
+     * @param {Object} meta - 元数据（title、author、description、created）
+     * @returns {Object} JSON对象
+     */
+    toJSON(meta = {}) {
+        return MazeJsonFormat.serialize(this, typeof meta === 'object' ? meta : {});
+    }
+    
     /**
      * 生成固定关卡（预定义的迷宫）
      * @param {number} level - 关卡编号
      */
     generateFixedLevel(level = 1) {
         // 这里可以预定义一些固定关卡
-        // 暂时使用随机生成，但保证可重复性
-        const seed = level * 12345;
-        const originalRandom = Math.random;
-        
-        // 设置随机种子（简单实现）
-        let seedValue = seed;
-        Math.random = function() {
-            seedValue = (seedValue * 9301 + 49297) % 233280;
-            return seedValue / 233280;
-        };
-        
-        // 生成迷宫
-        this.generate();
-        
-        // 恢复原始随机函数
-        Math.random = originalRandom;
-        
-        return this;
+        // 暂时使用随机生成，由关卡编号派生种子保证可重复性
+        return this.generate(new SeededRandom(`level-${level}`));
     }
     
     /**
      * 生成指定大小的迷宫
-     * @param {number} size - 迷宫大小（宽度和高度相同）
+     * @param {number} width - 迷宫宽度
+     * @param {number} height - 迷宫高度（默认与宽度相同）
      */
-    generateWithSize(size) {
-        this.width = size;
-        this.height = size;
+    generateWithSize(width, height = width) {
+        this.width = width;
+        this.height = height;
         return this.generate();
     }
 }
 
+// 四个方向：上、右、下、左
+Maze.DIRECTIONS = [
+    { dx: 0, dy: -1, direction: 'up' },
+    { dx: 1, dy: 0, direction: 'right' },
+    { dx: 0, dy: 1, direction: 'down' },
+    { dx: -1, dy: 0, direction: 'left' }
+];
+
+/**
+ * 获取方向所在的轴
+ * @param {string} direction - 方向 ('up', 'right', 'down', 'left')
+ * @returns {string} 'vertical'（上下）或 'horizontal'（左右）
+ */
+Maze.getAxis = function(direction) {
+    return direction === 'up' || direction === 'down' ? 'vertical' : 'horizontal';
+};
+
+/**
+ * 从ASCII文本创建迷宫（格式见textformat.js）
+ * @param {string} text - 多行文本
+ * @returns {Maze} 迷宫实例
+ * @throws {MazeFormatError} 文本格式错误
+ */
+Maze.fromText = function(text) {
+    return MazeTextFormat.parse(text);
+};
+
+/**
+ * 从JSON迷宫格式创建迷宫（格式见jsonformat.js）
+ * @param {Object|string} json - JSON对象或字符串
+ * @returns {Maze|MultiFloorMaze} 迷宫实例（多于一层时为多层迷宫）
+ * @throws {MazeFormatError} 版本不支持或内容不符合格式
+ */
+Maze.fromJSON = function(json) {
+    return MazeJsonFormat.parse(json);
+};
+
+/**
+ * 计算点到墙壁线段的距离
+ * 带有 radius 的线段表示圆弧：以 (cx, cy) 为圆心，从 startAngle 顺时针到 endAngle，
+ * (x1, y1) 和 (x2, y2) 为圆弧两端
+ * @param {number} px - 点x坐标
+ * @param {number} py - 点y坐标
+ * @param {Object} segment - 线段 { x1, y1, x2, y2 } 或圆弧 { ..., cx, cy, radius, startAngle, endAngle }
+ * @returns {number} 距离
+ */
+Maze.distanceToSegment = function(px, py, segment) {
+    const { x1, y1, x2, y2 } = segment;
+    
+    if (segment.radius !== undefined) {
+        // 点的方向落在圆弧范围内时，距离为到圆周的距离，否则为到较近端点的距离
+        const span = segment.endAngle - segment.startAngle;
+        let angle = Math.atan2(py - segment.cy, px - segment.cx) - segment.startAngle;
+        angle = ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        
+        if (angle <= span) {
+            return Math.abs(Math.hypot(px - segment.cx, py - segment.cy) - segment.radius);
+        }
+        return Math.min(Math.hypot(px - x1, py - y1), Math.hypot(px - x2, py - y2));
+    }
+    
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    
+    let t = lengthSquared > 0 ? ((px - x1) * dx + (py - y1) * dy) / lengthSquared : 0;
+    t = Math.max(0, Math.min(1, t));
+    
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+};
+
+// 拓扑形状注册表
+Maze.shapes = {};
+
+/**
+ * 注册迷宫拓扑形状
+ * @param {string} name - 形状名称
+ * @param {Object} shape - 形状定义
+ * @param {string} shape.label - 显示名称
+ * @param {boolean} shape.maskable - 是否支持形状遮罩（默认支持）
+ * @param {Function} shape.create - 创建函数 (width, height, options) => Maze
+ */
+Maze.registerShape = function(name, shape) {
+    Maze.shapes[name] = { name, ...shape };
+};
+
+/**
+ * 按形状创建迷宫实例
+ * @param {string} shape - 形状名称
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Object} options - 迷宫配置
+ * @returns {Maze} 迷宫实例
+ */
+Maze.create = function(shape, width, height, options = {}) {
+    const definition = Maze.shapes[shape];
+    if (!definition) {
+        throw new Error(`未知的迷宫形状: ${shape}`);
+    }
+    return definition.create(width, height, options);
+};
+
+Maze.registerShape('square', {
+    label: '正方形',
+    create: (width, height, options) => new Maze(width, height, options)
+});
+
+// 默认生成算法
+Maze.DEFAULT_ALGORITHM = 'backtracker';
+
+// 生成算法注册表
+Maze.algorithms = {};
+
+/**
+ * 注册迷宫生成算法
+ * @param {string} name - 算法名称
+ * @param {Object} algorithm - 算法定义
+ * @param {string} algorithm.label - 显示名称
+ * @param {Array} algorithm.shapes - 支持的拓扑形状（不指定表示适用于所有形状）
+ * @param {boolean} algorithm.maskable - 是否支持形状遮罩（默认支持；按整行或整块区域生成的算法无法跳过被排除的单元格）
+ * @param {Function} algorithm.generate - 生成函数 (maze, random, variant) => void，
+ *     调用时所有墙壁都已建立，起点和终点已确定
+ * @param {Object} algorithm.variants - 可选变体 { 变体名: 显示名称 }
+ * @param {string} algorithm.defaultVariant - 默认变体
+ */
+Maze.registerAlgorithm = function(name, algorithm) {
+    Maze.algorithms[name] = { name, ...algorithm };
+};
+
+/**
+ * 在注册表中解析 '名称:变体' 形式的名称（生成算法与起终点放置策略共用）
+ * @param {Object} registry - 注册表
+ * @param {string} spec - 名称（可带变体）
+ * @param {string} shape - 拓扑形状（指定时检查是否支持）
+ * @returns {Object} { definition, variant }，未知、不支持或变体无效时返回null
+ */
+Maze.resolveSpec = function(registry, spec, shape = null) {
+    const [name, variant] = String(spec).split(':');
+    const definition = registry[name];
+    if (!definition) {
+        return null;
+    }
+    
+    if (shape && definition.shapes && !definition.shapes.includes(shape)) {
+        return null;
+    }
+    
+    if (variant && !(definition.variants && variant in definition.variants)) {
+        return null;
+    }
+    
+    return { definition, variant: variant || definition.defaultVariant || null };
+};
+
+/**
+ * 列出注册表中的可选项（变体展开为独立选项）
+ * @param {Object} registry - 注册表
+ * @param {string} shape - 拓扑形状（指定时只返回支持该形状的项）
+ * @param {Function} filter - 额外的筛选条件（可选）
+ * @returns {Array} [{ value, label }]
+ */
+Maze.getSpecOptions = function(registry, shape = null, filter = () => true) {
+    const options = [];
+    for (const definition of Object.values(registry)) {
+        if (shape && definition.shapes && !definition.shapes.includes(shape)) {
+            continue;
+        }
+        if (!filter(definition)) {
+            continue;
+        }
+        
+        if (definition.variants) {
+            for (const [variant, variantLabel] of Object.entries(definition.variants)) {
+                options.push({
+                    value: `${definition.name}:${variant}`,
+                    label: `${definition.label}（${variantLabel}）`
+                });
+            }
+        } else {
+            options.push({ value: definition.name, label: definition.label });
+        }
+    }
+    return options;
+};
+
+/**
+ * 解析算法名称（支持 '名称:变体' 形式）
+ * @param {string} spec - 算法名称
+ * @param {string} shape - 拓扑形状（指定时检查算法是否支持）
+ * @param {boolean} masked - 是否带形状遮罩（为true时检查算法是否支持遮罩）
+ * @returns {Object} { algorithm, variant }，未知或不支持的算法返回null
+ */
+Maze.resolveAlgorithm = function(spec, shape = null, masked = false) {
+    const resolved = Maze.resolveSpec(Maze.algorithms, spec || Maze.DEFAULT_ALGORITHM, shape);
+    if (!resolved || (masked && resolved.definition.maskable === false)) {
+        return null;
+    }
+    
+    return { algorithm: resolved.definition, variant: resolved.variant };
+};
+
+/**
+ * 检查算法名称是否有效
+ * @param {string} spec - 算法名称（可带变体）
+ * @param {string} shape - 拓扑形状（指定时检查算法是否支持）
+ * @param {boolean} masked - 是否带形状遮罩
+ * @returns {boolean} 是否已注册
+ */
+Maze.isValidAlgorithm = function(spec, shape = null, masked = false) {
+    return Maze.resolveAlgorithm(spec, shape, masked) !== null;
+};
+
+/**
+ * 获取所有可选算法（变体展开为独立选项）
+ * @param {string} shape - 拓扑形状（指定时只返回支持该形状的算法）
+ * @param {boolean} masked - 是否带形状遮罩（为true时只返回支持遮罩的算法）
+ * @returns {Array} [{ value, label }]
+ */
+Maze.getAlgorithmOptions = function(shape = null, masked = false) {
+    return Maze.getSpecOptions(Maze.algorithms, shape,
+        algorithm => !(masked && algorithm.maskable === false));
+};
+
+// 默认起终点放置策略
+Maze.DEFAULT_PLACEMENT = 'random';
+
+// 起终点放置策略注册表
+Maze.placements = {};
+
+/**
+ * 注册起点和终点的放置策略
+ * @param {string} name - 策略名称
+ * @param {Object} placement - 策略定义
+ * @param {string} placement.label - 显示名称
+ * @param {Array} placement.shapes - 支持的拓扑形状（不指定表示适用于所有形状）
+ * @param {Function} placement.place - 放置函数 (maze, random, variant) => void，
+ *     在迷宫通道生成之后调用，直接设置 maze.start 和 maze.end
+ * @param {Object} placement.variants - 可选变体 { 变体名: 显示名称 }
+ * @param {string} placement.defaultVariant - 默认变体
+ */
+Maze.registerPlacement = function(name, placement) {
+    Maze.placements[name] = { name, ...placement };
+};
+
+/**
+ * 解析放置策略名称（支持 '名称:变体' 形式）
+ * @param {string} spec - 策略名称
+ * @param {string} shape - 拓扑形状（指定时检查策略是否支持）
+ * @returns {Object} { placement, variant }，未知或不支持的策略返回null
+ */
+Maze.resolvePlacement = function(spec, shape = null) {
+    const resolved = Maze.resolveSpec(Maze.placements, spec || Maze.DEFAULT_PLACEMENT, shape);
+    return resolved ? { placement: resolved.definition, variant: resolved.variant } : null;
+};
+
+/**
+ * 检查放置策略名称是否有效
+ * @param {string} spec - 策略名称（可带变体）
+ * @param {string} shape - 拓扑形状（指定时检查策略是否支持）
+ * @returns {boolean} 是否已注册
+ */
+Maze.isValidPlacement = function(spec, shape = null) {
+    return Maze.resolvePlacement(spec, shape) !== null;
+};
+
+/**
+ * 获取所有可选放置策略（变体展开为独立选项）
+ * @param {string} shape - 拓扑形状（指定时只返回支持该形状的策略）
+ * @returns {Array} [{ value, label }]
+ */
+Maze.getPlacementOptions = function(shape = null) {
+    return Maze.getSpecOptions(Maze.placements, shape);
+};
+
+// 内置放置策略：保留随机选择的起点和终点（见chooseEndpoints）
+Maze.registerPlacement('random', {
+    label: '随机',
+    place() {}
+});
+
+// 内置算法：深度优先搜索（递归回溯）
+Maze.registerAlgorithm('backtracker', {
+    label: '深度优先（递归回溯）',
+    generate(maze, random) {
+        // 使用栈进行深度优先搜索
+        const stack = [{ x: maze.start.x, y: maze.start.y }];
+        maze.cells[maze.start.y][maze.start.x] = true; // 标记起点为已访问
+        
+        while (stack.length > 0) {
+            const current = stack[stack.length - 1];
+            const { x, y } = current;
+            
+            // 获取当前单元格所有未访问的邻居
+            const neighbors = maze.getUnvisitedNeighbors(x, y);
+            
+            if (neighbors.length > 0) {
+                // 随机选择一个邻居
+                const neighbor = random.pick(neighbors);
+                
+                // 移除当前单元格和邻居之间的墙壁
+                maze.removeWall(x, y, neighbor.direction);
+                
+                // 标记邻居为已访问
+                maze.cells[neighbor.y][neighbor.x] = true;
+                
+                // 将邻居压入栈中
+                stack.push({ x: neighbor.x, y: neighbor.y });
+            } else {
+                // 如果没有未访问的邻居，回溯
+                stack.pop();
+            }
+        }
+    }
+});
+
 // 导出Maze类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Maze;
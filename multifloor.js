@@ -0,0 +1,318 @@
+/**
+ * 隐藏迷宫 - 多层迷宫模块
+ * 由多层同形状的迷宫叠加而成，相邻楼层之间通过楼梯单元格连接
+ * 单元格坐标 { x, y, z } 中 z 为楼层序号（0为底层）
+ */
+
+class MultiFloorMaze {
+    /**
+     * 创建多层迷宫实例
+     * @param {number} width - 每层宽度（单元格数）
+     * @param {number} height - 每层高度（单元格数）
+     * @param {Object} options - 可选配置（同Maze）
+     * @param {number} options.floors - 楼层数
+     * @param {string} options.shape - 每层的拓扑形状
+     */
+    constructor(width = 15, height = 15, options = {}) {
+        this.shape = options.shape || 'square'; // 每层的拓扑形状
+        this.width = width;
+        this.height = height;
+        this.floorCount = options.floors || 2; // 楼层数
+        this.random = options.random || null; // 注入的随机源
+        this.seed = this.random ? this.random.getSeed() : String(options.seed || SeededRandom.createSeed());
+        this.algorithm = options.algorithm || Maze.DEFAULT_ALGORITHM; // 生成算法
+        this.braidFactor = options.braid || 0; // 路径分支率
+        this.mask = options.mask || null; // 每层共用的形状遮罩
+        this.placement = options.placement || Maze.DEFAULT_PLACEMENT; // 每层的起终点放置策略（起点取底层，终点取顶层）
+        this.floors = []; // 各楼层的迷宫
+        this.stairs = []; // 楼梯 { x, y, z }，连接 z 层与 z+1 层的同一位置
+        this.start = { x: 0, y: 0, z: 0 }; // 起点（底层）
+        this.end = { x: width - 1, y: height - 1, z: this.floorCount - 1 }; // 终点（顶层）
+        this.path = []; // 跨楼层的最短路径
+    }
+
+    /**
+     * 生成所有楼层并放置楼梯
+     * 未传入随机源时的选择同Maze.generate，重复调用总是生成同一栋迷宫
+     * @param {SeededRandom} random - 随机源（可选）
+     */
+    generate(random = null) {
+        if (!random) {
+            random = this.random || new SeededRandom(this.seed);
+            if (typeof random.reset === 'function') random.reset();
+        }
+
+        this.random = random;
+        this.seed = random.getSeed();
+
+        // 所有楼层共享同一随机源，保证整栋迷宫由一个种子复现
+        this.floors = [];
+        for (let z = 0; z < this.floorCount; z++) {
+            const floor = Maze.create(this.shape, this.width, this.height, {
+                random,
+                algorithm: this.algorithm,
+                braid: this.braidFactor,
+                mask: this.mask,
+                placement: this.placement
+            });
+            this.floors.push(floor.generate(random));
+        }
+
+        // 起点在底层，终点在顶层
+        this.start = { ...this.floors[0].getStart(), z: 0 };
+        this.end = { ...this.floors[this.floorCount - 1].getEnd(), z: this.floorCount - 1 };
+
+        this.placeStairs(random);
+        this.calculatePath();
+
+        return this;
+    }
+
+    /**
+     * 在每对相邻楼层之间随机放置楼梯
+     * 每层本身连通，因此只要每对相邻楼层之间至少有一座楼梯，起点到终点就一定可达
+     * @param {SeededRandom} random - 随机源
+     */
+    placeStairs(random) {
+        this.stairs = [];
+
+        for (let z = 0; z < this.floorCount - 1; z++) {
+            const floor = this.floors[z];
+            const count = Math.max(1, Math.round(floor.getCellCount() / MultiFloorMaze.CELLS_PER_STAIRCASE));
+
+            // 楼梯不与起点、终点或下层上来的楼梯重叠，也不放在立交单元格上
+            const candidates = floor.getAllCells().filter(cell =>
+                !floor.getCrossing(cell.x, cell.y) &&
+                !this.floors[z + 1].getCrossing(cell.x, cell.y) &&
+                !this.isSameCell(cell, z, this.start) &&
+                !this.isSameCell(cell, z + 1, this.end) &&
+                !this.getStairs(cell.x, cell.y, z).down
+            );
+
+            for (const cell of random.shuffle(candidates).slice(0, count)) {
+                this.stairs.push({ x: cell.x, y: cell.y, z });
+            }
+        }
+    }
+
+    /**
+     * 检查楼层中的单元格是否为指定位置
+     * @param {Object} cell - 单元格坐标
+     * @param {number} z - 楼层
+     * @param {Object} target - 目标位置 { x, y, z }
+     * @returns {boolean} 是否相同
+     */
+    isSameCell(cell, z, target) {
+        return cell.x === target.x && cell.y === target.y && z === target.z;
+    }
+
+    /**
+     * 获取单元格上的楼梯
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {number} z - 楼层
+     * @returns {Object} { up, down } 是否可以上楼/下楼
+     */
+    getStairs(x, y, z) {
+        return {
+            up: this.stairs.some(stair => stair.x === x && stair.y === y && stair.z === z),
+            down: this.stairs.some(stair => stair.x === x && stair.y === y && stair.z === z - 1)
+        };
+    }
+
+    /**
+     * 获取某一层上的所有楼梯
+     * @param {number} z - 楼层
+     * @returns {Array} 楼梯列表 { x, y, direction }，direction 为 'up' 或 'down'
+     */
+    getStairsOnFloor(z) {
+        const stairs = [];
+        for (const stair of this.stairs) {
+            if (stair.z === z) {
+                stairs.push({ x: stair.x, y: stair.y, direction: 'up' });
+            } else if (stair.z === z - 1) {
+                stairs.push({ x: stair.x, y: stair.y, direction: 'down' });
+            }
+        }
+        return stairs;
+    }
+
+    /**
+     * 获取楼层迷宫
+     * @param {number} z - 楼层
+     * @returns {Maze} 该层的迷宫实例
+     */
+    getFloor(z = 0) {
+        return this.floors[z];
+    }
+
+    /**
+     * 获取楼层数
+     * @returns {number} 楼层数
+     */
+    getFloorCount() {
+        return this.floorCount;
+    }
+
+    /**
+     * 获取所有单元格（跨楼层）
+     * @returns {Array} 单元格坐标数组 { x, y, z }
+     */
+    getAllCells() {
+        const cells = [];
+        this.floors.forEach((floor, z) => {
+            for (const cell of floor.getAllCells()) {
+                cells.push({ ...cell, z });
+            }
+        });
+        return cells;
+    }
+
+    /**
+     * 获取单元格的唯一键（包含楼层）
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {number} z - 楼层
+     * @returns {string} 单元格键
+     */
+    getCellKey(x, y, z = 0) {
+        return `${x},${y},${z}`;
+    }
+
+    /**
+     * 获取已打通（可以直接到达）的相邻单元格，包括楼梯连接的上下层单元格
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {number} z - 楼层
+     * @returns {Array} 邻居列表 { x, y, z, direction }
+     */
+    getOpenNeighbors(x, y, z = 0) {
+        const neighbors = this.floors[z].getOpenNeighbors(x, y)
+            .map(neighbor => ({ ...neighbor, z }));
+
+        const stairs = this.getStairs(x, y, z);
+        if (stairs.up) {
+            neighbors.push({ x, y, z: z + 1, direction: 'up-stairs' });
+        }
+        if (stairs.down) {
+            neighbors.push({ x, y, z: z - 1, direction: 'down-stairs' });
+        }
+
+        return neighbors;
+    }
+
+    /**
+     * 计算从起点到终点的跨楼层路径
+     */
+    calculatePath() {
+        this.path = this.findPath(this.start, this.end);
+    }
+
+    /**
+     * 使用BFS查找两个单元格之间的最短路径（可经过楼梯）
+     * @param {Object} from - 起始单元格 { x, y, z }
+     * @param {Object} to - 目标单元格 { x, y, z }
+     * @returns {Array} 路径坐标数组（不可达时为空数组）
+     */
+    findPath(from, to) {
+        const parent = new Map();
+        const queue = [{ x: from.x, y: from.y, z: from.z }];
+        parent.set(this.getCellKey(from.x, from.y, from.z), null);
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+
+            if (current.x === to.x && current.y === to.y && current.z === to.z) {
+                const path = [];
+                for (let cell = current; cell !== null; cell = parent.get(this.getCellKey(cell.x, cell.y, cell.z))) {
+                    path.unshift(cell);
+                }
+                return path;
+            }
+
+            for (const neighbor of this.getOpenNeighbors(current.x, current.y, current.z)) {
+                const key = this.getCellKey(neighbor.x, neighbor.y, neighbor.z);
+                if (!parent.has(key)) {
+                    parent.set(key, current);
+                    queue.push({ x: neighbor.x, y: neighbor.y, z: neighbor.z });
+                }
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * 获取迷宫的像素尺寸（各层相同）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 宽度和高度（像素）
+     */
+    getPixelSize(cellSize) {
+        return this.floors[0].getPixelSize(cellSize);
+    }
+
+    /**
+     * 获取每层的迷宫大小
+     * @returns {Object} 宽度和高度
+     */
+    getSize() {
+        return { width: this.width, height: this.height };
+    }
+
+    /**
+     * 获取所有楼层的单元格总数
+     * @returns {number} 单元格数量
+     */
+    getCellCount() {
+        return this.floors.reduce((sum, floor) => sum + floor.getCellCount(), 0);
+    }
+
+    /**
+     * 获取随机种子
+     * @returns {string} 生成当前迷宫所用的种子
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * 获取起点坐标
+     * @returns {Object} 起点坐标 { x, y, z }
+     */
+    getStart() {
+        return { ...this.start };
+    }
+
+    /**
+     * 获取终点坐标
+     * @returns {Object} 终点坐标 { x, y, z }
+     */
+    getEnd() {
+        return { ...this.end };
+    }
+
+    /**
+     * 获取路径
+     * @returns {Array} 路径坐标数组 { x, y, z }
+     */
+    getPath() {
+        return [...this.path];
+    }
+
+    /**
+     * 导出为JSON迷宫格式（格式见jsonformat.js）
+     * @param {Object} meta - 元数据（title、author、description、created）
+     * @returns {Object} JSON对象
+     */
+    toJSON(meta = {}) {
+        return MazeJsonFormat.serialize(this, typeof meta === 'object' ? meta : {});
+    }
+}
+
+// 平均每多少个单元格放置一座楼梯
+MultiFloorMaze.CELLS_PER_STAIRCASE = 75;
+
+// 导出MultiFloorMaze类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiFloorMaze;
+}
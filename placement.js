@@ -0,0 +1,239 @@
+/**
+ * 隐藏迷宫 - 起终点放置策略模块
+ * 向Maze的放置策略注册表中注册基于迷宫路径距离的策略，在通道生成之后重新确定起点和终点
+ */
+
+class MazePlacement {
+    /**
+     * 获取可以作为起点或终点的单元格（立交单元格除外）
+     * @param {Maze} maze - 迷宫实例
+     * @returns {Array} 单元格坐标数组
+     */
+    static getCandidates(maze) {
+        return maze.getAllCells().filter(cell => !maze.getCrossing(cell.x, cell.y));
+    }
+
+    /**
+     * 在候选单元格中查找距离指定单元格最远的一个
+     * @param {Maze} maze - 迷宫实例
+     * @param {Object} from - 起始单元格
+     * @param {Array} candidates - 候选单元格
+     * @returns {Object} { cell, distance }
+     */
+    static findFarthest(maze, from, candidates) {
+        const distances = maze.getDistances(from);
+        let best = { cell: from, distance: 0 };
+
+        for (const cell of candidates) {
+            const distance = distances.get(maze.getCellKey(cell.x, cell.y));
+            if (distance > best.distance) {
+                best = { cell, distance };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * 查找距离最远的一对单元格（两次BFS求直径，对完美迷宫是精确解）
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     * @param {Array} candidates - 候选单元格
+     * @returns {Object} { from, to, distance }
+     */
+    static findDiameter(maze, random, candidates) {
+        const first = MazePlacement.findFarthest(maze, random.pick(candidates), candidates);
+        const second = MazePlacement.findFarthest(maze, first.cell, candidates);
+        return { from: first.cell, to: second.cell, distance: second.distance };
+    }
+
+    /**
+     * 设置起点和终点（随机决定哪一端作为起点）
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     * @param {Object} a - 单元格
+     * @param {Object} b - 单元格
+     */
+    static setEndpoints(maze, random, a, b) {
+        const [start, end] = random.next() < 0.5 ? [a, b] : [b, a];
+        maze.start = { x: start.x, y: start.y };
+        maze.end = { x: end.x, y: end.y };
+    }
+
+    /**
+     * 最远距离：起点和终点为迷宫中路径距离最远的两个单元格
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static farthest(maze, random) {
+        const { from, to } = MazePlacement.findDiameter(maze, random, MazePlacement.getCandidates(maze));
+        MazePlacement.setEndpoints(maze, random, from, to);
+    }
+
+    /**
+     * 最短距离限制：随机选择路径距离不小于直径一定比例的起点和终点
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     * @param {string} variant - 距离下限（见MazePlacement.MIN_DISTANCE_RATIO）
+     */
+    static minDistance(maze, random, variant = 'medium') {
+        const candidates = MazePlacement.getCandidates(maze);
+        const diameter = MazePlacement.findDiameter(maze, random, candidates);
+        const threshold = Math.max(1, Math.ceil(diameter.distance * MazePlacement.MIN_DISTANCE_RATIO[variant]));
+
+        // 靠近迷宫中心的单元格可能没有足够远的终点，换一个起点重试
+        const starts = random.shuffle([...candidates]).slice(0, MazePlacement.MIN_DISTANCE_ATTEMPTS);
+        for (const start of starts) {
+            const distances = maze.getDistances(start);
+            const ends = candidates.filter(cell => distances.get(maze.getCellKey(cell.x, cell.y)) >= threshold);
+            if (ends.length > 0) {
+                MazePlacement.setEndpoints(maze, random, start, random.pick(ends));
+                return;
+            }
+        }
+
+        // 直径两端一定满足条件
+        MazePlacement.setEndpoints(maze, random, diameter.from, diameter.to);
+    }
+
+    /**
+     * 对角：起点和终点位于网格的一对对角（被遮罩排除时取最近的单元格）
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static corners(maze, random) {
+        const candidates = MazePlacement.getCandidates(maze);
+        const right = maze.width - 1;
+        const bottom = maze.height - 1;
+        const pairs = [[[0, 0], [right, bottom]], [[right, 0], [0, bottom]]];
+
+        const nearest = ([cornerX, cornerY]) => candidates.reduce((best, cell) =>
+            (cell.x - cornerX) ** 2 + (cell.y - cornerY) ** 2 < (best.x - cornerX) ** 2 + (best.y - cornerY) ** 2
+                ? cell
+                : best
+        );
+
+        const [a, b] = random.pick(pairs).map(nearest);
+        MazePlacement.setEndpoints(maze, random, a, b);
+    }
+
+    /**
+     * 边缘出入口：起点和终点都位于迷宫外缘，终点取外缘上距离起点最远的单元格
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static edges(maze, random) {
+        const candidates = MazePlacement.getCandidates(maze);
+        const boundary = candidates.filter(cell => maze.isBoundaryCell(cell.x, cell.y));
+
+        if (boundary.length < 2) {
+            MazePlacement.farthest(maze, random);
+            return;
+        }
+
+        const start = random.pick(boundary);
+        const { cell: end } = MazePlacement.findFarthest(maze, start, boundary);
+        maze.start = { x: start.x, y: start.y };
+        maze.end = { x: end.x, y: end.y };
+    }
+
+    /**
+     * 最多岔路：在若干随机起点的最短路径树中，选择沿途岔路口（通向死胡同的分支）最多的路线
+     * 路线上每个单元格的出口数之和减去路线自身占用的出口数即为岔路数，岔路数相同时取较长的路线
+     * @param {Maze} maze - 迷宫实例
+     * @param {SeededRandom} random - 随机源
+     */
+    static deadEnds(maze, random) {
+        const candidates = MazePlacement.getCandidates(maze);
+        const isCandidate = new Set(candidates.map(cell => maze.getCellKey(cell.x, cell.y)));
+        const starts = random.shuffle([...candidates]).slice(0, MazePlacement.DEAD_END_SAMPLES);
+        let best = null;
+
+        for (const start of starts) {
+            // BFS同时累计路径上的出口总数
+            const startKey = maze.getCellKey(start.x, start.y);
+            const visited = new Map([[startKey, {
+                depth: 0,
+                exits: maze.getOpenNeighbors(start.x, start.y).length
+            }]]);
+            const queue = [start];
+
+            while (queue.length > 0) {
+                const current = queue.shift();
+                const info = visited.get(maze.getCellKey(current.x, current.y));
+
+                for (const neighbor of maze.getOpenNeighbors(current.x, current.y)) {
+                    const key = maze.getCellKey(neighbor.x, neighbor.y);
+                    if (visited.has(key)) continue;
+
+                    const entry = {
+                        depth: info.depth + 1,
+                        exits: info.exits + maze.getOpenNeighbors(neighbor.x, neighbor.y).length
+                    };
+                    visited.set(key, entry);
+                    queue.push({ x: neighbor.x, y: neighbor.y });
+
+                    if (!isCandidate.has(key)) continue;
+
+                    // 路线上相邻单元格之间的通道各占用两端的一个出口
+                    const branches = entry.exits - 2 * entry.depth;
+                    if (!best || branches > best.branches ||
+                        (branches === best.branches && entry.depth > best.depth)) {
+                        best = { start, end: { x: neighbor.x, y: neighbor.y }, branches, depth: entry.depth };
+                    }
+                }
+            }
+        }
+
+        if (best) {
+            MazePlacement.setEndpoints(maze, random, best.start, best.end);
+        }
+    }
+}
+
+// 最短距离限制策略各变体的距离下限（占迷宫直径的比例）
+MazePlacement.MIN_DISTANCE_RATIO = {
+    short: 0.25,
+    medium: 0.5,
+    long: 0.75
+};
+
+// 最短距离限制策略最多尝试的起点数
+MazePlacement.MIN_DISTANCE_ATTEMPTS = 20;
+
+// 最多岔路策略抽样的起点数
+MazePlacement.DEAD_END_SAMPLES = 12;
+
+// 注册放置策略
+Maze.registerPlacement('farthest', {
+    label: '最远距离',
+    place: MazePlacement.farthest
+});
+
+Maze.registerPlacement('min-distance', {
+    label: '最短距离限制',
+    variants: { short: '至少1/4直径', medium: '至少1/2直径', long: '至少3/4直径' },
+    defaultVariant: 'medium',
+    place: MazePlacement.minDistance
+});
+
+Maze.registerPlacement('corners', {
+    label: '对角',
+    shapes: ['square', 'hex'],
+    place: MazePlacement.corners
+});
+
+Maze.registerPlacement('edges', {
+    label: '边缘出入口',
+    place: MazePlacement.edges
+});
+
+Maze.registerPlacement('dead-ends', {
+    label: '最多岔路',
+    place: MazePlacement.deadEnds
+});
+
+// 导出MazePlacement类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazePlacement;
+}
@@ -0,0 +1,209 @@
+/**
+ * 隐藏迷宫 - 打印模块
+ * 按当前游戏设置生成一组带种子的迷宫，排版到A4/Letter纸张上，并附带答案页
+ * 迷宫以SVG绘制（复用MazeExporter），由print.css控制打印版式，直接使用浏览器打印，无需服务器
+ */
+
+class MazePrintSheet {
+    /**
+     * 生成迷宫并打开浏览器打印对话框
+     * @param {UIController} ui - UI控制器（提供绘制方法和当前游戏）
+     * @param {Object} options - 打印选项
+     * @param {string} options.title - 页面标题
+     * @param {number} options.count - 迷宫数量
+     * @param {number} options.perPage - 每页迷宫数（见MazePrintSheet.GRIDS）
+     * @param {string} options.pageSize - 纸张大小（见MazePrintSheet.PAGE_SIZES）
+     * @param {boolean} options.answerKey - 是否附带答案页
+     * @param {string} options.seed - 初始种子（默认为当前迷宫的种子）
+     */
+    static print(ui, options = {}) {
+        const settings = MazePrintSheet.normalizeOptions(options);
+        const entries = MazePrintSheet.generate(ui.game, settings.count, settings.seed || ui.game.getMaze().getSeed());
+
+        MazePrintSheet.setPageSize(settings.pageSize);
+        MazePrintSheet.getContainer().innerHTML = MazePrintSheet.render(ui, entries, settings);
+
+        window.print();
+    }
+
+    /**
+     * 检查并补全打印选项
+     * @param {Object} options - 打印选项
+     * @returns {Object} 完整的打印选项
+     * @throws {Error} 数量、每页数或纸张大小无效
+     */
+    static normalizeOptions(options) {
+        const settings = {
+            title: MazePrintSheet.DEFAULT_TITLE,
+            count: 4,
+            perPage: 4,
+            pageSize: 'a4',
+            answerKey: true,
+            seed: null,
+            ...options
+        };
+
+        if (!Number.isInteger(settings.count) || settings.count < 1 || settings.count > MazePrintSheet.MAX_COUNT) {
+            throw new Error(`迷宫数量必须是1~${MazePrintSheet.MAX_COUNT}之间的整数: ${settings.count}`);
+        }
+        if (!MazePrintSheet.GRIDS[settings.perPage]) {
+            throw new Error(`不支持的每页迷宫数: ${settings.perPage}`);
+        }
+        if (!MazePrintSheet.PAGE_SIZES[settings.pageSize]) {
+            throw new Error(`未知的纸张大小: ${settings.pageSize}`);
+        }
+
+        settings.title = String(settings.title).trim() || MazePrintSheet.DEFAULT_TITLE;
+        return settings;
+    }
+
+    /**
+     * 按游戏的当前设置生成一组迷宫（第i个迷宫的种子为 "初始种子-i"）
+     * @param {Game} game - 游戏实例
+     * @param {number} count - 迷宫数量
+     * @param {string} seed - 初始种子
+     * @returns {Array} { number, maze, analysis }
+     */
+    static generate(game, count, seed) {
+        const entries = [];
+        for (let i = 1; i <= count; i++) {
+            const { maze, analysis } = game.generateMaze(`${seed}-${i}`);
+            entries.push({ number: i, maze, analysis });
+        }
+        return entries;
+    }
+
+    /**
+     * 生成所有打印页面的HTML（题目页在前，答案页在后）
+     * @param {UIController} ui - UI控制器
+     * @param {Array} entries - 迷宫列表（见generate）
+     * @param {Object} settings - 打印选项
+     * @returns {string} HTML
+     */
+    static render(ui, entries, settings) {
+        const sections = [{ title: settings.title, solution: false }];
+        if (settings.answerKey) {
+            sections.push({ title: `${settings.title} - 答案`, solution: true });
+        }
+
+        const pages = [];
+        for (const section of sections) {
+            for (let i = 0; i < entries.length; i += settings.perPage) {
+                pages.push({
+                    title: section.title,
+                    cards: entries.slice(i, i + settings.perPage)
+                        .map(entry => MazePrintSheet.renderCard(ui, entry, section.solution))
+                });
+            }
+        }
+
+        const [columns, rows] = MazePrintSheet.GRIDS[settings.perPage];
+        return pages.map((page, i) => `
+            <section class="print-page">
+                <header class="print-header">
+                    <h1>${SvgContext.escape(page.title)}</h1>
+                    <span>第${i + 1}页 / 共${pages.length}页</span>
+                </header>
+                <div class="print-grid" style="grid-template-columns: repeat(${columns}, 1fr); grid-template-rows: repeat(${rows}, 1fr);">
+                    ${page.cards.join('')}
+                </div>
+            </section>
+        `).join('');
+    }
+
+    /**
+     * 生成单个迷宫的卡片（编号、种子、难度和每层的SVG）
+     * @param {UIController} ui - UI控制器
+     * @param {Object} entry - 迷宫 { number, maze, analysis }
+     * @param {boolean} solution - 是否绘制解决方案路线
+     * @returns {string} HTML
+     */
+    static renderCard(ui, entry, solution) {
+        const { maze, analysis } = entry;
+        const band = MazeAnalyzer.getBand(analysis.band);
+
+        const floors = [];
+        for (let z = 0; z < maze.getFloorCount(); z++) {
+            const label = maze.getFloorCount() > 1 ? `<span>第${z + 1}层</span>` : '';
+            floors.push(`
+                <figure class="print-floor">
+                    ${MazeExporter.toSVG(ui, { maze, floor: z, solution })}
+                    ${label}
+                </figure>
+            `);
+        }
+
+        return `
+            <div class="print-maze">
+                <div class="print-maze-info">
+                    <strong>#${entry.number}</strong>
+                    <span>种子: ${SvgContext.escape(maze.getSeed())}</span>
+                    <span>难度: ${band.label} (${analysis.score})</span>
+                </div>
+                <div class="print-floors">${floors.join('')}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * 设置打印纸张大小（@page规则无法通过类名切换，写入单独的样式表）
+     * @param {string} pageSize - 纸张大小
+     */
+    static setPageSize(pageSize) {
+        const { size, width, height } = MazePrintSheet.PAGE_SIZES[pageSize];
+        const margin = MazePrintSheet.PAGE_MARGIN;
+
+        let style = document.getElementById('printPageStyle');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'printPageStyle';
+            document.head.appendChild(style);
+        }
+        style.textContent = `
+            @page { size: ${size} portrait; margin: ${margin}; }
+            .print-page { width: calc(${width} - 2 * ${margin}); height: calc(${height} - 2 * ${margin}); }
+        `;
+    }
+
+    /**
+     * 获取打印内容的容器（不存在时创建）
+     * @returns {HTMLElement} 容器元素
+     */
+    static getContainer() {
+        let container = document.getElementById('printSheets');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'printSheets';
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+}
+
+// 纸张大小
+MazePrintSheet.PAGE_SIZES = {
+    a4: { label: 'A4', size: 'A4', width: '210mm', height: '297mm' },
+    letter: { label: 'Letter', size: 'letter', width: '8.5in', height: '11in' }
+};
+
+// 每页迷宫数 -> [列数, 行数]
+MazePrintSheet.GRIDS = {
+    1: [1, 1],
+    2: [1, 2],
+    4: [2, 2],
+    6: [2, 3]
+};
+
+// 页边距
+MazePrintSheet.PAGE_MARGIN = '12mm';
+
+// 一次最多打印的迷宫数
+MazePrintSheet.MAX_COUNT = 50;
+
+// 默认标题
+MazePrintSheet.DEFAULT_TITLE = '隐藏迷宫';
+
+// 导出MazePrintSheet类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazePrintSheet;
+}
@@ -0,0 +1,116 @@
+/**
+ * 隐藏迷宫 - 随机数模块
+ * 提供可注入的种子随机数生成器，保证迷宫可以由种子字符串完整复现
+ */
+
+class SeededRandom {
+    /**
+     * 创建种子随机数生成器
+     * @param {string|number} seed - 种子（任意字符串或数字），不传则随机生成
+     */
+    constructor(seed) {
+        this.seed = seed === undefined || seed === null || seed === ''
+            ? SeededRandom.createSeed()
+            : String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    /**
+     * 将种子字符串散列为32位整数状态（FNV-1a + 混合）
+     * @param {string} seed - 种子字符串
+     * @returns {number} 32位无符号整数
+     */
+    static hashSeed(seed) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        // 额外混合，避免相近的种子产生相近的初始状态
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+
+        return hash >>> 0;
+    }
+
+    /**
+     * 生成新的随机种子字符串
+     * @returns {string} 8位base36种子
+     */
+    static createSeed() {
+        let seed = '';
+        while (seed.length < 8) {
+            seed += Math.floor(Math.random() * 36).toString(36);
+        }
+        return seed;
+    }
+
+    /**
+     * 获取下一个随机数（mulberry32算法）
+     * @returns {number} [0, 1) 区间的随机数
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 获取 [0, max) 区间的随机整数
+     * @param {number} max - 上限（不含）
+     * @returns {number} 随机整数
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * 从数组中随机选取一个元素
+     * @param {Array} array - 候选数组
+     * @returns {*} 随机元素（数组为空时返回undefined）
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * 原地打乱数组（Fisher-Yates）
+     * @param {Array} array - 要打乱的数组
+     * @returns {Array} 打乱后的同一数组
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * 回到种子对应的初始状态，之后产生的序列与新建时相同
+     * @returns {SeededRandom} 自身
+     */
+    reset() {
+        this.state = SeededRandom.hashSeed(this.seed);
+        return this;
+    }
+
+    /**
+     * 获取种子
+     * @returns {string} 种子字符串
+     */
+    getSeed() {
+        return this.seed;
+    }
+}
+
+// 导出SeededRandom类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
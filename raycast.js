@@ -28,10 +28,12 @@ class RaycastSystem {
      * @param {Maze} maze - 迷宫实例
      * @param {number} cellSize - 单元格大小（像素）
      * @param {number} playerRadius - 玩家半径（像素，用于精确碰撞检测）
+     * @param {Object} crossing - 玩家所在立交通道 { x, y, axis }（可选）
      * @returns {Array} 可见点数组
      */
-    update(playerX, playerY, maze, cellSize, playerRadius = 0) {
-        const cacheKey = `${playerX.toFixed(1)},${playerY.toFixed(1)},${playerRadius.toFixed(1)}`;
+    update(playerX, playerY, maze, cellSize, playerRadius = 0, crossing = null) {
+        const layer = crossing ? crossing.axis : '';
+        const cacheKey = `${playerX.toFixed(1)},${playerY.toFixed(1)},${playerRadius.toFixed(1)},${layer}`;
         
         // 检查缓存
         if (this.cache.has(cacheKey)) {
@@ -44,10 +46,6 @@ class RaycastSystem {
         this.visiblePoints = [];
         this.visibleCells.clear();
         
-        // 计算玩家所在的格子坐标
-        const playerCellX = Math.floor(playerX / cellSize);
-        const playerCellY = Math.floor(playerY / cellSize);
-        
         // 发射射线
         const rayCount = this.config.rayCount;
         const angleStep = this.config.fov / rayCount;
@@ -61,7 +59,8 @@ class RaycastSystem {
                 angle,
                 maze,
                 cellSize,
-                playerRadius
+                playerRadius,
+                crossing
             );
             
             // 添加射线上的可见点
@@ -69,10 +68,10 @@ class RaycastSystem {
             
             // 更新可见单元格
             for (const point of rayPoints) {
-                const cellX = Math.floor(point.x / cellSize);
-                const cellY = Math.floor(point.y / cellSize);
-                const cellKey = `${cellX},${cellY}`;
-                this.visibleCells.add(cellKey);
+                const cell = maze.getCellAtPoint(point.x, point.y, cellSize);
+                if (cell) {
+                    this.visibleCells.add(`${cell.x},${cell.y}`);
+                }
             }
         }
         
@@ -99,9 +98,10 @@ class RaycastSystem {
      * @param {Maze} maze - 迷宫实例
      * @param {number} cellSize - 单元格大小
      * @param {number} playerRadius - 玩家半径（像素）
+     * @param {Object} crossing - 起点所在立交通道 { x, y, axis }（可选）
      * @returns {Array} 射线上的可见点
      */
-    castRay(startX, startY, angle, maze, cellSize, playerRadius = 0) {
+    castRay(startX, startY, angle, maze, cellSize, playerRadius = 0, crossing = null) {
         const points = [];
         const maxDistance = this.config.maxRayDistance * cellSize;
         const step = this.config.rayStep * cellSize;
@@ -114,14 +114,25 @@ class RaycastSystem {
         const dirX = Math.cos(angle);
         const dirY = Math.sin(angle);
         
+        // 射线进入立交单元格时按进入方向确定所在通道，另一条通道的墙壁会挡住视线
+        let cell = maze.getCellAtPoint(startX, startY, cellSize);
+        
         while (distance < maxDistance) {
             // 计算下一个点
             currentX += dirX * step;
             currentY += dirY * step;
             distance += step;
             
+            const nextCell = maze.getCellAtPoint(currentX, currentY, cellSize);
+            if (nextCell && cell && (nextCell.x !== cell.x || nextCell.y !== cell.y)) {
+                crossing = maze.getCrossing(nextCell.x, nextCell.y)
+                    ? { x: nextCell.x, y: nextCell.y, axis: nextCell.y !== cell.y ? 'vertical' : 'horizontal' }
+                    : null;
+            }
+            cell = nextCell;
+            
             // 检查是否碰到墙壁
-            if (this.isPointInWall(currentX, currentY, maze, cellSize, playerRadius)) {
+            if (this.isPointInWall(currentX, currentY, maze, cellSize, playerRadius, crossing)) {
                 // 碰到墙壁，停止射线
                 break;
             }
@@ -134,11 +145,7 @@ class RaycastSystem {
             });
             
             // 如果到达迷宫边界，停止射线
-            const cellX = Math.floor(currentX / cellSize);
-            const cellY = Math.floor(currentY / cellSize);
-            const { width, height } = maze.getSize();
-            
-            if (cellX < 0 || cellX >= width || cellY < 0 || cellY >= height) {
+            if (!maze.getCellAtPoint(currentX, currentY, cellSize)) {
                 break;
             }
         }
@@ -153,21 +160,27 @@ class RaycastSystem {
      * @param {Maze} maze - 迷宫实例
      * @param {number} cellSize - 单元格大小
      * @param {number} playerRadius - 玩家半径（可选，用于精确碰撞检测）
+     * @param {Object} crossing - 所在立交通道 { x, y, axis }（可选）
      * @returns {boolean} 是否在墙壁内
      */
-    isPointInWall(x, y, maze, cellSize, playerRadius = 0) {
+    isPointInWall(x, y, maze, cellSize, playerRadius = 0, crossing = null) {
         // 计算点所在的格子
         const cellX = Math.floor(x / cellSize);
         const cellY = Math.floor(y / cellSize);
         
-        const { width, height } = maze.getSize();
+        const { width, height } = maze.getPixelSize(cellSize);
         
         // 检查是否在迷宫范围内（考虑玩家半径）
-        if (x - playerRadius < 0 || x + playerRadius >= width * cellSize ||
-            y - playerRadius < 0 || y + playerRadius >= height * cellSize) {
+        if (x - playerRadius < 0 || x + playerRadius >= width ||
+            y - playerRadius < 0 || y + playerRadius >= height) {
             return true; // 迷宫边界视为墙壁
         }
         
+        // 非正方形拓扑使用通用的线段距离检测
+        if (maze.shape !== 'square') {
+            return maze.isNearWall(x, y, playerRadius, cellSize);
+        }
+        
         // 检查周围3×3区域的墙壁
         for (let dy = -1; dy <= 1; dy++) {
             for (let dx = -1; dx <= 1; dx++) {
@@ -175,7 +188,7 @@ class RaycastSystem {
                 const checkY = cellY + dy;
                 
                 // 检查水平墙壁（上边界）
-                if (maze.getWall('horizontal', checkY, checkX)) {
+                if (maze.getWall('horizontal', checkY, checkX, crossing)) {
                     const wallY = checkY * cellSize;
                     const wallX1 = checkX * cellSize;
                     const wallX2 = (checkX + 1) * cellSize;
@@ -188,7 +201,7 @@ class RaycastSystem {
                 }
                 
                 // 检查水平墙壁（下边界）
-                if (maze.getWall('horizontal', checkY + 1, checkX)) {
+                if (maze.getWall('horizontal', checkY + 1, checkX, crossing)) {
                     const wallY = (checkY + 1) * cellSize;
                     const wallX1 = checkX * cellSize;
                     const wallX2 = (checkX + 1) * cellSize;
@@ -200,7 +213,7 @@ class RaycastSystem {
                 }
                 
                 // 检查垂直墙壁（左边界）
-                if (maze.getWall('vertical', checkY, checkX)) {
+                if (maze.getWall('vertical', checkY, checkX, crossing)) {
                     const wallX = checkX * cellSize;
                     const wallY1 = checkY * cellSize;
                     const wallY2 = (checkY + 1) * cellSize;
@@ -212,7 +225,7 @@ class RaycastSystem {
                 }
                 
                 // 检查垂直墙壁（右边界）
-                if (maze.getWall('vertical', checkY, checkX + 1)) {
+                if (maze.getWall('vertical', checkY, checkX + 1, crossing)) {
                     const wallX = (checkX + 1) * cellSize;
                     const wallY1 = checkY * cellSize;
                     const wallY2 = (checkY + 1) * cellSize;
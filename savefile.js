@@ -0,0 +1,263 @@
+/**
+ * 隐藏迷宫 - 存档文件格式模块
+ * 把存档下载为 .hmaze.json 文件，或从文件读回；读取时先按版本迁移再做结构校验，
+ * 旧版本游戏保存的存档会被转换为当前版本，无法读取的文件给出具体原因
+ *
+ * 格式（版本1）：Game.exportState的结果，另加文件标识和元数据
+ *     {
+ *         "format": "hidden-maze-save",      // 固定标识（本地存档列表中的数据没有此项）
+ *         "version": 1,                      // 存档版本（与Game.SAVE_VERSION一致）
+ *         "config": { ... },                 // 游戏配置
+ *         "customMask": false,               // 是否使用图片生成的遮罩（从迷宫中取回）
+ *         "level": null,                     // 当前关卡
+ *         "maze": { ... },                   // 迷宫（JSON迷宫格式，见MazeJsonFormat）
+ *         "player": { "x": 20, "y": 20, "prevX": 20, "prevY": 20, "floor": 0, "crossing": null },
+ *         "exploredCells": ["0,0"], "visitedCells": ["0,0"], "steps": 0, "currentCellKey": "0,0",
+ *         "viewSystems": [{ "mode": "permanent", "viewRange": 1, "exploredCells": [], "permanentCells": [] }],
+ *         "state": { "isRunning": true, "isPaused": false, "isGameOver": false, "isVictory": false, "elapsed": 12000 },
+ *         "meta": { "name": "存档名称", "savedAt": "ISO时间" }
+ *     }
+ */
+
+class SaveFileFormat {
+    /**
+     * 将当前游戏转换为存档文件内容
+     * @param {Game} game - 游戏实例
+     * @param {Object} meta - 元数据（name，可选）
+     * @returns {Object} 可直接JSON.stringify的对象
+     */
+    static serialize(game, meta = {}) {
+        return {
+            format: SaveFileFormat.FORMAT,
+            ...game.exportState(),
+            meta: {
+                ...meta,
+                savedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * 从JSON对象或字符串读取存档
+     * @param {Object|string} json - JSON对象或字符串
+     * @returns {Object} 当前版本的存档数据（交给Game.importState）
+     * @throws {MazeFormatError} JSON无法解析、不是存档文件、版本不支持或内容不符合格式
+     */
+    static parse(json) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new MazeFormatError(`JSON解析失败: ${error.message}`);
+            }
+        }
+
+        if (data && data.format === MazeJsonFormat.FORMAT) {
+            throw new MazeFormatError('这是迷宫文件而不是存档，请在关卡编辑器中导入');
+        }
+        data = SaveFileFormat.migrate(data);
+
+        const errors = MazeJsonFormat.validateSchema(data, SaveFileFormat.SCHEMA, '');
+        if (errors.length > 0) {
+            const error = new MazeFormatError(`存档数据不符合格式：\n${errors.join('\n')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * 将存档逐版本迁移到当前版本
+     * @param {Object} data - 任意版本的存档
+     * @returns {Object} 当前版本的存档
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new MazeFormatError('存档数据必须是JSON对象');
+        }
+
+        // 没有版本号的数据视为版本0（最初版本的存档）
+        let version = data.version === undefined ? 0 : data.version;
+        if (!Number.isInteger(version) || version < 0) {
+            throw new MazeFormatError(`无效的存档版本: ${JSON.stringify(data.version)}`);
+        }
+        if (version > SaveFileFormat.VERSION) {
+            throw new MazeFormatError(`存档版本 ${version} 高于当前支持的版本 ${SaveFileFormat.VERSION}，请升级游戏`);
+        }
+
+        while (version < SaveFileFormat.VERSION) {
+            const migration = SaveFileFormat.migrations[version];
+            if (!migration) {
+                throw new MazeFormatError(`缺少从存档版本 ${version} 升级的迁移`);
+            }
+            data = migration(data);
+            version = data.version;
+        }
+
+        return data;
+    }
+
+    /**
+     * 注册版本迁移
+     * @param {number} fromVersion - 源版本
+     * @param {Function} migrate - 迁移函数 (data) => data，返回的数据必须带有新的version
+     */
+    static registerMigration(fromVersion, migrate) {
+        SaveFileFormat.migrations[fromVersion] = migrate;
+    }
+
+    /**
+     * 生成下载文件名（去掉文件名中不能使用的字符）
+     * @param {string} name - 存档名称
+     * @returns {string} 文件名
+     */
+    static getFileName(name) {
+        const base = String(name || '').replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^_+|_+$/g, '');
+        return `${base || 'hidden-maze'}${SaveFileFormat.EXTENSION}`;
+    }
+}
+
+// 文件标识、扩展名和当前版本
+SaveFileFormat.FORMAT = 'hidden-maze-save';
+SaveFileFormat.EXTENSION = '.hmaze.json';
+SaveFileFormat.VERSION = Game.SAVE_VERSION;
+
+// 当前版本的结构定义（迷宫和关卡的内容由Game.importState进一步检查）
+SaveFileFormat.SCHEMA = (() => {
+    const text = { type: 'string' };
+    const flag = { type: 'boolean' };
+    const cells = { type: 'array', items: text };
+
+    return {
+        type: 'object',
+        required: ['version', 'config', 'maze', 'player', 'exploredCells', 'visitedCells', 'viewSystems', 'state'],
+        properties: {
+            format: { type: 'string', enum: [SaveFileFormat.FORMAT] },
+            version: { type: 'integer', enum: [SaveFileFormat.VERSION] },
+            config: {
+                type: 'object',
+                properties: {
+                    mazeWidth: { type: 'integer', min: 1 },
+                    mazeHeight: { type: 'integer', min: 1 },
+                    shape: text,
+                    algorithm: text,
+                    braid: { type: 'number', min: 0, max: 1 },
+                    floors: { type: 'integer', min: 1, max: Game.MAX_FLOORS },
+                    mask: { type: 'string', nullable: true },
+                    placement: text,
+                    difficulty: { type: 'string', nullable: true },
+                    viewMode: { type: 'string', enum: ['permanent', 'instant'] },
+                    viewRange: { type: 'integer', min: 1, max: Game.MAX_VIEW_RANGE },
+                    timeLimit: { type: 'integer', min: 0, max: Game.MAX_TIME_LIMIT },
+                    stepLimit: { type: 'number', min: 0, max: Game.MAX_STEP_FACTOR },
+                    revealLimit: { type: 'integer', min: 0, max: 100 },
+                    cellSize: { type: 'number', min: 1 }
+                }
+            },
+            customMask: flag,
+            level: { type: 'object', nullable: true },
+            maze: { type: 'object' },
+            player: {
+                type: 'object',
+                required: ['x', 'y', 'prevX', 'prevY', 'floor'],
+                properties: {
+                    x: { type: 'number' },
+                    y: { type: 'number' },
+                    prevX: { type: 'number' },
+                    prevY: { type: 'number' },
+                    floor: { type: 'integer', min: 0, max: Game.MAX_FLOORS - 1 },
+                    crossing: { type: 'object', nullable: true }
+                }
+            },
+            exploredCells: cells,
+            visitedCells: cells,
+            steps: { type: 'integer', min: 0 },
+            currentCellKey: { type: 'string', nullable: true },
+            viewSystems: {
+                type: 'array',
+                minItems: 1,
+                maxItems: Game.MAX_FLOORS,
+                items: {
+                    type: 'object',
+                    properties: {
+                        mode: { type: 'string', enum: ['permanent', 'instant'] },
+                        viewRange: { type: 'integer', min: 1 },
+                        exploredCells: cells,
+                        permanentCells: cells
+                    }
+                }
+            },
+            state: {
+                type: 'object',
+                required: ['isRunning', 'isPaused', 'isGameOver', 'isVictory', 'elapsed'],
+                properties: {
+                    isRunning: flag,
+                    isPaused: flag,
+                    isGameOver: flag,
+                    isVictory: flag,
+                    elapsed: { type: 'number', min: 0, nullable: true }
+                }
+            },
+            meta: { type: 'object', values: text }
+        }
+    };
+})();
+
+// 版本迁移：源版本 -> 迁移函数
+SaveFileFormat.migrations = {};
+
+// 版本0：最初版本的存档 { config: { mazeSize, ... }, state, maze, player, exploredCells, visitedCells }
+// （只有正方形单层迷宫，迷宫由MazeJsonFormat的版本0迁移转换；视野系统没有单独保存，按已探索单元格重建）
+SaveFileFormat.registerMigration(0, data => {
+    const { mazeSize, ...config } = data.config || {};
+    const state = data.state || {};
+    const player = data.player || {};
+    const exploredCells = Array.isArray(data.exploredCells) ? data.exploredCells : [];
+    const viewMode = config.viewMode === 'instant' ? 'instant' : 'permanent';
+
+    // 旧存档没有记录保存时刻，进行中的游戏无法算出已用时间，从0开始计时
+    let elapsed = null;
+    if (Number.isFinite(state.startTime)) {
+        elapsed = Number.isFinite(state.endTime) ? state.endTime - state.startTime : 0;
+    }
+
+    return {
+        version: 1,
+        config: Number.isInteger(mazeSize) ? { ...config, mazeWidth: mazeSize, mazeHeight: mazeSize } : config,
+        customMask: false,
+        level: null,
+        maze: data.maze,
+        player: {
+            x: player.x,
+            y: player.y,
+            prevX: player.prevX === undefined ? player.x : player.prevX,
+            prevY: player.prevY === undefined ? player.y : player.prevY,
+            floor: 0,
+            crossing: null
+        },
+        exploredCells,
+        visitedCells: data.visitedCells,
+        steps: 0,
+        currentCellKey: null,
+        viewSystems: [{
+            mode: viewMode,
+            viewRange: 1,
+            exploredCells,
+            permanentCells: viewMode === 'permanent' ? exploredCells : []
+        }],
+        state: {
+            isRunning: Boolean(state.isRunning),
+            isPaused: Boolean(state.isPaused),
+            isGameOver: Boolean(state.isGameOver),
+            isVictory: Boolean(state.isVictory),
+            elapsed
+        }
+    };
+});
+
+// 导出SaveFileFormat类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveFileFormat;
+}
@@ -0,0 +1,278 @@
+/**
+ * 隐藏迷宫 - 存档管理模块
+ * 多个命名存档，每个存档的游戏数据（见Game.exportState）单独保存在localStorage中，
+ * 存档列表另存一份摘要（保存时间、迷宫大小、用时、探索率和已探索地图的缩略图），打开存档列表时不必读取全部存档
+ */
+
+class SaveSlotManager {
+    /**
+     * 创建存档管理器（从本地存储读取存档列表，并转换旧版的单一存档）
+     */
+    constructor() {
+        this.slots = SaveSlotManager.loadIndex();
+        this.migrateLegacySave();
+    }
+
+    /**
+     * 从本地存储读取存档列表（数据损坏时为空）
+     * @returns {Array} 存档摘要 { id, name, savedAt, shape, width, height, floors, level, playTime, exploreRate, thumbnail }
+     */
+    static loadIndex() {
+        try {
+            const data = JSON.parse(localStorage.getItem(SaveSlotManager.INDEX_KEY));
+            if (data && data.version === SaveSlotManager.VERSION && Array.isArray(data.slots)) {
+                return data.slots;
+            }
+        } catch (error) {
+            console.error('读取存档列表失败:', error);
+        }
+        return [];
+    }
+
+    /**
+     * 写入本地存储，存储空间不足时给出明确的错误
+     * @param {string} key - 键名
+     * @param {string} value - 内容
+     * @throws {Error} 存储空间已满
+     */
+    static writeItem(key, value) {
+        try {
+            localStorage.setItem(key, value);
+        } catch (error) {
+            if (SaveSlotManager.isQuotaError(error)) {
+                throw new Error('浏览器存储空间已满，请删除一些存档后再试');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 检查是否为存储空间不足的错误（各浏览器的错误名称不同）
+     * @param {Error} error - 错误
+     * @returns {boolean} 是否为存储空间不足
+     */
+    static isQuotaError(error) {
+        return error instanceof DOMException &&
+            (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    /**
+     * 从存档数据计算列表中显示的摘要
+     * @param {Object} data - 存档数据（见Game.exportState）
+     * @returns {Object} { shape, width, height, floors, level, playTime, exploreRate }
+     * @throws {MazeFormatError} 存档中的迷宫无效
+     */
+    static summarize(data) {
+        const maze = MazeJsonFormat.parse(data.maze);
+        const { elapsed } = data.state;
+        return {
+            shape: maze.shape,
+            width: maze.getSize().width,
+            height: maze.getSize().height,
+            floors: maze.getFloorCount(),
+            level: data.level ? data.level.title : null,
+            playTime: elapsed === null ? 0 : Math.floor(elapsed / 1000),
+            exploreRate: Math.round((data.exploredCells.length / maze.getCellCount()) * 100)
+        };
+    }
+
+    /**
+     * 获取存档键名
+     * @param {string} slotId - 存档ID
+     * @returns {string} 本地存储键名
+     */
+    static getSlotKey(slotId) {
+        return `${SaveSlotManager.SLOT_KEY_PREFIX}${slotId}`;
+    }
+
+    /**
+     * 按保存时间从新到旧列出存档
+     * @returns {Array} 存档摘要
+     */
+    getSlots() {
+        return [...this.slots].sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * 获取存档摘要
+     * @param {string} slotId - 存档ID
+     * @returns {Object|null} 存档摘要
+     */
+    getSlot(slotId) {
+        return this.slots.find(slot => slot.id === slotId) || null;
+    }
+
+    /**
+     * 保存游戏到新存档或覆盖已有存档
+     * 存档数据和列表都写入成功才算保存成功，列表写入失败时恢复原来的存档数据
+     * @param {string} name - 存档名称
+     * @param {Object} data - 存档数据（见Game.exportState）
+     * @param {string|null} thumbnail - 缩略图（data URL）
+     * @param {string|null} slotId - 要覆盖的存档ID，为空时新建存档
+     * @returns {Object} 存档摘要
+     * @throws {Error} 名称无效、存档已满、存档不存在或存储空间已满
+     */
+    save(name, data, thumbnail = null, slotId = null) {
+        const slotName = SaveSlotManager.checkName(name);
+        if (slotId && !this.getSlot(slotId)) {
+            throw new Error(`没有找到存档: ${slotId}`);
+        }
+        if (!slotId && this.slots.length >= SaveSlotManager.MAX_SLOTS) {
+            throw new Error(`最多只能保存${SaveSlotManager.MAX_SLOTS}个存档，请删除或覆盖旧存档`);
+        }
+
+        const slot = {
+            id: slotId || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: slotName,
+            savedAt: Date.now(),
+            ...SaveSlotManager.summarize(data),
+            thumbnail
+        };
+        const slots = slotId
+            ? this.slots.map(existing => existing.id === slotId ? slot : existing)
+            : [...this.slots, slot];
+
+        const key = SaveSlotManager.getSlotKey(slot.id);
+        const previous = localStorage.getItem(key);
+        SaveSlotManager.writeItem(key, JSON.stringify(data));
+        try {
+            this.writeIndex(slots);
+        } catch (error) {
+            if (previous === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, previous);
+            }
+            throw error;
+        }
+
+        this.slots = slots;
+        return slot;
+    }
+
+    /**
+     * 读取存档数据
+     * @param {string} slotId - 存档ID
+     * @returns {Object} 当前版本的存档数据（交给Game.importState，旧版本的存档会先迁移）
+     * @throws {Error} 存档不存在或数据已损坏
+     */
+    load(slotId) {
+        const slot = this.getSlot(slotId);
+        if (!slot) {
+            throw new Error(`没有找到存档: ${slotId}`);
+        }
+
+        const raw = localStorage.getItem(SaveSlotManager.getSlotKey(slotId));
+        if (raw === null) {
+            throw new Error(`存档“${slot.name}”的数据已丢失`);
+        }
+        try {
+            return SaveFileFormat.parse(raw);
+        } catch (error) {
+            throw new Error(`存档“${slot.name}”的数据已损坏（${error.message}）`);
+        }
+    }
+
+    /**
+     * 重命名存档
+     * @param {string} slotId - 存档ID
+     * @param {string} name - 新名称
+     * @throws {Error} 名称无效或存档不存在
+     */
+    rename(slotId, name) {
+        const slotName = SaveSlotManager.checkName(name);
+        if (!this.getSlot(slotId)) {
+            throw new Error(`没有找到存档: ${slotId}`);
+        }
+
+        const slots = this.slots.map(slot => slot.id === slotId ? { ...slot, name: slotName } : slot);
+        this.writeIndex(slots);
+        this.slots = slots;
+    }
+
+    /**
+     * 删除存档
+     * @param {string} slotId - 存档ID
+     */
+    delete(slotId) {
+        const slots = this.slots.filter(slot => slot.id !== slotId);
+        this.writeIndex(slots);
+        this.slots = slots;
+        localStorage.removeItem(SaveSlotManager.getSlotKey(slotId));
+    }
+
+    /**
+     * 检查存档名称
+     * @param {string} name - 存档名称
+     * @returns {string} 去掉首尾空白的名称
+     * @throws {Error} 名称为空或过长
+     */
+    static checkName(name) {
+        const slotName = String(name || '').trim();
+        if (!slotName) {
+            throw new Error('请输入存档名称');
+        }
+        if (slotName.length > SaveSlotManager.MAX_NAME_LENGTH) {
+            throw new Error(`存档名称不能超过${SaveSlotManager.MAX_NAME_LENGTH}个字`);
+        }
+        return slotName;
+    }
+
+    /**
+     * 保存存档列表
+     * @param {Array} slots - 存档摘要
+     * @throws {Error} 存储空间已满
+     */
+    writeIndex(slots) {
+        SaveSlotManager.writeItem(SaveSlotManager.INDEX_KEY, JSON.stringify({
+            version: SaveSlotManager.VERSION,
+            slots
+        }));
+    }
+
+    /**
+     * 把旧版本的单一存档转为一个命名存档（按存档文件格式迁移，无法读取的旧存档直接丢弃）
+     */
+    migrateLegacySave() {
+        const raw = localStorage.getItem(SaveSlotManager.LEGACY_KEY);
+        if (raw === null) return;
+
+        let data = null;
+        try {
+            data = SaveFileFormat.parse(raw);
+        } catch (error) {
+            console.error('读取旧存档失败:', error);
+        }
+
+        if (data) {
+            try {
+                this.save(SaveSlotManager.LEGACY_NAME, data);
+            } catch (error) {
+                // 保留旧存档，下次再试（例如存储空间已满）
+                console.error('转换旧存档失败:', error);
+                return;
+            }
+        }
+        localStorage.removeItem(SaveSlotManager.LEGACY_KEY);
+    }
+}
+
+// 最多存档数
+SaveSlotManager.MAX_SLOTS = 8;
+
+// 存档名称的最大长度
+SaveSlotManager.MAX_NAME_LENGTH = 30;
+
+// 本地存储键名（存档列表、每个存档的数据、旧版本的单一存档）和列表数据版本
+SaveSlotManager.INDEX_KEY = 'hiddenMaze_saves';
+SaveSlotManager.SLOT_KEY_PREFIX = 'hiddenMaze_save_';
+SaveSlotManager.LEGACY_KEY = 'hiddenMaze_save';
+SaveSlotManager.VERSION = 1;
+
+// 旧版本单一存档转换后的名称
+SaveSlotManager.LEGACY_NAME = '旧存档';
+
+// 导出SaveSlotManager类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveSlotManager;
+}
@@ -0,0 +1,506 @@
+/**
+ * 隐藏迷宫 - 迷宫求解模块
+ * 每种求解算法都是一个生成器，逐步产出搜索过程，便于界面按步播放搜索前沿并比较各算法探索的单元格数
+ * 只依赖通用的单元格与邻居接口，适用于所有拓扑形状和多层迷宫
+ *
+ * 求解步骤 { type, cell }：
+ *     'visit'    - 访问（展开）单元格
+ *     'frontier' - 单元格加入待搜索集合
+ *     'discard'  - 单元格被排除（回溯或填充死胡同）
+ *     'done'     - 求解结束（最后一步），附带 path（不可达时为空数组）
+ */
+
+class MazeSolver {
+    /**
+     * 创建求解步骤生成器
+     * @param {Maze|MultiFloorMaze} maze - 已生成的迷宫
+     * @param {string} spec - 求解算法名称（支持 '名称:变体' 形式）
+     * @returns {Generator} 求解步骤生成器
+     */
+    static solve(maze, spec = MazeSolver.DEFAULT_SOLVER) {
+        const resolved = Maze.resolveSpec(MazeSolver.solvers, spec);
+        if (!resolved) {
+            throw new Error(`未知的求解算法: ${spec}`);
+        }
+        return resolved.definition.solve(maze, resolved.variant);
+    }
+
+    /**
+     * 一次性运行求解算法
+     * @param {Maze|MultiFloorMaze} maze - 已生成的迷宫
+     * @param {string} spec - 求解算法名称
+     * @returns {Object} { path, explored, steps } 路线、探索过的单元格数和总步数
+     */
+    static run(maze, spec = MazeSolver.DEFAULT_SOLVER) {
+        const explored = new Set();
+        let path = [];
+        let steps = 0;
+
+        for (const step of MazeSolver.solve(maze, spec)) {
+            steps++;
+            if (step.type === 'done') {
+                path = step.path;
+            } else if (step.type !== 'frontier') {
+                explored.add(MazeSolver.keyOf(maze, step.cell));
+            }
+        }
+
+        return { path, explored: explored.size, steps };
+    }
+
+    /**
+     * 在同一迷宫上运行所有求解算法
+     * @param {Maze|MultiFloorMaze} maze - 已生成的迷宫
+     * @returns {Array} [{ value, label, path, explored, steps }]
+     */
+    static compare(maze) {
+        return MazeSolver.getSolverOptions().map(option => ({
+            ...option,
+            ...MazeSolver.run(maze, option.value)
+        }));
+    }
+
+    /**
+     * 检查求解算法名称是否有效
+     * @param {string} spec - 求解算法名称（可带变体）
+     * @returns {boolean} 是否已注册
+     */
+    static isValidSolver(spec) {
+        return Maze.resolveSpec(MazeSolver.solvers, spec) !== null;
+    }
+
+    /**
+     * 获取所有可选求解算法（变体展开为独立选项）
+     * @returns {Array} [{ value, label }]
+     */
+    static getSolverOptions() {
+        return Maze.getSpecOptions(MazeSolver.solvers);
+    }
+
+    /**
+     * 注册求解算法
+     * @param {string} name - 算法名称
+     * @param {Object} solver - 算法定义
+     * @param {string} solver.label - 显示名称
+     * @param {Function} solver.solve - 生成器函数 (maze, variant) => Generator，产出求解步骤
+     * @param {Object} solver.variants - 可选变体 { 变体名: 显示名称 }
+     * @param {string} solver.defaultVariant - 默认变体
+     */
+    static register(name, solver) {
+        MazeSolver.solvers[name] = { name, ...solver };
+    }
+
+    /**
+     * 获取单元格的唯一键
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @param {Object} cell - 单元格 { x, y, z }
+     * @returns {string} 单元格键
+     */
+    static keyOf(maze, cell) {
+        return maze.getCellKey(cell.x, cell.y, cell.z);
+    }
+
+    /**
+     * 获取已打通的相邻单元格（去掉方向等附加信息）
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @param {Object} cell - 单元格
+     * @returns {Array} 单元格数组 { x, y, z }
+     */
+    static getNeighbors(maze, cell) {
+        return maze.getOpenNeighbors(cell.x, cell.y, cell.z)
+            .map(neighbor => ({ x: neighbor.x, y: neighbor.y, z: neighbor.z }));
+    }
+
+    /**
+     * 获取起点和终点
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @returns {Object} { start, end }
+     */
+    static getEndpoints(maze) {
+        return { start: maze.getStart(), end: maze.getEnd() };
+    }
+
+    /**
+     * 检查两个单元格是否相同
+     * @param {Object} a - 单元格
+     * @param {Object} b - 单元格
+     * @returns {boolean} 是否相同
+     */
+    static isSameCell(a, b) {
+        return a.x === b.x && a.y === b.y && (a.z || 0) === (b.z || 0);
+    }
+
+    /**
+     * 获取单元格中心（以单元格大小为1计算，用于估价和判断方向）
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @param {Object} cell - 单元格
+     * @returns {Object} { x, y }
+     */
+    static getCenter(maze, cell) {
+        return maze.getFloor(cell.z || 0).getCellCenter(cell.x, cell.y, 1);
+    }
+
+    /**
+     * 沿父节点表回溯出路线
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @param {Map} parent - 单元格键 -> 父单元格
+     * @param {Object} end - 终点
+     * @returns {Array} 从起点到终点的路线
+     */
+    static tracePath(maze, parent, end) {
+        const path = [];
+        for (let cell = end; cell; cell = parent.get(MazeSolver.keyOf(maze, cell))) {
+            path.unshift(cell);
+        }
+        return path;
+    }
+
+    /**
+     * A*估价函数：正方形网格使用曼哈顿距离，其他形状使用单元格中心的直线距离，楼层差按每层一步计
+     * （立交隧道一步跨过两个单元格，编织迷宫中估价可能偏高，得到的路线不一定最短）
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @param {Object} a - 单元格
+     * @param {Object} b - 单元格
+     * @returns {number} 估计步数
+     */
+    static heuristic(maze, a, b) {
+        const floors = Math.abs((a.z || 0) - (b.z || 0));
+        if (maze.shape === 'square') {
+            return Math.abs(a.x - b.x) + Math.abs(a.y - b.y) + floors;
+        }
+
+        const from = MazeSolver.getCenter(maze, a);
+        const to = MazeSolver.getCenter(maze, b);
+        return Math.hypot(to.x - from.x, to.y - from.y) + floors;
+    }
+
+    /**
+     * 广度优先搜索：按距离逐层扩展，得到最短路线
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     */
+    static *bfs(maze) {
+        const { start, end } = MazeSolver.getEndpoints(maze);
+        const parent = new Map([[MazeSolver.keyOf(maze, start), null]]);
+        const queue = [start];
+        yield { type: 'frontier', cell: start };
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            yield { type: 'visit', cell: current };
+
+            if (MazeSolver.isSameCell(current, end)) {
+                yield { type: 'done', path: MazeSolver.tracePath(maze, parent, current) };
+                return;
+            }
+
+            for (const neighbor of MazeSolver.getNeighbors(maze, current)) {
+                const key = MazeSolver.keyOf(maze, neighbor);
+                if (parent.has(key)) continue;
+
+                parent.set(key, current);
+                queue.push(neighbor);
+                yield { type: 'frontier', cell: neighbor };
+            }
+        }
+
+        yield { type: 'done', path: [] };
+    }
+
+    /**
+     * 深度优先搜索：沿一条路走到底，走不通时回溯
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     */
+    static *dfs(maze) {
+        const { start, end } = MazeSolver.getEndpoints(maze);
+        const visited = new Set([MazeSolver.keyOf(maze, start)]);
+        const stack = [start];
+        yield { type: 'visit', cell: start };
+
+        while (stack.length > 0) {
+            const current = stack[stack.length - 1];
+            if (MazeSolver.isSameCell(current, end)) {
+                yield { type: 'done', path: [...stack] };
+                return;
+            }
+
+            const next = MazeSolver.getNeighbors(maze, current)
+                .find(neighbor => !visited.has(MazeSolver.keyOf(maze, neighbor)));
+
+            if (next) {
+                visited.add(MazeSolver.keyOf(maze, next));
+                stack.push(next);
+                yield { type: 'visit', cell: next };
+            } else {
+                stack.pop();
+                yield { type: 'discard', cell: current };
+            }
+        }
+
+        yield { type: 'done', path: [] };
+    }
+
+    /**
+     * A*搜索：按已走步数加估计剩余步数优先扩展
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     */
+    static *aStar(maze) {
+        const { start, end } = MazeSolver.getEndpoints(maze);
+        const startKey = MazeSolver.keyOf(maze, start);
+        const parent = new Map([[startKey, null]]);
+        const cost = new Map([[startKey, 0]]);
+        const closed = new Set();
+        let open = [{ cell: start, key: startKey, score: MazeSolver.heuristic(maze, start, end) }];
+        yield { type: 'frontier', cell: start };
+
+        while (open.length > 0) {
+            // 迷宫规模不大，直接线性查找评分最低的单元格
+            const best = open.reduce((a, b) => b.score < a.score ? b : a);
+            open = open.filter(entry => entry !== best);
+            if (closed.has(best.key)) continue;
+
+            closed.add(best.key);
+            yield { type: 'visit', cell: best.cell };
+
+            if (MazeSolver.isSameCell(best.cell, end)) {
+                yield { type: 'done', path: MazeSolver.tracePath(maze, parent, best.cell) };
+                return;
+            }
+
+            for (const neighbor of MazeSolver.getNeighbors(maze, best.cell)) {
+                const key = MazeSolver.keyOf(maze, neighbor);
+                const steps = cost.get(best.key) + 1;
+                if (closed.has(key) || (cost.has(key) && cost.get(key) <= steps)) continue;
+
+                cost.set(key, steps);
+                parent.set(key, best.cell);
+                open.push({ cell: neighbor, key, score: steps + MazeSolver.heuristic(maze, neighbor, end) });
+                yield { type: 'frontier', cell: neighbor };
+            }
+        }
+
+        yield { type: 'done', path: [] };
+    }
+
+    /**
+     * 死胡同填充：反复填平除起点和终点以外只有一个出口的单元格，剩下的通道即为路线
+     * 有环路时剩余通道可能不止一条，最后在剩余单元格中用BFS取最短路线
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     */
+    static *deadEndFilling(maze) {
+        const { start, end } = MazeSolver.getEndpoints(maze);
+        const isEndpoint = cell => MazeSolver.isSameCell(cell, start) || MazeSolver.isSameCell(cell, end);
+        const exits = new Map();
+        const queue = [];
+
+        for (const cell of maze.getAllCells()) {
+            const count = MazeSolver.getNeighbors(maze, cell).length;
+            exits.set(MazeSolver.keyOf(maze, cell), count);
+            if (count <= 1 && !isEndpoint(cell)) {
+                queue.push(cell);
+            }
+        }
+
+        const filled = new Set();
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            const key = MazeSolver.keyOf(maze, cell);
+            if (filled.has(key)) continue;
+
+            filled.add(key);
+            yield { type: 'discard', cell };
+
+            for (const neighbor of MazeSolver.getNeighbors(maze, cell)) {
+                const neighborKey = MazeSolver.keyOf(maze, neighbor);
+                if (filled.has(neighborKey)) continue;
+
+                exits.set(neighborKey, exits.get(neighborKey) - 1);
+                if (exits.get(neighborKey) <= 1 && !isEndpoint(neighbor)) {
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        // 在未填充的单元格中查找路线
+        const parent = new Map([[MazeSolver.keyOf(maze, start), null]]);
+        const search = [start];
+        while (search.length > 0) {
+            const current = search.shift();
+            yield { type: 'visit', cell: current };
+
+            if (MazeSolver.isSameCell(current, end)) {
+                yield { type: 'done', path: MazeSolver.tracePath(maze, parent, current) };
+                return;
+            }
+
+            for (const neighbor of MazeSolver.getNeighbors(maze, current)) {
+                const key = MazeSolver.keyOf(maze, neighbor);
+                if (filled.has(key) || parent.has(key)) continue;
+
+                parent.set(key, current);
+                search.push(neighbor);
+            }
+        }
+
+        yield { type: 'done', path: [] };
+    }
+
+    /**
+     * 沿墙走（左手或右手法则）：每个单元格的出口按方向角排成固定的环形顺序（楼梯排在所有平面方向之后），
+     * 从来路所在的出口开始，左手取环中的下一个出口，右手取上一个；只有来路一个出口时掉头
+     * 只在完美迷宫中保证到达终点；同一条通道沿同一方向走第二次说明在环路中绕圈，此时判定失败
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     * @param {string} hand - 'left' 或 'right'
+     */
+    static *wallFollower(maze, hand = 'left') {
+        const { start, end } = MazeSolver.getEndpoints(maze);
+        const route = [start];
+        const traversed = new Set();
+        let current = start;
+        let previous = null;
+        yield { type: 'visit', cell: current };
+
+        while (!MazeSolver.isSameCell(current, end)) {
+            const neighbors = MazeSolver.getNeighbors(maze, current);
+            if (neighbors.length === 0) {
+                yield { type: 'done', path: [] };
+                return;
+            }
+
+            // 出口在环中的位置：平面出口为方向角（-π~π），上楼和下楼分别排在其后
+            // 屏幕坐标y轴向下，方向角增大为顺时针：从来路顺时针转过去的第一个出口即最靠左的出口
+            const from = MazeSolver.getCenter(maze, current);
+            const exits = neighbors.map(neighbor => {
+                const to = MazeSolver.getCenter(maze, neighbor);
+                const order = to.x === from.x && to.y === from.y
+                    ? (neighbor.z > current.z ? 4 : 5)
+                    : Math.atan2(to.y - from.y, to.x - from.x);
+                return { neighbor, order };
+            }).sort((a, b) => a.order - b.order);
+            const back = previous ? exits.findIndex(exit => MazeSolver.isSameCell(exit.neighbor, previous)) : -1;
+            const neighbor = back === -1
+                ? neighbors[0]
+                : exits[(back + (hand === 'left' ? 1 : exits.length - 1)) % exits.length].neighbor;
+
+            const edge = `${MazeSolver.keyOf(maze, current)}>${MazeSolver.keyOf(maze, neighbor)}`;
+            if (traversed.has(edge)) {
+                yield { type: 'done', path: [] };
+                return;
+            }
+            traversed.add(edge);
+
+            // 退回上一个单元格时从路线中去掉死胡同
+            const last = route[route.length - 2];
+            if (last && MazeSolver.isSameCell(last, neighbor)) {
+                yield { type: 'discard', cell: route.pop() };
+            } else {
+                route.push(neighbor);
+            }
+
+            previous = current;
+            current = neighbor;
+            yield { type: 'visit', cell: current };
+        }
+
+        yield { type: 'done', path: route };
+    }
+
+    /**
+     * Trémaux算法：走过的通道做标记，每条通道最多走两次
+     * 进入已访问过的单元格时立即原路返回；否则优先走未标记的通道，其次走只标记过一次的通道
+     * 结束时只标记过一次的通道组成从起点到终点的路线
+     * @param {Maze|MultiFloorMaze} maze - 迷宫实例
+     */
+    static *tremaux(maze) {
+        const { start, end } = MazeSolver.getEndpoints(maze);
+        const marks = new Map();
+        const edgeKey = (a, b) => [MazeSolver.keyOf(maze, a), MazeSolver.keyOf(maze, b)].sort().join('|');
+        const marksOf = (a, b) => marks.get(edgeKey(a, b)) || 0;
+
+        const visited = new Set([MazeSolver.keyOf(maze, start)]);
+        const route = [start];
+        let current = start;
+        let previous = null;
+        let returning = false; // 刚从新通道进入已访问过的单元格
+        yield { type: 'visit', cell: current };
+
+        while (!MazeSolver.isSameCell(current, end)) {
+            const neighbors = MazeSolver.getNeighbors(maze, current);
+            let next;
+
+            if (returning) {
+                next = previous;
+            } else {
+                next = neighbors.find(neighbor => marksOf(current, neighbor) === 0) ||
+                    neighbors.find(neighbor => marksOf(current, neighbor) === 1);
+            }
+
+            if (!next) {
+                yield { type: 'done', path: [] };
+                return;
+            }
+
+            const key = edgeKey(current, next);
+            marks.set(key, (marks.get(key) || 0) + 1);
+
+            // 第一次走的通道延长路线，第二次走的通道是回头路
+            if (marks.get(key) === 1) {
+                route.push(next);
+            } else {
+                yield { type: 'discard', cell: route.pop() };
+            }
+
+            const nextKey = MazeSolver.keyOf(maze, next);
+            returning = marks.get(key) === 1 && visited.has(nextKey);
+            visited.add(nextKey);
+            previous = current;
+            current = next;
+            yield { type: 'visit', cell: current };
+        }
+
+        yield { type: 'done', path: route };
+    }
+}
+
+// 默认求解算法
+MazeSolver.DEFAULT_SOLVER = 'bfs';
+
+// 求解算法注册表
+MazeSolver.solvers = {};
+
+// 注册求解算法
+MazeSolver.register('bfs', {
+    label: '广度优先',
+    solve: MazeSolver.bfs
+});
+
+MazeSolver.register('dfs', {
+    label: '深度优先',
+    solve: MazeSolver.dfs
+});
+
+MazeSolver.register('a-star', {
+    label: 'A*（曼哈顿距离）',
+    solve: MazeSolver.aStar
+});
+
+MazeSolver.register('dead-end-filling', {
+    label: '死胡同填充',
+    solve: MazeSolver.deadEndFilling
+});
+
+MazeSolver.register('wall-follower', {
+    label: '沿墙走',
+    variants: { left: '左手', right: '右手' },
+    defaultVariant: 'left',
+    solve: MazeSolver.wallFollower
+});
+
+MazeSolver.register('tremaux', {
+    label: 'Trémaux',
+    solve: MazeSolver.tremaux
+});
+
+// 导出MazeSolver类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MazeSolver;
+}
@@ -0,0 +1,30 @@
+/**
+ * 隐藏迷宫 - 测试用脚本加载
+ * 按index.html中的顺序把游戏脚本加载到全局（与浏览器中的普通脚本一样共享顶层声明），
+ * 依赖页面元素的界面脚本除外；加载后各测试直接使用Game等全局类
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// 依赖页面元素的脚本不加载
+const SKIPPED_SCRIPTS = ['ui.js', 'main.js'];
+
+/**
+ * 加载游戏脚本
+ */
+function loadGame() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+        .map(match => match[1])
+        .filter(file => !SKIPPED_SCRIPTS.includes(file));
+
+    for (const file of scripts) {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+    }
+}
+
+module.exports = loadGame;
@@ -0,0 +1,128 @@
+/**
+ * 隐藏迷宫 - 暂停计时测试
+ * 用可控的时钟代替Date.now，检查暂停的时间不计入用时：限时不会在暂停中耗尽，
+ * 暂停中保存的用时为暂停前的用时，加载暂停的存档后继续计时；任何一项不符时以非零状态退出
+ *
+ * 运行：node tests/pausetime.js
+ */
+
+const assert = require('assert');
+const loadGame = require('./loadgame');
+
+// 可控的时钟（毫秒）
+let clock = Date.UTC(2024, 0, 1);
+Date.now = () => clock;
+
+/**
+ * 时钟前进若干秒
+ * @param {number} seconds - 秒数
+ */
+function advance(seconds) {
+    clock += seconds * 1000;
+}
+
+/**
+ * 创建一局已开始的60秒限时游戏
+ * @returns {Game} 游戏实例
+ */
+function startTimedGame() {
+    const game = new Game({ seed: 'pause-time', mazeWidth: 8, mazeHeight: 8, timeLimit: 60, cellSize: 40 });
+    game.start();
+    return game;
+}
+
+const TESTS = [
+    ['暂停超过限时后继续不会立即超时', () => {
+        const game = startTimedGame();
+        advance(10);
+        game.togglePause();
+        advance(120);
+        assert.strictEqual(game.getRemainingTime(), 50);
+        assert.strictEqual(game.checkLimits(), null);
+
+        game.togglePause();
+        assert.strictEqual(game.getRemainingTime(), 50);
+        assert.strictEqual(game.checkLimits(), null);
+        assert.strictEqual(game.state.isGameOver, false);
+
+        advance(50);
+        assert.strictEqual(game.checkLimits(), 'timeout');
+    }],
+    ['暂停中保存的用时不含暂停的时间', () => {
+        const game = startTimedGame();
+        advance(10);
+        game.togglePause();
+        advance(300);
+        assert.strictEqual(game.exportState().state.elapsed, 10000);
+
+        game.togglePause();
+        advance(5);
+        assert.strictEqual(game.exportState().state.elapsed, 15000);
+    }],
+    ['多次暂停的时间都不计入', () => {
+        const game = startTimedGame();
+        for (let i = 0; i < 3; i++) {
+            advance(5);
+            game.togglePause();
+            advance(100);
+            game.togglePause();
+        }
+        assert.strictEqual(game.getElapsedTime(), 15000);
+        assert.strictEqual(game.getRemainingTime(), 45);
+    }],
+    ['胜利用时不含暂停的时间', () => {
+        const game = startTimedGame();
+        let time = null;
+        game.addEventListener('onVictory', data => { time = data.time; });
+        advance(20);
+        game.togglePause();
+        advance(600);
+        game.togglePause();
+        advance(3);
+        game.victory();
+        assert.strictEqual(time, 23);
+    }],
+    ['加载暂停的存档后暂停期间不计时，继续后正常计时', () => {
+        const game = startTimedGame();
+        advance(10);
+        game.togglePause();
+        const saved = JSON.parse(JSON.stringify(game.exportState()));
+
+        const copy = new Game({ cellSize: 40 });
+        copy.importState(saved);
+        advance(200);
+        assert.strictEqual(copy.getRemainingTime(), 50);
+
+        copy.togglePause();
+        advance(30);
+        assert.strictEqual(copy.getRemainingTime(), 20);
+        assert.strictEqual(copy.checkLimits(), null);
+    }]
+];
+
+function main() {
+    loadGame();
+
+    // 游戏运行时的日志不输出
+    const print = console.log;
+    console.log = () => {};
+
+    let failures = 0;
+    for (const [name, test] of TESTS) {
+        try {
+            test();
+            print(`✓ ${name}`);
+        } catch (error) {
+            failures++;
+            print(`✗ ${name}\n${error.stack}`);
+        }
+    }
+
+    if (failures > 0) {
+        print(`${failures}项暂停计时测试失败`);
+        process.exit(1);
+    }
+    print('全部暂停计时测试通过');
+}
+
+main();
@@ -0,0 +1,124 @@
+/**
+ * 隐藏迷宫 - 存档往返测试
+ * 对各种迷宫分别在游戏进行中和暂停时执行 exportState → importState → exportState，
+ * 两次导出的数据必须完全相同；任何一项不一致时以非零状态退出
+ *
+ * 运行：node tests/saveroundtrip.js
+ */
+
+const assert = require('assert');
+const loadGame = require('./loadgame');
+
+// 两次导出使用同一时刻，用时才能一致
+const NOW = Date.now();
+
+// 测试用的迷宫设置（固定种子）
+const CASES = [
+    { name: '正方形', options: { seed: 'roundtrip-square', mazeWidth: 10, mazeHeight: 10 } },
+    { name: '六边形', options: { seed: 'roundtrip-hex', shape: 'hex', mazeWidth: 8, mazeHeight: 8 } },
+    { name: '多层', options: { seed: 'roundtrip-floors', floors: 3, mazeWidth: 8, mazeHeight: 8 } },
+    { name: '立交', options: { seed: 'roundtrip-weave', algorithm: 'weave', mazeWidth: 10, mazeHeight: 10 } },
+    { name: '遮罩', options: { seed: 'roundtrip-mask', mask: 'heart', mazeWidth: 16, mazeHeight: 13 } }
+];
+
+/**
+ * 沿最短路线走若干步（换层时使用楼梯），模拟进行到一半的游戏
+ * @param {Game} game - 已开始的游戏
+ * @param {number} count - 步数
+ */
+function walk(game, count) {
+    const cellSize = game.config.cellSize;
+
+    for (const cell of game.getSolutionPath().slice(1, count + 1)) {
+        const floor = cell.z || 0;
+        if (floor !== game.getPlayerFloor()) {
+            game.useStairs(floor > game.getPlayerFloor() ? 'up' : 'down');
+            continue;
+        }
+
+        const center = game.getFloorMaze().getCellCenter(cell.x, cell.y, cellSize);
+        const crossing = game.getCrossingAt(center.x, center.y);
+        game.player.prevX = game.player.x;
+        game.player.prevY = game.player.y;
+        game.player.x = center.x;
+        game.player.y = center.y;
+        game.player.crossing = crossing;
+        game.enterCell(cell.x, cell.y);
+        game.updateVisibility();
+    }
+}
+
+/**
+ * 获取模拟游戏要走的步数：停在路线经过的第一个立交单元格上（检查所在通道也能恢复），
+ * 没有立交时停在终点前一格，不触发胜利
+ * @param {Game} game - 游戏实例
+ * @returns {number} 步数
+ */
+function getWalkLength(game) {
+    const maze = game.getMaze();
+    const route = game.getSolutionPath();
+    const crossing = route.findIndex(cell => maze.getFloor(cell.z || 0).getCrossing(cell.x, cell.y));
+    return crossing > 0 ? crossing : route.length - 2;
+}
+
+/**
+ * 导出后加载到新的游戏实例再导出，检查两份数据完全相同
+ * @param {Game} game - 游戏实例
+ * @returns {Object} 第一次导出的数据
+ */
+function roundTrip(game) {
+    // 经过JSON序列化，与写入本地存储或文件时相同
+    const saved = JSON.parse(JSON.stringify(game.exportState(NOW)));
+    const copy = new Game({ cellSize: game.config.cellSize });
+    copy.importState(JSON.parse(JSON.stringify(saved)), NOW);
+    const resaved = JSON.parse(JSON.stringify(copy.exportState(NOW)));
+
+    assert.deepStrictEqual(resaved, saved);
+    return saved;
+}
+
+function main() {
+    loadGame();
+
+    // 游戏运行时的日志不输出
+    const print = console.log;
+    console.log = () => {};
+
+    let failures = 0;
+    for (const { name, options } of CASES) {
+        for (const paused of [false, true]) {
+            const label = `${name}（${paused ? '暂停' : '进行中'}）`;
+            try {
+                const game = new Game({ ...options, cellSize: 40 });
+                game.start();
+                walk(game, getWalkLength(game));
+                game.state.startTime = NOW - 42000;
+                if (paused) {
+                    game.togglePause();
+                }
+
+                const saved = roundTrip(game);
+                assert.ok(saved.steps > 0 && saved.state.isRunning && !saved.state.isGameOver, '游戏应处于进行中');
+                assert.strictEqual(saved.state.isPaused, paused);
+                if (options.floors) {
+                    assert.ok(saved.player.floor > 0, '多层迷宫应走到上层');
+                }
+                if (options.algorithm === 'weave') {
+                    assert.ok(saved.player.crossing, '立交迷宫应停在立交单元格上');
+                }
+                print(`✓ ${label}`);
+            } catch (error) {
+                failures++;
+                print(`✗ ${label}\n${error.stack}`);
+            }
+        }
+    }
+
+    if (failures > 0) {
+        print(`${failures}项存档往返测试失败`);
+        process.exit(1);
+    }
+    print('全部存档往返测试通过');
+}
+
+main();
@@ -0,0 +1,279 @@
+/**
+ * 隐藏迷宫 - ASCII文本格式模块
+ * 正方形迷宫与纯文本网格之间的相互转换，便于用文本编辑器编写关卡、在版本库中比较差异或粘贴到问题报告中
+ *
+ * 文本格式（每个单元格占两列）：
+ *     +--+--+--+
+ *     |S    |##|
+ *     +  +--+--+
+ *     |       E|
+ *     +--+--+--+
+ * 墙壁行与单元格行交替出现，'+' 为墙角，'--' 为横墙，'|' 为竖墙；
+ * 单元格内 'S' 为起点，'E' 为终点，'##' 为被遮罩排除的单元格，'.' 与空格均为普通单元格。
+ * 行尾空白可以省略，首尾空行会被忽略。
+ */
+
+/**
+ * 迷宫文件格式错误（包含出错位置，行列号从1开始）
+ */
+class MazeFormatError extends Error {
+    /**
+     * 创建格式错误
+     * @param {string} message - 错误描述
+     * @param {number} line - 行号（可选）
+     * @param {number} column - 列号（可选）
+     */
+    constructor(message, line = null, column = null) {
+        const position = line === null ? '' : `第${line}行${column === null ? '' : `第${column}列`}: `;
+        super(position + message);
+        this.name = 'MazeFormatError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+class MazeTextFormat {
+    /**
+     * 将迷宫转换为文本
+     * @param {Maze} maze - 正方形迷宫（不支持立交单元格）
+     * @returns {string} 多行文本
+     */
+    static stringify(maze) {
+        if (maze.shape !== 'square') {
+            throw new Error(`文本格式只支持正方形迷宫，当前形状: ${maze.shape}`);
+        }
+        if (maze.crossings.size > 0) {
+            throw new Error('文本格式不支持带立交的编织迷宫');
+        }
+
+        const lines = [];
+        for (let y = 0; y <= maze.height; y++) {
+            // 墙壁行
+            let wallLine = MazeTextFormat.CORNER;
+            for (let x = 0; x < maze.width; x++) {
+                wallLine += (maze.walls.horizontal[y][x] ? MazeTextFormat.HORIZONTAL_WALL : MazeTextFormat.EMPTY)
+                    + MazeTextFormat.CORNER;
+            }
+            lines.push(wallLine);
+            if (y === maze.height) break;
+
+            // 单元格行
+            let cellLine = '';
+            for (let x = 0; x <= maze.width; x++) {
+                cellLine += maze.walls.vertical[y][x] ? MazeTextFormat.VERTICAL_WALL : ' ';
+                if (x < maze.width) {
+                    cellLine += MazeTextFormat.getCellText(maze, x, y);
+                }
+            }
+            lines.push(cellLine.replace(/\s+$/, ''));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * 获取单元格的文本内容
+     * @param {Maze} maze - 迷宫实例
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @returns {string} 两个字符
+     */
+    static getCellText(maze, x, y) {
+        if (!maze.isCellEnabled(x, y)) return MazeTextFormat.MASKED;
+        if (x === maze.start.x && y === maze.start.y) return 'S ';
+        if (x === maze.end.x && y === maze.end.y) return ' E';
+        return MazeTextFormat.EMPTY;
+    }
+
+    /**
+     * 解析文本为迷宫
+     * @param {string} text - 多行文本
+     * @returns {Maze} 迷宫实例
+     * @throws {MazeFormatError} 文本格式错误、边框未封闭、缺少起点或终点、终点不可达等
+     */
+    static parse(text) {
+        const lines = String(text).split(/\r?\n/);
+
+        // 去掉首尾的空行，记录第一行在原文本中的行号
+        let offset = 0;
+        while (lines.length > 0 && lines[0].trim() === '') {
+            lines.shift();
+            offset++;
+        }
+        while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+
+        if (lines.length === 0) {
+            throw new MazeFormatError('迷宫文本为空');
+        }
+
+        // 第一行决定宽度
+        const top = lines[0].replace(/\s+$/, '');
+        if (!/^\+((--|  )\+)+$/.test(top)) {
+            throw new MazeFormatError('第一行必须是由 "+--+" 组成的上边框', offset + 1);
+        }
+        const width = (top.length - 1) / MazeTextFormat.CELL_SPAN;
+        const lineLength = top.length;
+
+        if (lines.length < 3 || lines.length % 2 === 0) {
+            throw new MazeFormatError(`行数必须为奇数且至少为3（墙壁行与单元格行交替），实际为${lines.length}行`);
+        }
+        const height = (lines.length - 1) / 2;
+
+        const maze = new Maze(width, height);
+        const enabled = Array(height).fill().map(() => Array(width).fill(true));
+        const starts = [];
+        const ends = [];
+
+        lines.forEach((rawLine, row) => {
+            const lineNumber = offset + row + 1;
+            if (rawLine.replace(/\s+$/, '').length > lineLength) {
+                throw new MazeFormatError(`行长度超过第一行（${lineLength}个字符）`, lineNumber, lineLength + 1);
+            }
+            const line = rawLine.padEnd(lineLength);
+            const y = Math.floor(row / 2);
+
+            for (let x = 0; x <= width; x++) {
+                const column = x * MazeTextFormat.CELL_SPAN;
+
+                if (row % 2 === 0) {
+                    // 墙壁行：墙角和横墙
+                    if (line[column] !== MazeTextFormat.CORNER) {
+                        throw new MazeFormatError(`此处应为墙角 "+"，实际为 "${line[column]}"`, lineNumber, column + 1);
+                    }
+                    if (x === width) continue;
+
+                    const segment = line.substr(column + 1, 2);
+                    if (segment !== MazeTextFormat.HORIZONTAL_WALL && segment !== MazeTextFormat.EMPTY) {
+                        throw new MazeFormatError(`无法识别的横墙 "${segment}"`, lineNumber, column + 2);
+                    }
+                    maze.walls.horizontal[row / 2][x] = segment === MazeTextFormat.HORIZONTAL_WALL;
+                } else {
+                    // 单元格行：竖墙和单元格内容
+                    const wall = line[column];
+                    if (wall !== MazeTextFormat.VERTICAL_WALL && wall !== ' ') {
+                        throw new MazeFormatError(`此处应为竖墙 "|" 或空格，实际为 "${wall}"`, lineNumber, column + 1);
+                    }
+                    maze.walls.vertical[y][x] = wall === MazeTextFormat.VERTICAL_WALL;
+                    if (x === width) continue;
+
+                    const content = line.substr(column + 1, 2);
+                    if (content === MazeTextFormat.MASKED) {
+                        enabled[y][x] = false;
+                        continue;
+                    }
+
+                    const marker = content.replace(/[ .]/g, '');
+                    if (marker === 'S') {
+                        starts.push({ x, y, lineNumber, column: column + 2 });
+                    } else if (marker === 'E') {
+                        ends.push({ x, y, lineNumber, column: column + 2 });
+                    } else if (marker !== '') {
+                        throw new MazeFormatError(`无法识别的单元格内容 "${content}"`, lineNumber, column + 2);
+                    }
+                }
+            }
+        });
+
+        MazeTextFormat.validateBorder(maze, offset);
+        MazeTextFormat.applyEndpoints(maze, starts, ends);
+        MazeTextFormat.applyMask(maze, enabled, offset);
+
+        maze.cells = maze.cells.map(row => row.map(() => true));
+        maze.calculatePath();
+        if (maze.path.length === 0) {
+            throw new MazeFormatError(`从起点 (${maze.start.x}, ${maze.start.y}) 无法到达终点 (${maze.end.x}, ${maze.end.y})`);
+        }
+
+        return maze;
+    }
+
+    /**
+     * 检查外边框是否封闭
+     * @param {Maze} maze - 迷宫实例
+     * @param {number} offset - 第一行之前被忽略的空行数
+     */
+    static validateBorder(maze, offset) {
+        const { width, height, walls } = maze;
+        const span = MazeTextFormat.CELL_SPAN;
+
+        for (let x = 0; x < width; x++) {
+            if (!walls.horizontal[0][x]) {
+                throw new MazeFormatError('上边框未封闭', offset + 1, x * span + 2);
+            }
+            if (!walls.horizontal[height][x]) {
+                throw new MazeFormatError('下边框未封闭', offset + height * 2 + 1, x * span + 2);
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            if (!walls.vertical[y][0]) {
+                throw new MazeFormatError('左边框未封闭', offset + y * 2 + 2, 1);
+            }
+            if (!walls.vertical[y][width]) {
+                throw new MazeFormatError('右边框未封闭', offset + y * 2 + 2, width * span + 1);
+            }
+        }
+    }
+
+    /**
+     * 设置起点和终点（各有且只有一个）
+     * @param {Maze} maze - 迷宫实例
+     * @param {Array} starts - 找到的起点
+     * @param {Array} ends - 找到的终点
+     */
+    static applyEndpoints(maze, starts, ends) {
+        for (const [found, name, marker] of [[starts, '起点', 'S'], [ends, '终点', 'E']]) {
+            if (found.length === 0) {
+                throw new MazeFormatError(`缺少${name}（${marker}）`);
+            }
+            if (found.length > 1) {
+                throw new MazeFormatError(`${name}（${marker}）只能有一个`, found[1].lineNumber, found[1].column);
+            }
+        }
+
+        maze.start = { x: starts[0].x, y: starts[0].y };
+        maze.end = { x: ends[0].x, y: ends[0].y };
+    }
+
+    /**
+     * 根据 '##' 单元格设置遮罩：被排除的单元格四周必须是墙，其余单元格必须相连
+     * @param {Maze} maze - 迷宫实例
+     * @param {Array} enabled - 二维布尔数组 enabled[y][x]
+     * @param {number} offset - 第一行之前被忽略的空行数
+     */
+    static applyMask(maze, enabled, offset) {
+        if (enabled.every(row => row.every(Boolean))) return;
+
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (enabled[y][x]) continue;
+
+                const open = Maze.DIRECTIONS.find(({ direction }) => maze.isLinked(x, y, direction));
+                if (open) {
+                    throw new MazeFormatError('被排除的单元格（##）四周必须是墙',
+                        offset + y * 2 + 2, x * MazeTextFormat.CELL_SPAN + 2);
+                }
+            }
+        }
+
+        // 遮罩已确定，不经过setMask（它会静默丢弃不相连的区域）
+        maze.mask = MazeMask.fromGrid(enabled);
+        if (maze.findLargestRegion().size !== maze.mask.getEnabledCount()) {
+            throw new MazeFormatError('未被排除的单元格必须互相连通');
+        }
+    }
+}
+
+// 每个单元格在文本中占用的列数（含左侧的墙）
+MazeTextFormat.CELL_SPAN = 3;
+
+// 文本符号
+MazeTextFormat.CORNER = '+';
+MazeTextFormat.HORIZONTAL_WALL = '--';
+MazeTextFormat.VERTICAL_WALL = '|';
+MazeTextFormat.MASKED = '##';
+MazeTextFormat.EMPTY = '  ';
+
+// 导出MazeTextFormat类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MazeTextFormat, MazeFormatError };
+}
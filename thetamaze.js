@@ -0,0 +1,493 @@
+/**
+ * 隐藏迷宫 - 圆形迷宫模块
+ * 极坐标（theta）网格：中心为一个圆形单元格，向外逐环细分，终点位于圆心
+ * 单元格坐标 { x, y } 中 y 为环序号（0为圆心），x 为环内序号（顺时针递增）
+ */
+
+class ThetaMaze extends Maze {
+    /**
+     * 创建圆形迷宫实例
+     * @param {number} width - 未使用（环内单元格数由环序号自动计算）
+     * @param {number} height - 环数（含圆心）
+     * @param {Object} options - 可选配置（同Maze）
+     */
+    constructor(width = 15, height = 15, options = {}) {
+        super(width, height, options);
+        this.shape = 'theta';
+    }
+
+    /**
+     * 初始化迷宫数据结构
+     * walls.inward[y][x] 为单元格与内环之间的弧形墙壁，
+     * walls.cw[y][x] 为单元格与顺时针方向邻居之间的径向墙壁
+     */
+    init() {
+        this.ringCounts = ThetaMaze.getRingCounts(this.height);
+
+        this.cells = this.ringCounts.map(count => Array(count).fill(false));
+
+        this.walls = {
+            inward: this.ringCounts.map(count => Array(count).fill(true)),
+            cw: this.ringCounts.map(count => Array(count).fill(true))
+        };
+    }
+
+    /**
+     * 计算每一环的单元格数
+     * 当单元格弧长超过环宽的约1.5倍时，该环的单元格数在上一环基础上成倍增加
+     * @param {number} rings - 环数
+     * @returns {Array} 每环单元格数
+     */
+    static getRingCounts(rings) {
+        const counts = [1];
+
+        for (let ring = 1; ring < rings; ring++) {
+            const previous = counts[ring - 1];
+            const cellWidth = (2 * Math.PI * ring) / previous;
+            counts.push(previous * Math.max(1, Math.round(cellWidth)));
+        }
+
+        return counts;
+    }
+
+    /**
+     * 起点位于最外环的随机位置，终点固定为圆心
+     * @param {SeededRandom} random - 随机源
+     */
+    chooseEndpoints(random) {
+        const outer = this.height - 1;
+        this.start = { x: random.nextInt(this.ringCounts[outer]), y: outer };
+        this.end = { x: 0, y: 0 };
+    }
+
+    /**
+     * 圆形迷宫的单元格不构成矩形网格，不支持形状遮罩
+     * @param {MazeMask|null} mask - 遮罩
+     */
+    setMask(mask) {
+        if (mask) {
+            console.error('圆形迷宫不支持形状遮罩');
+        }
+    }
+
+    /**
+     * 获取所有单元格
+     * @returns {Array} 单元格坐标数组
+     */
+    getAllCells() {
+        const cells = [];
+        this.ringCounts.forEach((count, y) => {
+            for (let x = 0; x < count; x++) {
+                cells.push({ x, y });
+            }
+        });
+        return cells;
+    }
+
+    /**
+     * 检查坐标是否为有效单元格
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @returns {boolean} 是否有效
+     */
+    isValidCell(x, y) {
+        return y >= 0 && y < this.height && x >= 0 && x < this.ringCounts[y];
+    }
+
+    /**
+     * 获取外环与当前环单元格数之比（每个单元格向外的子单元格数）
+     * @param {number} y - 环序号
+     * @returns {number} 比值（最外环为0）
+     */
+    getOutwardRatio(y) {
+        return y < this.height - 1 ? this.ringCounts[y + 1] / this.ringCounts[y] : 0;
+    }
+
+    /**
+     * 获取相邻单元格（不考虑墙壁）
+     * 方向为 'cw'（顺时针）、'ccw'（逆时针）、'inward'（内环），
+     * 外环子单元格依次为 'outward-0'、'outward-1' ...
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @returns {Array} 邻居列表，每项包含坐标和方向
+     */
+    getNeighbors(x, y) {
+        const neighbors = [];
+        if (!this.isValidCell(x, y)) return neighbors;
+
+        const count = this.ringCounts[y];
+        if (y > 0) {
+            neighbors.push({ x: (x + 1) % count, y, direction: 'cw' });
+            neighbors.push({ x: (x - 1 + count) % count, y, direction: 'ccw' });
+
+            const parentX = Math.floor(x * this.ringCounts[y - 1] / count);
+            neighbors.push({ x: parentX, y: y - 1, direction: 'inward' });
+        }
+
+        const ratio = this.getOutwardRatio(y);
+        for (let i = 0; i < ratio; i++) {
+            neighbors.push({ x: x * ratio + i, y: y + 1, direction: `outward-${i}` });
+        }
+
+        return neighbors;
+    }
+
+    /**
+     * 检查单元格是否位于迷宫外缘（最外环）
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @returns {boolean} 是否位于外缘
+     */
+    isBoundaryCell(x, y) {
+        return y === this.height - 1;
+    }
+
+    /**
+     * 获取某个方向上的相邻单元格
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @param {string} direction - 方向
+     * @returns {Object|null} 相邻单元格，不存在时返回null
+     */
+    getNeighbor(x, y, direction) {
+        return this.getNeighbors(x, y).find(neighbor => neighbor.direction === direction) || null;
+    }
+
+    /**
+     * 获取方向对应的墙壁位置
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @param {string} direction - 方向
+     * @returns {Object|null} { type, x, y }，对应 walls[type][y][x]；不存在的墙壁返回null
+     */
+    getWallRef(x, y, direction) {
+        const neighbor = this.getNeighbor(x, y, direction);
+        if (!neighbor) return null;
+
+        switch (direction) {
+            case 'cw':
+                return { type: 'cw', x, y };
+            case 'ccw':
+                return { type: 'cw', x: neighbor.x, y };
+            case 'inward':
+                return { type: 'inward', x, y };
+            default:
+                return { type: 'inward', x: neighbor.x, y: neighbor.y };
+        }
+    }
+
+    /**
+     * 移除两个单元格之间的墙壁
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @param {string} direction - 方向
+     */
+    removeWall(x, y, direction) {
+        const ref = this.getWallRef(x, y, direction);
+        if (ref) {
+            this.walls[ref.type][ref.y][ref.x] = false;
+        }
+    }
+
+    /**
+     * 在两个相邻单元格之间添加墙壁
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @param {string} direction - 方向
+     */
+    addWall(x, y, direction) {
+        const ref = this.getWallRef(x, y, direction);
+        if (ref) {
+            this.walls[ref.type][ref.y][ref.x] = true;
+        }
+    }
+
+    /**
+     * 检查单元格在某个方向上是否已打通
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @param {string} direction - 方向
+     * @returns {boolean} 是否没有墙壁
+     */
+    isLinked(x, y, direction) {
+        const ref = this.getWallRef(x, y, direction);
+        return ref ? !this.walls[ref.type][ref.y][ref.x] : false;
+    }
+
+    /**
+     * 检查是否可以移动到偏移坐标中的相邻单元格（兼容基于dx/dy的调用方）
+     * @param {number} x - 当前环内序号
+     * @param {number} y - 当前环序号
+     * @param {number} dx - 环内序号变化量
+     * @param {number} dy - 环序号变化量
+     * @returns {boolean} 是否可以移动
+     */
+    canMove(x, y, dx, dy) {
+        const neighbor = this.getNeighbors(x, y)
+            .find(n => n.x === x + dx && n.y === y + dy);
+        return neighbor ? this.isLinked(x, y, neighbor.direction) : false;
+    }
+
+    /**
+     * 获取墙壁状态（圆形网格没有水平/垂直墙壁，统一视为有墙）
+     * @returns {boolean} 是否有墙
+     */
+    getWall() {
+        return true;
+    }
+
+    /**
+     * 获取单元格状态
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @returns {boolean} 单元格是否已访问
+     */
+    getCell(x, y) {
+        return this.isValidCell(x, y) ? this.cells[y][x] : false;
+    }
+
+    /**
+     * 获取单元格总数
+     * @returns {number} 单元格数量
+     */
+    getCellCount() {
+        return this.ringCounts.reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * 创建从起点到终点的路径（沿径向一路向内走到圆心）
+     */
+    createPathToEnd() {
+        let current = { x: this.start.x, y: this.start.y };
+
+        while (current.y > 0) {
+            const parent = this.getNeighbor(current.x, current.y, 'inward');
+            this.removeWall(current.x, current.y, 'inward');
+            current = { x: parent.x, y: parent.y };
+            this.cells[current.y][current.x] = true;
+        }
+    }
+
+    /**
+     * 获取迷宫的像素尺寸（环宽等于单元格大小）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 宽度和高度（像素）
+     */
+    getPixelSize(cellSize) {
+        const diameter = this.height * cellSize * 2;
+        return { width: diameter, height: diameter };
+    }
+
+    /**
+     * 获取圆心的像素坐标
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 像素坐标
+     */
+    getOrigin(cellSize) {
+        return { x: this.height * cellSize, y: this.height * cellSize };
+    }
+
+    /**
+     * 获取单元格的角度范围（弧度，从正东方向顺时针）
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @returns {Object} { start, end }
+     */
+    getCellAngles(x, y) {
+        const step = (Math.PI * 2) / this.ringCounts[y];
+        return { start: x * step, end: (x + 1) * step };
+    }
+
+    /**
+     * 获取极坐标对应的像素坐标
+     * @param {number} radius - 半径（像素）
+     * @param {number} angle - 角度（弧度）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 像素坐标
+     */
+    polarToPoint(radius, angle, cellSize) {
+        const origin = this.getOrigin(cellSize);
+        return {
+            x: origin.x + radius * Math.cos(angle),
+            y: origin.y + radius * Math.sin(angle)
+        };
+    }
+
+    /**
+     * 获取单元格中心的像素坐标
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 像素坐标
+     */
+    getCellCenter(x, y, cellSize) {
+        if (y === 0) {
+            return this.getOrigin(cellSize);
+        }
+
+        const angles = this.getCellAngles(x, y);
+        return this.polarToPoint((y + 0.5) * cellSize, (angles.start + angles.end) / 2, cellSize);
+    }
+
+    /**
+     * 获取像素坐标所在的单元格
+     * @param {number} px - x坐标（像素）
+     * @param {number} py - y坐标（像素）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object|null} 单元格坐标，超出迷宫范围时返回null
+     */
+    getCellAtPoint(px, py, cellSize) {
+        const origin = this.getOrigin(cellSize);
+        const y = Math.floor(Math.hypot(px - origin.x, py - origin.y) / cellSize);
+
+        if (y >= this.height) return null;
+        if (y === 0) return { x: 0, y: 0 };
+
+        let angle = Math.atan2(py - origin.y, px - origin.x);
+        if (angle < 0) angle += Math.PI * 2;
+
+        const count = this.ringCounts[y];
+        const x = Math.floor(angle / ((Math.PI * 2) / count)) % count;
+        return { x, y };
+    }
+
+    /**
+     * 获取单元格轮廓多边形（像素坐标，圆弧按折线近似）
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Array} 顶点数组
+     */
+    getCellPolygon(x, y, cellSize) {
+        const { start, end } = this.getCellAngles(x, y);
+        const steps = Math.max(2, Math.ceil((end - start) / ThetaMaze.ARC_STEP));
+        const outerRadius = (y + 1) * cellSize;
+        const innerRadius = y * cellSize;
+        const points = [];
+
+        for (let i = 0; i <= steps; i++) {
+            points.push(this.polarToPoint(outerRadius, start + (end - start) * i / steps, cellSize));
+        }
+
+        // 圆心单元格没有内弧
+        if (y > 0) {
+            for (let i = steps; i >= 0; i--) {
+                points.push(this.polarToPoint(innerRadius, start + (end - start) * i / steps, cellSize));
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * 创建圆弧墙壁
+     * @param {number} radius - 半径（像素）
+     * @param {number} startAngle - 起始角度（弧度）
+     * @param {number} endAngle - 结束角度（弧度，顺时针）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 圆弧 { x1, y1, x2, y2, cx, cy, radius, startAngle, endAngle }
+     */
+    createArc(radius, startAngle, endAngle, cellSize) {
+        const origin = this.getOrigin(cellSize);
+        const from = this.polarToPoint(radius, startAngle, cellSize);
+        const to = this.polarToPoint(radius, endAngle, cellSize);
+        return {
+            x1: from.x, y1: from.y, x2: to.x, y2: to.y,
+            cx: origin.x, cy: origin.y, radius, startAngle, endAngle
+        };
+    }
+
+    /**
+     * 创建径向墙壁
+     * @param {number} y - 环序号
+     * @param {number} angle - 角度（弧度）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Object} 线段 { x1, y1, x2, y2 }
+     */
+    createRadial(y, angle, cellSize) {
+        const from = this.polarToPoint(y * cellSize, angle, cellSize);
+        const to = this.polarToPoint((y + 1) * cellSize, angle, cellSize);
+        return { x1: from.x, y1: from.y, x2: to.x, y2: to.y };
+    }
+
+    /**
+     * 获取单元格四周存在的墙壁（像素坐标），内外两侧为圆弧，顺/逆时针两侧为径向线段
+     * @param {number} x - 环内序号
+     * @param {number} y - 环序号
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Array} 墙壁数组，每项带有 direction（外边界为 'boundary'）
+     */
+    getCellWallSegments(x, y, cellSize) {
+        const { start, end } = this.getCellAngles(x, y);
+        const segments = [];
+
+        if (y > 0) {
+            if (!this.isLinked(x, y, 'inward')) {
+                segments.push({ ...this.createArc(y * cellSize, start, end, cellSize), direction: 'inward' });
+            }
+            if (!this.isLinked(x, y, 'cw')) {
+                segments.push({ ...this.createRadial(y, end, cellSize), direction: 'cw' });
+            }
+            if (!this.isLinked(x, y, 'ccw')) {
+                segments.push({ ...this.createRadial(y, start, cellSize), direction: 'ccw' });
+            }
+        }
+
+        const ratio = this.getOutwardRatio(y);
+        if (ratio === 0) {
+            segments.push({ ...this.createArc((y + 1) * cellSize, start, end, cellSize), direction: 'boundary' });
+        }
+
+        const step = (end - start) / ratio;
+        for (let i = 0; i < ratio; i++) {
+            const direction = `outward-${i}`;
+            if (!this.isLinked(x, y, direction)) {
+                const arcStart = start + step * i;
+                segments.push({ ...this.createArc((y + 1) * cellSize, arcStart, arcStart + step, cellSize), direction });
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * 获取迷宫中所有墙壁（每条墙只出现一次）
+     * @param {number} cellSize - 单元格大小（像素）
+     * @returns {Array} 墙壁数组 { x1, y1, x2, y2, cells }，圆弧另带有圆心、半径和角度
+     */
+    getWallSegments(cellSize) {
+        const segments = [];
+
+        for (const cell of this.getAllCells()) {
+            for (const segment of this.getCellWallSegments(cell.x, cell.y, cellSize)) {
+                // 内部墙壁只由内弧和顺时针径向墙输出一次
+                if (segment.direction !== 'inward' && segment.direction !== 'cw' &&
+                    segment.direction !== 'boundary') {
+                    continue;
+                }
+
+                const neighbor = this.getNeighbor(cell.x, cell.y, segment.direction);
+                segments.push({
+                    ...segment,
+                    cells: neighbor ? [cell, { x: neighbor.x, y: neighbor.y }] : [cell]
+                });
+            }
+        }
+
+        return segments;
+    }
+}
+
+// 圆弧折线近似的最大角度步长（弧度）
+ThetaMaze.ARC_STEP = Math.PI / 24;
+
+Maze.registerShape('theta', {
+    label: '圆形',
+    maskable: false,
+    create: (width, height, options) => new ThetaMaze(width, height, options)
+});
+
+// 导出ThetaMaze类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThetaMaze;
+}
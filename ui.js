@@ -32,6 +32,12 @@ class UIController {
                 explored: 'rgba(255, 255, 255, 0.1)',
                 unexplored: 'rgba(0, 0, 0, 0.5)',
                 path: 'rgba(34, 197, 94, 0.3)',
+                stairs: '#f59e0b',
+                masked: '#0f172a',                       // 被遮罩排除的单元格
+                solverVisited: 'rgba(76, 201, 240, 0.25)',     // 求解演示：已访问的单元格
+                solverFrontier: 'rgba(245, 158, 11, 0.35)',    // 求解演示：待搜索的单元格
+                solverDiscarded: 'rgba(100, 116, 139, 0.35)',  // 求解演示：已排除的单元格
+                solverPath: 'rgba(76, 201, 240, 0.8)',         // 求解演示：找到的路线
                 grid: 'rgba(255, 255, 255, 0.05)',
                 text: '#e2e8f0'
             },
@@ -53,11 +59,92 @@ class UIController {
         this.canvasScale = 1;
         this.canvasOffset = { x: 0, y: 0 };
         
+        // 正在查看的楼层（null表示跟随玩家所在楼层）
+        this.viewFloor = null;
+        
+        // 求解演示状态（见startSolverAnimation）
+        this.solverAnimation = null;
+        
+        // 关卡编辑器（进入编辑模式后Canvas显示正在编辑的关卡）
+        this.editor = new LevelEditor(this);
+        this.overlayDisplay = null; // 进入编辑模式前遮罩层的显示状态
+        
+        // 闯关进度和每日挑战记录
+        this.campaign = new Campaign();
+        this.daily = new DailyChallenge();
+        
+        // 存档管理（打开存档列表时暂停的游戏在关闭时继续）
+        this.saveSlots = new SaveSlotManager();
+        this.saveSlotsPaused = false;
+        
+        // 自动存档（见setGame）和上次意外中断的游戏（在开始屏幕上提供继续，开始新的一局后不再提供）
+        this.autoSave = null;
+        this.recovery = AutoSave.load();
+        
+        // 本局已经提示过“接近上限”的失败条件（见updateStats）
+        this.limitWarnings = new Set();
+        
         // UI元素引用
         this.uiElements = {
             exploreRate: document.getElementById('exploreRate'),
+            stepCount: document.getElementById('stepCount'),
+            timeLeft: document.getElementById('timeLeft'),
+            timeLeftItem: document.getElementById('timeLeftItem'),
+            stepsLeft: document.getElementById('stepsLeft'),
+            stepsLeftItem: document.getElementById('stepsLeftItem'),
+            revealLeft: document.getElementById('revealLeft'),
+            revealLeftItem: document.getElementById('revealLeftItem'),
             gameStatus: document.getElementById('gameStatus'),
+            mazeSeed: document.getElementById('mazeSeed'),
             mazeSize: document.getElementById('mazeSize'),
+            mazeShape: document.getElementById('mazeShape'),
+            mazeMask: document.getElementById('mazeMask'),
+            maskImageInput: document.getElementById('maskImageInput'),
+            mazeAlgorithm: document.getElementById('mazeAlgorithm'),
+            mazePlacement: document.getElementById('mazePlacement'),
+            mazePathLength: document.getElementById('mazePathLength'),
+            mazeDifficulty: document.getElementById('mazeDifficulty'),
+            solverSelect: document.getElementById('solverSelect'),
+            solverPlayBtn: document.getElementById('solverPlayBtn'),
+            solverCompareBtn: document.getElementById('solverCompareBtn'),
+            solverResults: document.getElementById('solverResults'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportResolution: document.getElementById('exportResolution'),
+            exportSolution: document.getElementById('exportSolution'),
+            exportFog: document.getElementById('exportFog'),
+            exportBtn: document.getElementById('exportBtn'),
+            printTitle: document.getElementById('printTitle'),
+            printCount: document.getElementById('printCount'),
+            printPerPage: document.getElementById('printPerPage'),
+            printPageSize: document.getElementById('printPageSize'),
+            printAnswerKey: document.getElementById('printAnswerKey'),
+            printBtn: document.getElementById('printBtn'),
+            editorToggleBtn: document.getElementById('editorToggleBtn'),
+            editorPanel: document.getElementById('editorPanel'),
+            editorWidth: document.getElementById('editorWidth'),
+            editorHeight: document.getElementById('editorHeight'),
+            editorResizeBtn: document.getElementById('editorResizeBtn'),
+            editorCheckBtn: document.getElementById('editorCheckBtn'),
+            editorName: document.getElementById('editorName'),
+            editorSaveBtn: document.getElementById('editorSaveBtn'),
+            editorDownloadBtn: document.getElementById('editorDownloadBtn'),
+            editorImportBtn: document.getElementById('editorImportBtn'),
+            editorFileInput: document.getElementById('editorFileInput'),
+            editorLevels: document.getElementById('editorLevels'),
+            editorLoadBtn: document.getElementById('editorLoadBtn'),
+            editorDeleteBtn: document.getElementById('editorDeleteBtn'),
+            editorStatus: document.getElementById('editorStatus'),
+            startAnalysis: document.getElementById('startAnalysis'),
+            mazeBraid: document.getElementById('mazeBraid'),
+            mazeFloors: document.getElementById('mazeFloors'),
+            viewRange: document.getElementById('viewRange'),
+            timeLimit: document.getElementById('timeLimit'),
+            stepLimit: document.getElementById('stepLimit'),
+            revealLimit: document.getElementById('revealLimit'),
+            copyLinkBtn: document.getElementById('copyLinkBtn'),
+            mazeFloor: document.getElementById('mazeFloor'),
+            floorViewUp: document.getElementById('floorViewUp'),
+            floorViewDown: document.getElementById('floorViewDown'),
             modePermanent: document.getElementById('modePermanent'),
             modeInstant: document.getElementById('modeInstant'),
             startBtn: document.getElementById('startBtn'),
@@ -69,6 +156,31 @@ class UIController {
             moveLeft: document.getElementById('moveLeft'),
             moveRight: document.getElementById('moveRight'),
             startScreen: document.getElementById('startScreen'),
+            freePanel: document.getElementById('freePanel'),
+            campaignPanel: document.getElementById('campaignPanel'),
+            campaignSummary: document.getElementById('campaignSummary'),
+            levelSelect: document.getElementById('levelSelect'),
+            dailyPanel: document.getElementById('dailyPanel'),
+            dailyInfo: document.getElementById('dailyInfo'),
+            dailyShare: document.getElementById('dailyShare'),
+            dailyStartBtn: document.getElementById('dailyStartBtn'),
+            dailyShareBtn: document.getElementById('dailyShareBtn'),
+            dailyHistory: document.getElementById('dailyHistory'),
+            quickSaveBtn: document.getElementById('quickSaveBtn'),
+            saveSlotsBtn: document.getElementById('saveSlotsBtn'),
+            saveSlotsOverlay: document.getElementById('saveSlotsOverlay'),
+            saveSlotName: document.getElementById('saveSlotName'),
+            saveSlotNewBtn: document.getElementById('saveSlotNewBtn'),
+            saveSlotsStatus: document.getElementById('saveSlotsStatus'),
+            saveSlotList: document.getElementById('saveSlotList'),
+            saveSlotsCloseBtn: document.getElementById('saveSlotsCloseBtn'),
+            saveDownloadBtn: document.getElementById('saveDownloadBtn'),
+            saveImportBtn: document.getElementById('saveImportBtn'),
+            saveFileInput: document.getElementById('saveFileInput'),
+            resumePanel: document.getElementById('resumePanel'),
+            resumeInfo: document.getElementById('resumeInfo'),
+            resumeBtn: document.getElementById('resumeBtn'),
+            resumeDiscardBtn: document.getElementById('resumeDiscardBtn'),
             gameOverlay: document.getElementById('gameOverlay')
         };
         
@@ -86,6 +198,13 @@ class UIController {
         // 设置Canvas尺寸
         this.updateCanvasSize();
         
+        // 填充生成算法和形状遮罩选项
+        this.populateAlgorithmOptions();
+        this.populatePlacementOptions();
+        this.populateDifficultyOptions();
+        this.populateSolverOptions();
+        this.populateMaskOptions();
+        
         // 绑定事件
         this.bindEvents();
         
@@ -101,13 +220,12 @@ class UIController {
     updateCanvasSize() {
         if (!this.game) return;
         
-        const mazeSize = this.game.config.mazeSize;
         const cellSize = this.config.cellSize;
         const padding = 20;
         
-        // 计算迷宫实际需要的尺寸
-        const mazeWidth = mazeSize * cellSize;
-        const mazeHeight = mazeSize * cellSize;
+        // 计算迷宫实际需要的尺寸（编辑模式下为正在编辑的关卡）
+        const maze = this.editor && this.editor.isActive() ? this.editor.getMaze() : this.game.getMaze();
+        const { width: mazeWidth, height: mazeHeight } = maze.getPixelSize(cellSize);
         
         // 获取容器尺寸
         const container = this.canvas.parentElement;
@@ -168,6 +286,146 @@ class UIController {
         console.log(`Canvas尺寸更新: ${canvasWidth}x${canvasHeight}, 缩放: ${scale.toFixed(2)}, 模式: ${needsScroll ? '滚动' : '自适应'}`);
     }
     
+    /**
+     * 根据算法注册表填充生成算法下拉框
+     */
+    populateAlgorithmOptions() {
+        const select = this.uiElements.mazeAlgorithm;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const shape = this.game ? this.game.config.shape : null;
+        const masked = this.game ? this.game.hasMask() : false;
+        for (const option of Maze.getAlgorithmOptions(shape, masked)) {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        }
+        
+        if (this.game) {
+            select.value = this.game.config.algorithm;
+        }
+    }
+    
+    /**
+     * 根据放置策略注册表填充起终点位置下拉框
+     */
+    populatePlacementOptions() {
+        const select = this.uiElements.mazePlacement;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const shape = this.game ? this.game.config.shape : null;
+        for (const option of Maze.getPlacementOptions(shape)) {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        }
+        
+        if (this.game) {
+            select.value = this.game.config.placement;
+        }
+    }
+    
+    /**
+     * 根据难度等级填充目标难度下拉框（首项为不限）
+     */
+    populateDifficultyOptions() {
+        const select = this.uiElements.mazeDifficulty;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const options = [{ value: '', label: '不限' }]
+            .concat(MazeAnalyzer.BANDS.map(band => ({ value: band.name, label: band.label })));
+        for (const option of options) {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        }
+        
+        if (this.game) {
+            select.value = this.game.config.difficulty || '';
+        }
+    }
+    
+    /**
+     * 当前设置下未能达到目标难度时，在下拉框中标注该等级并提示使用了评分最接近的迷宫
+     */
+    updateDifficultyOptions() {
+        const { difficulty, difficultyMissed, difficultyScore, difficultyBand } = this.game.getStats();
+        
+        const select = this.uiElements.mazeDifficulty;
+        if (select) {
+            for (const option of select.options) {
+                const band = MazeAnalyzer.getBand(option.value);
+                if (band) {
+                    option.textContent = difficultyMissed && band.name === difficulty
+                        ? `${band.label} (当前设置下无法达到)`
+                        : band.label;
+                }
+            }
+        }
+        
+        if (difficultyMissed) {
+            this.showHint(`当前大小和算法下难以生成${MazeAnalyzer.getBand(difficulty).label}难度的迷宫，` +
+                `已使用评分最接近的迷宫（${MazeAnalyzer.getBand(difficultyBand).label} ${difficultyScore}）`, 5000);
+        }
+    }
+    
+    /**
+     * 根据求解算法注册表填充求解算法下拉框
+     */
+    populateSolverOptions() {
+        const select = this.uiElements.solverSelect;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        for (const option of MazeSolver.getSolverOptions()) {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        }
+    }
+    
+    /**
+     * 根据遮罩预设填充形状遮罩下拉框（末尾为从图片导入的选项）
+     */
+    populateMaskOptions() {
+        const select = this.uiElements.mazeMask;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const options = [
+            { value: '', label: '无' },
+            ...Object.entries(MazeMask.presets).map(([value, preset]) => ({ value, label: preset.label })),
+            { value: 'image', label: '从图片导入...' }
+        ];
+        for (const option of options) {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        }
+        
+        this.updateMaskSelect();
+    }
+    
+    /**
+     * 同步形状遮罩下拉框的选中项和可用状态
+     */
+    updateMaskSelect() {
+        const select = this.uiElements.mazeMask;
+        if (!select || !this.game) return;
+        
+        const { mask, shape } = this.game.config;
+        select.value = typeof mask === 'string' ? mask : (mask ? 'image' : '');
+        select.disabled = Maze.shapes[shape].maskable === false;
+    }
+    
     /**
      * 将迷宫坐标转换为Canvas坐标
      * @param {number} x - 迷宫x坐标（像素）
@@ -201,6 +459,12 @@ class UIController {
         // Canvas点击事件
         this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
         
+        // 编辑模式下的鼠标操作
+        this.canvas.addEventListener('mousedown', (e) => this.editor.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.editor.handleMouseMove(e));
+        this.canvas.addEventListener('mouseup', (e) => this.editor.handleMouseUp(e));
+        this.canvas.addEventListener('mouseleave', () => this.editor.handleMouseLeave());
+        
         // 键盘控制
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         
@@ -209,6 +473,89 @@ class UIController {
             this.uiElements.startBtn.addEventListener('click', () => this.handleStartGame());
         }
         
+        // 开始屏幕：自由模式/闯关模式切换和关卡选择
+        document.querySelectorAll('.start-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showStartTab(tab.dataset.tab));
+        });
+        
+        if (this.uiElements.levelSelect) {
+            this.uiElements.levelSelect.addEventListener('click', (e) => {
+                const button = e.target.closest('.level-btn');
+                if (button && !button.disabled) {
+                    this.handleLevelSelect(button.dataset.level);
+                }
+            });
+        }
+        
+        if (this.uiElements.dailyStartBtn) {
+            this.uiElements.dailyStartBtn.addEventListener('click', () => this.handleDailyStart());
+        }
+        
+        // 继续或放弃上次中断的游戏
+        if (this.uiElements.resumeBtn) {
+            this.uiElements.resumeBtn.addEventListener('click', () => this.handleResume());
+        }
+        if (this.uiElements.resumeDiscardBtn) {
+            this.uiElements.resumeDiscardBtn.addEventListener('click', () => this.handleDiscardRecovery());
+        }
+        
+        if (this.uiElements.dailyShareBtn) {
+            this.uiElements.dailyShareBtn.addEventListener('click', () => {
+                this.handleDailyShare(this.daily.getEntry(DailyChallenge.getDateKey()));
+            });
+        }
+        
+        // 存档
+        if (this.uiElements.quickSaveBtn) {
+            this.uiElements.quickSaveBtn.addEventListener('click', () => this.handleQuickSave());
+        }
+        if (this.uiElements.saveSlotsBtn) {
+            this.uiElements.saveSlotsBtn.addEventListener('click', () => this.openSaveSlots());
+        }
+        if (this.uiElements.saveSlotNewBtn) {
+            this.uiElements.saveSlotNewBtn.addEventListener('click', () => this.handleSaveSlotAction('save'));
+        }
+        if (this.uiElements.saveSlotsCloseBtn) {
+            this.uiElements.saveSlotsCloseBtn.addEventListener('click', () => this.closeSaveSlots());
+        }
+        if (this.uiElements.saveSlotList) {
+            this.uiElements.saveSlotList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-slot-action]');
+                if (button) {
+                    this.handleSaveSlotAction(button.dataset.slotAction, button.dataset.slot);
+                }
+            });
+        }
+        if (this.uiElements.saveDownloadBtn) {
+            this.uiElements.saveDownloadBtn.addEventListener('click', () => this.handleSaveDownload());
+        }
+        if (this.uiElements.saveImportBtn && this.uiElements.saveFileInput) {
+            this.uiElements.saveImportBtn.addEventListener('click', () => this.uiElements.saveFileInput.click());
+            this.uiElements.saveFileInput.addEventListener('change', (e) => this.handleSaveFileImport(e));
+        }
+        
+        // 把存档文件拖到画布上导入（覆盖在画布上的开始屏幕等也算在内）
+        const canvasContainer = this.canvas.parentElement;
+        canvasContainer.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files') || this.editor.isActive()) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            canvasContainer.classList.add('drop-target');
+        });
+        canvasContainer.addEventListener('dragleave', (e) => {
+            if (!canvasContainer.contains(e.relatedTarget)) {
+                canvasContainer.classList.remove('drop-target');
+            }
+        });
+        canvasContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            canvasContainer.classList.remove('drop-target');
+            const file = e.dataTransfer.files && e.dataTransfer.files[0];
+            if (file) {
+                this.importSaveFile(file);
+            }
+        });
+        
         if (this.uiElements.restartBtn) {
             this.uiElements.restartBtn.addEventListener('click', () => this.handleRestartGame());
         }
@@ -221,6 +568,50 @@ class UIController {
             this.uiElements.solveBtn.addEventListener('click', () => this.handleShowSolution());
         }
         
+        // 求解演示
+        if (this.uiElements.solverPlayBtn) {
+            this.uiElements.solverPlayBtn.addEventListener('click', () => this.handleSolverPlay());
+        }
+        
+        if (this.uiElements.solverCompareBtn) {
+            this.uiElements.solverCompareBtn.addEventListener('click', () => this.handleSolverCompare());
+        }
+        
+        // 导出图片
+        if (this.uiElements.exportFormat) {
+            this.uiElements.exportFormat.addEventListener('change', () => this.updateExportOptions());
+        }
+        
+        if (this.uiElements.exportBtn) {
+            this.uiElements.exportBtn.addEventListener('click', () => this.handleExport());
+        }
+        
+        // 打印迷宫
+        if (this.uiElements.printBtn) {
+            this.uiElements.printBtn.addEventListener('click', () => this.handlePrint());
+        }
+        
+        // 关卡编辑器
+        const editorActions = {
+            editorToggleBtn: () => this.handleEditorToggle(),
+            editorResizeBtn: () => this.handleEditorResize(),
+            editorCheckBtn: () => this.handleEditorCheck(),
+            editorSaveBtn: () => this.handleEditorSave(),
+            editorDownloadBtn: () => this.handleEditorDownload(),
+            editorImportBtn: () => this.uiElements.editorFileInput && this.uiElements.editorFileInput.click(),
+            editorLoadBtn: () => this.handleEditorLoad(),
+            editorDeleteBtn: () => this.handleEditorDelete()
+        };
+        for (const [name, action] of Object.entries(editorActions)) {
+            if (this.uiElements[name]) {
+                this.uiElements[name].addEventListener('click', action);
+            }
+        }
+        
+        if (this.uiElements.editorFileInput) {
+            this.uiElements.editorFileInput.addEventListener('change', (e) => this.handleEditorImport(e));
+        }
+        
         // 方向控制按钮
         if (this.uiElements.moveUp) {
             this.uiElements.moveUp.addEventListener('click', () => this.handleMove(0, -1));
@@ -252,6 +643,73 @@ class UIController {
             this.uiElements.mazeSize.addEventListener('change', (e) => this.handleMazeSizeChange(e));
         }
         
+        // 迷宫形状选择
+        if (this.uiElements.mazeShape) {
+            this.uiElements.mazeShape.addEventListener('change', (e) => this.handleShapeChange(e));
+        }
+        
+        // 形状遮罩选择
+        if (this.uiElements.mazeMask) {
+            this.uiElements.mazeMask.addEventListener('change', (e) => this.handleMaskChange(e));
+        }
+        if (this.uiElements.maskImageInput) {
+            this.uiElements.maskImageInput.addEventListener('change', (e) => this.handleMaskImage(e));
+        }
+        
+        // 楼层数选择
+        if (this.uiElements.mazeFloors) {
+            this.uiElements.mazeFloors.addEventListener('change', (e) => this.handleFloorsChange(e));
+        }
+        
+        // 查看其他楼层
+        if (this.uiElements.floorViewUp) {
+            this.uiElements.floorViewUp.addEventListener('click', () => this.changeViewFloor(1));
+        }
+        if (this.uiElements.floorViewDown) {
+            this.uiElements.floorViewDown.addEventListener('click', () => this.changeViewFloor(-1));
+        }
+        
+        // 生成算法选择
+        if (this.uiElements.mazeAlgorithm) {
+            this.uiElements.mazeAlgorithm.addEventListener('change', (e) => this.handleAlgorithmChange(e));
+        }
+        
+        // 起终点放置策略选择
+        if (this.uiElements.mazePlacement) {
+            this.uiElements.mazePlacement.addEventListener('change', (e) => this.handlePlacementChange(e));
+        }
+        
+        // 目标难度选择
+        if (this.uiElements.mazeDifficulty) {
+            this.uiElements.mazeDifficulty.addEventListener('change', (e) => this.handleDifficultyChange(e));
+        }
+        
+        // 路径分支率选择
+        if (this.uiElements.mazeBraid) {
+            this.uiElements.mazeBraid.addEventListener('change', (e) => this.handleBraidChange(e));
+        }
+        
+        // 视野距离和限时选择
+        if (this.uiElements.viewRange) {
+            this.uiElements.viewRange.addEventListener('change', (e) => this.handleViewRangeChange(e));
+        }
+        if (this.uiElements.timeLimit) {
+            this.uiElements.timeLimit.addEventListener('change', (e) => this.handleTimeLimitChange(e));
+        }
+        
+        if (this.uiElements.stepLimit) {
+            this.uiElements.stepLimit.addEventListener('change', (e) => this.handleStepLimitChange(e));
+        }
+        
+        if (this.uiElements.revealLimit) {
+            this.uiElements.revealLimit.addEventListener('change', (e) => this.handleRevealLimitChange(e));
+        }
+        
+        // 复制分享链接
+        if (this.uiElements.copyLinkBtn) {
+            this.uiElements.copyLinkBtn.addEventListener('click', () => this.handleCopyLink());
+        }
+        
         // 窗口大小变化
         window.addEventListener('resize', () => this.handleResize());
     }
@@ -269,7 +727,15 @@ class UIController {
         // 注册游戏事件监听器
         this.registerGameEvents();
         
+        // 自动保存进行中的游戏（每日挑战不能保存进度）
+        if (this.autoSave) {
+            this.autoSave.stop();
+        }
+        this.autoSave = new AutoSave(game, { canSave: () => !this.isDailyActive() });
+        this.autoSave.start();
+        
         // 初始渲染
+        this.updateStats();
         this.render();
     }
     
@@ -290,16 +756,45 @@ class UIController {
             this.updateStats();
         });
         
-        // 游戏开始事件
+        // 换层事件：视图回到玩家所在楼层
+        this.game.addEventListener('onFloorChange', (data) => {
+            this.viewFloor = null;
+            this.updateStats();
+            this.render();
+        });
+        
+        // 游戏开始事件（新的一局覆盖了上次中断的游戏）
         this.game.addEventListener('onGameStart', (data) => {
+            this.viewFloor = null;
+            this.recovery = null;
+            this.limitWarnings.clear();
+            this.hideStartScreen();
+            this.updateDifficultyOptions();
+            this.updateStats();
+            this.render();
+        });
+        
+        // 加载存档事件：关闭开始屏幕和结算画面，视图回到玩家所在楼层
+        this.game.addEventListener('onGameLoad', (data) => {
+            this.viewFloor = null;
+            this.recovery = null;
+            this.limitWarnings.clear();
             this.hideStartScreen();
+            this.updateDifficultyOptions();
+            document.querySelectorAll('.message-overlay.victory, .message-overlay.defeat').forEach(overlay => overlay.parentElement.remove());
             this.updateStats();
             this.render();
         });
         
-        // 游戏胜利事件
+        // 游戏胜利事件（闯关和每日挑战时记录成绩）
         this.game.addEventListener('onVictory', (data) => {
-            this.showVictoryScreen(data);
+            const dailyDate = DailyChallenge.getDateFromLevel(data.level);
+            if (dailyDate) {
+                this.showVictoryScreen(data, null, this.daily.recordResult(dailyDate, data));
+            } else {
+                const result = Campaign.findLevel(data.level) ? this.campaign.recordResult(data.level, data) : null;
+                this.showVictoryScreen(data, result);
+            }
             this.updateStats();
         });
         
@@ -316,12 +811,18 @@ class UIController {
     render() {
         if (!this.game || !this.ctx) return;
         
+        if (this.editor.isActive()) {
+            this.editor.render();
+            return;
+        }
+        
         // 清除Canvas
         this.clearCanvas();
         
         // 获取游戏状态
-        const maze = this.game.getMaze();
+        const maze = this.getDisplayedMaze();
         const playerPos = this.game.getPlayerPosition();
+        const startPos = this.game.getMaze().getStart();
         const endPos = this.game.getMaze().getEnd();
         
         // 绘制背景
@@ -333,6 +834,12 @@ class UIController {
         // 绘制已探索区域
         this.drawExploredAreas();
         
+        // 绘制被遮罩排除的单元格
+        this.drawMaskedCells(maze);
+        
+        // 绘制求解演示的搜索过程
+        this.drawSolverAnimation(maze);
+        
         // 绘制解决方案路径（如果启用）
         if (this.game.config.showSolution) {
             this.drawSolutionPath();
@@ -341,16 +848,62 @@ class UIController {
         // 绘制迷宫墙壁
         this.drawWalls(maze);
         
+        // 绘制楼梯
+        this.drawStairs(this.getDisplayedFloor());
+        
         // 绘制起点和终点
-        this.drawStartAndEnd(maze.getStart(), endPos);
+        this.drawStartAndEnd(startPos, endPos);
         
-        // 绘制玩家
-        this.drawPlayer(playerPos);
+        // 绘制玩家（查看其他楼层时不显示）
+        if (this.getDisplayedFloor() === playerPos.floor) {
+            this.drawPlayer(playerPos);
+        }
         
         // 绘制UI叠加层
         this.drawUIOverlay();
     }
     
+    /**
+     * 获取当前显示的楼层
+     * @returns {number} 楼层序号
+     */
+    getDisplayedFloor() {
+        return this.viewFloor !== null ? this.viewFloor : this.game.getPlayerFloor();
+    }
+    
+    /**
+     * 获取当前显示楼层的迷宫
+     * @returns {Maze} 迷宫实例
+     */
+    getDisplayedMaze() {
+        return this.game.getMaze().getFloor(this.getDisplayedFloor());
+    }
+    
+    /**
+     * 检查单元格是否位于当前显示的楼层
+     * @param {Object} cell - 单元格坐标（多层迷宫中带有z）
+     * @returns {boolean} 是否位于显示楼层
+     */
+    isOnDisplayedFloor(cell) {
+        return (cell.z || 0) === this.getDisplayedFloor();
+    }
+    
+    /**
+     * 切换查看的楼层（只能查看地图，不移动玩家）
+     * @param {number} delta - 楼层变化量（+1向上，-1向下）
+     */
+    changeViewFloor(delta) {
+        if (!this.game) return;
+        
+        const floorCount = this.game.getMaze().getFloorCount();
+        const floor = this.getDisplayedFloor() + delta;
+        if (floor < 0 || floor >= floorCount) return;
+        
+        this.viewFloor = floor === this.game.getPlayerFloor() ? null : floor;
+        this.updateStats();
+        this.render();
+    }
+    
     /**
      * 清除Canvas
      */
@@ -372,17 +925,27 @@ class UIController {
     drawGrid() {
         if (!this.game) return;
         
-        const mazeSize = this.game.config.mazeSize;
+        const maze = this.getDisplayedMaze();
+        const { width, height } = maze.getSize();
         const cellSize = this.config.cellSize;
         
         this.ctx.strokeStyle = this.config.colors.grid;
         this.ctx.lineWidth = 1;
         
+        // 非正方形拓扑：逐个绘制单元格轮廓
+        if (maze.shape !== 'square') {
+            for (const cell of maze.getAllCells()) {
+                this.traceCellPath(maze, cell.x, cell.y);
+                this.ctx.stroke();
+            }
+            return;
+        }
+        
         // 垂直线
-        for (let x = 0; x <= mazeSize; x++) {
+        for (let x = 0; x <= width; x++) {
             const canvasX = this.canvasOffset.x + x * cellSize * this.canvasScale;
             const startY = this.canvasOffset.y;
-            const endY = this.canvasOffset.y + mazeSize * cellSize * this.canvasScale;
+            const endY = this.canvasOffset.y + height * cellSize * this.canvasScale;
             
             this.ctx.beginPath();
             this.ctx.moveTo(canvasX, startY);
@@ -391,10 +954,10 @@ class UIController {
         }
         
         // 水平线
-        for (let y = 0; y <= mazeSize; y++) {
+        for (let y = 0; y <= height; y++) {
             const canvasY = this.canvasOffset.y + y * cellSize * this.canvasScale;
             const startX = this.canvasOffset.x;
-            const endX = this.canvasOffset.x + mazeSize * cellSize * this.canvasScale;
+            const endX = this.canvasOffset.x + width * cellSize * this.canvasScale;
             
             this.ctx.beginPath();
             this.ctx.moveTo(startX, canvasY);
@@ -409,14 +972,15 @@ class UIController {
     drawExploredAreas() {
         if (!this.game) return;
         
-        const maze = this.game.getMaze();
+        const maze = this.getDisplayedMaze();
         const { width, height } = maze.getSize();
         const cellSize = this.config.cellSize;
-        const viewSystem = this.game.getViewSystem();
+        const viewSystem = this.game.getViewSystem(this.getDisplayedFloor());
         const raycastSystem = this.game.raycastSystem;
         
-        // 方法1：绘制像素级可见区域（使用射线检测系统的可见点）
-        if (raycastSystem && raycastSystem.getVisiblePoints) {
+        // 方法1：绘制像素级可见区域（使用射线检测系统的可见点，仅限玩家所在楼层）
+        if (raycastSystem && raycastSystem.getVisiblePoints &&
+            this.getDisplayedFloor() === this.game.getPlayerFloor()) {
             this.drawPixelVisibleAreas(raycastSystem);
         } else {
             // 方法2：回退到基于格子的可见区域绘制
@@ -529,37 +1093,19 @@ class UIController {
      * @param {ViewSystem} viewSystem - 视野系统
      */
     drawCellBasedVisibleAreas(maze, width, height, cellSize, viewSystem) {
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                // 计算Canvas坐标
-                const canvasPos = this.toCanvasCoords(x * cellSize, y * cellSize);
-                const scaledCellSize = cellSize * this.canvasScale;
-                
-                if (viewSystem.isCellVisible(x, y)) {
-                    // 当前可见的单元格
-                    if (this.game.isCellExplored(x, y)) {
-                        // 已探索的可见单元格 - 使用探索颜色
-                        this.ctx.fillStyle = this.config.colors.explored;
-                    } else {
-                        // 当前可见但未探索的单元格 - 使用未探索颜色
-                        this.ctx.fillStyle = this.config.colors.unexplored;
-                    }
-                    this.ctx.fillRect(
-                        canvasPos.x,
-                        canvasPos.y,
-                        scaledCellSize,
-                        scaledCellSize
-                    );
+        for (const { x, y } of maze.getAllCells()) {
+            if (viewSystem.isCellVisible(x, y)) {
+                // 当前可见的单元格
+                if (this.game.isCellExplored(x, y, this.getDisplayedFloor())) {
+                    // 已探索的可见单元格 - 使用探索颜色
+                    this.fillCell(maze, x, y, this.config.colors.explored);
                 } else {
-                    // 不可见的单元格 - 严格隐藏（使用背景色）
-                    this.ctx.fillStyle = this.config.colors.background;
-                    this.ctx.fillRect(
-                        canvasPos.x,
-                        canvasPos.y,
-                        scaledCellSize,
-                        scaledCellSize
-                    );
+                    // 当前可见但未探索的单元格 - 使用未探索颜色
+                    this.fillCell(maze, x, y, this.config.colors.unexplored);
                 }
+            } else {
+                // 不可见的单元格 - 严格隐藏（使用背景色）
+                this.fillCell(maze, x, y, this.config.colors.background);
             }
         }
     }
@@ -570,27 +1116,67 @@ class UIController {
     drawExploredCells() {
         if (!this.game) return;
         
-        const maze = this.game.getMaze();
-        const { width, height } = maze.getSize();
-        const cellSize = this.config.cellSize;
+        const maze = this.getDisplayedMaze();
+        const floor = this.getDisplayedFloor();
         
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                if (this.game.isCellExplored(x, y)) {
-                    // 计算Canvas坐标
-                    const canvasPos = this.toCanvasCoords(x * cellSize, y * cellSize);
-                    const scaledCellSize = cellSize * this.canvasScale;
-                    
-                    // 绘制已探索的单元格（半透明）
-                    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
-                    this.ctx.fillRect(
-                        canvasPos.x,
-                        canvasPos.y,
-                        scaledCellSize,
-                        scaledCellSize
-                    );
-                }
+        for (const { x, y } of maze.getAllCells()) {
+            if (this.game.isCellExplored(x, y, floor)) {
+                // 绘制已探索的单元格（半透明）
+                this.fillCell(maze, x, y, 'rgba(255, 255, 255, 0.05)');
+            }
+        }
+    }
+    
+    /**
+     * 沿单元格轮廓创建路径（Canvas坐标）
+     * @param {Maze} maze - 迷宫实例
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     */
+    traceCellPath(maze, x, y) {
+        const polygon = maze.getCellPolygon(x, y, this.config.cellSize);
+        
+        this.ctx.beginPath();
+        polygon.forEach((point, i) => {
+            const canvasPos = this.toCanvasCoords(point.x, point.y);
+            if (i === 0) {
+                this.ctx.moveTo(canvasPos.x, canvasPos.y);
+            } else {
+                this.ctx.lineTo(canvasPos.x, canvasPos.y);
             }
+        });
+        this.ctx.closePath();
+    }
+    
+    /**
+     * 填充单元格
+     * @param {Maze} maze - 迷宫实例
+     * @param {number} x - x坐标
+     * @param {number} y - y坐标
+     * @param {string} fillStyle - 填充颜色
+     */
+    fillCell(maze, x, y, fillStyle) {
+        this.ctx.fillStyle = fillStyle;
+        
+        if (maze.shape === 'square') {
+            const cellSize = this.config.cellSize;
+            const canvasPos = this.toCanvasCoords(x * cellSize, y * cellSize);
+            const scaledCellSize = cellSize * this.canvasScale;
+            this.ctx.fillRect(canvasPos.x, canvasPos.y, scaledCellSize, scaledCellSize);
+            return;
+        }
+        
+        this.traceCellPath(maze, x, y);
+        this.ctx.fill();
+    }
+    
+    /**
+     * 将被遮罩排除的单元格绘制为实心
+     * @param {Maze} maze - 迷宫实例
+     */
+    drawMaskedCells(maze) {
+        for (const cell of maze.getMaskedCells()) {
+            this.fillCell(maze, cell.x, cell.y, this.config.colors.masked);
         }
     }
     
@@ -605,7 +1191,7 @@ class UIController {
     isWallExplored(x, y, orientation, maze) {
         if (!this.game) return false;
         
-        const viewSystem = this.game.getViewSystem();
+        const viewSystem = this.game.getViewSystem(this.getDisplayedFloor());
         const { width, height } = maze.getSize();
         
         if (orientation === 'horizontal') {
@@ -635,10 +1221,18 @@ class UIController {
         this.ctx.lineWidth = wallWidth;
         this.ctx.lineCap = 'square';
         
+        // 非正方形拓扑：按墙壁线段绘制
+        if (maze.shape !== 'square') {
+            this.drawWallSegments(maze);
+            return;
+        }
+        
         // 绘制水平墙壁
+        // 两侧都被遮罩排除的墙壁不绘制
         for (let y = 0; y <= height; y++) {
             for (let x = 0; x < width; x++) {
-                if (maze.getWall('horizontal', y, x)) {
+                if (maze.getWall('horizontal', y, x) &&
+                    (maze.isCellEnabled(x, y - 1) || maze.isCellEnabled(x, y))) {
                     // 检查墙壁是否已探索
                     const isExplored = this.isWallExplored(x, y, 'horizontal', maze);
                     
@@ -662,7 +1256,8 @@ class UIController {
         // 绘制垂直墙壁
         for (let y = 0; y < height; y++) {
             for (let x = 0; x <= width; x++) {
-                if (maze.getWall('vertical', y, x)) {
+                if (maze.getWall('vertical', y, x) &&
+                    (maze.isCellEnabled(x - 1, y) || maze.isCellEnabled(x, y))) {
                     // 检查墙壁是否已探索
                     const isExplored = this.isWallExplored(x, y, 'vertical', maze);
                     
@@ -682,70 +1277,151 @@ class UIController {
                 }
             }
         }
+        
+        // 绘制立交桥面
+        this.drawBridges(maze);
+    }
+    
+    /**
+     * 绘制立交单元格的桥面：沿上层通道方向的两道栏杆（下层隧道不绘制）
+     * @param {Maze} maze - 迷宫实例
+     */
+    drawBridges(maze) {
+        const cellSize = this.config.cellSize;
+        const viewSystem = this.game ? this.game.getViewSystem(this.getDisplayedFloor()) : null;
+        const inset = cellSize * 0.2;
+        
+        this.ctx.lineCap = 'butt';
+        
+        for (const [key, axis] of maze.crossings) {
+            const [x, y] = key.split(',').map(Number);
+            const left = x * cellSize;
+            const top = y * cellSize;
+            
+            this.ctx.strokeStyle = viewSystem && viewSystem.isCellExplored(x, y) ?
+                this.config.colors.wallExplored :
+                this.config.colors.wallUnexplored;
+            
+            const railings = axis === 'horizontal'
+                ? [[left, top + inset, left + cellSize, top + inset],
+                   [left, top + cellSize - inset, left + cellSize, top + cellSize - inset]]
+                : [[left + inset, top, left + inset, top + cellSize],
+                   [left + cellSize - inset, top, left + cellSize - inset, top + cellSize]];
+            
+            for (const [x1, y1, x2, y2] of railings) {
+                const startPos = this.toCanvasCoords(x1, y1);
+                const endPos = this.toCanvasCoords(x2, y2);
+                
+                this.ctx.beginPath();
+                this.ctx.moveTo(startPos.x, startPos.y);
+                this.ctx.lineTo(endPos.x, endPos.y);
+                this.ctx.stroke();
+            }
+        }
+    }
+    
+    /**
+     * 按墙壁线段绘制迷宫墙壁（用于非正方形拓扑，带有radius的线段按圆弧绘制）
+     * @param {Maze} maze - 迷宫实例
+     */
+    drawWallSegments(maze) {
+        const viewSystem = this.game ? this.game.getViewSystem(this.getDisplayedFloor()) : null;
+        this.ctx.lineCap = 'round';
+        
+        for (const segment of maze.getWallSegments(this.config.cellSize)) {
+            // 墙壁任意一侧的单元格已探索即视为已探索
+            const isExplored = viewSystem !== null &&
+                segment.cells.some(cell => viewSystem.isCellExplored(cell.x, cell.y));
+            
+            this.ctx.strokeStyle = isExplored ?
+                this.config.colors.wallExplored :
+                this.config.colors.wallUnexplored;
+            
+            const startPos = this.toCanvasCoords(segment.x1, segment.y1);
+            const endPos = this.toCanvasCoords(segment.x2, segment.y2);
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(startPos.x, startPos.y);
+            if (segment.radius !== undefined) {
+                const center = this.toCanvasCoords(segment.cx, segment.cy);
+                this.ctx.arc(center.x, center.y, segment.radius * this.canvasScale,
+                    segment.startAngle, segment.endAngle);
+            } else {
+                this.ctx.lineTo(endPos.x, endPos.y);
+            }
+            this.ctx.stroke();
+        }
     }
     
     /**
      * 绘制起点和终点
      * @param {Object} start - 起点坐标
      * @param {Object} end - 终点坐标
+     * @param {Maze} maze - 所在楼层的迷宫（默认为当前显示的楼层）
+     * @param {number} floor - 楼层序号（默认为当前显示的楼层）
      */
-    drawStartAndEnd(start, end) {
+    drawStartAndEnd(start, end, maze = this.getDisplayedMaze(), floor = this.getDisplayedFloor()) {
         const cellSize = this.config.cellSize;
         const radius = cellSize * 0.3 * this.canvasScale;
         
-        // 绘制起点（绿色）
-        const startCanvasPos = this.toCanvasCoords(
-            start.x * cellSize + cellSize / 2,
-            start.y * cellSize + cellSize / 2
-        );
-        
-        this.ctx.fillStyle = this.config.colors.start;
-        this.ctx.beginPath();
-        this.ctx.arc(
-            startCanvasPos.x,
-            startCanvasPos.y,
-            radius,
-            0,
-            Math.PI * 2
-        );
-        this.ctx.fill();
-        
-        // 绘制终点（红色）
-        const endCanvasPos = this.toCanvasCoords(
-            end.x * cellSize + cellSize / 2,
-            end.y * cellSize + cellSize / 2
-        );
-        
-        this.ctx.fillStyle = this.config.colors.end;
-        this.ctx.beginPath();
-        this.ctx.arc(
-            endCanvasPos.x,
-            endCanvasPos.y,
-            radius,
-            0,
-            Math.PI * 2
-        );
-        this.ctx.fill();
+        // 多层迷宫中起点和终点只在各自所在的楼层显示
+        const markers = [
+            { cell: start, color: this.config.colors.start, label: '起点' }, // 起点（绿色）
+            { cell: end, color: this.config.colors.end, label: '终点' } // 终点（红色）
+        ].filter(marker => (marker.cell.z || 0) === floor);
         
-        // 添加文字标签
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = `bold ${12 * this.canvasScale}px Arial`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+        for (const marker of markers) {
+            const center = maze.getCellCenter(marker.cell.x, marker.cell.y, cellSize);
+            const canvasPos = this.toCanvasCoords(center.x, center.y);
+            
+            this.ctx.fillStyle = marker.color;
+            this.ctx.beginPath();
+            this.ctx.arc(
+                canvasPos.x,
+                canvasPos.y,
+                radius,
+                0,
+                Math.PI * 2
+            );
+            this.ctx.fill();
+            
+            // 添加文字标签
+            this.ctx.fillStyle = 'white';
+            this.ctx.font = `bold ${12 * this.canvasScale}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(marker.label, canvasPos.x, canvasPos.y);
+        }
+    }
+    
+    /**
+     * 绘制楼梯（只显示已探索单元格中的楼梯）
+     * @param {number} floor - 楼层
+     */
+    drawStairs(floor) {
+        const maze = this.game.getMaze();
+        if (maze.getFloorCount() === 1) return;
         
-        // 起点标签
-        this.ctx.fillText(
-            '起点',
-            startCanvasPos.x,
-            startCanvasPos.y
-        );
+        const cellSize = this.config.cellSize;
+        const floorMaze = maze.getFloor(floor);
+        const size = cellSize * 0.25 * this.canvasScale;
         
-        // 终点标签
-        this.ctx.fillText(
-            '终点',
-            endCanvasPos.x,
-            endCanvasPos.y
-        );
+        for (const stair of maze.getStairsOnFloor(floor)) {
+            if (!this.game.isCellExplored(stair.x, stair.y, floor)) continue;
+            
+            const center = floorMaze.getCellCenter(stair.x, stair.y, cellSize);
+            const canvasPos = this.toCanvasCoords(center.x, center.y);
+            
+            // 上楼画朝上的三角形，下楼画朝下的三角形
+            const tip = stair.direction === 'up' ? -size : size;
+            this.ctx.fillStyle = this.config.colors.stairs;
+            this.ctx.beginPath();
+            this.ctx.moveTo(canvasPos.x, canvasPos.y + tip);
+            this.ctx.lineTo(canvasPos.x - size, canvasPos.y - tip);
+            this.ctx.lineTo(canvasPos.x + size, canvasPos.y - tip);
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
     }
     
     /**
@@ -759,6 +1435,12 @@ class UIController {
         // 转换玩家位置到Canvas坐标
         const canvasPos = this.toCanvasCoords(position.x, position.y);
         
+        // 在隧道中穿过立交单元格时半透明显示，表示位于桥面下方
+        this.ctx.save();
+        if (this.game && this.game.getPlayerLayer() === 'under') {
+            this.ctx.globalAlpha = 0.4;
+        }
+        
         this.ctx.fillStyle = this.config.colors.player;
         this.ctx.beginPath();
         this.ctx.arc(
@@ -780,35 +1462,74 @@ class UIController {
             canvasPos.x,
             canvasPos.y
         );
+        this.ctx.restore();
+    }
+    
+    /**
+     * 绘制求解演示：已排除、已访问和待搜索的单元格，求解结束后绘制找到的路线
+     * 迷宫已重新生成时结束演示
+     * @param {Maze} maze - 当前显示楼层的迷宫实例
+     */
+    drawSolverAnimation(maze) {
+        const animation = this.solverAnimation;
+        if (!animation) return;
+        
+        if (animation.maze !== this.game.getMaze()) {
+            this.stopSolverAnimation();
+            this.solverAnimation = null;
+            this.showSolverResults('');
+            return;
+        }
+        
+        const layers = [
+            [animation.discarded, this.config.colors.solverDiscarded],
+            [animation.visited, this.config.colors.solverVisited],
+            [animation.frontier, this.config.colors.solverFrontier]
+        ];
+        for (const [cells, color] of layers) {
+            for (const cell of cells.values()) {
+                if (this.isOnDisplayedFloor(cell)) {
+                    this.fillCell(maze, cell.x, cell.y, color);
+                }
+            }
+        }
+        
+        if (animation.path) {
+            this.drawSolutionPath(animation.path, this.config.colors.solverPath);
+        }
     }
     
     /**
      * 绘制解决方案路径
+     * @param {Array} path - 路线（默认为迷宫的最短路线）
+     * @param {string} color - 路线颜色
+     * @param {Maze} maze - 所在楼层的迷宫（默认为当前显示的楼层）
+     * @param {number} floor - 楼层序号（默认为当前显示的楼层）
      */
-    drawSolutionPath() {
+    drawSolutionPath(path = this.game.getSolutionPath(), color = this.config.colors.path,
+                     maze = this.getDisplayedMaze(), floor = this.getDisplayedFloor()) {
         if (!this.game) return;
         
-        const path = this.game.getSolutionPath();
         if (path.length < 2) return;
         
+        const isOnFloor = cell => (cell.z || 0) === floor;
         const cellSize = this.config.cellSize;
         const radius = cellSize * 0.1 * this.canvasScale;
+        const centers = path.map(point => maze.getCellCenter(point.x, point.y, cellSize));
         
-        this.ctx.strokeStyle = this.config.colors.path;
+        this.ctx.strokeStyle = color;
         this.ctx.lineWidth = 3 * this.canvasScale;
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
         
-        // 绘制路径线
+        // 绘制路径线（多层迷宫只绘制当前显示楼层的路段）
         this.ctx.beginPath();
         for (let i = 0; i < path.length; i++) {
-            const point = path[i];
-            const canvasPos = this.toCanvasCoords(
-                point.x * cellSize + cellSize / 2,
-                point.y * cellSize + cellSize / 2
-            );
+            if (!isOnFloor(path[i])) continue;
             
-            if (i === 0) {
+            const canvasPos = this.toCanvasCoords(centers[i].x, centers[i].y);
+            
+            if (i === 0 || !isOnFloor(path[i - 1])) {
                 this.ctx.moveTo(canvasPos.x, canvasPos.y);
             } else {
                 this.ctx.lineTo(canvasPos.x, canvasPos.y);
@@ -818,13 +1539,11 @@ class UIController {
         
         // 绘制路径点
         for (let i = 0; i < path.length; i++) {
-            const point = path[i];
-            const canvasPos = this.toCanvasCoords(
-                point.x * cellSize + cellSize / 2,
-                point.y * cellSize + cellSize / 2
-            );
+            if (!isOnFloor(path[i])) continue;
             
-            this.ctx.fillStyle = this.config.colors.path;
+            const canvasPos = this.toCanvasCoords(centers[i].x, centers[i].y);
+            
+            this.ctx.fillStyle = color;
             this.ctx.beginPath();
             this.ctx.arc(canvasPos.x, canvasPos.y, radius, 0, Math.PI * 2);
             this.ctx.fill();
@@ -836,6 +1555,36 @@ class UIController {
      */
     drawUIOverlay() {
         // 这里可以添加一些UI叠加元素，比如提示文字等
+        this.drawFloorIndicator();
+    }
+    
+    /**
+     * 绘制楼层指示（仅多层迷宫）
+     */
+    drawFloorIndicator() {
+        const floorCount = this.game.getMaze().getFloorCount();
+        if (floorCount === 1) return;
+        
+        const floor = this.getDisplayedFloor();
+        let text = `第 ${floor + 1}/${floorCount} 层`;
+        if (floor !== this.game.getPlayerFloor()) {
+            text += `（查看地图，玩家在第 ${this.game.getPlayerFloor() + 1} 层）`;
+        }
+        
+        this.ctx.font = `bold ${14 * this.canvasScale}px Arial`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        
+        const padding = 6 * this.canvasScale;
+        const x = this.canvasOffset.x + padding;
+        const y = this.canvasOffset.y + padding;
+        const textWidth = this.ctx.measureText(text).width;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x - padding / 2, y - padding / 2, textWidth + padding, 14 * this.canvasScale + padding);
+        
+        this.ctx.fillStyle = this.config.colors.text;
+        this.ctx.fillText(text, x, y);
     }
     
     /**
@@ -850,6 +1599,51 @@ class UIController {
             this.uiElements.exploreRate.textContent = `${stats.exploreRate}%`;
         }
         
+        if (this.uiElements.stepCount) {
+            this.uiElements.stepCount.textContent = stats.steps;
+        }
+        
+        // 只显示生效的失败条件；剩余不多时突出显示，并在本局中提示一次
+        for (const [type, display] of Object.entries(UIController.LIMIT_DISPLAY)) {
+            const limit = stats.limits.find(item => item.type === type);
+            const warning = Boolean(limit) && limit.remaining <= Math.ceil(limit.limit * UIController.LIMIT_WARNING_RATIO);
+            
+            if (this.uiElements[display.item]) {
+                this.uiElements[display.item].hidden = !limit;
+                this.uiElements[display.item].classList.toggle('warning', warning);
+            }
+            if (this.uiElements[display.value] && limit) {
+                this.uiElements[display.value].textContent = `${limit.remaining}${display.unit}`;
+            }
+            if (warning && this.game.state.isRunning && !this.limitWarnings.has(type)) {
+                this.limitWarnings.add(type);
+                this.showHint(display.warning);
+            }
+        }
+        
+        if (this.uiElements.mazeSeed) {
+            this.uiElements.mazeSeed.textContent = stats.seed;
+        }
+        
+        if (this.uiElements.mazePathLength) {
+            this.uiElements.mazePathLength.textContent = `${stats.pathLength}步`;
+        }
+        
+        if (this.uiElements.mazeFloor) {
+            this.uiElements.mazeFloor.textContent = `${stats.floor + 1}/${stats.floors}`;
+        }
+        
+        this.updateAnalysis();
+        
+        // 单层迷宫没有其他楼层可查看
+        const floor = this.getDisplayedFloor();
+        if (this.uiElements.floorViewUp) {
+            this.uiElements.floorViewUp.disabled = floor >= stats.floors - 1;
+        }
+        if (this.uiElements.floorViewDown) {
+            this.uiElements.floorViewDown.disabled = floor <= 0;
+        }
+        
         if (this.uiElements.gameStatus) {
             const gameState = this.game.getGameState();
             let statusText = '准备中';
@@ -864,6 +1658,28 @@ class UIController {
         }
     }
     
+    /**
+     * 在开始屏幕上显示当前迷宫的难度分析
+     */
+    updateAnalysis() {
+        if (!this.uiElements.startAnalysis) return;
+        
+        const analysis = this.game.getAnalysis();
+        const band = MazeAnalyzer.getBand(analysis.band);
+        const items = [
+            ['难度', `${band.label} ${analysis.score}`],
+            ['最短路线', `${analysis.solutionLength}步`],
+            ['决策点', analysis.decisionPoints],
+            ['转弯', analysis.turns],
+            ['死胡同', analysis.deadEnds],
+            ['分支率', `${Math.round(analysis.branchingFactor * 100)}%`],
+            ['河流系数', analysis.riverFactor.toFixed(1)]
+        ];
+        this.uiElements.startAnalysis.innerHTML = items
+            .map(([label, value]) => `<span>${label}: <strong>${value}</strong></span>`)
+            .join('');
+    }
+    
     /**
      * 显示开始屏幕
      */
@@ -872,6 +1688,185 @@ class UIController {
             this.uiElements.gameOverlay.style.display = 'flex';
             this.uiElements.startScreen.style.display = 'block';
         }
+        
+        this.renderLevelSelect();
+        this.renderDaily();
+        this.renderResume();
+        
+        const level = this.game ? this.game.getLevel() : null;
+        if (!level) {
+            this.showStartTab('free');
+        } else {
+            this.showStartTab(DailyChallenge.getDateFromLevel(level.id) ? 'daily' : 'campaign');
+        }
+    }
+    
+    /**
+     * 切换开始屏幕的页签
+     * @param {string} tab - 'free'（自由模式）、'campaign'（闯关模式）或 'daily'（每日挑战）
+     */
+    showStartTab(tab) {
+        document.querySelectorAll('.start-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+        if (this.uiElements.freePanel) {
+            this.uiElements.freePanel.hidden = tab !== 'free';
+        }
+        if (this.uiElements.campaignPanel) {
+            this.uiElements.campaignPanel.hidden = tab !== 'campaign';
+        }
+        if (this.uiElements.dailyPanel) {
+            this.uiElements.dailyPanel.hidden = tab !== 'daily';
+        }
+    }
+    
+    /**
+     * 生成关卡选择列表（星数、最佳成绩和解锁状态）
+     */
+    renderLevelSelect() {
+        if (!this.uiElements.levelSelect) return;
+        
+        const campaign = this.campaign;
+        const currentLevel = this.game && this.game.getLevel() ? this.game.getLevel().id : null;
+        const total = campaign.getStars();
+        
+        if (this.uiElements.campaignSummary) {
+            this.uiElements.campaignSummary.innerHTML = `<i class="fas fa-star"></i> ${total.stars} / ${total.maxStars}`;
+        }
+        
+        this.uiElements.levelSelect.innerHTML = Campaign.packs.map(pack => {
+            const packStars = campaign.getStars(pack);
+            const levels = pack.levels.map((level, i) => {
+                const unlocked = campaign.isUnlocked(level.id);
+                const progress = campaign.getLevelProgress(level.id);
+                const classes = ['level-btn', progress ? 'completed' : '', level.id === currentLevel ? 'current' : ''];
+                const status = progress
+                    ? `${progress.bestTime}s · ${progress.bestExploreRate}%`
+                    : (unlocked ? '未通关' : '未解锁');
+                
+                return `
+                    <button class="${classes.join(' ').trim()}" data-level="${level.id}" ${unlocked ? '' : 'disabled'}>
+                        <span class="level-number">${unlocked ? i + 1 : '<i class="fas fa-lock"></i>'}</span>
+                        <span class="level-title">${level.title}</span>
+                        <span class="level-stars">${this.getStarsHTML(progress ? progress.stars : 0)}</span>
+                        <small>${status}</small>
+                    </button>
+                `;
+            });
+            
+            return `
+                <section class="level-pack">
+                    <header>
+                        <h4>${pack.title}</h4>
+                        <span><i class="fas fa-star"></i> ${packStars.stars} / ${packStars.maxStars}</span>
+                    </header>
+                    <p>${pack.description}</p>
+                    <div class="level-grid">${levels.join('')}</div>
+                </section>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * 生成星级图标
+     * @param {number} stars - 获得的星数
+     * @returns {string} HTML
+     */
+    getStarsHTML(stars) {
+        let html = '';
+        for (let i = 0; i < Campaign.MAX_STARS; i++) {
+            html += `<i class="${i < stars ? 'fas earned' : 'far'} fa-star"></i>`;
+        }
+        return html;
+    }
+    
+    /**
+     * 更新每日挑战页签：今天的挑战状态、分享文字和最近的记录
+     */
+    renderDaily() {
+        if (!this.uiElements.dailyInfo) return;
+        
+        const today = DailyChallenge.getDateKey();
+        const entry = this.daily.getEntry(today);
+        const { width, height } = DailyChallenge.SETTINGS;
+        
+        this.uiElements.dailyInfo.innerHTML = `
+            <strong>${today}</strong>
+            <span>${width}×${height} · 即时视野 · 每天只有一次机会，开始后中途放弃记为未完成</span>
+            ${entry ? `<span>今天已经挑战过了${entry.completed ? '' : '（未完成）'}，明天再来吧</span>` : ''}
+        `;
+        
+        if (this.uiElements.dailyStartBtn) {
+            this.uiElements.dailyStartBtn.disabled = entry !== null;
+        }
+        if (this.uiElements.dailyShare) {
+            this.uiElements.dailyShare.hidden = entry === null;
+            this.uiElements.dailyShare.textContent = entry ? DailyChallenge.getShareText(entry, this.daily.getStreak(today)) : '';
+        }
+        if (this.uiElements.dailyShareBtn) {
+            this.uiElements.dailyShareBtn.hidden = entry === null;
+        }
+        
+        if (this.uiElements.dailyHistory) {
+            this.uiElements.dailyHistory.innerHTML = this.daily.getHistory(DailyChallenge.HISTORY_SHOWN).map(day => `
+                <li>
+                    <span>${day.date}</span>
+                    <span>${day.completed ? `✅ ${day.time}s · ${day.exploreRate}% · ${day.steps}步` : '❌ 未完成'}</span>
+                </li>
+            `).join('');
+        }
+    }
+    
+    /**
+     * 更新开始屏幕上的“继续上次的游戏”（没有中断的游戏时隐藏）
+     */
+    renderResume() {
+        if (!this.uiElements.resumePanel) return;
+        
+        let summary = null;
+        if (this.recovery) {
+            try {
+                summary = SaveSlotManager.summarize(this.recovery);
+            } catch (error) {
+                console.error('读取自动存档失败:', error);
+                this.handleDiscardRecovery();
+                return;
+            }
+        }
+        
+        this.uiElements.resumePanel.hidden = summary === null;
+        if (summary && this.uiElements.resumeInfo) {
+            const savedAt = Date.parse(this.recovery.meta && this.recovery.meta.savedAt);
+            this.uiElements.resumeInfo.innerHTML = `
+                <strong>上次的游戏没有完成</strong>
+                <span>${this.formatSaveSummary(summary)}${Number.isNaN(savedAt) ? '' : ` · 保存于${this.formatSaveTime(savedAt)}`}</span>
+            `;
+        }
+    }
+    
+    /**
+     * 继续上次中断的游戏
+     */
+    handleResume() {
+        if (!this.game || !this.recovery) return;
+        
+        try {
+            this.game.importState(this.recovery);
+            this.showHint('已恢复上次的游戏');
+        } catch (error) {
+            console.error('恢复游戏失败:', error);
+            this.showHint(`无法恢复上次的游戏: ${SvgContext.escape(error.message)}`);
+            this.handleDiscardRecovery();
+        }
+    }
+    
+    /**
+     * 放弃上次中断的游戏（删除自动存档）
+     */
+    handleDiscardRecovery() {
+        AutoSave.clear();
+        this.recovery = null;
+        this.renderResume();
     }
     
     /**
@@ -886,14 +1881,40 @@ class UIController {
     /**
      * 显示胜利屏幕
      * @param {Object} data - 胜利数据
+     * @param {Object} result - 关卡成绩（见Campaign.recordResult），不是闯关时为null
+     * @param {Object} daily - 每日挑战记录（见DailyChallenge.recordResult），不是每日挑战时为null
      */
-    showVictoryScreen(data) {
+    showVictoryScreen(data, result = null, daily = null) {
+        const analysis = this.game.getAnalysis();
+        const band = MazeAnalyzer.getBand(analysis.band);
+        const nextLevel = result ? this.campaign.getNextLevel(data.level) : null;
+        
+        // 关卡通关时显示星级、星级标准和新纪录
+        let levelHTML = '';
+        if (result) {
+            const { level } = Campaign.findLevel(data.level);
+            const records = [
+                result.newBestTime ? '最佳时间' : '',
+                result.newBestExploreRate ? '最低探索率' : ''
+            ].filter(Boolean);
+            levelHTML = `
+                <div class="victory-stars">${this.getStarsHTML(result.stars)}</div>
+                <p class="victory-level">
+                    「${level.title}」通关！用时≤${level.par.time}s、探索率≤${level.par.exploreRate}%各得1星
+                    ${records.length > 0 ? `<br>新纪录：${records.join('、')}` : ''}
+                    ${result.unlocked ? '<br>已解锁下一关' : ''}
+                </p>
+            `;
+        } else if (daily) {
+            levelHTML = `<pre class="daily-share">${DailyChallenge.getShareText(daily, this.daily.getStreak(daily.date))}</pre>`;
+        }
+        
         // 创建胜利屏幕HTML
         const victoryHTML = `
             <div class="message-overlay victory">
                 <div class="message-box">
                     <h2><i class="fas fa-trophy"></i> 恭喜你胜利了！</h2>
-                    <p>你成功找到了迷宫的出口！</p>
+                    ${levelHTML || '<p>你成功找到了迷宫的出口！</p>'}
                     
                     <div class="message-stats">
                         <div class="stat-box">
@@ -908,12 +1929,24 @@ class UIController {
                             <span class="value">${data.exploredCells}/${data.totalCells}</span>
                             <span class="label">探索单元格</span>
                         </div>
+                        <div class="stat-box">
+                            <span class="value">${band.label} ${analysis.score}</span>
+                            <span class="label">难度（最短${analysis.solutionLength}步）</span>
+                        </div>
                     </div>
                     
                     <div class="message-buttons">
-                        <button class="message-btn primary" id="playAgainBtn">
+                        ${nextLevel ? `
+                        <button class="message-btn primary" id="nextLevelBtn">
+                            <i class="fas fa-forward"></i> 下一关
+                        </button>` : ''}
+                        ${daily ? `
+                        <button class="message-btn primary" id="shareResultBtn">
+                            <i class="fas fa-share-alt"></i> 复制结果
+                        </button>` : `
+                        <button class="message-btn ${nextLevel ? 'secondary' : 'primary'}" id="playAgainBtn">
                             <i class="fas fa-redo"></i> 再玩一次
-                        </button>
+                        </button>`}
                         <button class="message-btn secondary" id="backToMenuBtn">
                             <i class="fas fa-home"></i> 返回菜单
                         </button>
@@ -929,9 +1962,22 @@ class UIController {
         
         // 绑定按钮事件
         setTimeout(() => {
+            const nextLevelBtn = document.getElementById('nextLevelBtn');
+            const shareResultBtn = document.getElementById('shareResultBtn');
             const playAgainBtn = document.getElementById('playAgainBtn');
             const backToMenuBtn = document.getElementById('backToMenuBtn');
             
+            if (nextLevelBtn) {
+                nextLevelBtn.addEventListener('click', () => {
+                    overlay.remove();
+                    this.handleLevelSelect(nextLevel);
+                });
+            }
+            
+            if (shareResultBtn) {
+                shareResultBtn.addEventListener('click', () => this.handleDailyShare(daily));
+            }
+            
             if (playAgainBtn) {
                 playAgainBtn.addEventListener('click', () => {
                     overlay.remove();
@@ -955,17 +2001,44 @@ class UIController {
      * @param {Object} data - 游戏结束数据
      */
     showGameOverScreen(data) {
-        // 创建游戏结束屏幕HTML
+        const text = UIController.GAME_OVER_TEXT[data.reason] || UIController.GAME_OVER_TEXT.other;
+        const limit = data.limit ? data.limit.type : null;
+        
+        // 离出口还有多远：剩余的最短路线占整条最短路线的比例（走得比起点还远时为0）
+        let progressHTML = '';
+        if (data.distanceToEnd !== null && data.pathLength > 0) {
+            const progress = Math.max(0, Math.round((1 - data.distanceToEnd / data.pathLength) * 100));
+            progressHTML = `
+                    <div class="defeat-progress">
+                        <div class="progress-track"><div class="progress-fill" style="width: ${progress}%"></div></div>
+                        <span>离出口还有${data.distanceToEnd}步，已完成最短路线的${progress}%</span>
+                    </div>`;
+        }
+        
+        // 创建游戏结束屏幕HTML（超出的限制显示上限）
         const gameOverHTML = `
             <div class="message-overlay defeat">
                 <div class="message-box">
-                    <h2><i class="fas fa-skull-crossbones"></i> 游戏结束</h2>
-                    <p>很遗憾，你未能完成迷宫。</p>
+                    <h2><i class="fas ${text.icon}"></i> ${text.title}</h2>
+                    <p>${text.message}</p>
+                    ${progressHTML}
                     
                     <div class="message-stats">
                         <div class="stat-box">
                             <span class="value">${data.time}s</span>
-                            <span class="label">时间</span>
+                            <span class="label">${limit === 'time' ? `时间（限时${data.limit.limit}s）` : '时间'}</span>
+                        </div>
+                        <div class="stat-box">
+                            <span class="value">${data.steps}</span>
+                            <span class="label">${limit === 'steps' ? `步数（上限${data.limit.limit}）` : '步数'}</span>
+                        </div>
+                        <div class="stat-box">
+                            <span class="value">${limit === 'reveal' ? data.exploredCells : `${data.exploreRate}%`}</span>
+                            <span class="label">${limit === 'reveal' ? `揭示格数（上限${data.limit.limit}）` : '探索率'}</span>
+                        </div>
+                        <div class="stat-box">
+                            <span class="value">${data.distanceToEnd === null ? '-' : `${data.distanceToEnd}步`}</span>
+                            <span class="label">距离出口</span>
                         </div>
                     </div>
                     
@@ -1013,7 +2086,7 @@ class UIController {
      * @param {MouseEvent} e - 鼠标事件
      */
     handleCanvasClick(e) {
-        if (!this.game || !this.game.state.isRunning || this.game.state.isPaused) {
+        if (!this.game || !this.game.state.isRunning || this.game.state.isPaused || this.editor.isActive()) {
             return;
         }
         
@@ -1071,7 +2144,17 @@ class UIController {
      * @param {KeyboardEvent} e - 键盘事件
      */
     handleKeyDown(e) {
-        if (!this.game) return;
+        if (!this.game || this.editor.isActive()) return;
+        
+        // 存档列表打开时按键留给名称输入框，ESC关闭列表（不再触发暂停切换）
+        if (this.isSaveSlotsOpen()) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.closeSaveSlots();
+            }
+            return;
+        }
         
         // 处理移动输入（长按支持）
         let direction = null;
@@ -1111,6 +2194,25 @@ class UIController {
                     this.handleRestartGame();
                 }
                 return;
+            case 'e':
+            case 'E':
+                // 上楼（Ctrl+E为导出图片）
+                if (e.ctrlKey || e.metaKey) return;
+                this.game.useStairs('up');
+                return;
+            case 'q':
+            case 'Q':
+                // 下楼
+                this.game.useStairs('down');
+                return;
+            case 'PageUp':
+                e.preventDefault();
+                this.changeViewFloor(1);
+                return;
+            case 'PageDown':
+                e.preventDefault();
+                this.changeViewFloor(-1);
+                return;
             case 'Escape':
                 if (this.game.state.isRunning) {
                     this.game.togglePause();
@@ -1209,21 +2311,15 @@ class UIController {
     handleStartGame() {
         if (!this.game) return;
         
-        // 获取选择的模式
-        const modeButtons = document.querySelectorAll('.mode-btn');
-        let selectedMode = 'permanent';
-        
-        modeButtons.forEach(btn => {
-            if (btn.classList.contains('active')) {
-                selectedMode = btn.dataset.mode;
-            }
-        });
-        
         // 设置游戏模式
-        this.game.setViewMode(selectedMode);
+        this.game.setViewMode(this.getSelectedViewMode());
         
-        // 开始游戏
-        this.game.start();
+        // 开始游戏（从关卡返回时回到自由模式）
+        if (this.game.getLevel()) {
+            this.game.setLevel(null);
+        } else {
+            this.game.start();
+        }
         
         // 更新UI
         this.updateStats();
@@ -1231,93 +2327,936 @@ class UIController {
     }
     
     /**
-     * 处理重新开始游戏
+     * 获取开始屏幕上选择的视野模式
+     * @returns {string} 'permanent' 或 'instant'
      */
-    handleRestartGame() {
-        if (!this.game) return;
-        
-        this.game.restart();
-        this.updateStats();
-        this.render();
+    getSelectedViewMode() {
+        const activeButton = document.querySelector('.mode-btn.active');
+        return activeButton ? activeButton.dataset.mode : 'permanent';
     }
     
     /**
-     * 处理提示
+     * 处理关卡选择：读取关卡并开始游戏
+     * @param {string} levelId - 关卡ID
      */
-    handleHint() {
+    async handleLevelSelect(levelId) {
         if (!this.game) return;
         
-        // 显示下一个建议移动方向
-        const playerPos = this.game.getPlayerPosition();
-        const endPos = this.game.getMaze().getEnd();
-        
-        // 简单提示：指向终点的方向
-        const dx = endPos.x - playerPos.x;
-        const dy = endPos.y - playerPos.y;
-        
-        let hint = '';
-        if (Math.abs(dx) > Math.abs(dy)) {
-            hint = dx > 0 ? '尝试向右移动' : '尝试向左移动';
-        } else {
-            hint = dy > 0 ? '尝试向下移动' : '尝试向上移动';
+        let level;
+        try {
+            level = await this.campaign.loadLevel(levelId);
+        } catch (error) {
+            console.error('读取关卡失败:', error);
+            this.showCampaignStatus(error.message);
+            return;
         }
         
-        // 显示提示
-        this.showHint(hint);
+        this.game.setViewMode(this.getSelectedViewMode());
+        this.game.setLevel(level);
+        this.updateStats();
+        this.render();
     }
     
     /**
-     * 显示提示
-     * @param {string} message - 提示消息
+     * 在关卡选择列表上方显示错误信息
+     * @param {string} message - 信息
      */
-    showHint(message) {
-        // 创建提示元素
-        const hintElement = document.createElement('div');
-        hintElement.className = 'hint-message';
-        hintElement.innerHTML = `
-            <div class="hint-content">
-                <i class="fas fa-lightbulb"></i>
-                <span>${message}</span>
-            </div>
-        `;
-        
-        // 添加到页面
-        document.body.appendChild(hintElement);
+    showCampaignStatus(message) {
+        if (!this.uiElements.campaignSummary) return;
         
-        // 3秒后移除
-        setTimeout(() => {
-            hintElement.remove();
-        }, 3000);
+        this.showStartScreen();
+        this.showStartTab('campaign');
+        this.uiElements.campaignSummary.innerHTML += `<span class="campaign-error">${SvgContext.escape(message)}</span>`;
     }
     
     /**
-     * 处理显示解决方案
+     * 检查当前是否在进行每日挑战
+     * @returns {boolean} 当前关卡是否为每日挑战
      */
-    handleShowSolution() {
-        if (!this.game) return;
-        
-        this.game.showSolution();
-        this.render();
+    isDailyActive() {
+        const level = this.game ? this.game.getLevel() : null;
+        return level !== null && DailyChallenge.getDateFromLevel(level.id) !== null;
     }
     
     /**
-     * 处理视野模式切换
-     * @param {string} mode - 视野模式
+     * 开始今天的每日挑战（视野模式固定）
      */
-    handleViewModeChange(mode) {
+    handleDailyStart() {
         if (!this.game) return;
         
-        this.game.setViewMode(mode);
-        
-        // 更新UI按钮状态
-        if (this.uiElements.modePermanent && this.uiElements.modeInstant) {
-            if (mode === 'permanent') {
-                this.uiElements.modePermanent.classList.add('active');
-                this.uiElements.modeInstant.classList.remove('active');
-            } else {
-                this.uiElements.modePermanent.classList.remove('active');
-                this.uiElements.modeInstant.classList.add('active');
-            }
+        let level;
+        try {
+            level = this.daily.startAttempt(DailyChallenge.getDateKey());
+        } catch (error) {
+            this.renderDaily();
+            this.showHint(error.message);
+            return;
+        }
+        
+        this.game.setViewMode(DailyChallenge.VIEW_MODE);
+        this.game.setLevel(level);
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 复制每日挑战的分享文字到剪贴板
+     * @param {Object|null} entry - 挑战记录
+     */
+    async handleDailyShare(entry) {
+        if (!entry) return;
+        
+        const text = DailyChallenge.getShareText(entry, this.daily.getStreak(entry.date));
+        try {
+            await navigator.clipboard.writeText(text);
+            this.showHint('结果已复制，粘贴给朋友看看吧');
+        } catch (error) {
+            console.error('复制失败:', error);
+            this.showHint('无法访问剪贴板，请手动复制结果');
+        }
+    }
+    
+    /**
+     * 生成默认的存档名称（关卡名或迷宫大小加保存时间）
+     * @returns {string} 存档名称
+     */
+    getDefaultSaveName() {
+        const level = this.game.getLevel();
+        const { width, height } = this.game.getMaze().getSize();
+        return `${level ? level.title : `${width}×${height}`} ${this.formatSaveTime(Date.now())}`;
+    }
+    
+    /**
+     * 格式化存档时间
+     * @param {number} timestamp - 时间戳
+     * @returns {string} 'YYYY-MM-DD HH:mm'
+     */
+    formatSaveTime(timestamp) {
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        return `${DailyChallenge.getDateKey(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+    
+    /**
+     * 生成存档摘要的说明文字（关卡、迷宫大小和形状、用时、探索率）
+     * @param {Object} summary - 存档摘要（见SaveSlotManager.summarize）
+     * @returns {string} HTML文本（关卡名已转义）
+     */
+    formatSaveSummary(summary) {
+        const shape = Maze.shapes[summary.shape] ? Maze.shapes[summary.shape].label : summary.shape;
+        const maze = `${summary.width}×${summary.height} ${shape}${summary.floors > 1 ? ` ${summary.floors}层` : ''}`;
+        const playTime = `${Math.floor(summary.playTime / 60)}:${String(summary.playTime % 60).padStart(2, '0')}`;
+        return `${summary.level ? `${SvgContext.escape(summary.level)} · ` : ''}${maze} · 用时${playTime} · 探索${summary.exploreRate}%`;
+    }
+    
+    /**
+     * 保存当前游戏到存档（附带已探索地图的缩略图）
+     * @param {string} name - 存档名称
+     * @param {string|null} slotId - 要覆盖的存档ID，为空时新建存档
+     * @returns {Object} 存档摘要
+     * @throws {Error} 每日挑战中、存档已满或存储空间已满等
+     */
+    saveToSlot(name, slotId = null) {
+        // 每日挑战只有一次机会，不能靠存档重来
+        if (this.isDailyActive()) {
+            throw new Error('每日挑战不能保存进度');
+        }
+        
+        let thumbnail = null;
+        try {
+            thumbnail = MazeExporter.toThumbnail(this);
+        } catch (error) {
+            console.error('生成存档缩略图失败:', error);
+        }
+        return this.saveSlots.save(name, this.game.exportState(), thumbnail, slotId);
+    }
+    
+    /**
+     * 快速保存：以默认名称保存为新存档
+     */
+    handleQuickSave() {
+        if (!this.game) return;
+        
+        try {
+            const slot = this.saveToSlot(this.getDefaultSaveName());
+            this.showHint(`游戏已保存：${SvgContext.escape(slot.name)}`);
+            if (this.isSaveSlotsOpen()) {
+                this.renderSaveSlots();
+            }
+        } catch (error) {
+            console.error('保存游戏失败:', error);
+            this.showHint(SvgContext.escape(error.message));
+        }
+    }
+    
+    /**
+     * 打开存档列表（暂停进行中的游戏）
+     */
+    openSaveSlots() {
+        if (!this.game || !this.uiElements.saveSlotsOverlay || this.isSaveSlotsOpen()) return;
+        
+        const { isRunning, isPaused, isGameOver } = this.game.state;
+        if (isRunning && !isPaused && !isGameOver) {
+            this.game.togglePause();
+            this.saveSlotsPaused = true;
+        }
+        
+        if (this.uiElements.saveSlotName) {
+            this.uiElements.saveSlotName.value = this.getDefaultSaveName();
+        }
+        this.showSaveSlotsStatus('');
+        this.renderSaveSlots();
+        this.uiElements.saveSlotsOverlay.hidden = false;
+        this.updateStats();
+    }
+    
+    /**
+     * 检查存档列表是否打开
+     * @returns {boolean} 是否打开
+     */
+    isSaveSlotsOpen() {
+        return Boolean(this.uiElements.saveSlotsOverlay) && !this.uiElements.saveSlotsOverlay.hidden;
+    }
+    
+    /**
+     * 关闭存档列表（继续打开时暂停的游戏）
+     */
+    closeSaveSlots() {
+        if (!this.uiElements.saveSlotsOverlay) return;
+        
+        this.uiElements.saveSlotsOverlay.hidden = true;
+        if (this.saveSlotsPaused && this.game.state.isPaused) {
+            this.game.togglePause();
+        }
+        this.saveSlotsPaused = false;
+        this.updateStats();
+    }
+    
+    /**
+     * 显示存档列表中的提示
+     * @param {string} message - 提示文字
+     */
+    showSaveSlotsStatus(message) {
+        if (this.uiElements.saveSlotsStatus) {
+            this.uiElements.saveSlotsStatus.textContent = message;
+        }
+    }
+    
+    /**
+     * 渲染存档列表（缩略图、名称、保存时间、迷宫大小、用时和探索率）
+     */
+    renderSaveSlots() {
+        const list = this.uiElements.saveSlotList;
+        if (!list) return;
+        
+        const slots = this.saveSlots.getSlots();
+        if (slots.length === 0) {
+            list.innerHTML = '<li class="save-slot-empty">还没有存档</li>';
+            return;
+        }
+        
+        const actions = [
+            { action: 'load', icon: 'fa-folder-open', title: '加载' },
+            { action: 'overwrite', icon: 'fa-save', title: '用当前游戏覆盖' },
+            { action: 'rename', icon: 'fa-pen', title: '重命名' },
+            { action: 'delete', icon: 'fa-trash', title: '删除' }
+        ];
+        list.innerHTML = slots.map(slot => {
+            const thumbnail = slot.thumbnail && slot.thumbnail.startsWith('data:image/')
+                ? `<img class="save-slot-thumb" src="${slot.thumbnail}" alt="">`
+                : '<div class="save-slot-thumb"><i class="fas fa-map"></i></div>';
+            return `
+                <li class="save-slot">
+                    ${thumbnail}
+                    <div class="save-slot-info">
+                        <div class="save-slot-name">${SvgContext.escape(slot.name)}</div>
+                        <div class="save-slot-meta">${this.formatSaveTime(slot.savedAt)}</div>
+                        <div class="save-slot-meta">${this.formatSaveSummary(slot)}</div>
+                    </div>
+                    <div class="save-slot-actions">
+                        ${actions.map(({ action, icon, title }) => `
+                            <button class="toggle-btn" data-slot-action="${action}" data-slot="${slot.id}" title="${title}">
+                                <i class="fas ${icon}"></i>
+                            </button>`).join('')}
+                    </div>
+                </li>`;
+        }).join('');
+    }
+    
+    /**
+     * 处理存档列表中的操作
+     * @param {string} action - 'save'（新建）、'load'、'overwrite'、'rename' 或 'delete'
+     * @param {string} slotId - 存档ID（新建时为空）
+     */
+    handleSaveSlotAction(action, slotId = null) {
+        if (!this.game) return;
+        
+        const slot = slotId ? this.saveSlots.getSlot(slotId) : null;
+        try {
+            switch (action) {
+                case 'save': {
+                    const saved = this.saveToSlot(this.uiElements.saveSlotName.value);
+                    this.showSaveSlotsStatus(`已保存：${saved.name}`);
+                    break;
+                }
+                case 'overwrite':
+                    if (!window.confirm(`用当前游戏覆盖存档“${slot.name}”？`)) return;
+                    this.saveToSlot(slot.name, slotId);
+                    this.showSaveSlotsStatus(`已覆盖：${slot.name}`);
+                    break;
+                case 'rename': {
+                    const name = window.prompt('新的存档名称', slot.name);
+                    if (name === null) return;
+                    this.saveSlots.rename(slotId, name);
+                    this.showSaveSlotsStatus('已重命名');
+                    break;
+                }
+                case 'delete':
+                    if (!window.confirm(`删除存档“${slot.name}”？`)) return;
+                    this.saveSlots.delete(slotId);
+                    this.showSaveSlotsStatus(`已删除：${slot.name}`);
+                    break;
+                case 'load':
+                    // 加载后按存档中的暂停状态继续，关闭列表时不再恢复原来的游戏
+                    this.game.importState(this.saveSlots.load(slotId));
+                    this.saveSlotsPaused = false;
+                    this.closeSaveSlots();
+                    this.showHint(`已加载存档：${SvgContext.escape(slot.name)}`);
+                    return;
+            }
+        } catch (error) {
+            console.error('存档操作失败:', error);
+            this.showSaveSlotsStatus(error.message);
+        }
+        this.renderSaveSlots();
+    }
+    
+    /**
+     * 下载当前游戏的存档文件（.hmaze.json）
+     */
+    handleSaveDownload() {
+        if (!this.game) return;
+        
+        // 与存档列表相同，每日挑战不能保存进度
+        if (this.isDailyActive()) {
+            this.showHint('每日挑战不能保存进度');
+            return;
+        }
+        
+        const name = this.getDefaultSaveName();
+        try {
+            const json = JSON.stringify(SaveFileFormat.serialize(this.game, { name }), null, 2);
+            MazeExporter.download(json, SaveFileFormat.getFileName(name), 'application/json');
+            this.showHint(`已下载存档：${SvgContext.escape(name)}`);
+        } catch (error) {
+            console.error('下载存档失败:', error);
+            this.showHint(`下载存档失败: ${SvgContext.escape(error.message)}`);
+        }
+    }
+    
+    /**
+     * 处理通过文件选择框导入存档
+     * @param {Event} e - change事件
+     */
+    handleSaveFileImport(e) {
+        const file = e.target.files && e.target.files[0];
+        if (file) {
+            this.importSaveFile(file);
+        }
+        
+        // 允许再次选择同一文件
+        e.target.value = '';
+    }
+    
+    /**
+     * 读取存档文件并加载
+     * @param {File} file - 存档文件
+     */
+    importSaveFile(file) {
+        if (!this.game) return;
+        
+        if (this.editor.isActive()) {
+            this.showHint('请先退出关卡编辑器再导入存档');
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => this.loadSaveFile(reader.result, file.name);
+        reader.onerror = () => this.showHint(`无法读取文件“${SvgContext.escape(file.name)}”`);
+        reader.readAsText(file);
+    }
+    
+    /**
+     * 加载存档文件内容（旧版本的存档先迁移到当前版本），失败时逐条列出原因
+     * @param {string} text - 文件内容
+     * @param {string} fileName - 文件名（用于提示）
+     */
+    loadSaveFile(text, fileName) {
+        try {
+            this.game.importState(SaveFileFormat.parse(text));
+        } catch (error) {
+            console.error('导入存档失败:', error);
+            const lines = error.message.split('\n');
+            const shown = lines.slice(0, UIController.MAX_IMPORT_ERRORS + 1).map(line => SvgContext.escape(line));
+            if (lines.length > shown.length) {
+                shown.push(`……共${lines.length - 1}处错误`);
+            }
+            this.showHint(`无法导入“${SvgContext.escape(fileName)}”：${shown.join('<br>')}`, 8000);
+            return;
+        }
+        this.showHint(`已导入存档：${SvgContext.escape(fileName)}`);
+    }
+    
+    /**
+     * 处理重新开始游戏
+     */
+    handleRestartGame() {
+        if (!this.game) return;
+        
+        if (this.isDailyActive()) {
+            this.showHint('每日挑战只有一次机会，不能重新开始');
+            return;
+        }
+        
+        this.game.restart();
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理提示
+     */
+    handleHint() {
+        if (!this.game) return;
+        
+        if (this.isDailyActive() && !this.game.state.isGameOver) {
+            this.showHint('每日挑战中不能使用提示');
+            return;
+        }
+        
+        // 显示下一个建议移动方向
+        const playerPos = this.game.getPlayerPosition();
+        const endPos = this.game.getMaze().getEnd();
+        
+        // 简单提示：指向终点的方向
+        const dx = endPos.x - playerPos.x;
+        const dy = endPos.y - playerPos.y;
+        
+        let hint = '';
+        if (Math.abs(dx) > Math.abs(dy)) {
+            hint = dx > 0 ? '尝试向右移动' : '尝试向左移动';
+        } else {
+            hint = dy > 0 ? '尝试向下移动' : '尝试向上移动';
+        }
+        
+        // 显示提示
+        this.showHint(hint);
+    }
+    
+    /**
+     * 显示提示
+     * @param {string} message - 提示消息
+     * @param {number} duration - 显示时长（毫秒）
+     */
+    showHint(message, duration = 3000) {
+        // 创建提示元素
+        const hintElement = document.createElement('div');
+        hintElement.className = 'hint-message';
+        hintElement.innerHTML = `
+            <div class="hint-content">
+                <i class="fas fa-lightbulb"></i>
+                <span>${message}</span>
+            </div>
+        `;
+        
+        // 添加到页面
+        document.body.appendChild(hintElement);
+        
+        // 显示一段时间后移除（默认3秒）
+        setTimeout(() => {
+            hintElement.remove();
+        }, duration);
+    }
+    
+    /**
+     * 处理显示解决方案
+     */
+    handleShowSolution() {
+        if (!this.game) return;
+        
+        if (this.isDailyActive() && !this.game.state.isGameOver) {
+            this.showHint('每日挑战结束后才能查看解决方案');
+            return;
+        }
+        
+        this.game.showSolution();
+        this.render();
+    }
+    
+    /**
+     * 处理求解演示播放按钮：未在播放时开始，正在播放时停止
+     */
+    handleSolverPlay() {
+        if (!this.game) return;
+        
+        if (this.solverAnimation && this.solverAnimation.frameId !== null) {
+            this.stopSolverAnimation();
+        } else {
+            this.startSolverAnimation(this.uiElements.solverSelect ? this.uiElements.solverSelect.value : MazeSolver.DEFAULT_SOLVER);
+        }
+    }
+    
+    /**
+     * 开始播放求解算法的搜索过程
+     * @param {string} spec - 求解算法名称
+     */
+    startSolverAnimation(spec) {
+        this.stopSolverAnimation();
+        
+        const maze = this.game.getMaze();
+        this.solverAnimation = {
+            maze,
+            steps: MazeSolver.solve(maze, spec),
+            visited: new Map(),
+            frontier: new Map(),
+            discarded: new Map(),
+            path: null,
+            frameId: null
+        };
+        
+        this.updateSolverPlayButton(true);
+        this.solverAnimation.frameId = requestAnimationFrame(() => this.stepSolverAnimation());
+    }
+    
+    /**
+     * 推进求解演示（每帧执行UIController.SOLVER_STEPS_PER_FRAME步）
+     */
+    stepSolverAnimation() {
+        const animation = this.solverAnimation;
+        if (!animation) return;
+        
+        animation.frameId = null;
+        for (let i = 0; i < UIController.SOLVER_STEPS_PER_FRAME; i++) {
+            const { value: step, done } = animation.steps.next();
+            if (done) break;
+            
+            if (step.type === 'done') {
+                animation.path = step.path;
+                break;
+            }
+            
+            const key = MazeSolver.keyOf(animation.maze, step.cell);
+            animation.frontier.delete(key);
+            if (step.type === 'frontier') {
+                animation.frontier.set(key, step.cell);
+            } else if (step.type === 'visit') {
+                animation.discarded.delete(key);
+                animation.visited.set(key, step.cell);
+            } else {
+                animation.visited.delete(key);
+                animation.discarded.set(key, step.cell);
+            }
+        }
+        
+        const explored = new Set([...animation.visited.keys(), ...animation.discarded.keys()]).size;
+        if (animation.path) {
+            this.showSolverResults(animation.path.length > 0
+                ? `找到路线：${animation.path.length - 1}步，探索了${explored}个单元格`
+                : `未找到路线，探索了${explored}个单元格`);
+            this.updateSolverPlayButton(false);
+        } else {
+            this.showSolverResults(`正在搜索…已探索${explored}个单元格`);
+            animation.frameId = requestAnimationFrame(() => this.stepSolverAnimation());
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * 停止播放求解演示（保留当前画面）
+     */
+    stopSolverAnimation() {
+        if (this.solverAnimation && this.solverAnimation.frameId !== null) {
+            cancelAnimationFrame(this.solverAnimation.frameId);
+            this.solverAnimation.frameId = null;
+        }
+        this.updateSolverPlayButton(false);
+    }
+    
+    /**
+     * 更新求解演示播放按钮
+     * @param {boolean} playing - 是否正在播放
+     */
+    updateSolverPlayButton(playing) {
+        if (!this.uiElements.solverPlayBtn) return;
+        
+        this.uiElements.solverPlayBtn.classList.toggle('active', playing);
+        this.uiElements.solverPlayBtn.innerHTML = playing
+            ? '<i class="fas fa-stop"></i> 停止'
+            : '<i class="fas fa-play"></i> 播放搜索';
+    }
+    
+    /**
+     * 在同一迷宫上运行所有求解算法，比较探索的单元格数和路线长度（未到达终点的算法单独标出）
+     */
+    handleSolverCompare() {
+        if (!this.game) return;
+        
+        const rows = MazeSolver.compare(this.game.getMaze()).map(result => `
+            <tr${result.path.length > 0 ? '' : ' class="failed"'}>
+                <td>${result.label}</td>
+                <td>${result.explored}</td>
+                <td>${result.path.length > 0 ? result.path.length - 1 : '未到达终点'}</td>
+            </tr>
+        `).join('');
+        
+        this.showSolverResults(`
+            <table>
+                <tr><th>算法</th><th>探索单元格</th><th>路线步数</th></tr>
+                ${rows}
+            </table>
+        `);
+    }
+    
+    /**
+     * 显示求解演示结果
+     * @param {string} html - 结果内容
+     */
+    showSolverResults(html) {
+        if (this.uiElements.solverResults) {
+            this.uiElements.solverResults.innerHTML = html;
+        }
+    }
+    
+    /**
+     * 只有PNG格式可以选择分辨率
+     */
+    updateExportOptions() {
+        if (this.uiElements.exportFormat && this.uiElements.exportResolution) {
+            this.uiElements.exportResolution.disabled = this.uiElements.exportFormat.value !== 'png';
+        }
+    }
+    
+    /**
+     * 按导出选项将当前显示楼层的迷宫下载为SVG或PNG
+     * @returns {Promise} 下载开始后完成
+     */
+    async handleExport() {
+        if (!this.game) return;
+        
+        const format = this.uiElements.exportFormat ? this.uiElements.exportFormat.value : 'svg';
+        const options = {
+            solution: this.uiElements.exportSolution ? this.uiElements.exportSolution.checked : false,
+            fog: this.uiElements.exportFog ? this.uiElements.exportFog.checked : false
+        };
+        const filename = `hidden-maze-${this.game.getMaze().getSeed()}`;
+        
+        try {
+            if (format === 'png') {
+                options.resolution = this.uiElements.exportResolution
+                    ? parseInt(this.uiElements.exportResolution.value, 10)
+                    : MazeExporter.DEFAULT_RESOLUTION;
+                MazeExporter.download(await MazeExporter.toPNG(this, options), `${filename}.png`);
+            } else {
+                MazeExporter.download(MazeExporter.toSVG(this, options), `${filename}.svg`, 'image/svg+xml');
+            }
+        } catch (error) {
+            console.error('导出图片失败:', error);
+        }
+    }
+    
+    /**
+     * 按打印选项生成一组迷宫并打开打印对话框
+     */
+    handlePrint() {
+        if (!this.game) return;
+        
+        const elements = this.uiElements;
+        const options = {
+            title: elements.printTitle ? elements.printTitle.value : MazePrintSheet.DEFAULT_TITLE,
+            count: elements.printCount ? parseInt(elements.printCount.value, 10) : 4,
+            perPage: elements.printPerPage ? parseInt(elements.printPerPage.value, 10) : 4,
+            pageSize: elements.printPageSize ? elements.printPageSize.value : 'a4',
+            answerKey: elements.printAnswerKey ? elements.printAnswerKey.checked : true
+        };
+        
+        try {
+            MazePrintSheet.print(this, options);
+        } catch (error) {
+            console.error('生成打印页面失败:', error);
+        }
+    }
+    
+    /**
+     * 进入或退出关卡编辑模式
+     */
+    handleEditorToggle() {
+        if (!this.game) return;
+        
+        if (this.editor.isActive()) {
+            this.closeEditor();
+        } else {
+            this.openEditor(this.game.getMaze());
+        }
+    }
+    
+    /**
+     * 进入关卡编辑模式（暂停进行中的游戏）
+     * @param {Maze} maze - 初始迷宫（非正方形单层迷宫时从空白网格开始）
+     */
+    openEditor(maze) {
+        if (this.game.state.isRunning && !this.game.state.isPaused) {
+            this.game.togglePause();
+        }
+        this.stopSolverAnimation();
+        this.editor.open(maze);
+        
+        if (this.uiElements.gameOverlay) {
+            this.overlayDisplay = this.uiElements.gameOverlay.style.display;
+            this.uiElements.gameOverlay.style.display = 'none';
+        }
+        this.updateEditorPanel(true);
+        this.populateEditorLevels();
+        this.showEditorStatus(maze.shape === 'square' && maze.getFloorCount() === 1
+            ? '已复制当前迷宫'
+            : '关卡编辑器只支持正方形单层迷宫，已新建空白网格');
+        
+        this.updateCanvasSize();
+        this.render();
+    }
+    
+    /**
+     * 退出关卡编辑模式，恢复游戏画面
+     */
+    closeEditor() {
+        this.editor.close();
+        
+        if (this.uiElements.gameOverlay && this.overlayDisplay !== null) {
+            this.uiElements.gameOverlay.style.display = this.overlayDisplay;
+            this.overlayDisplay = null;
+        }
+        this.updateEditorPanel(false);
+        
+        this.updateCanvasSize();
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 更新编辑器面板（显示状态、切换按钮和网格尺寸）
+     * @param {boolean} active - 是否处于编辑模式
+     */
+    updateEditorPanel(active) {
+        const { editorPanel, editorToggleBtn, editorWidth, editorHeight } = this.uiElements;
+        
+        if (editorPanel) {
+            editorPanel.hidden = !active;
+        }
+        if (editorToggleBtn) {
+            editorToggleBtn.classList.toggle('active', active);
+            editorToggleBtn.innerHTML = active
+                ? '<i class="fas fa-door-open"></i> 退出编辑模式'
+                : '<i class="fas fa-pencil-alt"></i> 进入编辑模式';
+        }
+        if (active && editorWidth && editorHeight) {
+            editorWidth.value = this.editor.getMaze().width;
+            editorHeight.value = this.editor.getMaze().height;
+        }
+    }
+    
+    /**
+     * 填充已保存关卡下拉框
+     * @param {string} selected - 要选中的关卡名称
+     */
+    populateEditorLevels(selected = null) {
+        const select = this.uiElements.editorLevels;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        for (const name of Object.keys(LevelEditor.getSavedLevels())) {
+            const element = document.createElement('option');
+            element.value = name;
+            element.textContent = name;
+            select.appendChild(element);
+        }
+        if (selected !== null) {
+            select.value = selected;
+        }
+    }
+    
+    /**
+     * 显示编辑器状态消息
+     * @param {string} message - 消息
+     * @param {string} type - 类型 ('info', 'success', 'error')
+     */
+    showEditorStatus(message, type = 'info') {
+        if (this.uiElements.editorStatus) {
+            this.uiElements.editorStatus.textContent = message;
+            this.uiElements.editorStatus.className = `editor-status ${type}`;
+        }
+    }
+    
+    /**
+     * 获取关卡名称
+     * @returns {string} 关卡名称
+     */
+    getEditorLevelName() {
+        const name = this.uiElements.editorName ? this.uiElements.editorName.value.trim() : '';
+        return name || '未命名关卡';
+    }
+    
+    /**
+     * 按输入的宽高调整编辑网格
+     */
+    handleEditorResize() {
+        const width = parseInt(this.uiElements.editorWidth.value, 10);
+        const height = parseInt(this.uiElements.editorHeight.value, 10);
+        
+        try {
+            this.editor.resize(width, height);
+            this.showEditorStatus(`网格已调整为${width}×${height}`);
+        } catch (error) {
+            this.showEditorStatus(error.message, 'error');
+            return;
+        }
+        
+        this.updateCanvasSize();
+        this.render();
+    }
+    
+    /**
+     * 检查关卡是否可解，并在画面上显示路线
+     */
+    handleEditorCheck() {
+        const path = this.editor.check();
+        if (path.length > 0) {
+            this.showEditorStatus(`可以到达终点，最短路线${path.length - 1}步`, 'success');
+        } else {
+            this.showEditorStatus('从起点无法到达终点', 'error');
+        }
+        this.render();
+    }
+    
+    /**
+     * 保存关卡到本地存储
+     */
+    handleEditorSave() {
+        const name = this.getEditorLevelName();
+        
+        try {
+            this.editor.saveToStorage(name);
+            this.populateEditorLevels(name);
+            this.showEditorStatus(`已保存关卡“${name}”`, 'success');
+        } catch (error) {
+            this.showEditorStatus(`保存失败: ${error.message}`, 'error');
+        }
+        this.render();
+    }
+    
+    /**
+     * 将关卡下载为JSON迷宫文件
+     */
+    handleEditorDownload() {
+        const name = this.getEditorLevelName();
+        
+        try {
+            const json = JSON.stringify(this.editor.toJSON(name), null, 2);
+            MazeExporter.download(json, `${name}.json`, 'application/json');
+            this.showEditorStatus(`已下载关卡“${name}”`, 'success');
+        } catch (error) {
+            this.showEditorStatus(`下载失败: ${error.message}`, 'error');
+        }
+        this.render();
+    }
+    
+    /**
+     * 从本地存储加载选中的关卡
+     */
+    handleEditorLoad() {
+        const name = this.uiElements.editorLevels ? this.uiElements.editorLevels.value : '';
+        if (!name) {
+            this.showEditorStatus('没有已保存的关卡', 'error');
+            return;
+        }
+        
+        try {
+            this.editor.loadFromStorage(name);
+        } catch (error) {
+            this.showEditorStatus(`加载失败: ${error.message}`, 'error');
+            return;
+        }
+        
+        if (this.uiElements.editorName) {
+            this.uiElements.editorName.value = name;
+        }
+        this.updateEditorPanel(true);
+        this.showEditorStatus(`已加载关卡“${name}”`, 'success');
+        this.updateCanvasSize();
+        this.render();
+    }
+    
+    /**
+     * 从本地存储删除选中的关卡
+     */
+    handleEditorDelete() {
+        const name = this.uiElements.editorLevels ? this.uiElements.editorLevels.value : '';
+        if (!name) return;
+        
+        LevelEditor.deleteFromStorage(name);
+        this.populateEditorLevels();
+        this.showEditorStatus(`已删除关卡“${name}”`);
+    }
+    
+    /**
+     * 从JSON迷宫文件导入关卡
+     * @param {Event} e - 文件选择事件
+     */
+    handleEditorImport(e) {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.editor.load(reader.result);
+            } catch (error) {
+                this.showEditorStatus(`导入失败: ${error.message}`, 'error');
+                return;
+            }
+            
+            if (this.uiElements.editorName) {
+                this.uiElements.editorName.value = file.name.replace(/\.json$/i, '');
+            }
+            this.updateEditorPanel(true);
+            this.showEditorStatus(`已导入“${file.name}”`, 'success');
+            this.updateCanvasSize();
+            this.render();
+        };
+        reader.onerror = () => this.showEditorStatus('无法读取关卡文件', 'error');
+        reader.readAsText(file);
+        
+        // 允许再次选择同一文件
+        e.target.value = '';
+    }
+    
+    /**
+     * 处理视野模式切换
+     * @param {string} mode - 视野模式
+     */
+    handleViewModeChange(mode) {
+        if (!this.game) return;
+        
+        this.game.setViewMode(mode);
+        
+        // 更新UI按钮状态
+        if (this.uiElements.modePermanent && this.uiElements.modeInstant) {
+            if (mode === 'permanent') {
+                this.uiElements.modePermanent.classList.add('active');
+                this.uiElements.modeInstant.classList.remove('active');
+            } else {
+                this.uiElements.modePermanent.classList.remove('active');
+                this.uiElements.modeInstant.classList.add('active');
+            }
         }
         
         this.render();
@@ -1330,8 +3269,9 @@ class UIController {
     handleMazeSizeChange(e) {
         if (!this.game) return;
         
-        const size = parseInt(e.target.value);
-        this.game.setMazeSize(size);
+        // 选项值为 '15'（正方形）或 '30x12'（宽×高）
+        const [width, height] = e.target.value.split('x').map(Number);
+        this.game.setMazeSize(width, height || width);
         
         // 更新Canvas尺寸
         this.updateCanvasSize();
@@ -1339,6 +3279,240 @@ class UIController {
         this.render();
     }
     
+    /**
+     * 处理迷宫形状变化
+     * @param {Event} e - 变化事件
+     */
+    handleShapeChange(e) {
+        if (!this.game) return;
+        
+        this.game.setShape(e.target.value);
+        
+        // 不同形状支持的生成算法不同，重新填充算法选项
+        this.populateAlgorithmOptions();
+        if (this.uiElements.mazeAlgorithm) {
+            this.uiElements.mazeAlgorithm.value = this.game.config.algorithm;
+        }
+        this.populatePlacementOptions();
+        this.updateMaskSelect();
+        
+        this.updateCanvasSize();
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理形状遮罩变化（选择从图片导入时打开文件选择框）
+     * @param {Event} e - 变化事件
+     */
+    handleMaskChange(e) {
+        if (!this.game) return;
+        
+        if (e.target.value === 'image') {
+            if (this.uiElements.maskImageInput) {
+                this.uiElements.maskImageInput.click();
+            }
+            // 选择图片前保持原来的选项
+            this.updateMaskSelect();
+            return;
+        }
+        
+        this.applyMask(e.target.value || null);
+    }
+    
+    /**
+     * 处理遮罩图片选择：按图片的透明度通道生成遮罩
+     * @param {Event} e - 变化事件
+     */
+    handleMaskImage(e) {
+        const file = e.target.files && e.target.files[0];
+        if (!this.game || !file) return;
+        
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const { mazeWidth, mazeHeight } = this.game.config;
+            this.applyMask(MazeMask.fromImage(image, mazeWidth, mazeHeight));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            this.showHint('无法读取遮罩图片');
+        };
+        image.src = url;
+        
+        // 允许再次选择同一文件
+        e.target.value = '';
+    }
+    
+    /**
+     * 应用形状遮罩并刷新界面
+     * @param {string|MazeMask|null} mask - 预设名称、遮罩实例或null
+     */
+    applyMask(mask) {
+        this.game.setMask(mask);
+        
+        // 带遮罩时部分生成算法不可用，重新填充算法选项
+        this.populateAlgorithmOptions();
+        this.updateMaskSelect();
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理楼层数变化
+     * @param {Event} e - 变化事件
+     */
+    handleFloorsChange(e) {
+        if (!this.game) return;
+        
+        this.game.setFloors(parseInt(e.target.value));
+        this.viewFloor = null;
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理生成算法变化
+     * @param {Event} e - 变化事件
+     */
+    handleAlgorithmChange(e) {
+        if (!this.game) return;
+        
+        this.game.setAlgorithm(e.target.value);
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理起终点放置策略变化
+     * @param {Event} e - 变化事件
+     */
+    handlePlacementChange(e) {
+        if (!this.game) return;
+        
+        this.game.setPlacement(e.target.value);
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理目标难度变化
+     * @param {Event} e - 变化事件
+     */
+    handleDifficultyChange(e) {
+        if (!this.game) return;
+        
+        this.game.setDifficulty(e.target.value || null);
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理路径分支率变化
+     * @param {Event} e - 变化事件
+     */
+    handleBraidChange(e) {
+        if (!this.game) return;
+        
+        this.game.setBraid(parseFloat(e.target.value));
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理视野距离变化（不重新生成迷宫）
+     * @param {Event} e - 事件对象
+     */
+    handleViewRangeChange(e) {
+        if (!this.game) return;
+        
+        this.game.setViewRange(parseInt(e.target.value, 10));
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理限时变化
+     * @param {Event} e - 事件对象
+     */
+    handleTimeLimitChange(e) {
+        if (!this.game) return;
+        
+        // 更改限时会重新开始游戏
+        if (this.isDailyActive()) {
+            e.target.value = this.game.config.timeLimit;
+            this.showHint('每日挑战只有一次机会，不能重新开始');
+            return;
+        }
+        
+        this.game.setTimeLimit(parseInt(e.target.value, 10));
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理步数上限更改
+     * @param {Event} e - 事件对象
+     */
+    handleStepLimitChange(e) {
+        if (!this.game) return;
+        
+        // 更改步数上限会重新开始游戏
+        if (this.isDailyActive()) {
+            e.target.value = this.game.config.stepLimit;
+            this.showHint('每日挑战只有一次机会，不能重新开始');
+            return;
+        }
+        
+        this.game.setStepLimit(parseFloat(e.target.value));
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 处理揭示上限更改
+     * @param {Event} e - 事件对象
+     */
+    handleRevealLimitChange(e) {
+        if (!this.game) return;
+        
+        // 更改揭示上限会重新开始游戏
+        if (this.isDailyActive()) {
+            e.target.value = this.game.config.revealLimit;
+            this.showHint('每日挑战只有一次机会，不能重新开始');
+            return;
+        }
+        
+        this.game.setRevealLimit(parseInt(e.target.value, 10));
+        this.updateStats();
+        this.render();
+    }
+    
+    /**
+     * 复制当前迷宫的分享链接（无法访问剪贴板时把链接放到地址栏）
+     */
+    async handleCopyLink() {
+        if (!this.game) return;
+        
+        let url;
+        try {
+            url = GameUrl.encode(this.game);
+        } catch (error) {
+            this.showHint(error.message);
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showHint('链接已复制，打开链接即可玩到同一个迷宫');
+        } catch (error) {
+            console.error('复制失败:', error);
+            window.history.replaceState(null, '', url);
+            this.showHint('无法访问剪贴板，请从地址栏复制链接');
+        }
+    }
+    
     /**
      * 处理窗口大小变化
      */
@@ -1442,6 +3616,30 @@ class UIController {
     }
 }
 
+// 求解演示每帧推进的步数
+UIController.SOLVER_STEPS_PER_FRAME = 2;
+
+// 导入存档失败时最多列出的错误条数
+UIController.MAX_IMPORT_ERRORS = 5;
+
+// 失败条件在状态栏中的显示：限制类型 -> 显示元素、单位和接近上限时的提示
+UIController.LIMIT_DISPLAY = {
+    time: { item: 'timeLeftItem', value: 'timeLeft', unit: '秒', warning: '时间快用完了！' },
+    steps: { item: 'stepsLeftItem', value: 'stepsLeft', unit: '步', warning: '剩余步数不多了！' },
+    reveal: { item: 'revealLeftItem', value: 'revealLeft', unit: '格', warning: '快要达到揭示上限了，小心探索！' }
+};
+
+// 剩余量不超过上限的这一比例时视为接近上限
+UIController.LIMIT_WARNING_RATIO = 0.2;
+
+// 游戏结束屏幕的标题和说明（按失败原因）
+UIController.GAME_OVER_TEXT = {
+    timeout: { icon: 'fa-hourglass-end', title: '时间到！', message: '很遗憾，你没能在限定时间内走出迷宫。' },
+    steps: { icon: 'fa-shoe-prints', title: '步数用完了！', message: '很遗憾，你没能在限定步数内走出迷宫。' },
+    reveal: { icon: 'fa-eye', title: '揭示过多！', message: '很遗憾，你揭开的区域超过了上限。' },
+    other: { icon: 'fa-skull-crossbones', title: '游戏结束', message: '很遗憾，你未能完成迷宫。' }
+};
+
 // 导出UIController类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = UIController;
@@ -109,6 +109,13 @@ class ViewSystem {
             return new Set(this.cache.get(cacheKey));
         }
         
+        // 非正方形拓扑没有规则的行列，按连通的通道向外扩展视野
+        if (maze.shape !== 'square') {
+            const visibleCells = this.calculateConnectedArea(playerX, playerY, maze);
+            this.cache.set(cacheKey, [...visibleCells]);
+            return visibleCells;
+        }
+        
         const visibleCells = new Set();
         const { width, height } = maze.getSize();
         
@@ -135,6 +142,34 @@ class ViewSystem {
         return visibleCells;
     }
     
+    /**
+     * 计算通过打通的墙壁可以在视野范围步数内到达的单元格
+     * @param {number} playerX - 玩家x坐标
+     * @param {number} playerY - 玩家y坐标
+     * @param {Maze} maze - 迷宫实例
+     * @returns {Set} 可见单元格集合
+     */
+    calculateConnectedArea(playerX, playerY, maze) {
+        const visibleCells = new Set([this.getCellKey(playerX, playerY)]);
+        let frontier = [{ x: playerX, y: playerY }];
+        
+        for (let step = 0; step < this.viewRange; step++) {
+            const next = [];
+            for (const cell of frontier) {
+                for (const neighbor of maze.getOpenNeighbors(cell.x, cell.y)) {
+                    const cellKey = this.getCellKey(neighbor.x, neighbor.y);
+                    if (!visibleCells.has(cellKey)) {
+                        visibleCells.add(cellKey);
+                        next.push(neighbor);
+                    }
+                }
+            }
+            frontier = next;
+        }
+        
+        return visibleCells;
+    }
+    
     /**
      * 检查两点之间是否有视线
      * @param {number} x1 - 起点x坐标